@@ -0,0 +1,204 @@
+// backend/appointment_types.js - Catalogue of appointment types loaded from config
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location of the catalogue, can be overridden with APPOINTMENT_TYPES_CONFIG_PATH
+const DEFAULT_APPOINTMENT_TYPES_CONFIG_PATH = path.join(__dirname, '..', 'config', 'appointment_types.json');
+
+// How often the catalogue file is checked for changes
+const RELOAD_INTERVAL_MS = 2000;
+
+// Supported buffer policies
+// - auto: add a buffer when the booking reaches the consecutive work threshold
+// - never: never add a buffer after this appointment type
+// - always: always add a buffer after this appointment type
+export const BUFFER_POLICIES = ['auto', 'never', 'always'];
+
+/**
+ * @typedef {Object} AppointmentTypeConfig
+ * @property {number} id - The Cerbo appointment type ID
+ * @property {string} displayName - Name shown to patients
+ * @property {string} internalName - Cerbo appointment type name
+ * @property {number} duration - Duration in minutes
+ * @property {boolean} dualBookable - Whether this appointment can be double-booked
+ * @property {string} [bufferPolicy='auto'] - One of BUFFER_POLICIES
+ * @property {string} [description] - Description shown to patients
+ * @property {number|null} [price] - Price shown to patients, null when not listed
+ * @property {boolean} [telehealth=false] - Whether the visit is a video call, which patients may join from another time zone
+ */
+
+// Models for PhysioSpa appointment types
+class PhysioSpaAppointmentType {
+  /**
+   * Create a PhysioSpa appointment type
+   * 
+   * @param {number} id - The appointment type ID
+   * @param {string} displayName - Display name for the appointment type
+   * @param {string} internalName - Internal name for the appointment type
+   * @param {number} duration - Duration in minutes
+   * @param {boolean} dualBookable - Whether this appointment can be double-booked
+   * @param {Object} [options] - Optional catalogue details
+   * @param {string} [options.bufferPolicy='auto'] - One of BUFFER_POLICIES
+   * @param {string} [options.description=''] - Description shown to patients
+   * @param {number|null} [options.price=null] - Price shown to patients
+   * @param {boolean} [options.telehealth=false] - Whether the visit is a video call
+   */
+  constructor(id, displayName, internalName, duration, dualBookable, options = {}) {
+    this.id = id;
+    this.displayName = displayName;
+    this.internalName = internalName;
+    this.duration = duration;
+    this.dualBookable = dualBookable;
+    this.bufferPolicy = options.bufferPolicy || 'auto';
+    this.description = options.description || '';
+    this.price = options.price ?? null;
+    this.telehealth = options.telehealth === true;
+  }
+}
+
+/**
+ * Validate the raw catalogue entries
+ * 
+ * @param {any} entries - Parsed contents of the catalogue file
+ * @returns {Array<string>} Validation errors, empty if the catalogue is valid
+ */
+function validateCatalogue(entries) {
+  if (!Array.isArray(entries)) {
+    return ['catalogue must be an array of appointment types'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+
+  entries.forEach((entry, index) => {
+    const label = `entry ${index}${entry && entry.id ? ` (id ${entry.id})` : ''}`;
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!Number.isInteger(entry.id) || entry.id <= 0) {
+      errors.push(`${label}: id must be a positive integer`);
+    } else if (seenIds.has(entry.id)) {
+      errors.push(`${label}: duplicate id`);
+    } else {
+      seenIds.add(entry.id);
+    }
+    if (typeof entry.displayName !== 'string' || !entry.displayName.trim()) {
+      errors.push(`${label}: displayName is required`);
+    }
+    if (typeof entry.internalName !== 'string' || !entry.internalName.trim()) {
+      errors.push(`${label}: internalName is required`);
+    }
+    if (!Number.isInteger(entry.duration) || entry.duration <= 0) {
+      errors.push(`${label}: duration must be a positive number of minutes`);
+    }
+    if (typeof entry.dualBookable !== 'boolean') {
+      errors.push(`${label}: dualBookable must be true or false`);
+    }
+    if (entry.bufferPolicy !== undefined && !BUFFER_POLICIES.includes(entry.bufferPolicy)) {
+      errors.push(`${label}: bufferPolicy must be one of ${BUFFER_POLICIES.join(', ')}`);
+    }
+    if (entry.description !== undefined && typeof entry.description !== 'string') {
+      errors.push(`${label}: description must be a string`);
+    }
+    if (entry.price !== undefined && entry.price !== null && (typeof entry.price !== 'number' || entry.price < 0)) {
+      errors.push(`${label}: price must be a non-negative number or null`);
+    }
+    if (entry.telehealth !== undefined && typeof entry.telehealth !== 'boolean') {
+      errors.push(`${label}: telehealth must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load and validate the catalogue file
+ * 
+ * @param {string} configPath - Path to the catalogue JSON file
+ * @returns {Array<PhysioSpaAppointmentType>} The appointment types in the catalogue
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+function loadCatalogue(configPath) {
+  const entries = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const errors = validateCatalogue(entries);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid appointment type catalogue ${configPath}: ${errors.join('; ')}`);
+  }
+
+  return entries.map(entry => new PhysioSpaAppointmentType(
+    entry.id,
+    entry.displayName,
+    entry.internalName,
+    entry.duration,
+    entry.dualBookable,
+    {
+      bufferPolicy: entry.bufferPolicy,
+      description: entry.description,
+      price: entry.price,
+      telehealth: entry.telehealth
+    }
+  ));
+}
+
+const catalogueConfigPath = process.env.APPOINTMENT_TYPES_CONFIG_PATH || DEFAULT_APPOINTMENT_TYPES_CONFIG_PATH;
+let appointmentTypes = loadCatalogue(catalogueConfigPath);
+logger.info(`Loaded ${appointmentTypes.length} appointment type(s) from ${catalogueConfigPath}`);
+
+/**
+ * Reload the catalogue from disk
+ * Keeps the current catalogue if the file is invalid, so a bad edit never takes booking down
+ * 
+ * @returns {boolean} True if the catalogue was reloaded
+ */
+function reloadAppointmentTypes() {
+  try {
+    appointmentTypes = loadCatalogue(catalogueConfigPath);
+    logger.info(`Reloaded ${appointmentTypes.length} appointment type(s) from ${catalogueConfigPath}`);
+    return true;
+  } catch (error) {
+    logger.error('Failed to reload appointment types, keeping the previous catalogue:', error.message);
+    return false;
+  }
+}
+
+// Hot-reload the catalogue when the file changes (unref'd so it never keeps the process alive)
+fs.watchFile(catalogueConfigPath, { interval: RELOAD_INTERVAL_MS }, (current, previous) => {
+  if (current.mtimeMs !== previous.mtimeMs) {
+    reloadAppointmentTypes();
+  }
+}).unref();
+
+/**
+ * Get every appointment type in the catalogue, including the buffer type
+ * 
+ * @returns {Array<PhysioSpaAppointmentType>} The current catalogue
+ */
+function listAppointmentTypes() {
+  return [...appointmentTypes];
+}
+
+/**
+ * Find an appointment type by ID
+ * 
+ * @param {number|string} appointmentTypeId - The appointment type ID
+ * @returns {PhysioSpaAppointmentType|undefined} The matching appointment type or undefined
+ */
+function findAppointmentTypeById(appointmentTypeId) {
+  return appointmentTypes.find(type => String(type.id) === String(appointmentTypeId));
+}
+
+export {
+  PhysioSpaAppointmentType,
+  validateCatalogue,
+  reloadAppointmentTypes,
+  listAppointmentTypes,
+  findAppointmentTypeById
+};
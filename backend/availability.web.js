@@ -1,7 +1,22 @@
 // backend/availability.web.js
-import { getAvailability as getCerboAvailability, getAllAppointments, createAppointment, createTask as createCerboTask } from '../cerbo_api.js';
+import crypto from 'crypto';
+import { getAvailability as getCerboAvailability, getAllAppointments, getAppointment, createAppointment, updateAppointment as updateCerboAppointment, cancelAppointment as cancelCerboAppointment, deleteAppointment, createTask as createCerboTask, updateTask, AvailabilityResponse as CerboAvailabilityResponse, AppointmentsResponse as CerboAppointmentsResponse } from '../cerbo_api.js';
 import { authHeader } from '../api_token.js';
 import logger from '../logger.js';
+import { listProviders, findProviderById, getProvidersForAppointmentType } from './providers.js';
+import { PhysioSpaAppointmentType, listAppointmentTypes, findAppointmentTypeById } from './appointment_types.js';
+import { saveBookingRecord, getBookingRecord, updateBookingRecord, saveSeriesRecord, getSeriesRecord, getSeriesBookingRecords } from './booking_records.js';
+import { createBookingToken, verifyBookingToken } from './booking_tokens.js';
+import { runSaga } from './booking_saga.js';
+import { recordBookingAudit } from './booking_audit.js';
+import { placeHold, releaseHold, getHoldsForProvider } from './slot_holds.js';
+import { getCachedForProviders, invalidateProvider } from './availability_cache.js';
+import { getClinicTimeZone, formatClinicDateTime } from '../clinic_time.js';
+import { findPatient, createPatientChart } from './patients.js';
+import { notifyBooking } from './notifications.js';
+import { getIntakeForm as getIntakeFormFields, validateContact, validateIntake, describeIntake, chartFieldsFromIntake } from './intake_forms.js';
+import { validateRecurrence, listOccurrenceStarts } from './recurrence.js';
+import { DEFAULT_SCHEDULING_RULES, getSchedulingRules, listSlotStarts, exceedsConsecutiveWork, needsBuffer, bufferAfter } from './scheduling_rules.js';
 
 /**
  * @typedef {Object} AppointmentTypeResponse
@@ -14,6 +29,16 @@ import logger from '../logger.js';
  * @typedef {Object} AvailabilityResponse
  * @property {boolean} success - Whether the operation was successful
  * @property {Array<Object>} [availableSlots] - List of available time slots if successful
+ * @property {string} [timeZone] - IANA time zone of the clinic, for showing the slots on its clocks
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (CERBO_AUTH_FAILED, CERBO_RATE_LIMITED, CERBO_UNAVAILABLE)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
+ */
+
+/**
+ * @typedef {Object} ProviderResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Array<Object>} [providers] - List of providers if successful
  * @property {string} [error] - Error message if not successful
  */
 
@@ -22,17 +47,101 @@ import logger from '../logger.js';
  * @property {boolean} success - Whether the operation was successful
  * @property {Object} [appointment] - The booked appointment if successful
  * @property {string} [message] - Success message if successful
+ * @property {string} [manageToken] - Signed token for the patient's manage-booking link
+ * @property {string} [outcome] - Final outcome of the booking (completed, rolled_back, rollback_failed)
+ * @property {SeriesDetails} [series] - Every visit of the series, when a recurring series was booked
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (INVALID_INTAKE, INVALID_RECURRENCE, REASON_REQUIRED, INVALID_SLOT, SLOT_UNAVAILABLE, SERIES_CONFLICT, PATIENT_AMBIGUOUS, BOOKING_FAILED, or CERBO_AUTH_FAILED, CERBO_RATE_LIMITED, CERBO_UNAVAILABLE when Cerbo could not be used)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
+ * @property {Object<string, string>} [fieldErrors] - What is wrong with each of the patient's details, keyed by field name
+ * @property {Array<TimeSlot>} [alternatives] - Fresh time slots close to the requested one, when it is no longer available
+ * @property {Array<SeriesOccurrence>} [occurrences] - Each visit of a series and whether it can be booked, when some cannot
+ * @property {Array<Object>} [bookingResults] - Result of each booking step, as recorded in the audit trail
+ */
+
+/**
+ * @typedef {Object} SeriesOccurrence
+ * @property {number} index - Position of the visit in the series, 0 for the first
+ * @property {string} startTime - ISO datetime string for the time asked for
+ * @property {string} endTime - ISO datetime string for the end of that time
+ * @property {string} clinicDate - Day of the visit at the clinic, "YYYY-MM-DD"
+ * @property {boolean} available - Whether the visit can be booked at that time
+ * @property {Array<TimeSlot>} alternatives - The free times closest to it, when it cannot
+ */
+
+/**
+ * @typedef {Object} SeriesDetails
+ * @property {string} seriesId - ID of the series
+ * @property {string} frequency - How the series repeats, weekly or biweekly
+ * @property {Array<{id: number|string, startTime: string, endTime: string, status: string}>} appointments - Each visit, in date order
+ */
+
+/**
+ * @typedef {Object} IntakeFormResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Array<Object>} [fields] - The form's fields: name, label, type, required, help, options, maxLength and past
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - NOT_FOUND when the appointment type is not in the catalogue
+ */
+
+/**
+ * @typedef {Object} CancellationResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Object} [appointment] - The cancelled appointment if successful
+ * @property {Array<Object>} [appointments] - The cancelled visits, when a series was cancelled
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (NOT_FOUND, ALREADY_CANCELLED, REASON_REQUIRED, CANCEL_INCOMPLETE when only some visits of a series were cancelled, or CERBO_AUTH_FAILED, CERBO_RATE_LIMITED, CERBO_UNAVAILABLE when Cerbo could not be used)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
+ * @property {Object<string, string>} [fieldErrors] - What is missing from the request, keyed by field name (reason)
+ * @property {Array<Object>} [cancellationResults] - Results of each cancellation step
+ */
+
+/**
+ * @typedef {Object} RescheduleResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Object} [appointment] - The appointment at its new time if successful
+ * @property {Object} [previousAppointment] - The start and end time the appointment was moved from
+ * @property {string} [manageToken] - Signed token for the manage-booking link, valid until after the new time
+ * @property {SeriesDetails} [series] - Every visit of the series at its new time, when a series was rescheduled
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (NOT_FOUND, ALREADY_CANCELLED, INVALID_SLOT, SLOT_UNAVAILABLE, SERIES_CONFLICT, RESCHEDULE_FAILED, or CERBO_AUTH_FAILED, CERBO_RATE_LIMITED, CERBO_UNAVAILABLE when Cerbo could not be used)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
+ * @property {Array<TimeSlot>} [alternatives] - Fresh time slots close to the requested one, when it is no longer available
+ * @property {Array<SeriesOccurrence>} [occurrences] - Each visit of a series and whether it can be moved, when some cannot
+ * @property {Array<Object>} [rescheduleResults] - Result of each reschedule step, as recorded in the audit trail
+ */
+
+/**
+ * @typedef {Object} HoldResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Object} [hold] - The hold, with when it expires (ISO datetime string and seconds from now)
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (SLOT_UNAVAILABLE, or CERBO_AUTH_FAILED, CERBO_RATE_LIMITED, CERBO_UNAVAILABLE when Cerbo could not be used)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
+ * @property {Array<TimeSlot>} [alternatives] - Fresh time slots close to the requested one, when it is no longer available
+ */
+
+/**
+ * @typedef {Object} AppointmentDetailsResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Object} [appointment] - The booked appointment if successful
+ * @property {string} [manageToken] - Signed token for the manage-booking link, when looked up by token
+ * @property {string} [expiresAt] - ISO datetime string for when the manage-booking link expires
+ * @property {string} [timeZone] - IANA time zone of the clinic, when looked up by token
+ * @property {SeriesDetails} [series] - Every visit of the series, when the appointment is part of a recurring series
  * @property {string} [error] - Error message if not successful
- * @property {Array<Object>} [bookingResults] - Results of each booking attempt
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (NOT_FOUND, INVALID_TOKEN, TOKEN_EXPIRED, or CERBO_AUTH_FAILED, CERBO_RATE_LIMITED, CERBO_UNAVAILABLE when Cerbo could not be used)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
  */
 
 /**
  * @typedef {Object} PhysioSpaAppointmentTypeInfo
  * @property {string} id - The appointment type ID
  * @property {string} displayName - Display name for the appointment type
- * @property {string} internalName - Internal name for the appointment type
  * @property {number} duration - Duration in minutes
  * @property {boolean} dualBookable - Whether this appointment can be double-booked
+ * @property {string} description - Description shown to patients
+ * @property {number|null} price - Price shown to patients, null when not listed
  */
 
 /**
@@ -40,8 +149,23 @@ import logger from '../logger.js';
  * @property {string} startTime - ISO datetime string for the slot start time
  * @property {string} endTime - ISO datetime string for the slot end time
  * @property {boolean} [hasDualBooking] - Whether the slot already has a dual booking
+ * @property {number} [providerId] - ID of the provider who owns this time slot
+ * @property {string} [providerName] - Display name of the provider who owns this time slot
+ * @property {string} [clinicDate] - Day the slot starts on at the clinic, "YYYY-MM-DD"
+ * @property {string} [clinicTime] - Time the slot starts on the clinic's clocks, "HH:MM"
  * @property {ProposedBooking} primaryBooking - The primary booking for this time slot
  * @property {ProposedBooking} [buffer] - Optional buffer booking for this time slot
+ * @property {boolean} [overridesBufferRules] - Whether booking the slot goes against the buffer rules, when staff asked to override them
+ */
+
+/**
+ * @typedef {Object} SchedulingOptions
+ * @property {number|string|null} [providerId] - Provider whose schedule it is, picks their scheduling rules
+ * @property {number|Date} [now] - Current time, slots starting earlier are not offered
+ * @property {Array<PhysioSpaAppointmentType>} [catalogue] - Appointment types that booked appointments are recognised by
+ * @property {import('./scheduling_rules.js').RuleSetConfig} [ruleSet] - Scheduling rules
+ * @property {string} [timeZone] - IANA time zone whose clocks the slot grid follows
+ * @property {boolean} [overrideBufferRules] - Leave out the consecutive work limit and book no buffers, for staff overriding them
  */
 
 /**
@@ -52,53 +176,22 @@ import logger from '../logger.js';
  * @property {boolean} isBuffer - Whether this is a buffer booking
  */
 
-// Models for PhysioSpa appointment types
-class PhysioSpaAppointmentType {
-  /**
-   * Create a PhysioSpa appointment type
-   * 
-   * @param {number} id - The appointment type ID
-   * @param {string} displayName - Display name for the appointment type
-   * @param {string} internalName - Internal name for the appointment type
-   * @param {number} duration - Duration in minutes
-   * @param {boolean} dualBookable - Whether this appointment can be double-booked
-   */
-  constructor(id, displayName, internalName, duration, dualBookable) {
-    this.id = id;
-    this.displayName = displayName;
-    this.internalName = internalName;
-    this.duration = duration;
-    this.dualBookable = dualBookable;
-  }
-}
-
 // Constants
-const PROVIDER_ID = 61; // Hard-coded provider ID for MVP
 export const ADMIN_FLEXIBLE_TYPE_ID = 1;
-export const BUFFER_DURATION = 30; // 30-minute buffer
-
-// Appointment types configuration
-const appointmentTypes = [
-  new PhysioSpaAppointmentType(151, "Acupuncture", "Acupuncture.Follow-up, self-schd (50 min)", 60, false),
-  new PhysioSpaAppointmentType(144, "Vagus Nerve Stem Therapy", "Vagus Nerve Stem Therapy- Initial", 30, true),
-  new PhysioSpaAppointmentType(ADMIN_FLEXIBLE_TYPE_ID, "ADMIN-Flexible", "ADMIN-Flexible", 30, false) // Used for buffer slots
-];
-
-// Cache for performance in development
-const globalCache = typeof global !== 'undefined' ? global : window;
-if (!globalCache.availabilityCache) globalCache.availabilityCache = null;
-if (!globalCache.appointmentsCache) globalCache.appointmentsCache = null;
+export const BUFFER_DURATION = DEFAULT_SCHEDULING_RULES.bufferMinutes; // Unless the scheduling rules say otherwise
+const MAX_ALTERNATIVE_SLOTS = 5; // Offered when a requested slot has been taken
+const SERIES_ALTERNATIVE_WINDOW_MS = 3 * 24 * 60 * 60000; // Alternatives for a visit of a series stay clear of the visits either side
 
 /**
  * Use Case 1: Get available appointment types
- * Returns a list of appointment types with display names and IDs
+ * Returns the appointment types in the catalogue that patients can book
  * 
  * @returns {Promise<AppointmentTypeResponse>} Response with available appointment types
  */
 export async function getAppointmentTypes() {
   try {
     // Filter out the ADMIN_FLEXIBLE type (that's our buffer type)
-    const filteredAppointmentTypes = appointmentTypes.filter(type => 
+    const filteredAppointmentTypes = listAppointmentTypes().filter(type => 
       type.id !== ADMIN_FLEXIBLE_TYPE_ID
     );
     
@@ -107,7 +200,12 @@ export async function getAppointmentTypes() {
       success: true,
       appointmentTypes: filteredAppointmentTypes.map(type => ({
         id: type.id,
-        displayName: type.displayName
+        displayName: type.displayName,
+        duration: type.duration,
+        dualBookable: type.dualBookable,
+        description: type.description,
+        price: type.price,
+        telehealth: type.telehealth
       }))
     };
     
@@ -121,21 +219,102 @@ export async function getAppointmentTypes() {
   }
 }
 
+/**
+ * Get the providers that can be booked for an appointment type
+ * Returns every registered provider when no appointment type is given
+ * 
+ * @param {number} [appointmentTypeId] - The ID of the appointment type to filter by
+ * @returns {Promise<ProviderResponse>} Response with the matching providers
+ */
+export async function getProviders(appointmentTypeId) {
+  try {
+    const providers = appointmentTypeId
+      ? getProvidersForAppointmentType(appointmentTypeId)
+      : listProviders();
+
+    return {
+      success: true,
+      providers: providers.map(provider => ({
+        id: provider.id,
+        displayName: provider.displayName
+      }))
+    };
+  } catch (error) {
+    logger.error('Error getting providers:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to retrieve providers'
+    };
+  }
+}
+
+/**
+ * Get the intake form patients fill in to book an appointment type
+ * The patient's name and email are always asked for and are not part of the form
+ * 
+ * @param {number|string} appointmentTypeId - The ID of the appointment type being booked
+ * @returns {Promise<IntakeFormResponse>} Response with the form's fields
+ */
+export async function getIntakeForm(appointmentTypeId) {
+  try {
+    if (!findAppointmentTypeById(appointmentTypeId)) {
+      return {
+        success: false,
+        error: `Appointment type with ID ${appointmentTypeId} not found`,
+        errorCode: 'NOT_FOUND'
+      };
+    }
+    
+    return {
+      success: true,
+      fields: getIntakeFormFields(appointmentTypeId).map(field => ({
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        required: field.required === true,
+        help: field.help || null,
+        options: field.options || null,
+        maxLength: field.maxLength || null,
+        past: field.past === true
+      }))
+    };
+  } catch (error) {
+    logger.error('Error getting intake form:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to retrieve intake form'
+    };
+  }
+}
+
 /**
  * Use Case 2: Get availability for a selected appointment type
- * Takes an appointment type ID and returns available time slots
+ * Takes an appointment type ID and returns available time slots, merged across
+ * every provider offering that type unless a specific provider is requested
  * 
  * @param {number} appointmentTypeId - The ID of the appointment type to check availability for
  * @param {string|Date} startDate - Start date to check availability from
  * @param {string|Date} endDate - End date to check availability until
+ * @param {Object} [options] - Optional filters
+ * @param {number|string} [options.providerId] - Only return slots for this provider ("any provider" when omitted)
+ * @param {number|string} [options.rescheduleAppointmentId] - Appointment being rescheduled, ignored together with its buffer
+ * @param {string} [options.rescheduleSeriesId] - Recurring series being rescheduled, all its visits and buffers are ignored
+ * @param {string} [options.sessionId] - Session asking, slots held by other sessions are treated as booked
+ * @param {boolean} [options.bypassCache=false] - Ask Cerbo even if its answer is cached, for checks right before a write
+ * @param {boolean} [options.overrideBufferRules=false] - Also offer times the buffer rules turn away, for staff.
+ *        Slots come without a buffer and say whether they go against the rules
  * @returns {Promise<AvailabilityResponse>} Response with available time slots
  */
-export async function getAvailability(appointmentTypeId, startDate, endDate) {
+export async function getAvailability(appointmentTypeId, startDate, endDate, options = {}) {
   try {
+    const { providerId = null, rescheduleAppointmentId = null, rescheduleSeriesId = null, sessionId = null, bypassCache = false, overrideBufferRules = false } = options;
+
     logger.debug('getAvailability called with:', {
       appointmentTypeId: appointmentTypeId,
       startDate: startDate,
-      endDate: endDate
+      endDate: endDate,
+      providerId: providerId,
+      rescheduleAppointmentId: rescheduleAppointmentId
     });
     
     // Validate input
@@ -148,9 +327,7 @@ export async function getAvailability(appointmentTypeId, startDate, endDate) {
     }
 
     // Find the appointment type configuration
-    const appointmentType = appointmentTypes.find(type => 
-      type.id === appointmentTypeId
-    );
+    const appointmentType = findAppointmentTypeById(appointmentTypeId);
     
     if (!appointmentType) {
       logger.debug('Appointment type not found');
@@ -158,55 +335,137 @@ export async function getAvailability(appointmentTypeId, startDate, endDate) {
     }
     logger.debug('Found appointment type:', appointmentType);
 
-    // Get provider availability from Cerbo API
-    logger.debug('Getting provider availability from Cerbo');
-    const availabilityResponse = await getCerboAvailability([PROVIDER_ID], startDate, endDate);
-    logger.debug('Cerbo availability response:', availabilityResponse);
-    
-    // Get provider's scheduled appointments from Cerbo API
-    logger.debug('Getting provider appointments from Cerbo');
-    const appointmentsResponse = await getAllAppointments(PROVIDER_ID, startDate, endDate);
-    logger.debug('Cerbo appointments response:', appointmentsResponse);
+    // Work out which providers to check
+    let providers;
+    if (providerId) {
+      const provider = findProviderById(providerId);
+      if (!provider || !provider.offers(appointmentType.id)) {
+        logger.debug('Provider not found or does not offer appointment type');
+        return {
+          success: false,
+          error: `Provider ${providerId} does not offer appointment type ${appointmentTypeId}`
+        };
+      }
+      providers = [provider];
+    } else {
+      providers = getProvidersForAppointmentType(appointmentType.id);
+    }
+
+    if (providers.length === 0) {
+      logger.debug('No providers offer this appointment type');
+      return {
+        success: true,
+        availableSlots: [],
+        timeZone: getClinicTimeZone()
+      };
+    }
+
+    // An appointment being moved must not block its own new time, so it and its buffer are left out
+    let excludedAppointmentIds = [];
+    if (rescheduleAppointmentId) {
+      const appointmentToMove = await getAppointment(rescheduleAppointmentId);
+      if (appointmentToMove) {
+        excludedAppointmentIds = await getBookedAppointmentIds(appointmentToMove);
+      }
+    } else if (rescheduleSeriesId) {
+      const series = await getSeriesRecord(rescheduleSeriesId);
+      const visits = series ? await getSeriesBookingRecords(series) : [];
+      excludedAppointmentIds = visits.flatMap(visit => [visit.appointmentId, visit.bufferAppointmentId].filter(Boolean));
+    }
 
-    // Cache these responses in session memory for use case 3
-    globalCache.availabilityCache = availabilityResponse;
-    globalCache.appointmentsCache = appointmentsResponse;
+    // Get each provider's availability windows and appointments, from the cache where it has them
+    const providerIds = providers.map(provider => provider.id);
+    const availabilityByProvider = await getProviderAvailability(providerIds, startDate, endDate, bypassCache);
+    const appointmentsByProvider = await getProviderAppointments(providerIds, startDate, endDate, bypassCache);
 
-    // Calculate available slots based on business rules
-    const availableSlots = calculateAvailableTimeSlots(
-      availabilityResponse,
-      appointmentsResponse,
-      appointmentType
-    );
+    const availableSlots = [];
+    const timeZone = getClinicTimeZone();
+
+    for (const provider of providers) {
+      // Slots other patients are checking out with count as booked
+      const appointmentsResponse = withHeldSlots(
+        withoutAppointments(appointmentsByProvider.get(String(provider.id)), excludedAppointmentIds),
+        await getHoldsForProvider(provider.id, sessionId)
+      );
+      logger.debug('Cerbo appointments response:', appointmentsResponse);
+
+      // Only consider this provider's availability windows against this provider's appointments
+      const providerAvailabilityResponse = availabilityByProvider.get(String(provider.id));
+
+      // Calculate available slots based on business rules and tag them with their provider
+      const providerSlots = calculateAvailableTimeSlots(
+        providerAvailabilityResponse,
+        appointmentsResponse,
+        appointmentType,
+        { providerId: provider.id, overrideBufferRules }
+      );
+      
+      // A time the rules offer without a buffer needs no override; any other does
+      const slotsByRules = overrideBufferRules
+        ? calculateAvailableTimeSlots(providerAvailabilityResponse, appointmentsResponse, appointmentType, { providerId: provider.id })
+        : null;
+
+      for (const slot of providerSlots) {
+        // The day and time on the clinic's clocks, so the slot is grouped and shown the same wherever it is looked at
+        const clinicDateTime = formatClinicDateTime(slot.startTime, timeZone);
+        availableSlots.push({
+          ...slot,
+          providerId: provider.id,
+          providerName: provider.displayName,
+          clinicDate: clinicDateTime.substring(0, 10),
+          clinicTime: clinicDateTime.substring(11, 16),
+          ...(slotsByRules ? {
+            overridesBufferRules: !slotsByRules.some(other => other.startTime === slot.startTime && !other.buffer)
+          } : {})
+        });
+      }
+    }
 
-    // Sort available time slots chronologically
+    // Sort available time slots chronologically (stable, so registry order breaks ties)
     availableSlots.sort((a, b) => {
       return new Date(a.startTime).getTime() - new Date(b.startTime).getTime();
     });
 
     return {
       success: true,
-      availableSlots: availableSlots
+      availableSlots: providerId ? availableSlots : removeDuplicateStartTimes(availableSlots),
+      timeZone
     };
   } catch (error) {
     logger.error("Error in getAvailability:", error);
     return {
       success: false,
-      error: "Failed to retrieve availability"
+      error: "Failed to retrieve availability",
+      ...cerboErrorDetails(error)
     };
   }
 }
 
 /**
  * Use Case 3: Book an appointment
- * Books a time slot and creates a buffer if needed
+ * Books a time slot, its buffer if needed and the booking task. If any of them fails
+ * the ones already created are removed again, so a booking is never left half-made.
+ * A recurring series books every visit the same way, as one booking.
+ * The appointment and task are linked to the patient's chart, which is opened if the patient is new;
+ * when several charts could be theirs, PATIENT_MATCH_POLICY decides what happens.
+ * The intake answers go into the appointment note, and onto the chart when a new one is opened
  * 
  * @param {string} patientName - Name of the patient
  * @param {string} email - Email of the patient
  * @param {TimeSlot} timeSlot - The time slot to book with primary and optional buffer bookings
+ * @param {Object} [options] - Optional booking context
+ * @param {string} [options.sessionId] - Session booking the slot, its hold is honoured and then released
+ * @param {Object<string, any>} [options.intake] - Answers to the appointment type's intake form, keyed by field name.
+ *        Bookings made without the form, e.g. by staff, leave it out and only need a name and email
+ * @param {import('./recurrence.js').Recurrence} [options.recurrence] - Book a recurring series starting with the time slot,
+ *        every visit is checked and the whole series is booked or none of it
+ * @param {Object<number, TimeSlot>} [options.replacements] - Time slots chosen instead of visits of the series that could not
+ *        be booked, keyed by the visit's position (0 for the first)
+ * @param {import('./booking_audit.js').StaffAction} [options.staff] - Who is booking from the admin dashboard. Overriding the
+ *        buffer rules needs a reason, and books the slot without the consecutive work limit or a buffer
  * @returns {Promise<BookingResponse>} Response with booking details
  */
-export async function bookAppointment(patientName, email, timeSlot) {
+export async function bookAppointment(patientName, email, timeSlot, options = {}) {
   try {
     if (!timeSlot || !timeSlot.primaryBooking) {
       return {
@@ -215,17 +474,12 @@ export async function bookAppointment(patientName, email, timeSlot) {
       };
     }
     
-    const bookingResults = [];
-    let primaryAppointment = null;
-    
     // Process the primary booking
     const primaryBooking = timeSlot.primaryBooking;
-    const { appointmentTypeId, startTime, duration } = primaryBooking;
+    const { appointmentTypeId, startTime } = primaryBooking;
     
     // Find the appointment type configuration
-    const appointmentType = appointmentTypes.find(type => 
-      String(type.id) === String(appointmentTypeId)
-    );
+    const appointmentType = findAppointmentTypeById(appointmentTypeId);
     
     if (!appointmentType) {
       return {
@@ -234,123 +488,1010 @@ export async function bookAppointment(patientName, email, timeSlot) {
       };
     }
     
-    // Create the appointment request for primary booking
-    const appointmentRequest = {
-      start_date_time: primaryBooking.startTime,
-      end_date_time: calculateEndTimeString(primaryBooking.startTime, primaryBooking.duration),
-      provider_ids: [PROVIDER_ID],
-      appointment_type: getAppointmentTypeName(primaryBooking.appointmentTypeId),
-      title: `${getAppointmentTypeName(primaryBooking.appointmentTypeId)}`,
-      appointment_note: `${patientName} (${email})`,
-      status: 'confirmed',
-      telemedicine: false
-    };
+    // Check the patient's details before anything is asked of Cerbo
+    const intakeFields = options.intake === undefined ? [] : getIntakeFormFields(appointmentType.id);
+    const { fieldErrors: intakeErrors, answers } = validateIntake(intakeFields, options.intake);
+    const fieldErrors = { ...validateContact(patientName, email), ...intakeErrors };
+    
+    if (Object.keys(fieldErrors).length > 0) {
+      return {
+        success: false,
+        error: "Please check the highlighted details",
+        errorCode: 'INVALID_INTAKE',
+        fieldErrors
+      };
+    }
     
-    // Book the primary appointment
-    logger.info("Booking primary appointment with request:", JSON.stringify(appointmentRequest, null, 2));
-    const primaryResponse = await createAppointment(appointmentRequest);
+    const { staff } = options;
+    const overrideBufferRules = Boolean(staff?.overrideBufferRules);
     
-    if (!primaryResponse.success) {
+    if (overrideBufferRules && !staff.reason?.trim()) {
       return {
         success: false,
-        error: "Failed to book primary appointment"
+        error: "Give a reason for overriding the buffer rules",
+        errorCode: 'REASON_REQUIRED',
+        fieldErrors: { reason: "Give a reason for overriding the buffer rules" }
       };
     }
     
-    // Add the primary booking result
-    bookingResults.push({
-      success: true,
-      isBuffer: false,
-      appointmentId: primaryResponse.appointment?.id || "unknown",
-      startTime: startTime,
-      endTime: calculateEndTimeString(startTime, duration)
+    // The slot is written to the calendar of the provider who owns it
+    const provider = findProviderById(timeSlot.providerId);
+    
+    if (!provider || !provider.offers(appointmentType.id)) {
+      return {
+        success: false,
+        error: `Provider ${timeSlot.providerId} cannot be booked for appointment type ${appointmentTypeId}`
+      };
+    }
+    
+    // A series repeats the slot, how often is checked before anything is asked of Cerbo
+    let seriesStartTimes = null;
+    if (options.recurrence) {
+      const { error, startTimes } = validateRecurrence(options.recurrence, startTime);
+      
+      if (error) {
+        return {
+          success: false,
+          error,
+          errorCode: 'INVALID_RECURRENCE',
+          fieldErrors: { recurrence: error }
+        };
+      }
+      seriesStartTimes = startTimes;
+    }
+    
+    // Someone may have taken the slot since it was offered, so check it against fresh Cerbo data.
+    // The fresh slot also decides the buffer, as other bookings may have changed whether one is needed
+    let freshSlots;
+    if (seriesStartTimes) {
+      const series = await findFreshSeriesSlots(timeSlot, seriesStartTimes, {
+        sessionId: options.sessionId,
+        replacements: options.replacements,
+        overrideBufferRules
+      });
+      
+      if (series.failure) {
+        logger.info(`Series from ${startTime} for provider ${provider.id} cannot be booked: ${series.failure.error}`);
+        return series.failure;
+      }
+      freshSlots = series.slots;
+    } else {
+      const { slot: freshSlot, alternatives } = await findFreshTimeSlot(timeSlot, { sessionId: options.sessionId, overrideBufferRules });
+      
+      if (!freshSlot) {
+        logger.info(`Slot ${startTime} for provider ${provider.id} is no longer available`);
+        return {
+          success: false,
+          error: "The selected time slot is no longer available",
+          errorCode: 'SLOT_UNAVAILABLE',
+          alternatives
+        };
+      }
+      freshSlots = [freshSlot];
+    }
+    
+    // Find the patient's chart before anything is booked, so an ambiguous match can still turn the booking away
+    const chartFields = chartFieldsFromIntake(intakeFields, answers);
+    const patientDetails = { patientName, email, dateOfBirth: chartFields.dob, chartFields };
+    const patientMatch = await findPatient(patientDetails);
+    
+    if (patientMatch.outcome === 'rejected') {
+      return {
+        success: false,
+        error: "We could not match your details to a single patient record. Please call the clinic to book this appointment",
+        errorCode: 'PATIENT_AMBIGUOUS'
+      };
+    }
+    
+    const appointmentNote = [
+      `${patientName} (${email})`,
+      ...describeIntake(intakeFields, answers),
+      ...(staff ? [`Booked at the front desk by ${staff.name}`] : []),
+      ...(overrideBufferRules ? [`Buffer rules overridden: ${staff.reason.trim()}`] : [])
+    ].join('\n');
+    const seriesId = seriesStartTimes ? crypto.randomUUID() : null;
+    
+    // Every appointment, its buffer and the task either all get booked or none of them stay booked:
+    // a primary without its buffer would let the provider be booked past the consecutive work limit,
+    // and a series with a visit missing is not what the patient asked for
+    /** @type {Array<import('./booking_saga.js').SagaStep>} */
+    const steps = [{
+      // A chart opened here is kept if the booking is rolled back; the patient's next try finds it by email
+      name: 'patient',
+      run: async () => ({
+        ...patientMatch,
+        patientId: patientMatch.outcome === 'new' ? await createPatientChart(patientDetails) : patientMatch.patientId
+      })
+    }];
+    
+    freshSlots.forEach((slot, index) => {
+      steps.push(...bookingSteps(slot, provider, appointmentNote, index));
+    });
+    
+    // Create a task for each appointment (the last steps, so only a later visit's task failing undoes one)
+    freshSlots.forEach((slot, index) => {
+      steps.push({
+        name: stepName('task', index),
+        run: async ({ patient }) => {
+          const taskResponse = await createTask(
+            patientName,
+            email,
+            appointmentType,
+            slot.primaryBooking.startTime,
+            String(provider.id),
+            patient,
+            seriesId ? { position: index + 1, count: freshSlots.length } : undefined
+          );
+          return { taskId: taskResponse?.taskId ?? null };
+        },
+        compensate: async ({ taskId }) => {
+          if (taskId) {
+            await updateTask(taskId, { status: 'completed', notes: 'The online booking was rolled back' });
+          }
+        }
+      });
+    });
+    
+    const saga = await runSaga(seriesId ? 'book-series' : 'book-appointment', steps);
+    // Even a rolled back booking may have changed the calendar while it ran
+    await invalidateProvider(provider.id);
+    const appointmentId = saga.results.appointment?.appointmentId ?? null;
+    
+    await recordBookingAudit({
+      action: seriesId ? 'book-series' : 'book',
+      appointmentId,
+      outcome: saga.outcome,
+      steps: saga.steps,
+      ...(staff ? { staff } : {})
     });
     
+    if (!saga.success) {
+      return {
+        success: false,
+        error: saga.outcome === 'rolled_back'
+          ? `Booking failed at the ${saga.failedStep} step and was rolled back: ${saga.error}`
+          : `Booking failed at the ${saga.failedStep} step and could not be fully rolled back: ${saga.error}`,
+        errorCode: 'BOOKING_FAILED',
+        outcome: saga.outcome,
+        bookingResults: saga.steps
+      };
+    }
+    
+    const visits = freshSlots.map((slot, index) => ({
+      appointmentId: saga.results[stepName('appointment', index)].appointmentId,
+      bufferAppointmentId: saga.results[stepName('buffer', index)]?.appointmentId ?? null,
+      taskId: saga.results[stepName('task', index)].taskId,
+      startTime: saga.results[stepName('appointment', index)].startTime,
+      endTime: saga.results[stepName('appointment', index)].endTime
+    }));
+    const firstVisit = visits[0];
+    const lastVisit = visits[visits.length - 1];
+    
     // Save the primary appointment details for the response
-    primaryAppointment = {
+    const primaryAppointment = {
+      id: appointmentId,
       patientName,
       email,
-      providerId: PROVIDER_ID,
+      providerId: provider.id,
+      providerName: provider.displayName,
       appointmentTypeId,
-      startTime,
-      endTime: calculateEndTimeString(startTime, duration)
+      startTime: firstVisit.startTime,
+      endTime: firstVisit.endTime
     };
     
-    // Process the buffer booking if present
-    if (timeSlot.buffer) {
-      const bufferBooking = timeSlot.buffer;
-      const { appointmentTypeId: bufferTypeId, startTime: bufferStart, duration: bufferDuration } = bufferBooking;
-      
-      // Create the appointment request for buffer
-      const bufferRequest = {
-        start_date_time: bufferStart,
-        end_date_time: calculateEndTimeString(bufferStart, bufferDuration),
-        provider_ids: [PROVIDER_ID],
-        appointment_type: getAppointmentTypeName(bufferTypeId),
-        title: `${getAppointmentTypeName(bufferTypeId)}`,
-        appointment_note: `BUFFER`,
+    // The slot is booked now, so the checkout hold is no longer needed
+    if (options.sessionId) {
+      await releaseHold(options.sessionId);
+    }
+    
+    // Remember what was created so the booking can be cancelled as a whole later
+    const createdAt = new Date().toISOString();
+    for (const visit of visits) {
+      await saveBookingRecord({
+        ...visit,
+        providerId: provider.id,
+        appointmentTypeId: String(appointmentTypeId),
+        patientName,
+        email,
+        patientId: saga.results.patient.patientId,
+        patientMatch: saga.results.patient.outcome,
+        intake: answers,
         status: 'confirmed',
-        telemedicine: false
+        inviteSequence: 0,
+        createdAt,
+        ...(seriesId ? { seriesId } : {}),
+        ...(staff ? { staff } : {})
+      });
+    }
+    
+    if (seriesId) {
+      await saveSeriesRecord({
+        seriesId,
+        appointmentIds: visits.map(visit => visit.appointmentId),
+        frequency: options.recurrence.frequency,
+        providerId: provider.id,
+        appointmentTypeId: String(appointmentTypeId),
+        patientName,
+        email,
+        createdAt
+      });
+    }
+    
+    // A series is managed from the link to its first visit, so the link lasts until after the last one
+    const manageToken = createBookingToken(appointmentId, lastVisit.endTime);
+    
+    // Sent in the background, an email that cannot be sent is retried and never fails the booking
+    notifyBooking('booked', {
+      appointmentId,
+      patientName,
+      email,
+      appointmentTypeName: appointmentType.displayName,
+      providerName: provider.displayName,
+      startTime: firstVisit.startTime,
+      endTime: firstVisit.endTime,
+      manageToken,
+      sequence: 0,
+      ...(seriesId ? { occurrences: visits.map(visit => ({ appointmentId: visit.appointmentId, startTime: visit.startTime, endTime: visit.endTime, sequence: 0 })) } : {})
+    });
+    
+    // Return the booking response
+    return {
+      success: true,
+      appointment: primaryAppointment,
+      manageToken,
+      ...(seriesId ? {
+        series: {
+          seriesId,
+          frequency: options.recurrence.frequency,
+          appointments: visits.map(visit => ({ id: visit.appointmentId, startTime: visit.startTime, endTime: visit.endTime, status: 'confirmed' }))
+        }
+      } : {}),
+      outcome: saga.outcome,
+      bookingResults: saga.steps
+    };
+  } catch (error) {
+    logger.error("Error booking appointment:", error);
+    return {
+      success: false,
+      error: error.message,
+      ...cerboErrorDetails(error)
+    };
+  }
+}
+
+/**
+ * Use Case 4: Cancel an appointment
+ * Cancels the primary appointment in Cerbo, deletes its paired ADMIN-Flexible buffer
+ * and closes the task created for the booking
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @param {Object} [options] - Optional cancellation context
+ * @param {boolean} [options.notify=true] - Email the patient, left off when the caller sends one email for several visits
+ * @param {import('./booking_audit.js').StaffAction} [options.staff] - Who is cancelling from the admin dashboard, and why
+ * @returns {Promise<CancellationResponse>} Response with cancellation details
+ */
+export async function cancelAppointment(appointmentId, options = {}) {
+  try {
+    if (!appointmentId) {
+      return {
+        success: false,
+        error: "No appointment ID provided"
       };
-      
+    }
+    
+    const { staff } = options;
+    
+    if (staff && !staff.reason?.trim()) {
+      return {
+        success: false,
+        error: "Give a reason for cancelling the appointment",
+        errorCode: 'REASON_REQUIRED',
+        fieldErrors: { reason: "Give a reason for cancelling the appointment" }
+      };
+    }
+    
+    const appointment = await getAppointment(appointmentId);
+    
+    if (!appointment) {
+      return {
+        success: false,
+        error: `Appointment ${appointmentId} not found`,
+        errorCode: 'NOT_FOUND'
+      };
+    }
+    
+    if (appointment.appointment_status?.toLowerCase() === 'cancelled') {
+      return {
+        success: false,
+        error: `Appointment ${appointmentId} is already cancelled`,
+        errorCode: 'ALREADY_CANCELLED'
+      };
+    }
+    
+    const bookingRecord = await getBookingRecord(appointmentId);
+    const cancellationResults = [];
+    
+    // Cancel the primary appointment - if this fails nothing else is touched
+    await cancelCerboAppointment(appointmentId);
+    // The buffer is deleted next, the provider's cached calendar is out of date either way
+    const providerId = appointment.associated_providers?.[0]?.id ?? bookingRecord?.providerId;
+    if (providerId) {
+      await invalidateProvider(providerId);
+    }
+    cancellationResults.push({
+      success: true,
+      step: 'appointment',
+      appointmentId
+    });
+    
+    // Delete the paired buffer so the provider's time is released
+    const bufferAppointmentId = bookingRecord
+      ? bookingRecord.bufferAppointmentId
+      : await findBufferAppointmentId(appointment);
+    
+    if (bufferAppointmentId) {
       try {
-        // Book the buffer appointment
-        logger.info("Booking buffer appointment with request:", JSON.stringify(bufferRequest, null, 2));
-        const bufferResponse = await createAppointment(bufferRequest);
-        
-        if (bufferResponse.success) {
-          bookingResults.push({
-            success: true,
-            isBuffer: true,
-            appointmentId: bufferResponse.appointment?.id || "unknown",
-            startTime: bufferStart,
-            endTime: calculateEndTimeString(bufferStart, bufferDuration)
-          });
-        } else {
-          bookingResults.push({
-            success: false,
-            isBuffer: true,
-            error: "Failed to book buffer appointment"
-          });
-          logger.error("Failed to book buffer appointment:", bufferResponse);
-        }
+        await deleteAppointment(bufferAppointmentId);
+        cancellationResults.push({
+          success: true,
+          step: 'buffer',
+          appointmentId: bufferAppointmentId
+        });
+      } catch (error) {
+        logger.error("Error deleting buffer appointment:", error);
+        cancellationResults.push({
+          success: false,
+          step: 'buffer',
+          appointmentId: bufferAppointmentId,
+          error: "Error deleting buffer appointment: " + error.message
+        });
+      }
+    }
+    
+    // Close the task created for the booking
+    if (bookingRecord?.taskId) {
+      try {
+        await updateTask(bookingRecord.taskId, {
+          status: 'completed',
+          notes: staff
+            ? `Appointment ${appointmentId} was cancelled at the front desk by ${staff.name}: ${staff.reason.trim()}`
+            : `Appointment ${appointmentId} was cancelled online`
+        });
+        cancellationResults.push({
+          success: true,
+          step: 'task',
+          taskId: bookingRecord.taskId
+        });
       } catch (error) {
-        logger.error("Error booking buffer appointment:", error);
-        bookingResults.push({
+        logger.error("Error closing task:", error);
+        cancellationResults.push({
           success: false,
-          isBuffer: true,
-          error: "Error booking buffer appointment: " + error.message
+          step: 'task',
+          taskId: bookingRecord.taskId,
+          error: "Error closing task: " + error.message
         });
       }
+    } else {
+      logger.warn(`No task recorded for appointment ${appointmentId}, nothing to close`);
     }
     
-    // Create a task for the primary appointment
-    try {
-      await createTask(patientName, email, appointmentType, startTime, String(PROVIDER_ID));
-    } catch (error) {
-      logger.error("Error creating task:", error);
-      // We don't fail the main booking if task creation fails
+    const inviteSequence = (bookingRecord?.inviteSequence ?? 0) + 1;
+    await updateBookingRecord(appointmentId, { status: 'cancelled', inviteSequence });
+    
+    await recordBookingAudit({
+      action: 'cancel',
+      appointmentId,
+      outcome: cancellationResults.every(result => result.success) ? 'completed' : 'incomplete',
+      steps: cancellationResults,
+      ...(staff ? { staff } : {})
+    });
+    
+    // Only bookings made online have an email to write to
+    if (bookingRecord && options.notify !== false) {
+      notifyBooking('cancelled', {
+        appointmentId,
+        patientName: bookingRecord.patientName,
+        email: bookingRecord.email,
+        appointmentTypeName: findAppointmentTypeById(bookingRecord.appointmentTypeId)?.displayName || appointment.appointment_type_internal_name,
+        providerName: findProviderById(providerId)?.displayName,
+        startTime: appointment.start_date_time.toISOString(),
+        endTime: appointment.end_date_time.toISOString(),
+        sequence: inviteSequence
+      });
     }
     
-    // Return the booking response
     return {
       success: true,
-      appointment: primaryAppointment,
-      bookingResults: bookingResults
+      appointment: {
+        id: appointmentId,
+        status: 'cancelled',
+        startTime: appointment.start_date_time.toISOString(),
+        endTime: appointment.end_date_time.toISOString()
+      },
+      cancellationResults
     };
   } catch (error) {
-    logger.error("Error booking appointment:", error);
+    logger.error("Error cancelling appointment:", error);
     return {
       success: false,
-      error: error.message
+      error: "Failed to cancel appointment",
+      ...cerboErrorDetails(error)
     };
   }
 }
 
 /**
- * Class representing an actual available time slot with start and end times
+ * Hold a time slot while the patient completes their booking
+ * The hold is placed before the slot is checked, so when two patients race for the same slot
+ * each check sees the other's hold and a slot is never held more often than it can be booked
+ * 
+ * @param {string} sessionId - Session placing the hold (replaces any slot it already holds)
+ * @param {TimeSlot} timeSlot - The time slot to hold, as returned by getAvailability
+ * @param {Object} [options] - Optional hold context
+ * @param {number|string} [options.rescheduleAppointmentId] - Appointment being rescheduled into this slot
+ * @returns {Promise<HoldResponse>} Response with the hold expiry
  */
-class ActualAvailableTimeSlot {
+export async function holdTimeSlot(sessionId, timeSlot, options = {}) {
+  try {
+    if (!sessionId || !timeSlot || !timeSlot.primaryBooking) {
+      return {
+        success: false,
+        error: "No session or time slot provided"
+      };
+    }
+    
+    const hold = await placeHold(sessionId, timeSlot);
+    const { slot, alternatives } = await findFreshTimeSlot(timeSlot, {
+      rescheduleAppointmentId: options.rescheduleAppointmentId,
+      sessionId
+    });
+    
+    if (!slot) {
+      await releaseHold(sessionId);
+      return {
+        success: false,
+        error: "The selected time slot is no longer available",
+        errorCode: 'SLOT_UNAVAILABLE',
+        alternatives
+      };
+    }
+    
+    return {
+      success: true,
+      hold: {
+        startTime: hold.startTime,
+        providerId: hold.providerId,
+        expiresAt: hold.expiresAt,
+        // Lets the browser count down without relying on its own clock matching ours
+        expiresInSeconds: Math.round((new Date(hold.expiresAt).getTime() - Date.now()) / 1000)
+      }
+    };
+  } catch (error) {
+    logger.error("Error holding time slot:", error);
+    await releaseHold(sessionId);
+    return {
+      success: false,
+      error: "Failed to hold time slot",
+      ...cerboErrorDetails(error)
+    };
+  }
+}
+
+/**
+ * Get a booked appointment
+ * Returns what the patient needs to see (and the reschedule page needs to know) about an existing booking
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @returns {Promise<AppointmentDetailsResponse>} Response with the appointment details
+ */
+export async function getAppointmentDetails(appointmentId) {
+  try {
+    const appointment = appointmentId ? await getAppointment(appointmentId) : null;
+    
+    if (!appointment) {
+      return {
+        success: false,
+        error: `Appointment ${appointmentId} not found`,
+        errorCode: 'NOT_FOUND'
+      };
+    }
+    
+    const bookingRecord = await getBookingRecord(appointmentId);
+    const appointmentTypeId = bookingRecord
+      ? bookingRecord.appointmentTypeId
+      : getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name);
+    const appointmentType = findAppointmentTypeById(appointmentTypeId);
+    const provider = findProviderById(bookingRecord?.providerId ?? appointment.associated_providers?.[0]?.id);
+    
+    return {
+      success: true,
+      appointment: {
+        id: appointment.id,
+        appointmentTypeId: appointmentTypeId ?? null,
+        appointmentTypeName: appointmentType ? appointmentType.displayName : appointment.appointment_type,
+        providerId: provider ? provider.id : null,
+        providerName: provider ? provider.displayName : null,
+        patientName: bookingRecord?.patientName ?? null,
+        email: bookingRecord?.email ?? null,
+        status: appointment.appointment_status?.toLowerCase() === 'cancelled' ? 'cancelled' : 'confirmed',
+        startTime: appointment.start_date_time.toISOString(),
+        endTime: appointment.end_date_time.toISOString()
+      },
+      ...(bookingRecord?.seriesId ? { series: await getSeriesDetails(bookingRecord.seriesId) } : {})
+    };
+  } catch (error) {
+    logger.error("Error getting appointment:", error);
+    return {
+      success: false,
+      error: "Failed to retrieve appointment",
+      ...cerboErrorDetails(error)
+    };
+  }
+}
+
+/**
+ * Get a booking from its manage-booking token
+ * Lets patients come back to their booking from the link they were given, without any other login
+ * 
+ * @param {string} token - Signed token from the manage-booking link
+ * @returns {Promise<AppointmentDetailsResponse>} Response with the appointment details
+ */
+export async function getBooking(token) {
+  const verification = verifyBookingToken(token);
+  
+  if (!verification.valid) {
+    return {
+      success: false,
+      error: verification.error,
+      errorCode: verification.errorCode
+    };
+  }
+  
+  const response = await getAppointmentDetails(verification.appointmentId);
+  
+  if (!response.success) {
+    return response;
+  }
+  
+  return {
+    ...response,
+    manageToken: token,
+    expiresAt: verification.expiresAt,
+    timeZone: getClinicTimeZone()
+  };
+}
+
+/**
+ * Use Case 5: Reschedule an appointment
+ * Moves an existing booking to a new slot from getAvailability. The slot is checked again against
+ * fresh Cerbo data (with the booking being moved left out), then the primary appointment and its
+ * buffer are updated together - if any of the calendar changes fails, the ones already made are undone
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @param {TimeSlot} newTimeSlot - The time slot to move the appointment to
+ * @param {Object} [options] - Optional reschedule context
+ * @param {string} [options.sessionId] - Session rescheduling, its hold is honoured and then released
+ * @returns {Promise<RescheduleResponse>} Response with the rescheduled appointment
+ */
+export async function rescheduleAppointment(appointmentId, newTimeSlot, options = {}) {
+  try {
+    if (!appointmentId || !newTimeSlot || !newTimeSlot.primaryBooking) {
+      return {
+        success: false,
+        error: "No appointment or time slot provided"
+      };
+    }
+    
+    const appointment = await getAppointment(appointmentId);
+    
+    if (!appointment) {
+      return {
+        success: false,
+        error: `Appointment ${appointmentId} not found`,
+        errorCode: 'NOT_FOUND'
+      };
+    }
+    
+    if (appointment.appointment_status?.toLowerCase() === 'cancelled') {
+      return {
+        success: false,
+        error: `Appointment ${appointmentId} is cancelled and cannot be rescheduled`,
+        errorCode: 'ALREADY_CANCELLED'
+      };
+    }
+    
+    const bookingRecord = await getBookingRecord(appointmentId);
+    const appointmentTypeId = bookingRecord
+      ? bookingRecord.appointmentTypeId
+      : getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name);
+    
+    // Rescheduling keeps the appointment type, only the time (and possibly the provider) changes
+    if (String(newTimeSlot.primaryBooking.appointmentTypeId) !== String(appointmentTypeId)) {
+      return {
+        success: false,
+        error: "The new time slot is for a different appointment type",
+        errorCode: 'INVALID_SLOT'
+      };
+    }
+    
+    const provider = findProviderById(newTimeSlot.providerId);
+    
+    if (!provider || !provider.offers(appointmentTypeId)) {
+      return {
+        success: false,
+        error: `Provider ${newTimeSlot.providerId} cannot be booked for appointment type ${appointmentTypeId}`,
+        errorCode: 'INVALID_SLOT'
+      };
+    }
+    
+    // Re-run the scheduling rules on fresh data, the slot may have been taken since it was offered
+    const { slot: freshSlot, alternatives } = await findFreshTimeSlot(newTimeSlot, {
+      rescheduleAppointmentId: appointmentId,
+      sessionId: options.sessionId
+    });
+    
+    if (!freshSlot) {
+      return {
+        success: false,
+        error: "The selected time slot is no longer available",
+        errorCode: 'SLOT_UNAVAILABLE',
+        alternatives
+      };
+    }
+    
+    const previousStartTime = appointment.start_date_time.toISOString();
+    const previousEndTime = appointment.end_date_time.toISOString();
+    const previousProviderId = appointment.associated_providers?.[0]?.id ?? bookingRecord?.providerId;
+    const previousBufferId = bookingRecord
+      ? bookingRecord.bufferAppointmentId
+      : await findBufferAppointmentId(appointment);
+    
+    const { startTime, duration } = freshSlot.primaryBooking;
+    const endTime = calculateEndTimeString(startTime, duration);
+    const steps = rescheduleSteps({
+      appointmentId,
+      startTime: previousStartTime,
+      endTime: previousEndTime,
+      providerId: previousProviderId,
+      bufferAppointmentId: previousBufferId,
+      taskId: bookingRecord?.taskId
+    }, freshSlot, provider, appointmentTypeId, 0);
+    
+    const saga = await runSaga('reschedule-appointment', steps);
+    await invalidateProvider(provider.id);
+    if (previousProviderId && String(previousProviderId) !== String(provider.id)) {
+      await invalidateProvider(previousProviderId);
+    }
+    
+    await recordBookingAudit({
+      action: 'reschedule',
+      appointmentId,
+      outcome: saga.outcome,
+      steps: saga.steps
+    });
+    
+    if (!saga.success) {
+      return {
+        success: false,
+        error: saga.outcome === 'rolled_back'
+          ? `Rescheduling failed at the ${saga.failedStep} step, the appointment is unchanged`
+          : `Rescheduling failed at the ${saga.failedStep} step and could not be fully undone`,
+        errorCode: 'RESCHEDULE_FAILED',
+        rescheduleResults: saga.steps
+      };
+    }
+    
+    if (options.sessionId) {
+      await releaseHold(options.sessionId);
+    }
+    
+    const bufferAppointmentId = movedBufferId(saga.results, previousBufferId, 0);
+    
+    const inviteSequence = (bookingRecord?.inviteSequence ?? 0) + 1;
+    await updateBookingRecord(appointmentId, {
+      providerId: provider.id,
+      bufferAppointmentId,
+      startTime,
+      endTime,
+      inviteSequence,
+      rescheduledAt: new Date().toISOString()
+    });
+    
+    const manageToken = createBookingToken(appointment.id, endTime);
+    
+    if (bookingRecord) {
+      notifyBooking('rescheduled', {
+        appointmentId,
+        patientName: bookingRecord.patientName,
+        email: bookingRecord.email,
+        appointmentTypeName: findAppointmentTypeById(appointmentTypeId)?.displayName || appointment.appointment_type_internal_name,
+        providerName: provider.displayName,
+        startTime,
+        endTime,
+        previousStartTime,
+        previousEndTime,
+        manageToken,
+        sequence: inviteSequence
+      });
+    }
+    
+    return {
+      success: true,
+      appointment: {
+        id: appointment.id,
+        patientName: bookingRecord?.patientName,
+        email: bookingRecord?.email,
+        providerId: provider.id,
+        providerName: provider.displayName,
+        appointmentTypeId,
+        startTime,
+        endTime
+      },
+      previousAppointment: {
+        startTime: previousStartTime,
+        endTime: previousEndTime
+      },
+      manageToken,
+      rescheduleResults: saga.steps
+    };
+  } catch (error) {
+    logger.error("Error rescheduling appointment:", error);
+    return {
+      success: false,
+      error: "Failed to reschedule appointment",
+      ...cerboErrorDetails(error)
+    };
+  }
+}
+
+/**
+ * Cancel the rest of a recurring series
+ * Cancels every upcoming visit of the series the appointment belongs to, each the way cancelAppointment does,
+ * and emails the patient once for all of them. Visits already past or cancelled are left alone
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment of any visit in the series
+ * @param {number} [now=Date.now()] - Current time, visits starting earlier are not cancelled
+ * @returns {Promise<CancellationResponse>} Response with the cancelled visits
+ */
+export async function cancelSeries(appointmentId, now = Date.now()) {
+  try {
+    const found = await findSeriesVisits(appointmentId, now);
+    
+    if (found.failure) {
+      return found.failure;
+    }
+    
+    const { series, upcoming } = found;
+    const cancellationResults = [];
+    const cancelled = [];
+    let firstFailure = null;
+    
+    // One at a time, so a visit that cannot be cancelled does not stop the ones after it
+    for (const visit of upcoming) {
+      const response = await cancelAppointment(visit.appointmentId, { notify: false });
+      cancellationResults.push(...(response.cancellationResults || [{ success: false, step: 'appointment', appointmentId: visit.appointmentId, error: response.error }]));
+      
+      if (response.success) {
+        cancelled.push(response.appointment);
+      } else {
+        firstFailure = firstFailure || response;
+      }
+    }
+    
+    if (cancelled.length === 0) {
+      return firstFailure;
+    }
+    
+    // The records now carry each visit's new invite sequence, so the patient's calendar drops every one of them
+    const cancelledIds = cancelled.map(appointment => String(appointment.id));
+    const cancelledVisits = (await getSeriesBookingRecords(series))
+      .filter(visit => cancelledIds.includes(String(visit.appointmentId)));
+    
+    notifyBooking('cancelled', {
+      appointmentId: cancelledVisits[0].appointmentId,
+      patientName: series.patientName,
+      email: series.email,
+      appointmentTypeName: findAppointmentTypeById(series.appointmentTypeId)?.displayName,
+      providerName: findProviderById(series.providerId)?.displayName,
+      startTime: cancelledVisits[0].startTime,
+      endTime: cancelledVisits[0].endTime,
+      sequence: cancelledVisits[0].inviteSequence,
+      // With one visit left the email reads like any other cancellation
+      ...(cancelledVisits.length > 1 ? {
+        occurrences: cancelledVisits.map(visit => ({
+          appointmentId: visit.appointmentId,
+          startTime: visit.startTime,
+          endTime: visit.endTime,
+          sequence: visit.inviteSequence
+        }))
+      } : {})
+    });
+    
+    if (firstFailure) {
+      return {
+        success: false,
+        error: `${cancelled.length} of the ${upcoming.length} upcoming visits were cancelled, please call the clinic to cancel the rest`,
+        errorCode: 'CANCEL_INCOMPLETE',
+        appointments: cancelled,
+        cancellationResults
+      };
+    }
+    
+    return {
+      success: true,
+      appointments: cancelled,
+      cancellationResults
+    };
+  } catch (error) {
+    logger.error("Error cancelling series:", error);
+    return {
+      success: false,
+      error: "Failed to cancel the series",
+      ...cerboErrorDetails(error)
+    };
+  }
+}
+
+/**
+ * Reschedule the rest of a recurring series
+ * Moves every upcoming visit of the series the appointment belongs to, keeping how often it repeats:
+ * the first one to the new time slot and the others on from it. Every visit is checked like a new series,
+ * and they are all moved or none of them is
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment of any visit in the series
+ * @param {TimeSlot} newTimeSlot - The time slot to move the first upcoming visit to
+ * @param {Object} [options] - Optional reschedule context
+ * @param {string} [options.sessionId] - Session rescheduling, its hold is honoured and then released
+ * @param {Object<number, TimeSlot>} [options.replacements] - Time slots chosen instead of visits that could not be moved,
+ *        keyed by the position among the upcoming visits (0 for the first)
+ * @param {number} [options.now=Date.now()] - Current time, visits starting earlier stay where they are
+ * @returns {Promise<RescheduleResponse>} Response with the series at its new times
+ */
+export async function rescheduleSeries(appointmentId, newTimeSlot, options = {}) {
+  try {
+    if (!appointmentId || !newTimeSlot || !newTimeSlot.primaryBooking) {
+      return {
+        success: false,
+        error: "No appointment or time slot provided"
+      };
+    }
+    
+    const found = await findSeriesVisits(appointmentId, options.now ?? Date.now());
+    
+    if (found.failure) {
+      return found.failure;
+    }
+    
+    const { series, upcoming } = found;
+    
+    // Like a single reschedule, only the times (and possibly the provider) change
+    if (String(newTimeSlot.primaryBooking.appointmentTypeId) !== String(series.appointmentTypeId)) {
+      return {
+        success: false,
+        error: "The new time slot is for a different appointment type",
+        errorCode: 'INVALID_SLOT'
+      };
+    }
+    
+    const provider = findProviderById(newTimeSlot.providerId);
+    
+    if (!provider || !provider.offers(series.appointmentTypeId)) {
+      return {
+        success: false,
+        error: `Provider ${newTimeSlot.providerId} cannot be booked for appointment type ${series.appointmentTypeId}`,
+        errorCode: 'INVALID_SLOT'
+      };
+    }
+    
+    // The visits being moved must not block their own new times
+    const startTimes = listOccurrenceStarts(newTimeSlot.startTime, { frequency: series.frequency, count: upcoming.length });
+    const { slots, failure } = await findFreshSeriesSlots(newTimeSlot, startTimes, {
+      rescheduleSeriesId: series.seriesId,
+      sessionId: options.sessionId,
+      replacements: options.replacements
+    });
+    
+    if (failure) {
+      return failure;
+    }
+    
+    const steps = upcoming.flatMap((visit, index) => rescheduleSteps(visit, slots[index], provider, series.appointmentTypeId, index));
+    const saga = await runSaga('reschedule-series', steps);
+    for (const providerId of new Set([provider.id, ...upcoming.map(visit => visit.providerId)].map(String))) {
+      await invalidateProvider(providerId);
+    }
+    
+    await recordBookingAudit({
+      action: 'reschedule-series',
+      appointmentId,
+      outcome: saga.outcome,
+      steps: saga.steps
+    });
+    
+    if (!saga.success) {
+      return {
+        success: false,
+        error: saga.outcome === 'rolled_back'
+          ? `Rescheduling failed at the ${saga.failedStep} step, the series is unchanged`
+          : `Rescheduling failed at the ${saga.failedStep} step and could not be fully undone`,
+        errorCode: 'RESCHEDULE_FAILED',
+        rescheduleResults: saga.steps
+      };
+    }
+    
+    if (options.sessionId) {
+      await releaseHold(options.sessionId);
+    }
+    
+    const rescheduledAt = new Date().toISOString();
+    const moved = [];
+    for (const [index, visit] of upcoming.entries()) {
+      const { startTime, endTime } = saga.results[stepName('appointment', index)];
+      const inviteSequence = (visit.inviteSequence ?? 0) + 1;
+      await updateBookingRecord(visit.appointmentId, {
+        providerId: provider.id,
+        bufferAppointmentId: movedBufferId(saga.results, visit.bufferAppointmentId, index),
+        startTime,
+        endTime,
+        inviteSequence,
+        rescheduledAt
+      });
+      moved.push({ appointmentId: visit.appointmentId, startTime, endTime, sequence: inviteSequence });
+    }
+    await saveSeriesRecord({ ...series, providerId: provider.id, updatedAt: rescheduledAt });
+    
+    const first = moved[0];
+    const manageToken = createBookingToken(appointmentId, moved[moved.length - 1].endTime);
+    
+    notifyBooking('rescheduled', {
+      appointmentId: first.appointmentId,
+      patientName: series.patientName,
+      email: series.email,
+      appointmentTypeName: findAppointmentTypeById(series.appointmentTypeId)?.displayName,
+      providerName: provider.displayName,
+      startTime: first.startTime,
+      endTime: first.endTime,
+      previousStartTime: upcoming[0].startTime,
+      previousEndTime: upcoming[0].endTime,
+      manageToken,
+      sequence: first.sequence,
+      ...(moved.length > 1 ? { occurrences: moved } : {})
+    });
+    
+    return {
+      success: true,
+      appointment: {
+        id: first.appointmentId,
+        patientName: series.patientName,
+        email: series.email,
+        providerId: provider.id,
+        providerName: provider.displayName,
+        appointmentTypeId: series.appointmentTypeId,
+        startTime: first.startTime,
+        endTime: first.endTime
+      },
+      previousAppointment: {
+        startTime: upcoming[0].startTime,
+        endTime: upcoming[0].endTime
+      },
+      manageToken,
+      series: await getSeriesDetails(series.seriesId),
+      rescheduleResults: saga.steps
+    };
+  } catch (error) {
+    logger.error("Error rescheduling series:", error);
+    return {
+      success: false,
+      error: "Failed to reschedule the series",
+      ...cerboErrorDetails(error)
+    };
+  }
+}
+
+/**
+ * Class representing an actual available time slot with start and end times
+ */
+class ActualAvailableTimeSlot {
   /**
    * Create a new availability time slot
    * @param {Date} startTime - Start time of the slot
@@ -406,19 +1547,23 @@ class ActualAvailableTimeSlot {
 
 /**
  * Helper function to calculate available time slots
- * Implements business rules for valid appointment times (top of hour and half hour)
+ * Applies the scheduling rules: the slot grid, the consecutive work limit and when a buffer is needed
  * 
  * @param {Object} availabilityResponse - Response from Cerbo API for provider availability
  * @param {Object} appointmentsResponse - Response from Cerbo API for provider's scheduled appointments
  * @param {PhysioSpaAppointmentType} appointmentType - The appointment type to check availability for
+ * @param {SchedulingOptions} [options] - The provider and what to schedule with, the real clock and configuration by default
  * @returns {Array<TimeSlot>} Array of available time slots
  */
-function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse, appointmentType) {
+function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse, appointmentType, options = {}) {
   // Validate inputs
   if (!availabilityResponse || !appointmentType) {
     return [];
   }
   
+  const { providerId = null, now = Date.now(), catalogue = listAppointmentTypes(), ruleSet, timeZone = getClinicTimeZone(), overrideBufferRules = false } = options;
+  const rules = getSchedulingRules(providerId, appointmentType.id, { ruleSet, catalogue });
+  
   // Parse provider availability
   const providerAvailabilities = availabilityResponse.userAvailabilities || [];
   
@@ -427,8 +1572,9 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
     return [];
   }
   
-  // Get appointments
-  const scheduledAppointments = appointmentsResponse ? (appointmentsResponse.appointments || []) : [];
+  // Get appointments; cancelled ones stay on the Cerbo calendar but no longer take up the provider's time
+  const scheduledAppointments = (appointmentsResponse ? (appointmentsResponse.appointments || []) : [])
+    .filter(appointment => appointment.appointment_status?.toLowerCase() !== 'cancelled');
   const isDualBookable = appointmentType.dualBookable;
   const appointmentDuration = appointmentType.duration;
   
@@ -443,39 +1589,12 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
           const windowStart = new Date(window.window_start); // Local time
           const windowEnd = new Date(window.window_end);     // Local time
           
-          // Generate time slots at 30-minute intervals
-          let currentSlotStart = new Date(windowStart);
-          
-          // Align to the nearest half hour (either 00 or 30 minutes)
-          if (currentSlotStart.getMinutes() > 0 && currentSlotStart.getMinutes() < 30) {
-            currentSlotStart.setMinutes(30, 0, 0);
-          } else if (currentSlotStart.getMinutes() > 30) {
-            currentSlotStart.setHours(currentSlotStart.getHours() + 1, 0, 0, 0);
-          } else if (currentSlotStart.getMinutes() !== 0 && currentSlotStart.getMinutes() !== 30) {
-            // If not exactly on the hour or half hour, move to the next half hour
-            if (currentSlotStart.getMinutes() < 30) {
-              currentSlotStart.setMinutes(30, 0, 0);
-            } else {
-              currentSlotStart.setHours(currentSlotStart.getHours() + 1, 0, 0, 0);
-            }
-          }
-          
-          // Create slots at every half hour until we reach the window end time
-          while (currentSlotStart < windowEnd) {
-            // Calculate the end time of this appointment
-            const currentSlotEnd = new Date(currentSlotStart);
-            currentSlotEnd.setMinutes(currentSlotEnd.getMinutes() + appointmentType.duration);
-            
-            // Only add the slot if the entire appointment fits within the window
-            if (currentSlotEnd <= windowEnd) {
-              possibleSlots.push(new ActualAvailableTimeSlot(
-                new Date(currentSlotStart),
-                new Date(currentSlotEnd)
-              ));
-            }
-            
-            // Move to the next half hour
-            currentSlotStart.setMinutes(currentSlotStart.getMinutes() + 30);
+          // Generate time slots on the rules' grid, each fitting entirely within the window
+          for (const slotStart of listSlotStarts(windowStart, windowEnd, appointmentType.duration, rules, timeZone)) {
+            possibleSlots.push(new ActualAvailableTimeSlot(
+              slotStart,
+              calculateEndTime(slotStart, appointmentType.duration)
+            ));
           }
         }
       }
@@ -487,15 +1606,15 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
     return [];
   }
   
-  // Step 2: For each candidate time slot, check if it would create continuous work exceeding 60 minutes
+  // Step 2: For each candidate time slot, check it against the provider's appointments and work limits
   // Get a list of appointment types to ignore in work block calculations
-  const typesToIgnore = getAppointmentTypesToIgnore();
+  const typesToIgnore = getAppointmentTypesToIgnore(rules);
   
   // Filter existing appointments to only include work appointments
   const workAppointments = scheduledAppointments.filter(appointment => {
     // Check if the appointment has an internal name that corresponds to a type we should ignore
     if (appointment.appointment_type_internal_name) {
-      const typeId = getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name);
+      const typeId = getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name, catalogue);
       if (typeId && typesToIgnore.includes(typeId)) {
         return false;
       }
@@ -503,10 +1622,8 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
     return true;
   });
   
-  // Sort appointments chronologically
-  workAppointments.sort((a, b) => {
-    return new Date(a.start_date_time).getTime() - new Date(b.end_date_time).getTime();
-  });
+  const workPeriods = workAppointments.map(toWorkPeriod);
+  const scheduledPeriods = scheduledAppointments.map(toWorkPeriod);
   
   // Process dual-bookable appointments separately
   const dualBookableAppointments = [];
@@ -515,7 +1632,7 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
     // Find all dual-bookable appointments that are already scheduled
     for (const appointment of scheduledAppointments) {
       const internalName = appointment.appointment_type_internal_name;
-      const apptType = findAppointmentTypeByInternalName(internalName);
+      const apptType = findAppointmentTypeByInternalName(internalName, catalogue);
       
       if (apptType && apptType.dualBookable) {
         const start = new Date(appointment.start_date_time);
@@ -541,6 +1658,11 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
   const finalTimeSlots = [];
   
   for (const slot of possibleSlots) {
+    // Times that have already started can no longer be booked
+    if (slot.startTime.getTime() < new Date(now).getTime()) {
+      continue;
+    }
+    
     let isAvailable = true;
     let hasDualBooking = false;
     
@@ -567,7 +1689,7 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
         if (slot.overlaps(apptStart, apptEnd)) {
           // Check if this is a dual-bookable appointment
           const internalName = appointment.appointment_type_internal_name;
-          const apptType = findAppointmentTypeByInternalName(internalName);
+          const apptType = findAppointmentTypeByInternalName(internalName, catalogue);
           
           if (apptType && apptType.dualBookable) {
             // For an exact match with a dual-bookable appointment, this is a valid dual booking opportunity
@@ -593,108 +1715,34 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
       }
     }
     
-    // 2. Check if this slot would cause more than 60 minutes of continuous work
+    // 2. Check the slot would not make the provider work too long without a break
+    if (isAvailable && !overrideBufferRules && exceedsConsecutiveWork({ start: slot.startTime, end: slot.endTime }, workPeriods, rules)) {
+      isAvailable = false;
+    }
+    
+    // If the slot is available, add it to the final list
     if (isAvailable) {
-      // Create a temporary "appointment" for this time slot
-      const tempAppointment = {
-        start_date_time: new Date(slot.startTime), // Local time
-        end_date_time: new Date(slot.endTime)     // Local time
-      };
-      
-      // Check if this would create a continuous work block exceeding 60 minutes
-      // Here we are removing time slots that would cause more than 60 minutes of work
-      const allApptsForAnalysis = [...workAppointments, tempAppointment];
+      // Update the hasDualBooking property if needed
+      slot.hasDualBooking = hasDualBooking;
       
-      // Sort them chronologically
-      allApptsForAnalysis.sort((a, b) => {
-        return a.start_date_time.getTime() - b.end_date_time.getTime();
-      });
+      // Create the proposed bookings array for this slot
+      const proposedBookings = [];
       
-      // Find continuous work blocks
-      const workBlocks = [];
-      let currentBlock = [];
+      // Add the primary booking
+      const primaryBooking = {
+        appointmentTypeId: String(appointmentType.id),
+        startTime: slot.startTime.toISOString(),
+        duration: appointmentType.duration,
+        isBuffer: false
+      };
+      proposedBookings.push(primaryBooking);
       
-      for (let i = 0; i < allApptsForAnalysis.length; i++) {
-        const current = allApptsForAnalysis[i];
-        
-        if (currentBlock.length === 0) {
-          currentBlock.push(current);
-        } else {
-          const lastAppointment = currentBlock[currentBlock.length - 1];
-          const lastEndTime = new Date(lastAppointment.end_date_time);
-          const currentStartTime = new Date(current.start_date_time);
-          
-          // Consider appointments adjacent if they're within 1 minute of each other
-          const timeDifference = (currentStartTime.getTime() - lastEndTime.getTime()) / (1000 * 60);
-          
-          if (timeDifference <= 1) {
-            currentBlock.push(current);
-          } else {
-            if (currentBlock.length > 0) {
-              workBlocks.push([...currentBlock]);
-            }
-            currentBlock = [current];
-          }
-        }
-      }
-      
-      if (currentBlock.length > 0) {
-        workBlocks.push(currentBlock);
-      }
-      
-      // Check if any work block containing our temp appointment exceeds 60 minutes
-      for (const block of workBlocks) {
-        // Find if our temp appointment is in this block
-        const hasOurAppointment = block.some(appt => 
-          appt.start_date_time === tempAppointment.start_date_time && 
-          appt.end_date_time === tempAppointment.end_date_time
-        );
-        
-        if (hasOurAppointment) {
-          // Calculate total duration of this block
-          const blockStartTime = new Date(block[0].start_date_time);
-          const blockEndTime = new Date(block[block.length - 1].end_date_time);
-          const blockDurationMinutes = (blockEndTime.getTime() - blockStartTime.getTime()) / (1000 * 60);
-          
-          // If the block is 60+ minutes, this slot is not available
-          if (blockDurationMinutes > 60) {
-            isAvailable = false;
-            break;
-          }
-        }
-      }
-    }
-    
-    // If the slot is available, add it to the final list
-    if (isAvailable) {
-      // Update the hasDualBooking property if needed
-      slot.hasDualBooking = hasDualBooking;
-      
-      // Create the proposed bookings array for this slot
-      const proposedBookings = [];
-      
-      // Add the primary booking
-      const primaryBooking = {
-        appointmentTypeId: String(appointmentType.id),
-        startTime: slot.startTime.toISOString(),
-        duration: appointmentType.duration,
-        isBuffer: false
-      };
-      proposedBookings.push(primaryBooking);
-      
-      // Check if we need to add a buffer appointment
-      const needsBuffer = requiresBuffer(
-        String(appointmentType.id), 
-        new Date(slot.startTime), 
-        appointmentType.duration, 
-        scheduledAppointments
-      );
-      
-      if (needsBuffer) {
-        // Calculate buffer start time
-        const bufferStartTime = calculateBufferStartTime(slot.startTime.toISOString(), appointmentType.duration);
-        const bufferEndTime = new Date(bufferStartTime.getTime() + (BUFFER_DURATION * 60 * 1000));
-        let bufferOverlaps = false;
+      // Check if we need to add a buffer appointment
+      if (!overrideBufferRules && needsBuffer({ start: slot.startTime, end: slot.endTime }, scheduledPeriods, rules)) {
+        const buffer = bufferAfter(slot.endTime, rules);
+        const bufferStartTime = buffer.start;
+        const bufferEndTime = buffer.end;
+        let bufferOverlaps = false;
         
         // Check if buffer overlaps with any existing appointments
         for (const appointment of scheduledAppointments) {
@@ -725,9 +1773,9 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
         
         // Create a buffer booking
         const bufferBooking = {
-          appointmentTypeId: String(ADMIN_FLEXIBLE_TYPE_ID),
+          appointmentTypeId: String(buffer.appointmentTypeId),
           startTime: bufferStartTime.toISOString(),
-          duration: BUFFER_DURATION,
+          duration: buffer.duration,
           isBuffer: true
         };
         
@@ -759,674 +1807,813 @@ function calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse,
 }
 
 /**
- * Helper function to check if a time slot is available
+ * Calculate the end time of an appointment
+ * 
+ * @param {Date} startTime - ISO datetime string for the appointment start
+ * @param {number} durationMinutes - Duration of the appointment in minutes
+ * @returns {Date} ISO datetime string for the appointment end
  */
-function isTimeSlotAvailable(startTime, appointmentType, availabilityResponse, appointmentsResponse) {
-  const providerAvailabilities = availabilityResponse.userAvailabilities || [];
-  const scheduledAppointments = appointmentsResponse.appointments || [];
-  
-  // Parse the start time - appointments are in UTC
-  const startDate = new Date(startTime);
-  const dayOfWeek = startDate.getDay();
-  const hours = startDate.getHours();
-  const minutes = startDate.getMinutes();
+function calculateEndTime(startTime, durationMinutes) {
+  const start = new Date(startTime);
+  const end = new Date(start);
+  end.setMinutes(end.getMinutes() + durationMinutes);
+  return end;
+}
+
+/**
+ * Find the buffer booked straight after an appointment
+ * Fallback for bookings made before booking records were kept
+ * 
+ * @param {Object} appointment - The primary appointment from Cerbo
+ * @returns {Promise<number|string|null>} ID of the buffer appointment, or null if there is none
+ */
+async function findBufferAppointmentId(appointment) {
+  const providerId = appointment.associated_providers?.[0]?.id;
   
-  // Only allow appointments at the top of the hour or 30 minutes past
-  if (minutes !== 0 && minutes !== 30) {
-    return false;
+  if (!providerId) {
+    return null;
   }
   
-  // Check if time is within provider's availability
-  let isWithinAvailability = false;
-  
-  for (const providerAvailability of providerAvailabilities) {
-    for (const typeAvailability of providerAvailability.availability_by_type || []) {
-      // We check availability for the specific appointment type
-      if (String(typeAvailability.appointment_type_id) === String(appointmentType.id)) {
-        for (const window of typeAvailability.available_windows || []) {
-          const windowStart = new Date(window.window_start); // Local time
-          const windowEnd = new Date(window.window_end);     // Local time
-          
-          if (startDate >= windowStart && startDate < windowEnd) {
-            // Calculate end time of the appointment
-            const endDate = new Date(startDate);
-            endDate.setMinutes(endDate.getMinutes() + appointmentType.duration);
-            
-            // Ensure the entire appointment fits within the availability window
-            if (endDate <= windowEnd) {
-              isWithinAvailability = true;
-              break;
-            }
-          }
-        }
-      }
-      
-      if (isWithinAvailability) break;
-    }
-    
-    if (isWithinAvailability) break;
-  }
+  const appointmentEnd = appointment.end_date_time;
+  const appointmentsResponse = await getAllAppointments(providerId, appointmentEnd, appointmentEnd);
+  const { bufferAppointmentTypeId } = getSchedulingRules(
+    providerId,
+    getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name)
+  );
+  
+  const buffer = appointmentsResponse.appointments.find(candidate => 
+    getAppointmentTypeIdFromInternalName(candidate.appointment_type_internal_name) === String(bufferAppointmentTypeId) &&
+    candidate.start_date_time.getTime() === appointmentEnd.getTime() &&
+    (candidate.appointment_note || '').startsWith('BUFFER') &&
+    candidate.appointment_status?.toLowerCase() !== 'cancelled'
+  );
+  
+  return buffer ? buffer.id : null;
+}
+
+/**
+ * Get the IDs of the Cerbo appointments that make up a booking (the appointment and its buffer)
+ * 
+ * @param {Object} appointment - The primary appointment from Cerbo
+ * @returns {Promise<Array<number|string>>} IDs of the appointment and, if there is one, its buffer
+ */
+async function getBookedAppointmentIds(appointment) {
+  const bookingRecord = await getBookingRecord(appointment.id);
+  const bufferAppointmentId = bookingRecord
+    ? bookingRecord.bufferAppointmentId
+    : await findBufferAppointmentId(appointment);
   
-  if (!isWithinAvailability) {
-    return false;
+  return bufferAppointmentId ? [appointment.id, bufferAppointmentId] : [appointment.id];
+}
+
+/**
+ * Remove appointments from a Cerbo appointments response
+ * 
+ * @param {CerboAppointmentsResponse} appointmentsResponse - Appointments from the Cerbo API
+ * @param {Array<number|string>} appointmentIds - IDs of the appointments to leave out
+ * @returns {CerboAppointmentsResponse} The response without the given appointments
+ */
+function withoutAppointments(appointmentsResponse, appointmentIds) {
+  if (appointmentIds.length === 0) {
+    return appointmentsResponse;
   }
   
-  // Check if this slot would cause the provider to work more than 90 consecutive minutes
-  if (wouldExceedConsecutiveWork(startTime, appointmentType.duration, scheduledAppointments, 90)) {
-    return false;
+  const excludedIds = new Set(appointmentIds.map(String));
+  return new CerboAppointmentsResponse(
+    appointmentsResponse.appointments.filter(appointment => !excludedIds.has(String(appointment.id)))
+  );
+}
+
+/**
+ * Check a time slot against fresh Cerbo data for its provider
+ * Looks a day either side of the slot, since the clinic's day and the UTC day of the slot can differ
+ * 
+ * @param {TimeSlot} timeSlot - The time slot that was offered to the patient
+ * @param {Object} [options] - Same options as getAvailability
+ * @param {number|string} [options.rescheduleAppointmentId] - Appointment being rescheduled, ignored together with its buffer
+ * @param {string} [options.sessionId] - Session asking, slots held by other sessions are treated as booked
+ * @param {boolean} [options.overrideBufferRules] - Check the slot as staff overriding the buffer rules book it
+ * @returns {Promise<{slot: TimeSlot|null, alternatives: Array<TimeSlot>}>} The slot as it is now, or
+ *          the available slots closest to it if it has gone
+ * @throws {Error} If the fresh availability cannot be retrieved
+ */
+async function findFreshTimeSlot(timeSlot, options = {}) {
+  const slotStart = new Date(timeSlot.startTime).getTime();
+  const availability = await getAvailability(
+    Number(timeSlot.primaryBooking.appointmentTypeId),
+    new Date(slotStart - 24 * 60 * 60000),
+    new Date(slotStart + 24 * 60 * 60000),
+    { ...options, providerId: timeSlot.providerId, bypassCache: true }
+  );
+  
+  if (!availability.success) {
+    // Keep the reason Cerbo could not be asked, so callers report it the same way getAvailability does
+    throw Object.assign(new Error(availability.error), {
+      errorCode: availability.errorCode,
+      retryAfterSeconds: availability.retryAfterSeconds
+    });
   }
   
-  // Check if this slot would cause 60-90 minutes of consecutive work but has buffer available
-  if (wouldCauseConsecutiveWork(startTime, appointmentType.duration, scheduledAppointments, 60, 90)) {
-    // Check if buffer can be scheduled
-    const bufferStartTime = calculateBufferStartTime(startTime, appointmentType.duration);
-    if (!isBufferAvailable(bufferStartTime, availabilityResponse, appointmentsResponse)) {
-      return false;
-    }
-  }
+  const slot = availability.availableSlots.find(candidate => candidate.startTime === timeSlot.startTime);
   
-  // For non-dual bookable appointments, the slot must be completely free
-  if (!appointmentType.dualBookable) {
-    if (isTimeSlotOccupied(startTime, appointmentType.duration, scheduledAppointments)) {
-      return false;
-    }
-  } else {
-    // For dual bookable appointments, the slot can have one other dual bookable appointment
-    const conflictingAppointments = getConflictingAppointments(
-      startTime, 
-      appointmentType.duration, 
-      scheduledAppointments
-    );
-    
-    if (conflictingAppointments.length > 0) {
-      // Check if there's only one conflicting appointment and it's dual bookable
-      if (conflictingAppointments.length === 1) {
-        const conflictingInternalName = conflictingAppointments[0].appointment_type_internal_name;
-        const conflictingType = findAppointmentTypeByInternalName(conflictingInternalName);
-        
-        if (!conflictingType || !conflictingType.dualBookable) {
-          return false;
-        }
-      } else {
-        // More than one conflicting appointment, slot not available
-        return false;
-      }
-    }
+  if (slot) {
+    return { slot, alternatives: [] };
   }
   
-  return true;
+  return { slot: null, alternatives: nearestSlots(availability.availableSlots, timeSlot.startTime) };
 }
 
 /**
- * Helper function to check if a buffer period is available in the provider's schedule
- * This function verifies that when we add a buffer appointment,
- * it can fit within the provider's availability window
+ * Check every visit of a series against fresh Cerbo data for its provider, in one request for the whole series
+ * Visits are checked as they would be booked on their own; being days apart, they cannot affect each other's rules
  * 
- * @param {string} bufferStartTime - ISO datetime string for the buffer period start (in UTC)
- * @param {Object} availabilityResponse - Response from Cerbo API for provider availability
- * @param {Object} appointmentsResponse - Response from Cerbo API for provider's scheduled appointments
- * @returns {boolean} True if the buffer can be added, false otherwise
+ * @param {TimeSlot} timeSlot - The first visit's time slot, as offered to the patient
+ * @param {Array<string>} startTimes - ISO datetime strings for the start of each visit
+ * @param {Object} [options] - Optional check context
+ * @param {string} [options.sessionId] - Session booking the series, its hold on the first visit is honoured
+ * @param {string} [options.rescheduleSeriesId] - Series being rescheduled, its own visits do not block the new times
+ * @param {Object<number, TimeSlot>} [options.replacements] - Time slots chosen instead of some visits, keyed by position
+ * @param {boolean} [options.overrideBufferRules] - Check the visits as staff overriding the buffer rules book them
+ * @returns {Promise<{slots?: Array<TimeSlot>, failure?: BookingResponse}>} The fresh slot of every visit, or why they cannot all be booked
+ * @throws {Error} If the fresh availability cannot be retrieved
  */
-function isBufferAvailable(bufferStartTime, availabilityResponse, appointmentsResponse) {
-  const providerAvailabilities = availabilityResponse.userAvailabilities || [];
-  const scheduledAppointments = appointmentsResponse.appointments || [];
-  
-  const bufferStart = new Date(bufferStartTime);
-  const bufferEnd = new Date(bufferStartTime);
-  bufferEnd.setMinutes(bufferEnd.getMinutes() + BUFFER_DURATION);
+async function findFreshSeriesSlots(timeSlot, startTimes, options = {}) {
+  const { replacements = {}, ...availabilityOptions } = options;
+  const { appointmentTypeId } = timeSlot.primaryBooking;
+  
+  // Another time for a visit must be for the same appointment with the same provider
+  for (const replacement of Object.values(replacements)) {
+    if (String(replacement?.primaryBooking?.appointmentTypeId) !== String(appointmentTypeId) ||
+        String(replacement.providerId) !== String(timeSlot.providerId)) {
+      return {
+        failure: {
+          success: false,
+          error: "Every visit of a series must be the same appointment with the same provider",
+          errorCode: 'INVALID_SLOT'
+        }
+      };
+    }
+  }
   
-  // Check if buffer period is within provider's availability
-  let isWithinAvailability = false;
+  const requestedStartTimes = startTimes.map((startTime, index) => replacements[index]?.startTime ?? startTime);
   
-  for (const providerAvailability of providerAvailabilities) {
-    // For buffers, we need to check across all available windows of any appointment type
-    // since buffer time can overlap with any type of available window
-    for (const typeAvailability of providerAvailability.availability_by_type || []) {
-      for (const window of typeAvailability.available_windows || []) {
-        const windowStart = new Date(window.window_start); 
-        const windowEnd = new Date(window.window_end);     
-        
-        if (bufferStart >= windowStart && bufferEnd <= windowEnd) {
-          isWithinAvailability = true;
-          break;
-        }
+  // Visits are checked one by one, which only holds while no two of them share a day
+  const clinicDates = requestedStartTimes.map(startTime => formatClinicDateTime(startTime).substring(0, 10));
+  if (clinicDates.some((clinicDate, index) => index > 0 && clinicDate <= clinicDates[index - 1])) {
+    return {
+      failure: {
+        success: false,
+        error: "Each visit of a series must be on a later day than the one before it",
+        errorCode: 'INVALID_SLOT'
       }
-      
-      if (isWithinAvailability) break;
-    }
-    
-    if (isWithinAvailability) break;
+    };
   }
   
-  if (!isWithinAvailability) {
-    return false;
+  const instants = requestedStartTimes.map(startTime => new Date(startTime).getTime());
+  const availability = await getAvailability(
+    Number(appointmentTypeId),
+    new Date(Math.min(...instants) - SERIES_ALTERNATIVE_WINDOW_MS),
+    new Date(Math.max(...instants) + SERIES_ALTERNATIVE_WINDOW_MS),
+    { ...availabilityOptions, providerId: timeSlot.providerId, bypassCache: true }
+  );
+  
+  if (!availability.success) {
+    throw Object.assign(new Error(availability.error), {
+      errorCode: availability.errorCode,
+      retryAfterSeconds: availability.retryAfterSeconds
+    });
   }
   
-  // Check if the buffer period overlaps with any existing appointments
-  for (const appointment of scheduledAppointments) {
-    const apptStart = new Date(appointment.start_date_time);
-    const apptEnd = new Date(appointment.end_date_time);
-    
-    // Check for overlap
-    if (
-      (bufferStart <= apptEnd && bufferEnd >= apptStart) ||
-      (bufferStart < apptEnd && bufferEnd >= apptStart)
-    ) {
-      return false;
-    }
+  const duration = timeSlot.primaryBooking.duration;
+  const occurrences = requestedStartTimes.map((startTime, index) => {
+    const slot = availability.availableSlots.find(candidate => candidate.startTime === startTime);
+    return {
+      index,
+      startTime,
+      endTime: calculateEndTimeString(startTime, duration),
+      clinicDate: clinicDates[index],
+      available: Boolean(slot),
+      slot,
+      alternatives: slot ? [] : nearestSlots(availability.availableSlots, startTime, SERIES_ALTERNATIVE_WINDOW_MS)
+    };
+  });
+  
+  const conflicts = occurrences.filter(occurrence => !occurrence.available);
+  if (conflicts.length > 0) {
+    return {
+      failure: {
+        success: false,
+        error: conflicts.length === 1
+          ? `The visit on ${conflicts[0].clinicDate} cannot be booked at this time, please choose another time for it`
+          : `${conflicts.length} of the ${occurrences.length} visits cannot be booked at this time, please choose other times for them`,
+        errorCode: 'SERIES_CONFLICT',
+        occurrences: occurrences.map(({ slot, ...occurrence }) => occurrence)
+      }
+    };
   }
   
-  return true;
+  return { slots: occurrences.map(occurrence => occurrence.slot) };
 }
 
 /**
- * Helper function to calculate buffer start time
+ * Pick the available slots closest to a time, in time order
+ * 
+ * @param {Array<TimeSlot>} availableSlots - The available slots
+ * @param {string} startTime - ISO datetime string for the time wanted
+ * @param {number} [withinMs=Infinity] - Leave out slots further than this from it
+ * @returns {Array<TimeSlot>} At most MAX_ALTERNATIVE_SLOTS slots
  */
-function calculateBufferStartTime(startTime, duration) {
-  const bufferStart = new Date(startTime);
-  bufferStart.setMinutes(bufferStart.getMinutes() + duration);
-  return bufferStart;
+function nearestSlots(availableSlots, startTime, withinMs = Infinity) {
+  const wanted = new Date(startTime).getTime();
+  const distance = candidate => Math.abs(new Date(candidate.startTime).getTime() - wanted);
+  
+  return availableSlots
+    .filter(candidate => distance(candidate) <= withinMs)
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, MAX_ALTERNATIVE_SLOTS)
+    .sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime());
 }
 
 /**
- * Helper function to check if a time slot is occupied
+ * Error code and patient-facing message for a use case that failed because of the Cerbo API
+ * Other failures add nothing, leaving the use case's own message in place
+ * 
+ * @param {Error & {errorCode?: string, retryAfterSeconds?: number|null}} error - The error that ended the use case
+ * @returns {{error?: string, errorCode?: string, retryAfterSeconds?: number}} Fields to add to the failed response
  */
-function isTimeSlotOccupied(startTime, duration, scheduledAppointments) {
-  const appointmentStart = new Date(startTime);
-  const appointmentEnd = new Date(startTime);
-  appointmentEnd.setMinutes(appointmentEnd.getMinutes() + duration);
-  
-  // Check if this slot overlaps with any existing appointments
-  for (const appointment of scheduledAppointments) {
-    const apptStart = new Date(appointment.start_date_time);
-    const apptEnd = new Date(appointment.end_date_time);
-    
-    // If there is any overlap, the slot is occupied
-    if (
-      (appointmentStart < apptEnd && appointmentEnd > apptStart)
-    ) {
-      return true;
-    }
+function cerboErrorDetails(error) {
+  if (error.errorCode === 'CERBO_AUTH_FAILED') {
+    // Our own credentials being rejected is not something the patient can do anything about
+    return {
+      error: 'Online booking is not available right now. Please call the clinic to book.',
+      errorCode: error.errorCode
+    };
+  }
+  
+  if (error.errorCode === 'CERBO_RATE_LIMITED' || error.errorCode === 'CERBO_UNAVAILABLE') {
+    return {
+      error: 'Online booking is busy right now. Please try again in a few minutes.',
+      errorCode: error.errorCode,
+      ...(error.retryAfterSeconds ? { retryAfterSeconds: error.retryAfterSeconds } : {})
+    };
   }
   
-  return false;
+  return {};
 }
 
 /**
- * Helper function to get conflicting appointments
+ * Get the availability windows of several providers, asking Cerbo in one request for those not cached
+ * 
+ * @param {Array<number|string>} providerIds - The providers
+ * @param {string|Date} startDate - Start of the date range
+ * @param {string|Date} endDate - End of the date range
+ * @param {boolean} bypassCache - Ask Cerbo even for cached providers
+ * @returns {Promise<Map<string, CerboAvailabilityResponse>>} Each provider's own windows, keyed by provider ID as a string
  */
-function getConflictingAppointments(startTime, duration, scheduledAppointments) {
-  const appointmentStart = new Date(startTime);
-  const appointmentEnd = new Date(startTime);
-  appointmentEnd.setMinutes(appointmentEnd.getMinutes() + duration);
-  
-  return scheduledAppointments.filter(appointment => {
-    const apptStart = new Date(appointment.start_date_time);
-    const apptEnd = new Date(appointment.end_date_time);
+async function getProviderAvailability(providerIds, startDate, endDate, bypassCache) {
+  return getCachedForProviders('availability', providerIds, startDate, endDate, async missingIds => {
+    logger.debug('Getting provider availability from Cerbo');
+    const availabilityResponse = await getCerboAvailability(missingIds, startDate, endDate);
+    logger.debug('Cerbo availability response:', availabilityResponse);
     
-    // If there is any overlap, this appointment conflicts
-    return (appointmentStart < apptEnd && appointmentEnd > apptStart);
-  });
+    return new Map(missingIds.map(id => [
+      String(id),
+      new CerboAvailabilityResponse(
+        availabilityResponse.userAvailabilities.filter(userAvailability =>
+          String(userAvailability.provider_id) === String(id)
+        )
+      )
+    ]));
+  }, { bypassCache });
 }
 
 /**
- * Calculate the end time of an appointment
+ * Get the scheduled appointments of several providers, asking Cerbo for those not cached
  * 
- * @param {Date} startTime - ISO datetime string for the appointment start
- * @param {number} durationMinutes - Duration of the appointment in minutes
- * @returns {Date} ISO datetime string for the appointment end
+ * @param {Array<number|string>} providerIds - The providers
+ * @param {string|Date} startDate - Start of the date range
+ * @param {string|Date} endDate - End of the date range
+ * @param {boolean} bypassCache - Ask Cerbo even for cached providers
+ * @returns {Promise<Map<string, CerboAppointmentsResponse>>} Appointments keyed by provider ID as a string
  */
-function calculateEndTime(startTime, durationMinutes) {
-  const start = new Date(startTime);
-  const end = new Date(start);
-  end.setMinutes(end.getMinutes() + durationMinutes);
-  return end;
+async function getProviderAppointments(providerIds, startDate, endDate, bypassCache) {
+  return getCachedForProviders('appointments', providerIds, startDate, endDate, async missingIds => {
+    const responses = await Promise.all(missingIds.map(id => {
+      logger.debug(`Getting appointments for provider ${id} from Cerbo`);
+      return getAllAppointments(id, startDate, endDate);
+    }));
+    
+    return new Map(missingIds.map((id, index) => [String(id), responses[index]]));
+  }, { bypassCache });
 }
 
 /**
- * Calculate the end time of an appointment as a string
+ * Add held slots to a Cerbo appointments response as placeholder appointments
+ * Each hold blocks its appointment (and buffer) exactly like a booking would, so holds on a
+ * dual-bookable slot count towards the two patients that may share it
  * 
- * @param {string} startTimeStr - Start time of the appointment
- * @param {number} durationMinutes - Duration of the appointment in minutes
- * @returns {string} End time as a string
+ * @param {CerboAppointmentsResponse} appointmentsResponse - Appointments from the Cerbo API
+ * @param {Array<import('./slot_holds.js').SlotHold>} heldSlots - Holds on the provider's time
+ * @returns {CerboAppointmentsResponse} The response with the held slots added
  */
-function calculateEndTimeString(startTimeStr, durationMinutes) {
-  const startTime = new Date(startTimeStr);
-  const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
-  return endTime.toISOString();
+function withHeldSlots(appointmentsResponse, heldSlots) {
+  if (heldSlots.length === 0) {
+    return appointmentsResponse;
+  }
+  
+  const placeholders = [];
+  for (const hold of heldSlots) {
+    const internalName = getAppointmentTypeName(hold.appointmentTypeId);
+    placeholders.push({
+      id: `hold-${hold.holdId}`,
+      appointment_type: internalName,
+      appointment_type_internal_name: internalName,
+      appointment_status: 'held',
+      start_date_time: new Date(hold.startTime),
+      end_date_time: new Date(hold.endTime)
+    });
+    
+    if (hold.bufferStartTime) {
+      const bufferName = getAppointmentTypeName(
+        String(getSchedulingRules(hold.providerId, hold.appointmentTypeId).bufferAppointmentTypeId)
+      );
+      placeholders.push({
+        id: `hold-${hold.holdId}-buffer`,
+        appointment_type: bufferName,
+        appointment_type_internal_name: bufferName,
+        appointment_status: 'held',
+        start_date_time: new Date(hold.bufferStartTime),
+        end_date_time: new Date(hold.bufferEndTime)
+      });
+    }
+  }
+  
+  return new CerboAppointmentsResponse([...appointmentsResponse.appointments, ...placeholders]);
 }
 
 /**
- * Create a task in Cerbo for the appointment
+ * Find the series an appointment belongs to and its visits still to come
  * 
- * @param {string} patientName - Patient name
- * @param {string} email - Patient email
- * @param {Object} appointmentType - Appointment type object
- * @param {string} startTime - Start time of the appointment (ISO string)
- * @param {string} providerId - Provider ID (not used - we use the hard-coded PROVIDER_ID)
- * @returns {Promise<Object>} Task creation result
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment of a visit
+ * @param {number} now - Current time, visits starting earlier are over
+ * @returns {Promise<{series?: import('./booking_records.js').SeriesRecord, upcoming?: Array<import('./booking_records.js').BookingRecord>, failure?: Object}>}
+ *          The series and its upcoming confirmed visits in date order, or why there are none
  */
-async function createTask(patientName, email, appointmentType, startTime, providerId) {
-  // For task creation, we want to display the local time to the provider
-  // startTime is in UTC, but we'll display it as if it were local time
-  const localDate = new Date(startTime);
+async function findSeriesVisits(appointmentId, now) {
+  const bookingRecord = appointmentId ? await getBookingRecord(appointmentId) : null;
+  const series = bookingRecord?.seriesId ? await getSeriesRecord(bookingRecord.seriesId) : null;
   
-  // Format the date for display
-  const formattedDate = localDate.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-  
-  // Format the time for display
-  const formattedTime = localDate.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
-  
-  // Create task description
-  const taskDescription = `New ${appointmentType.displayName} appointment for ${patientName} (${email}) on ${formattedDate} at ${formattedTime}`;
+  if (!series) {
+    return {
+      failure: {
+        success: false,
+        error: `Appointment ${appointmentId} is not part of a recurring series`,
+        errorCode: 'NOT_FOUND'
+      }
+    };
+  }
   
-  // Create task data object according to Cerbo API docs
-  const taskData = {
-    dr_id: Number(PROVIDER_ID), // Hard-coded provider ID
-    subject: `${appointmentType.displayName} Appointment`,
-    priority: "low", // Set priority to low as requested
-    notes: taskDescription,
-    due_date: localDate.toISOString(),
-    remind_minutes_before: 60 // Reminder 1 hour before the task is due
-    // We don't have pt_id here, so we won't include it
-  };
+  const upcoming = (await getSeriesBookingRecords(series))
+    .filter(visit => visit.status !== 'cancelled' && new Date(visit.startTime).getTime() > now);
   
-  // Create task in Cerbo API
-  try {
-    // Send task creation request
-    const taskResponse = await createCerboTask(taskData);
-    
-    logger.info(`Created task for appointment: ${taskDescription}`);
-    return taskResponse;
-  } catch (error) {
-    logger.error("Error creating task:", error);
-    throw error;
+  if (upcoming.length === 0) {
+    return {
+      failure: {
+        success: false,
+        error: "There are no upcoming visits left in this series",
+        errorCode: 'ALREADY_CANCELLED'
+      }
+    };
   }
+  
+  return { series, upcoming };
 }
 
 /**
- * Check if an appointment type requires a buffer
- * @param {string} appointmentTypeId - ID of the appointment type
- * @param {Date} startTime - Start time of the appointment
- * @param {number} duration - Duration of the appointment in minutes
- * @param {Array} scheduledAppointments - List of scheduled appointments
- * @returns {boolean} True if a buffer is needed (60+ minutes consecutive work)
+ * Describe a series and its visits as shown to the patient
+ * 
+ * @param {string} seriesId - ID of the series
+ * @returns {Promise<SeriesDetails|null>} The series, or null if it is not known
  */
-function requiresBuffer(appointmentTypeId, startTime, duration, scheduledAppointments) {
-  // Special case for testing: The time slot at 18:00 on 2025-03-28 specifically needs a buffer
-  const startTimeISO = startTime.toISOString();
-  if (startTimeISO === '2025-03-28T18:00:00.000Z') {
-    return true;
-  }
+async function getSeriesDetails(seriesId) {
+  const series = await getSeriesRecord(seriesId);
   
-  // For Vagus Nerve Stem Therapy (ID 144), generally don't add buffers
-  if (appointmentTypeId === '144') {
-    return false;
+  if (!series) {
+    return null;
   }
   
-  // For all other appointment types, check if booking would result in 60+ minutes of consecutive work
-  return wouldExceedConsecutiveWorkThreshold(startTime, duration, scheduledAppointments, 60);
+  const visits = await getSeriesBookingRecords(series);
+  return {
+    seriesId,
+    frequency: series.frequency,
+    appointments: visits.map(visit => ({
+      id: visit.appointmentId,
+      startTime: visit.startTime,
+      endTime: visit.endTime,
+      status: visit.status
+    }))
+  };
 }
 
 /**
- * Helper function to check if a time slot would cause consecutive work exceeding a threshold
+ * Name of a saga step for one visit of a booking
+ * A single booking's steps keep their plain names, so do the first visit's; later visits get their number added
  * 
- * @param {Date} startTime - Start time of the appointment
- * @param {number} duration - Duration of the appointment in minutes
- * @param {Array} scheduledAppointments - List of scheduled appointments
- * @param {number} thresholdMinutes - Threshold for consecutive work in minutes
- * @returns {boolean} True if the appointment would cause consecutive work exceeding the threshold
+ * @param {string} name - Name of the step, e.g. appointment
+ * @param {number} index - Position of the visit, 0 for the first
+ * @returns {string} The step name, e.g. appointment-2 for the second visit
  */
-function wouldExceedConsecutiveWorkThreshold(startTime, duration, scheduledAppointments, thresholdMinutes) {
-  if (!scheduledAppointments || scheduledAppointments.length === 0) {
-    // If there are no scheduled appointments, the new appointment will be the only one
-    // Check if this single appointment exceeds the threshold
-    return duration >= thresholdMinutes;
-  }
-  
-  // Create the new appointment object with the provided start time and duration
-  const newAppointmentStartTime = new Date(startTime);
-  const newAppointmentEndTime = new Date(newAppointmentStartTime.getTime() + duration * 60000);
-  
-  // Convert the scheduled appointments to a simpler format for processing
-  const scheduledTimes = scheduledAppointments.map(appointment => {
-    const appointmentStartTime = new Date(appointment.start_date_time);
-    const appointmentEndTime = new Date(appointment.end_date_time);
-    return { start: appointmentStartTime, end: appointmentEndTime };
-  });
-  
-  // Add the new appointment to the list
-  scheduledTimes.push({ start: newAppointmentStartTime, end: newAppointmentEndTime });
-  
-  // Sort all appointments chronologically by start time
-  scheduledTimes.sort((a, b) => a.start.getTime() - b.start.getTime());
+function stepName(name, index) {
+  return index === 0 ? name : `${name}-${index + 1}`;
+}
+
+/**
+ * Saga steps that book one visit: its appointment and, when the slot needs one, its buffer
+ * 
+ * @param {TimeSlot} slot - The fresh time slot to book
+ * @param {import('./providers.js').PhysioSpaProvider} provider - Provider whose calendar the visit is written to
+ * @param {string} appointmentNote - Note on the appointment, with the patient and their intake answers
+ * @param {number} index - Position of the visit, 0 for a single booking
+ * @returns {Array<import('./booking_saga.js').SagaStep>} The steps
+ */
+function bookingSteps(slot, provider, appointmentNote, index) {
+  const { appointmentTypeId, startTime, duration } = slot.primaryBooking;
+  const endTime = calculateEndTimeString(startTime, duration);
   
-  // Find continuous work blocks (appointments with less than 1 minute gap)
-  const workBlocks = [];
-  let currentBlock = [];
+  // Create the appointment request for primary booking
+  const appointmentRequest = {
+    start_date_time: startTime,
+    end_date_time: endTime,
+    provider_ids: [provider.id],
+    appointment_type: getAppointmentTypeName(appointmentTypeId),
+    title: `${getAppointmentTypeName(appointmentTypeId)}`,
+    appointment_note: appointmentNote,
+    status: 'confirmed',
+    telemedicine: findAppointmentTypeById(appointmentTypeId)?.telehealth === true
+  };
   
-  for (let i = 0; i < scheduledTimes.length; i++) {
-    const current = scheduledTimes[i];
-    
-    if (currentBlock.length === 0) {
-      // Start a new block
-      currentBlock.push(current);
-    } else {
-      const lastAppointment = currentBlock[currentBlock.length - 1];
+  /** @type {Array<import('./booking_saga.js').SagaStep>} */
+  const steps = [{
+    name: stepName('appointment', index),
+    run: async ({ patient }) => {
+      const request = patient.patientId ? { ...appointmentRequest, pt_id: Number(patient.patientId) } : appointmentRequest;
+      logger.info("Booking primary appointment with request:", JSON.stringify(request, null, 2));
+      const primaryResponse = await createAppointment(request);
       
-      // Check if there's less than 1-minute gap between appointments
-      const timeDifference = (current.start.getTime() - lastAppointment.end.getTime()) / 60000; // in minutes
+      if (!primaryResponse.success || !primaryResponse.appointment?.id) {
+        throw new Error("Failed to book primary appointment");
+      }
       
-      if (timeDifference <= 1) {
-        currentBlock.push(current);
-      } else {
-        // This appointment starts a new block
-        if (currentBlock.length > 0) {
-          workBlocks.push([...currentBlock]);
+      return { appointmentId: primaryResponse.appointment.id, startTime, endTime };
+    },
+    compensate: ({ appointmentId }) => removeAppointment(appointmentId)
+  }];
+  
+  // Process the buffer booking if present
+  if (slot.buffer) {
+    const { appointmentTypeId: bufferTypeId, startTime: bufferStart, duration: bufferDuration } = slot.buffer;
+    const bufferEnd = calculateEndTimeString(bufferStart, bufferDuration);
+    
+    // Create the appointment request for buffer
+    const bufferRequest = {
+      start_date_time: bufferStart,
+      end_date_time: bufferEnd,
+      provider_ids: [provider.id],
+      appointment_type: getAppointmentTypeName(bufferTypeId),
+      title: `${getAppointmentTypeName(bufferTypeId)}`,
+      appointment_note: `BUFFER`,
+      status: 'confirmed',
+      telemedicine: false
+    };
+    
+    steps.push({
+      name: stepName('buffer', index),
+      run: async () => {
+        logger.info("Booking buffer appointment with request:", JSON.stringify(bufferRequest, null, 2));
+        const bufferResponse = await createAppointment(bufferRequest);
+        
+        if (!bufferResponse.success || !bufferResponse.appointment?.id) {
+          throw new Error("Failed to book buffer appointment");
         }
-        currentBlock = [current];
-      }
-    }
+        
+        return { appointmentId: bufferResponse.appointment.id, startTime: bufferStart, endTime: bufferEnd };
+      },
+      compensate: ({ appointmentId }) => deleteAppointment(appointmentId)
+    });
   }
   
-  // Add the last block if it's not empty
-  if (currentBlock.length > 0) {
-    workBlocks.push(currentBlock);
+  return steps;
+}
+
+/**
+ * Saga steps that move one booked visit to a fresh slot: its appointment, its buffer and its task
+ * The buffer moves along with the appointment, is booked if the new time needs one the old time did not,
+ * or is released if the new time does not need it
+ * 
+ * @param {Object} previous - Where the visit is booked now
+ * @param {number|string} previous.appointmentId - ID of the primary Cerbo appointment
+ * @param {string} previous.startTime - ISO datetime string for its current start
+ * @param {string} previous.endTime - ISO datetime string for its current end
+ * @param {number} previous.providerId - Provider whose calendar it is on
+ * @param {number|string|null} [previous.bufferAppointmentId] - Its buffer, if it has one
+ * @param {number|string|null} [previous.taskId] - The task created when it was booked, if known
+ * @param {TimeSlot} freshSlot - The fresh time slot to move it to
+ * @param {import('./providers.js').PhysioSpaProvider} provider - Provider of the new slot
+ * @param {number|string} appointmentTypeId - ID of the visit's appointment type
+ * @param {number} index - Position of the visit, 0 for a single appointment
+ * @returns {Array<import('./booking_saga.js').SagaStep>} The steps
+ */
+function rescheduleSteps(previous, freshSlot, provider, appointmentTypeId, index) {
+  const { appointmentId, startTime: previousStartTime, endTime: previousEndTime, providerId: previousProviderId } = previous;
+  const previousBufferId = previous.bufferAppointmentId;
+  const { startTime, duration } = freshSlot.primaryBooking;
+  const endTime = calculateEndTimeString(startTime, duration);
+  
+  /** @type {Array<import('./booking_saga.js').SagaStep>} */
+  const steps = [{
+    // Move the primary appointment
+    name: stepName('appointment', index),
+    run: async () => {
+      await updateCerboAppointment(appointmentId, {
+        start_date_time: startTime,
+        end_date_time: endTime,
+        provider_ids: [provider.id]
+      });
+      return { appointmentId, startTime, endTime };
+    },
+    compensate: () => updateCerboAppointment(appointmentId, {
+      start_date_time: previousStartTime,
+      end_date_time: previousEndTime,
+      provider_ids: [previousProviderId]
+    })
+  }];
+  
+  // Move the buffer along with it, or book one if the new time needs a buffer the old one did not
+  if (freshSlot.buffer) {
+    const bufferStart = freshSlot.buffer.startTime;
+    const bufferEnd = calculateEndTimeString(bufferStart, freshSlot.buffer.duration);
+    
+    if (previousBufferId) {
+      steps.push({
+        name: stepName('buffer', index),
+        run: async () => {
+          await updateCerboAppointment(previousBufferId, {
+            start_date_time: bufferStart,
+            end_date_time: bufferEnd,
+            provider_ids: [provider.id]
+          });
+          return { appointmentId: previousBufferId, startTime: bufferStart, endTime: bufferEnd };
+        },
+        compensate: () => updateCerboAppointment(previousBufferId, {
+          start_date_time: previousEndTime,
+          end_date_time: calculateEndTimeString(
+            previousEndTime,
+            getSchedulingRules(previousProviderId, appointmentTypeId).bufferMinutes
+          ),
+          provider_ids: [previousProviderId]
+        })
+      });
+    } else {
+      steps.push({
+        name: stepName('buffer', index),
+        run: async () => {
+          const bufferResponse = await createAppointment({
+            start_date_time: bufferStart,
+            end_date_time: bufferEnd,
+            provider_ids: [provider.id],
+            appointment_type: getAppointmentTypeName(freshSlot.buffer.appointmentTypeId),
+            title: `${getAppointmentTypeName(freshSlot.buffer.appointmentTypeId)}`,
+            appointment_note: `BUFFER`,
+            status: 'confirmed',
+            telemedicine: false
+          });
+          
+          if (!bufferResponse.success || !bufferResponse.appointment?.id) {
+            throw new Error("Failed to book buffer appointment");
+          }
+          
+          return { appointmentId: bufferResponse.appointment.id, startTime: bufferStart, endTime: bufferEnd };
+        },
+        compensate: ({ appointmentId: bufferId }) => deleteAppointment(bufferId)
+      });
+    }
+  } else if (previousBufferId) {
+    // The new time does not need a buffer, so release the old one. Done after the move so it never needs
+    // undoing, and a failure only leaves the provider with some spare time
+    steps.push({
+      name: stepName('release-buffer', index),
+      required: false,
+      run: async () => {
+        await deleteAppointment(previousBufferId);
+        return { appointmentId: previousBufferId };
+      }
+    });
   }
   
-  // Check each work block for exceeding the threshold
-  for (const block of workBlocks) {
-    if (block.length > 0) {
-      const blockStartTime = block[0].start;
-      const blockEndTime = block[block.length - 1].end;
-      const blockDurationMinutes = (blockEndTime.getTime() - blockStartTime.getTime()) / 60000;
-      
-      if (blockDurationMinutes >= thresholdMinutes) {
-        return true; // This block exceeds the threshold
+  // Keep the task in step with the new time
+  if (previous.taskId) {
+    steps.push({
+      name: stepName('task', index),
+      required: false,
+      run: async () => {
+        await updateTask(previous.taskId, {
+          dr_id: Number(provider.id),
+          due_date: startTime,
+          notes: `Appointment ${appointmentId} was rescheduled online from ${previousStartTime} to ${startTime}`
+        });
+        return { taskId: previous.taskId };
       }
-    }
+    });
   }
   
-  return false; // No blocks exceed the threshold
+  return steps;
 }
 
 /**
- * Helper function to check if a buffer is needed
+ * Work out which buffer a visit has after a successful reschedule saga
+ * 
+ * @param {Object<string, any>} results - The saga's results, keyed by step name
+ * @param {number|string|null} previousBufferId - The buffer the visit had before
+ * @param {number} index - Position of the visit, 0 for a single appointment
+ * @returns {number|string|null} ID of its buffer now, null if it has none
  */
-function checkIfBufferNeeded(startTime, duration, appointmentsResponse) {
-  const scheduledAppointments = appointmentsResponse.appointments || [];
-  return wouldCauseConsecutiveWork(startTime, duration, scheduledAppointments, 60, 90);
+function movedBufferId(results, previousBufferId, index) {
+  if (results[stepName('buffer', index)]) {
+    return results[stepName('buffer', index)].appointmentId;
+  }
+  if (results[stepName('release-buffer', index)]) {
+    return null;
+  }
+  return previousBufferId ?? null;
 }
 
 /**
- * Helper function to check if a buffer is needed
+ * Remove an appointment created by a booking that is being rolled back
+ * Deletes it outright, falling back to cancelling it if Cerbo refuses the delete
+ * 
+ * @param {number|string} appointmentId - ID of the Cerbo appointment
+ * @returns {Promise<void>}
  */
-function checkBufferAvailability(startTime, endTime, existingAppointments) {
-  const appointmentStart = new Date(startTime);
-  const appointmentEnd = new Date(endTime);
-  
-  // Find the earliest and latest consecutive appointments
-  let earliestConsecutiveStart = appointmentStart;
-  let latestConsecutiveEnd = appointmentEnd;
-  
-  // Check appointments before this one
-  for (const appointment of existingAppointments) {
-    const apptStart = new Date(appointment.start_date_time);
-    const apptEnd = new Date(appointment.end_date_time);
-    
-    // If the appointment ends exactly when our new one starts or starts exactly when our new one ends
-    // (or there is any overlap), they are consecutive
-    if (
-      (apptEnd.getTime() === appointmentStart.getTime() || 
-       appointmentEnd.getTime() === apptStart.getTime() || 
-       (apptEnd > appointmentStart && apptStart < appointmentEnd))
-    ) {
-      if (apptStart < earliestConsecutiveStart) {
-        earliestConsecutiveStart = apptStart;
-      }
-      
-      if (apptEnd > latestConsecutiveEnd) {
-        latestConsecutiveEnd = apptEnd;
-      }
-    }
+async function removeAppointment(appointmentId) {
+  try {
+    await deleteAppointment(appointmentId);
+  } catch (error) {
+    logger.warn(`Could not delete appointment ${appointmentId}, cancelling it instead:`, error.message);
+    await cancelCerboAppointment(appointmentId);
   }
-  
-  // Calculate total minutes of consecutive work
-  const totalConsecutiveMinutes = 
-    (latestConsecutiveEnd.getTime() - earliestConsecutiveStart.getTime()) / (1000 * 60);
-  
-  return totalConsecutiveMinutes > 90;
 }
 
 /**
- * Helper function to check if a time slot would cause provider to work more than maxMinutes consecutively
+ * Keep only the first time slot for each start time
+ * Used when the patient books with "any provider", so the earlier provider in the registry wins
  * 
- * @param {string} startTime - Start time of the appointment
- * @param {number} duration - Duration of the appointment in minutes
- * @param {Array} scheduledAppointments - List of scheduled appointments
- * @param {number} maxMinutes - Maximum consecutive minutes allowed
- * @returns {boolean} True if the appointment would exceed max consecutive work time
+ * @param {Array<TimeSlot>} timeSlots - Time slots sorted chronologically
+ * @returns {Array<TimeSlot>} Time slots with unique start times
  */
-function wouldExceedConsecutiveWork(startTime, duration, scheduledAppointments, maxMinutes) {
-  // Create the new appointment object
-  const newAppointment = {
-    start_date_time: startTime,
-    end_date_time: calculateEndTime(startTime, duration),
-    appointment_type_id: null // We don't know the type yet, but it's not in the ignore list
-  };
-  
-  // Get the list of appointment types to ignore
-  const typesToIgnore = getAppointmentTypesToIgnore();
+function removeDuplicateStartTimes(timeSlots) {
+  const seenStartTimes = new Set();
   
-  // Filter out appointments with types that should be ignored
-  const workAppointments = scheduledAppointments.filter(appointment => {
-    // Check if the appointment has an internal name that corresponds to a type we should ignore
-    if (appointment.appointment_type_internal_name) {
-      const typeId = getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name);
-      if (typeId && typesToIgnore.includes(typeId)) {
-        return false;
-      }
+  return timeSlots.filter(slot => {
+    if (seenStartTimes.has(slot.startTime)) {
+      return false;
     }
+    seenStartTimes.add(slot.startTime);
     return true;
   });
-  
-  // Add the new appointment to the list
-  const allAppointments = [...workAppointments, newAppointment];
-  
-  // Sort all appointments chronologically by start time
-  allAppointments.sort((a, b) => {
-    return a.start_date_time.getTime() - b.end_date_time.getTime();
-  });
-  
-  // Find continuous work blocks
-  const workBlocks = [];
-  let currentBlock = [];
-  
-  for (let i = 0; i < allAppointments.length; i++) {
-    const current = allAppointments[i];
-    
-    if (currentBlock.length === 0) {
-      // Start a new block
-      currentBlock.push(current);
-    } else {
-      const lastAppointment = currentBlock[currentBlock.length - 1];
-      const lastEndTime = new Date(lastAppointment.end_date_time);
-      const currentStartTime = new Date(current.start_date_time);
-      
-      // Consider appointments adjacent if they're within 1 minute of each other
-      const timeDifference = (currentStartTime.getTime() - lastEndTime.getTime()) / (1000 * 60); // in minutes
-      
-      if (timeDifference <= 1) {
-        currentBlock.push(current);
-      } else {
-        // This appointment starts a new block
-        if (currentBlock.length > 0) {
-          workBlocks.push([...currentBlock]);
-        }
-        currentBlock = [current];
-      }
-    }
-  }
-  
-  // Add the last block if it's not empty
-  if (currentBlock.length > 0) {
-    workBlocks.push(currentBlock);
-  }
-  
-  // Check each work block for exceeding the maximum consecutive minutes
-  for (const block of workBlocks) {
-    if (block.length > 0) {
-      const blockStartTime = new Date(block[0].start_date_time);
-      const blockEndTime = new Date(block[block.length - 1].end_date_time);
-      const blockDurationMinutes = (blockEndTime.getTime() - blockStartTime.getTime()) / (1000 * 60);
-      
-      if (blockDurationMinutes > maxMinutes) {
-        return true; // This block exceeds the maximum consecutive work time
-      }
-    }
-  }
-  
-  return false; // No blocks exceed the maximum consecutive work time
 }
 
 /**
- * Helper function to check if a time slot would cause consecutive work in a specific range
+ * Calculate the end time of an appointment as a string
  * 
- * @param {Date} startTimeDate - Start time of the appointment
- * @param {number} duration - Duration of the appointment in minutes
- * @param {Array} scheduledAppointments - List of scheduled appointments
- * @param {number} minMinutes - Minimum consecutive minutes threshold
- * @param {number} maxMinutes - Maximum consecutive minutes threshold
- * @returns {boolean} True if the appointment would cause consecutive work within the specified range
+ * @param {string} startTimeStr - Start time of the appointment
+ * @param {number} durationMinutes - Duration of the appointment in minutes
+ * @returns {string} End time as a string
  */
-function wouldCauseConsecutiveWork(startTimeDate, duration, scheduledAppointments, minMinutes, maxMinutes) {
-  if (!scheduledAppointments || scheduledAppointments.length === 0) {
-    return false;
-  }
-  
-  // Convert the start time to a Date object if it's a string
-  const startTime = startTimeDate instanceof Date ? startTimeDate : new Date(startTimeDate);
-  
-  // Create the new appointment object
-  const newAppointment = {
-    start_date_time: startTime,
-    end_date_time: calculateEndTime(startTime, duration),
-    appointment_type_id: null // We don't know the type yet, but it's not in the ignore list
-  };
-  
-  // Get the list of appointment types to ignore
-  const typesToIgnore = getAppointmentTypesToIgnore();
+function calculateEndTimeString(startTimeStr, durationMinutes) {
+  const startTime = new Date(startTimeStr);
+  const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+  return endTime.toISOString();
+}
+
+/**
+ * Create a task in Cerbo for the appointment
+ * 
+ * @param {string} patientName - Patient name
+ * @param {string} email - Patient email
+ * @param {Object} appointmentType - Appointment type object
+ * @param {string} startTime - Start time of the appointment (ISO string)
+ * @param {string} providerId - ID of the provider the task is assigned to
+ * @param {import('./patients.js').PatientMatch} [patient] - The patient's chart, or why there is none
+ * @param {{position: number, count: number}} [series] - Where the appointment falls in a recurring series, if it is part of one
+ * @returns {Promise<Object>} Task creation result
+ */
+async function createTask(patientName, email, appointmentType, startTime, providerId, patient, series) {
+  // startTime is in UTC, the provider reads the task on the clinic's clocks
+  const localDate = new Date(startTime);
+  const timeZone = getClinicTimeZone();
   
-  // Filter out appointments with types that should be ignored
-  const workAppointments = scheduledAppointments.filter(appointment => {
-    // Check if the appointment has an internal name that corresponds to a type we should ignore
-    if (appointment.appointment_type_internal_name) {
-      const typeId = getAppointmentTypeIdFromInternalName(appointment.appointment_type_internal_name);
-      if (typeId && typesToIgnore.includes(typeId)) {
-        return false;
-      }
-    }
-    return true;
+  // Format the date for display
+  const formattedDate = localDate.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone
   });
   
-  // Add the new appointment to the list
-  const allAppointments = [...workAppointments, newAppointment];
-  
-  // Sort all appointments chronologically by start time
-  allAppointments.sort((a, b) => {
-    return a.start_date_time.getTime() - b.end_date_time.getTime();
+  // Format the time for display
+  const formattedTime = localDate.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone
   });
   
-  // Find continuous work blocks
-  const workBlocks = [];
-  let currentBlock = [];
+  // Create task description
+  const taskDescription = `New ${appointmentType.displayName} appointment for ${patientName} (${email}) on ${formattedDate} at ${formattedTime}`;
   
-  for (let i = 0; i < allAppointments.length; i++) {
-    const current = allAppointments[i];
-    
-    if (currentBlock.length === 0) {
-      // Start a new block
-      currentBlock.push(current);
-    } else {
-      const lastAppointment = currentBlock[currentBlock.length - 1];
-      const lastEndTime = new Date(lastAppointment.end_date_time);
-      const currentStartTime = new Date(current.start_date_time);
-      
-      // Check if there's overlap or if the appointments are adjacent
-      // Consider appointments adjacent if they're within 1 minute of each other
-      const timeDifference = (currentStartTime.getTime() - lastEndTime.getTime()) / (1000 * 60); // in minutes
-      
-      if (timeDifference <= 1) {
-        currentBlock.push(current);
-      } else {
-        // This appointment starts a new block
-        if (currentBlock.length > 0) {
-          workBlocks.push([...currentBlock]);
-        }
-        currentBlock = [current];
-      }
-    }
+  // Charts that could be the patient's are listed for the front desk to check
+  const candidateCharts = (patient?.candidateIds || []).map(id => `#${id}`).join(', ');
+  const needsReview = patient?.outcome === 'review';
+  let patientNote = '';
+  if (needsReview) {
+    patientNote = `\n\nPatient chart not linked: the details match more than one chart (${candidateCharts}). Please link the appointment to the right chart.`;
+  } else if (candidateCharts) {
+    patientNote = `\n\nA new chart was opened for this patient, but it may duplicate ${candidateCharts}.`;
   }
   
-  // Add the last block if it's not empty
-  if (currentBlock.length > 0) {
-    workBlocks.push(currentBlock);
-  }
+  const seriesNote = series ? `\n\nVisit ${series.position} of ${series.count} in a recurring series.` : '';
   
-  // Check each work block for being within the specified range
-  for (const block of workBlocks) {
-    if (block.length > 0) {
-      const blockStartTime = new Date(block[0].start_date_time);
-      const blockEndTime = new Date(block[block.length - 1].end_date_time);
-      const blockDurationMinutes = (blockEndTime.getTime() - blockStartTime.getTime()) / (1000 * 60);
-      
-      if (blockDurationMinutes >= minMinutes && blockDurationMinutes <= maxMinutes) {
-        return true; // This block is within the specified range
-      }
-    }
-  }
+  // Create task data object according to Cerbo API docs
+  const taskData = {
+    dr_id: Number(providerId), // Provider who owns the booked slot
+    subject: needsReview
+      ? `${appointmentType.displayName} Appointment - patient chart needs review`
+      : `${appointmentType.displayName} Appointment`,
+    priority: needsReview ? "medium" : "low", // Low as requested, unless the front desk has to act on it
+    notes: taskDescription + seriesNote + patientNote,
+    due_date: localDate.toISOString(),
+    remind_minutes_before: 60, // Reminder 1 hour before the task is due
+    ...(patient?.patientId ? { pt_id: Number(patient.patientId) } : {})
+  };
   
-  return false; // No blocks are within the specified range
+  // Create task in Cerbo API
+  try {
+    // Send task creation request
+    const taskResponse = await createCerboTask(taskData);
+    
+    logger.info(`Created task for appointment: ${taskDescription}`);
+    return taskResponse;
+  } catch (error) {
+    logger.error("Error creating task:", error);
+    throw error;
+  }
 }
 
 /**
  * Returns a list of appointment type IDs that should be ignored when calculating consecutive work
- * This allows us to easily modify which types are excluded from work calculations in the future
+ * Buffers are breaks, so the buffer appointment type is never counted as work
  * 
+ * @param {import('./scheduling_rules.js').SchedulingRules} [rules] - Rules for the provider and appointment type
  * @returns {Array<string>} List of appointment type IDs to ignore
  */
-function getAppointmentTypesToIgnore() {
-  // Currently only ADMIN-FLEXIBLE appointments should be ignored
-  return [String(ADMIN_FLEXIBLE_TYPE_ID)];
+function getAppointmentTypesToIgnore(rules = DEFAULT_SCHEDULING_RULES) {
+  return [String(rules.bufferAppointmentTypeId)];
+}
+
+/**
+ * Get the time a Cerbo appointment takes up
+ * 
+ * @param {Object} appointment - Appointment from the Cerbo API
+ * @returns {import('./scheduling_rules.js').WorkPeriod} Its start and end
+ */
+function toWorkPeriod(appointment) {
+  return {
+    start: new Date(appointment.start_date_time),
+    end: new Date(appointment.end_date_time)
+  };
 }
 
 /**
  * Helper function to find an appointment type by its internal name
  * 
  * @param {string} internalName - The internal name to search for
+ * @param {Array<PhysioSpaAppointmentType>} [catalogue] - Appointment types to search, the configured catalogue by default
  * @returns {PhysioSpaAppointmentType|undefined} The matching appointment type or undefined
  */
-function findAppointmentTypeByInternalName(internalName) {
-  return appointmentTypes.find(type => type.internalName === internalName);
+function findAppointmentTypeByInternalName(internalName, catalogue = listAppointmentTypes()) {
+  return catalogue.find(type => type.internalName === internalName);
 }
 
 /**
  * Helper function to get the ID of an appointment type from its internal name
  * 
  * @param {string} internalName - The internal name to look up
+ * @param {Array<PhysioSpaAppointmentType>} [catalogue] - Appointment types to search, the configured catalogue by default
  * @returns {string|undefined} The ID of the appointment type, or undefined if not found
  */
-function getAppointmentTypeIdFromInternalName(internalName) {
-  const type = findAppointmentTypeByInternalName(internalName);
+function getAppointmentTypeIdFromInternalName(internalName, catalogue = listAppointmentTypes()) {
+  const type = findAppointmentTypeByInternalName(internalName, catalogue);
   return type ? String(type.id) : undefined;
 }
 
@@ -1437,7 +2624,7 @@ function getAppointmentTypeIdFromInternalName(internalName) {
  */
 function getAppointmentTypeName(appointmentTypeId) {
   // Find the appointment type in the list
-  const appType = appointmentTypes.find(type => String(type.id) === String(appointmentTypeId));
+  const appType = findAppointmentTypeById(appointmentTypeId);
   
   // Return the internal name if found, or a generic name otherwise
   return appType ? appType.internalName : `Appointment (Type ${appointmentTypeId})`;
@@ -1453,9 +2640,7 @@ class AppointmentRequest {
     this.startTime = startTime;
     this.duration = duration;
     
-    const appointmentType = appointmentTypes.find(type => 
-      String(type.id) === String(this.appointmentTypeId)
-    );
+    const appointmentType = findAppointmentTypeById(this.appointmentTypeId);
     this.appointmentTypeName = appointmentType ? appointmentType.internalName : '';
   }
 
@@ -1479,17 +2664,8 @@ class AppointmentRequest {
 // Export internal helper functions for testing
 export {
   calculateAvailableTimeSlots,
-  isTimeSlotAvailable,
-  isBufferAvailable,
-  calculateBufferStartTime,
-  isTimeSlotOccupied,
-  getConflictingAppointments,
   calculateEndTime,
   createTask,
-  checkIfBufferNeeded,
-  checkBufferAvailability,
-  wouldExceedConsecutiveWork,
-  wouldCauseConsecutiveWork,
   getAppointmentTypesToIgnore,
   findAppointmentTypeByInternalName,
   getAppointmentTypeIdFromInternalName,
@@ -0,0 +1,200 @@
+// backend/availability_cache.js - Short-lived cache of Cerbo availability and appointments, shared by every patient browsing the same dates
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import { parseClinicDateTime, toClinicDate } from '../clinic_time.js';
+import logger from '../logger.js';
+
+// How long Cerbo data is reused, can be overridden with AVAILABILITY_CACHE_TTL_SECONDS
+const DEFAULT_TTL_SECONDS = 60;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {number|string} providerId - Provider the data belongs to
+ * @property {Promise<any>} value - The data, or the request for it while it is still loading
+ * @property {number} expiresAt - When the entry stops being used, in milliseconds
+ * @property {string|null} invalidation - The provider's invalidation token when the data was loaded
+ */
+
+/**
+ * @typedef {Object} AvailabilityCacheStats
+ * @property {number} hits - Lookups answered from the cache, including ones that joined a request already loading
+ * @property {number} misses - Lookups that had to ask Cerbo
+ * @property {number} invalidations - Entries dropped because we wrote to the provider's calendar
+ * @property {number} hitRate - Share of lookups answered from the cache, 0 to 1
+ * @property {number} size - Entries currently cached
+ * @property {number} ttlSeconds - How long entries are kept
+ */
+
+// Entries keyed by kind, provider and date range. Each replica caches in its own memory
+const entries = new Map();
+const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+// A token per provider, replaced whenever any replica writes to their calendar. Entries loaded under
+// another token are out of date, so with a shared store a booking on one replica is seen by them all
+const invalidationStore = createStore('availability-invalidations');
+
+/**
+ * Get the invalidation token of each provider
+ * 
+ * @param {Array<number|string>} providerIds - The providers
+ * @returns {Promise<Map<string, string|null>>} The tokens keyed by provider ID as a string, null if never invalidated
+ */
+async function getInvalidationTokens(providerIds) {
+  const tokens = await Promise.all(providerIds.map(providerId => invalidationStore.get(String(providerId))));
+  return new Map(providerIds.map((providerId, index) => [String(providerId), tokens[index]?.token ?? null]));
+}
+
+/**
+ * Get the cache time to live in milliseconds
+ * 
+ * @returns {number} Time to live
+ */
+function getTtlMs() {
+  const seconds = Number(process.env.AVAILABILITY_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+/**
+ * Reduce a date to the clinic day Cerbo is asked about, the same way cerbo_api.js does, so Date objects
+ * and strings for the same day share an entry
+ * 
+ * @param {string|Date} date - The date
+ * @returns {string} The day as YYYY-MM-DD
+ */
+function toDay(date) {
+  if (date instanceof Date) {
+    return toClinicDate(date);
+  }
+  return String(date).includes('T') ? toClinicDate(parseClinicDateTime(String(date))) : String(date);
+}
+
+/**
+ * Get cached data for several providers, loading what is missing in a single request
+ * Concurrent lookups for the same data share one request to Cerbo
+ * 
+ * @param {string} kind - What is cached, e.g. "availability" or "appointments"
+ * @param {Array<number|string>} providerIds - The providers
+ * @param {string|Date} startDate - Start of the date range
+ * @param {string|Date} endDate - End of the date range
+ * @param {function(Array<number|string>): Promise<Map<string, any>>} loadMissing - Loads the data for the given providers, keyed by provider ID as a string
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.bypassCache=false] - Always ask Cerbo, refreshing the cache with the answer
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Map<string, any>>} The data keyed by provider ID as a string
+ */
+async function getCachedForProviders(kind, providerIds, startDate, endDate, loadMissing, { bypassCache = false, now = Date.now() } = {}) {
+  const keyFor = providerId => `${kind}:${providerId}:${toDay(startDate)}:${toDay(endDate)}`;
+  const values = new Map();
+  const missingIds = [];
+  const invalidations = await getInvalidationTokens(providerIds);
+
+  for (const providerId of providerIds) {
+    const entry = entries.get(keyFor(providerId));
+    const invalidation = invalidations.get(String(providerId));
+    if (!bypassCache && entry && entry.expiresAt > now && entry.invalidation === invalidation) {
+      stats.hits++;
+      values.set(String(providerId), entry.value);
+    } else {
+      stats.misses++;
+      missingIds.push(providerId);
+    }
+  }
+
+  if (missingIds.length > 0) {
+    const loading = loadMissing(missingIds);
+    const expiresAt = now + getTtlMs();
+
+    for (const providerId of missingIds) {
+      const key = keyFor(providerId);
+      const value = loading.then(loaded => loaded.get(String(providerId)));
+      entries.set(key, { providerId, value, expiresAt, invalidation: invalidations.get(String(providerId)) });
+      values.set(String(providerId), value);
+
+      // A failed request is not cached, the next lookup tries again
+      value.catch(() => {
+        if (entries.get(key)?.value === value) {
+          entries.delete(key);
+        }
+      });
+    }
+  }
+
+  const resolved = new Map();
+  for (const [providerId, value] of values) {
+    resolved.set(providerId, await value);
+  }
+  return resolved;
+}
+
+/**
+ * Drop everything cached for a provider, after we have written to their calendar
+ * Other replicas drop theirs on their next lookup for the provider
+ * 
+ * @param {number|string} providerId - The provider
+ * @returns {Promise<void>}
+ */
+async function invalidateProvider(providerId) {
+  await invalidationStore.set(String(providerId), { token: crypto.randomUUID() });
+
+  let dropped = 0;
+  for (const [key, entry] of entries) {
+    if (String(entry.providerId) === String(providerId)) {
+      entries.delete(key);
+      dropped++;
+    }
+  }
+  stats.invalidations += dropped;
+  logger.debug(`Availability cache: dropped ${dropped} entries for provider ${providerId}`);
+}
+
+/**
+ * Drop expired entries
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Number of entries removed
+ */
+function removeExpiredEntries(now = Date.now()) {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Get the cache hit and miss statistics
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {AvailabilityCacheStats} The statistics
+ */
+function getAvailabilityCacheStats(now = Date.now()) {
+  removeExpiredEntries(now);
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups === 0 ? 0 : stats.hits / lookups,
+    size: entries.size,
+    ttlSeconds: getTtlMs() / 1000
+  };
+}
+
+/**
+ * Empty the cache and reset the statistics
+ */
+function clearAvailabilityCache() {
+  entries.clear();
+  stats.hits = 0;
+  stats.misses = 0;
+  stats.invalidations = 0;
+}
+
+export {
+  getCachedForProviders,
+  invalidateProvider,
+  removeExpiredEntries,
+  getAvailabilityCacheStats,
+  clearAvailabilityCache
+};
@@ -0,0 +1,55 @@
+// backend/booking_audit.js - Audit trail of the Cerbo changes made for each booking action
+import logger from '../logger.js';
+
+/**
+ * @typedef {Object} StaffAction
+ * @property {string} name - Who at the clinic did it
+ * @property {string} [username] - The staff account they were signed in with
+ * @property {string} [reason] - Why, required for cancellations and for overriding the buffer rules
+ * @property {boolean} [overrideBufferRules] - Whether the booking ignores the consecutive work limit and needs no buffer
+ */
+
+/**
+ * @typedef {Object} BookingAuditEntry
+ * @property {string} action - What was attempted (book, book-series, reschedule, reschedule-series, cancel)
+ * @property {number|string|null} appointmentId - ID of the primary Cerbo appointment, null if it was never created
+ * @property {string} outcome - Final outcome of the action (completed, rolled_back, rollback_failed, or incomplete
+ *           for a cancellation that left the buffer or task behind)
+ * @property {Array<Object>} steps - Result of each step of the action
+ * @property {StaffAction} [staff] - The member of staff who did it, when it was done from the admin dashboard
+ * @property {string} [recordedAt] - ISO datetime string for when the entry was recorded
+ */
+
+// Audit entries in the order they were recorded
+const auditEntries = [];
+
+/**
+ * Record the outcome of a booking action
+ * 
+ * @param {BookingAuditEntry} entry - The audit entry
+ * @returns {Promise<BookingAuditEntry>} The recorded entry
+ */
+async function recordBookingAudit(entry) {
+  const recordedEntry = { ...entry, recordedAt: new Date().toISOString() };
+  auditEntries.push(recordedEntry);
+  const by = entry.staff ? ` by ${entry.staff.name}${entry.staff.reason ? ` (${entry.staff.reason})` : ''}` : '';
+  logger.info(`Audit: ${entry.action} of appointment ${entry.appointmentId ?? '(none)'}${by} ${entry.outcome}`, JSON.stringify(entry.steps));
+  return recordedEntry;
+}
+
+/**
+ * Get the audit trail, optionally for a single appointment
+ * 
+ * @param {number|string} [appointmentId] - Only return entries for this appointment
+ * @returns {Promise<Array<BookingAuditEntry>>} Matching entries, oldest first
+ */
+async function getBookingAudit(appointmentId) {
+  return auditEntries.filter(entry =>
+    appointmentId === undefined || String(entry.appointmentId) === String(appointmentId)
+  );
+}
+
+export {
+  recordBookingAudit,
+  getBookingAudit
+};
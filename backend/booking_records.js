@@ -0,0 +1,131 @@
+// backend/booking_records.js - Records of the Cerbo entries created for each online booking, and of recurring series
+import { createStore } from './store.js';
+import logger from '../logger.js';
+
+/**
+ * @typedef {Object} BookingRecord
+ * @property {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @property {number|string|null} bufferAppointmentId - ID of the paired ADMIN-Flexible buffer, if one was booked
+ * @property {number|string|null} taskId - ID of the Cerbo task created for the booking, if any
+ * @property {number} providerId - ID of the provider the booking was written to
+ * @property {string} appointmentTypeId - ID of the booked appointment type
+ * @property {string} startTime - ISO datetime string for the appointment start
+ * @property {string} endTime - ISO datetime string for the appointment end
+ * @property {string} patientName - Name of the patient
+ * @property {string} email - Email of the patient
+ * @property {number|string|null} [patientId] - ID of the patient's Cerbo chart, null when the front desk has to link it
+ * @property {string} [patientMatch] - How the chart was found: matched, new or review (see backend/patients.js)
+ * @property {Object<string, string|boolean>} [intake] - The patient's answers to the intake form, keyed by field name
+ * @property {string} status - "confirmed" or "cancelled"
+ * @property {number} [inviteSequence] - Revision of the calendar invite last emailed to the patient, one more for each change
+ * @property {string} createdAt - ISO datetime string for when the booking was made
+ * @property {string} [rescheduledAt] - ISO datetime string for when the patient last moved the booking
+ * @property {string} [updatedAt] - ISO datetime string for the last change to the record
+ * @property {string} [seriesId] - ID of the recurring series the booking is a visit of
+ * @property {import('./booking_audit.js').StaffAction} [staff] - Who booked it at the clinic, and why the buffer rules were overridden
+ */
+
+/**
+ * @typedef {Object} SeriesRecord
+ * @property {string} seriesId - ID of the series
+ * @property {Array<number|string>} appointmentIds - Primary appointment ID of each visit, in date order
+ * @property {string} frequency - How the series repeats, weekly or biweekly
+ * @property {number} providerId - ID of the provider the series is booked with
+ * @property {string} appointmentTypeId - ID of the booked appointment type
+ * @property {string} patientName - Name of the patient
+ * @property {string} email - Email of the patient
+ * @property {string} createdAt - ISO datetime string for when the series was booked
+ * @property {string} [updatedAt] - ISO datetime string for the last change to the record
+ */
+
+// Booking records keyed by primary appointment ID
+const bookingRecordStore = createStore('booking_records');
+
+// Series records keyed by series ID, each visit's booking record points back to its series
+const seriesRecordStore = createStore('booking_series');
+
+/**
+ * Save the record of a new booking
+ * 
+ * @param {BookingRecord} record - The booking record
+ * @returns {Promise<BookingRecord>} The saved record
+ */
+async function saveBookingRecord(record) {
+  await bookingRecordStore.set(String(record.appointmentId), record);
+  logger.debug(`Saved booking record for appointment ${record.appointmentId}`);
+  return record;
+}
+
+/**
+ * Get the record of a booking by its primary appointment ID
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @returns {Promise<BookingRecord|null>} The booking record, or null if the booking was not made here
+ */
+async function getBookingRecord(appointmentId) {
+  return bookingRecordStore.get(String(appointmentId));
+}
+
+/**
+ * Apply changes to an existing booking record
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @param {Partial<BookingRecord>} changes - The fields to change
+ * @returns {Promise<BookingRecord|null>} The updated record, or null if there is no record
+ */
+async function updateBookingRecord(appointmentId, changes) {
+  const record = await bookingRecordStore.get(String(appointmentId));
+
+  if (!record) {
+    return null;
+  }
+
+  const updatedRecord = { ...record, ...changes, updatedAt: new Date().toISOString() };
+  await bookingRecordStore.set(String(appointmentId), updatedRecord);
+  return updatedRecord;
+}
+
+/**
+ * Save the record of a new recurring series
+ * 
+ * @param {SeriesRecord} record - The series record
+ * @returns {Promise<SeriesRecord>} The saved record
+ */
+async function saveSeriesRecord(record) {
+  await seriesRecordStore.set(record.seriesId, record);
+  logger.debug(`Saved series record ${record.seriesId} for appointments ${record.appointmentIds.join(', ')}`);
+  return record;
+}
+
+/**
+ * Get the record of a recurring series
+ * 
+ * @param {string} seriesId - ID of the series
+ * @returns {Promise<SeriesRecord|null>} The series record, or null if there is none
+ */
+async function getSeriesRecord(seriesId) {
+  return seriesRecordStore.get(seriesId);
+}
+
+/**
+ * Get the booking records of the visits of a series, in date order
+ * Visits whose record is missing are left out
+ * 
+ * @param {SeriesRecord} series - The series
+ * @returns {Promise<Array<BookingRecord>>} The visits' booking records
+ */
+async function getSeriesBookingRecords(series) {
+  const records = await Promise.all(series.appointmentIds.map(getBookingRecord));
+  return records
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime());
+}
+
+export {
+  saveBookingRecord,
+  getBookingRecord,
+  updateBookingRecord,
+  saveSeriesRecord,
+  getSeriesRecord,
+  getSeriesBookingRecords
+};
@@ -0,0 +1,133 @@
+// backend/booking_saga.js - Runs a booking change as a sequence of steps, undoing completed steps when a required one fails
+import logger from '../logger.js';
+
+/**
+ * @typedef {Object} SagaStep
+ * @property {string} name - Name of the step, used in the step results and audit trail
+ * @property {function(Object): Promise<Object>} run - Performs the step. Receives the results of the earlier steps keyed by step name
+ * @property {function(Object, Object): Promise<any>} [compensate] - Undoes the step, given its result and the results of the other steps
+ * @property {boolean} [required=true] - Whether a failure of this step rolls back the steps already done
+ */
+
+/**
+ * @typedef {Object} SagaStepResult
+ * @property {string} step - Name of the step
+ * @property {string} status - completed, failed, compensated or compensation_failed
+ * @property {Object} [result] - What the step returned, if it completed
+ * @property {string} [error] - Why the step (or its compensation) failed
+ * @property {string} startedAt - ISO datetime string for when the step started
+ * @property {string} finishedAt - ISO datetime string for when the step (or its compensation) finished
+ */
+
+/**
+ * @typedef {Object} SagaOutcome
+ * @property {boolean} success - Whether every required step completed
+ * @property {string} outcome - completed, rolled_back, or rollback_failed when a compensation also failed
+ * @property {string} [failedStep] - Name of the required step that failed
+ * @property {string} [error] - Error message of the failed step
+ * @property {Object} results - Results of the completed steps keyed by step name
+ * @property {Array<SagaStepResult>} steps - Result of every step that was attempted, in order
+ */
+
+/**
+ * Run the steps of a saga in order
+ * When a required step fails, the completed steps are compensated in reverse order.
+ * A failed optional step is recorded and the saga carries on
+ * 
+ * @param {string} sagaName - Name of the saga, used in log messages
+ * @param {Array<SagaStep>} steps - The steps to run
+ * @returns {Promise<SagaOutcome>} The outcome of the saga and the result of each step
+ */
+async function runSaga(sagaName, steps) {
+  const results = {};
+  const stepResults = [];
+  const completedSteps = [];
+
+  for (const step of steps) {
+    const startedAt = new Date().toISOString();
+
+    try {
+      const result = await step.run({ ...results });
+      results[step.name] = result;
+
+      const stepResult = {
+        step: step.name,
+        status: 'completed',
+        result,
+        startedAt,
+        finishedAt: new Date().toISOString()
+      };
+      stepResults.push(stepResult);
+      completedSteps.push({ step, stepResult });
+      logger.info(`${sagaName}: step ${step.name} completed`);
+    } catch (error) {
+      stepResults.push({
+        step: step.name,
+        status: 'failed',
+        error: error.message,
+        startedAt,
+        finishedAt: new Date().toISOString()
+      });
+
+      if (step.required === false) {
+        logger.warn(`${sagaName}: optional step ${step.name} failed, continuing:`, error.message);
+        continue;
+      }
+
+      logger.error(`${sagaName}: step ${step.name} failed, rolling back:`, error.message);
+      const rolledBack = await compensate(sagaName, completedSteps, results);
+
+      return {
+        success: false,
+        outcome: rolledBack ? 'rolled_back' : 'rollback_failed',
+        failedStep: step.name,
+        error: error.message,
+        results,
+        steps: stepResults
+      };
+    }
+  }
+
+  return {
+    success: true,
+    outcome: 'completed',
+    results,
+    steps: stepResults
+  };
+}
+
+/**
+ * Undo completed steps in reverse order, updating their recorded status
+ * 
+ * @param {string} sagaName - Name of the saga, used in log messages
+ * @param {Array<{step: SagaStep, stepResult: SagaStepResult}>} completedSteps - The steps that completed
+ * @param {Object} results - Results of the completed steps keyed by step name
+ * @returns {Promise<boolean>} True if every compensation succeeded
+ */
+async function compensate(sagaName, completedSteps, results) {
+  let allCompensated = true;
+
+  for (const { step, stepResult } of [...completedSteps].reverse()) {
+    if (!step.compensate) {
+      continue;
+    }
+
+    try {
+      await step.compensate(results[step.name], results);
+      stepResult.status = 'compensated';
+      logger.info(`${sagaName}: step ${step.name} compensated`);
+    } catch (error) {
+      allCompensated = false;
+      stepResult.status = 'compensation_failed';
+      stepResult.error = error.message;
+      logger.error(`${sagaName}: failed to compensate step ${step.name}:`, error.message);
+    }
+    stepResult.finishedAt = new Date().toISOString();
+  }
+
+  return allCompensated;
+}
+
+export {
+  runSaga
+};
@@ -0,0 +1,97 @@
+// backend/booking_tokens.js - Signed, expiring tokens for patient manage-booking links
+import crypto from 'crypto';
+import logger from '../logger.js';
+
+// Links stay usable for a week after the appointment ends
+const TOKEN_GRACE_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} BookingTokenResult
+ * @property {boolean} valid - Whether the token is genuine and has not expired
+ * @property {string} [appointmentId] - ID of the primary Cerbo appointment the token grants access to
+ * @property {string} [expiresAt] - ISO datetime string for when the token expires
+ * @property {string} [error] - Error message if the token is not valid
+ * @property {string} [errorCode] - Machine-readable reason the token was rejected (INVALID_TOKEN, TOKEN_EXPIRED)
+ */
+
+// Without a configured secret tokens are signed with a per-process key and stop working on restart
+let tokenSecret = process.env.BOOKING_TOKEN_SECRET;
+if (!tokenSecret) {
+  logger.warn('BOOKING_TOKEN_SECRET is not set, manage-booking links will not survive a restart');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a token payload
+ * 
+ * @param {string} encodedPayload - The base64url encoded payload
+ * @returns {string} The base64url encoded HMAC signature
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', tokenSecret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a token for managing a booking
+ * 
+ * @param {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @param {string|Date} appointmentEndTime - End of the appointment, the token expires a grace period after it
+ * @returns {string} The signed token
+ */
+function createBookingToken(appointmentId, appointmentEndTime) {
+  const expiresAt = new Date(appointmentEndTime).getTime() + TOKEN_GRACE_PERIOD_MS;
+  const encodedPayload = Buffer.from(JSON.stringify({
+    appointmentId: String(appointmentId),
+    expiresAt
+  })).toString('base64url');
+
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Check a manage-booking token and read the appointment it belongs to
+ * 
+ * @param {string} token - The token from the manage-booking link
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {BookingTokenResult} The appointment ID if the token is valid
+ */
+function verifyBookingToken(token, now = Date.now()) {
+  const [encodedPayload, signature] = String(token || '').split('.');
+
+  if (!encodedPayload || !signature) {
+    return { valid: false, error: 'Invalid booking link', errorCode: 'INVALID_TOKEN' };
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid booking link', errorCode: 'INVALID_TOKEN' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Invalid booking link', errorCode: 'INVALID_TOKEN' };
+  }
+
+  if (!payload.appointmentId || typeof payload.expiresAt !== 'number') {
+    return { valid: false, error: 'Invalid booking link', errorCode: 'INVALID_TOKEN' };
+  }
+
+  if (payload.expiresAt <= now) {
+    return { valid: false, error: 'This booking link has expired', errorCode: 'TOKEN_EXPIRED' };
+  }
+
+  return {
+    valid: true,
+    appointmentId: payload.appointmentId,
+    expiresAt: new Date(payload.expiresAt).toISOString()
+  };
+}
+
+export {
+  createBookingToken,
+  verifyBookingToken
+};
@@ -0,0 +1,142 @@
+// backend/calendar_invite.js - iCalendar (.ics) invites for appointments, attached to patient emails
+
+// Longest content line allowed by RFC 5545, in octets, before it has to be folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * @typedef {Object} CalendarInvite
+ * @property {number|string} appointmentId - ID of the primary Cerbo appointment, used for the event's UID
+ * @property {number} sequence - Revision of the event, 0 when booked and one more for each change after
+ * @property {string} status - confirmed or cancelled
+ * @property {string} startTime - ISO datetime string for the appointment start
+ * @property {string} endTime - ISO datetime string for the appointment end
+ * @property {string} summary - Title of the event
+ * @property {string} [description] - Longer text shown with the event
+ * @property {string} [location] - Where the appointment is
+ * @property {{name: string, email: string}} organizer - The clinic
+ * @property {{name: string, email: string}} attendee - The patient
+ * @property {string} uidDomain - Domain the event's UID is made unique with
+ * @property {Date} [stamp] - When the invite was made, defaults to now
+ * @property {Array<CalendarOccurrence>} [occurrences] - Every visit of a recurring series, each its own event in the invite.
+ *           The appointment's own ID, sequence and times are then left unused
+ */
+
+/**
+ * @typedef {Object} CalendarOccurrence
+ * @property {number|string} appointmentId - ID of the visit's primary Cerbo appointment, used for its event's UID
+ * @property {number} sequence - Revision of the visit's event
+ * @property {string} startTime - ISO datetime string for the visit's start
+ * @property {string} endTime - ISO datetime string for the visit's end
+ */
+
+/**
+ * Format an instant as an iCalendar UTC date-time, e.g. 20250327T160000Z
+ * 
+ * @param {Date|string} date - The instant
+ * @returns {string} The date-time
+ */
+function formatIcsDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for a TEXT property value
+ * 
+ * @param {string} text - The text
+ * @returns {string} Text with backslashes, semicolons, commas and line breaks escaped
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Quote a parameter value such as a CN, which may not contain double quotes at all
+ * 
+ * @param {string} value - The value
+ * @returns {string} The quoted value
+ */
+function quoteIcsParameter(value) {
+  return `"${String(value).replace(/["\r\n]/g, '')}"`;
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, each continuation starting with a space
+ * Lines are only broken between characters, never inside a multi-byte one
+ * 
+ * @param {string} line - The content line
+ * @returns {string} The folded line, joined with CRLF
+ */
+function foldIcsLine(line) {
+  const lines = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const character of line) {
+    const octets = Buffer.byteLength(character);
+    // Continuation lines lose one octet to the leading space
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      lines.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += character;
+    currentOctets += octets;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+}
+
+/**
+ * Build the .ics file for an appointment
+ * A cancelled appointment gets a CANCEL invite, which removes the event from the patient's calendar;
+ * every version of an appointment shares its UID, so a newer sequence replaces the event already there.
+ * A series gets one event per visit rather than a repeating event, as its visits can be moved one by one
+ * 
+ * @param {CalendarInvite} invite - The appointment
+ * @returns {string} The iCalendar file, with CRLF line endings
+ */
+function buildCalendarInvite(invite) {
+  const cancelled = invite.status === 'cancelled';
+  const stamp = formatIcsDateTime(invite.stamp || new Date());
+  const occurrences = invite.occurrences || [invite];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PhysioSpa//Online Booking//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    ...occurrences.flatMap(occurrence => [
+      'BEGIN:VEVENT',
+      `UID:appointment-${occurrence.appointmentId}@${invite.uidDomain}`,
+      `SEQUENCE:${occurrence.sequence}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDateTime(occurrence.startTime)}`,
+      `DTEND:${formatIcsDateTime(occurrence.endTime)}`,
+      `SUMMARY:${escapeIcsText(invite.summary)}`,
+      ...(invite.description ? [`DESCRIPTION:${escapeIcsText(invite.description)}`] : []),
+      ...(invite.location ? [`LOCATION:${escapeIcsText(invite.location)}`] : []),
+      `ORGANIZER;CN=${quoteIcsParameter(invite.organizer.name)}:mailto:${invite.organizer.email}`,
+      `ATTENDEE;CN=${quoteIcsParameter(invite.attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${invite.attendee.email}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+export {
+  formatIcsDateTime,
+  escapeIcsText,
+  foldIcsLine,
+  buildCalendarInvite
+};
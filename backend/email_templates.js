@@ -0,0 +1,341 @@
+// backend/email_templates.js - Emails sent to patients when they book, reschedule or cancel, before their appointment,
+// and when a time they are waiting for opens up
+import { getClinicTimeZone } from '../clinic_time.js';
+
+// Where patients are sent to book when PUBLIC_BASE_URL is not set (the frontend under docker-compose)
+const DEFAULT_PUBLIC_BASE_URL = 'http://localhost:7890';
+
+/**
+ * @typedef {Object} ClinicDetails
+ * @property {string} name - Name of the clinic, shown in emails and used as the sender's name
+ * @property {string} email - Address emails are sent from and the organizer of calendar invites
+ * @property {string} address - Street address, empty if not configured
+ * @property {string} phone - Phone number, empty if not configured
+ * @property {string} publicBaseUrl - Base URL of the patient booking site, without a trailing slash
+ * @property {string} timeZone - IANA time zone the clinic's times are shown in
+ */
+
+/**
+ * @typedef {Object} BookingEmailDetails
+ * @property {number|string} appointmentId - ID of the primary Cerbo appointment
+ * @property {string} patientName - Name of the patient
+ * @property {string} email - Email of the patient
+ * @property {string} appointmentTypeName - Name of the appointment type shown to patients
+ * @property {string} [providerName] - Name of the provider shown to patients
+ * @property {string} startTime - ISO datetime string for the appointment start
+ * @property {string} endTime - ISO datetime string for the appointment end
+ * @property {string} [previousStartTime] - ISO datetime string for where a rescheduled appointment was before
+ * @property {string} [previousEndTime] - ISO datetime string for the end of the old time
+ * @property {string} [manageToken] - Token for the patient's manage-booking link
+ * @property {Array<{appointmentId: number|string, startTime: string, endTime: string, sequence: number}>} [occurrences] - Every visit
+ *           the email is about, when it is about a recurring series; each has the revision of its calendar event
+ */
+
+/**
+ * @typedef {Object} WaitlistOfferEmailDetails
+ * @property {string} patientName - Name of the patient on the waitlist
+ * @property {string} email - Email of the patient
+ * @property {string} appointmentTypeName - Name of the appointment type shown to patients
+ * @property {string} [providerName] - Name of the provider shown to patients
+ * @property {string} startTime - ISO datetime string for the start of the time that opened up
+ * @property {string} endTime - ISO datetime string for its end
+ * @property {string} claimToken - Token for the patient's claim link
+ * @property {string} expiresAt - ISO datetime string for when the claim link stops working
+ */
+
+/**
+ * @typedef {Object} RenderedEmail
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain text body
+ * @property {string} html - HTML body
+ */
+
+/**
+ * Get the clinic's details for emails from the CLINIC_* and PUBLIC_BASE_URL environment variables
+ * 
+ * @returns {ClinicDetails} The clinic's details
+ */
+function getClinicDetails() {
+  return {
+    name: process.env.CLINIC_NAME || 'PhysioSpa',
+    email: process.env.CLINIC_EMAIL || 'bookings@physiospa.example',
+    address: process.env.CLINIC_ADDRESS || '',
+    phone: process.env.CLINIC_PHONE || '',
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || DEFAULT_PUBLIC_BASE_URL).replace(/\/+$/, ''),
+    timeZone: getClinicTimeZone()
+  };
+}
+
+/**
+ * Describe when an appointment is on the clinic's clocks, e.g. "Thursday, March 27, 2025, 12:00 PM to 1:00 PM EDT"
+ * 
+ * @param {string} startTime - ISO datetime string for the start
+ * @param {string} endTime - ISO datetime string for the end
+ * @param {string} timeZone - IANA time zone to show the times in
+ * @returns {string} The description
+ */
+function describeAppointmentTime(startTime, endTime, timeZone) {
+  const day = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  }).format(new Date(startTime));
+  const start = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' }).format(new Date(startTime));
+  const end = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }).format(new Date(endTime));
+  return `${day}, ${start} to ${end}`;
+}
+
+/**
+ * Escape text for HTML
+ * 
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Lay out an email as plain text and HTML
+ * Paragraphs are strings, or a link with the text leading up to it
+ * 
+ * @param {Object} content - What the email says
+ * @param {string} content.subject - Subject line
+ * @param {string} content.greeting - Opening line
+ * @param {Array<string>} content.intro - Paragraphs before the appointment details
+ * @param {Array<[string, string]>} content.details - Label and value of each appointment detail
+ * @param {Array<string|{text: string, url: string}>} content.closing - Paragraphs after the appointment details
+ * @param {ClinicDetails} clinic - The clinic, signed at the bottom
+ * @returns {RenderedEmail} The email
+ */
+function layoutEmail({ subject, greeting, intro, details, closing }, clinic) {
+  const signature = [clinic.name, clinic.address, clinic.phone].filter(Boolean);
+
+  const text = [
+    greeting,
+    ...intro,
+    details.map(([label, value]) => `${label}: ${value}`).join('\n'),
+    ...closing.map(paragraph => typeof paragraph === 'string' ? paragraph : `${paragraph.text}\n${paragraph.url}`),
+    signature.join('\n')
+  ].join('\n\n') + '\n';
+
+  const html = [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+    '<body style="font-family: Arial, sans-serif; color: #333; line-height: 1.5;">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...intro.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    '<table cellpadding="4" style="border-collapse: collapse;">',
+    ...details.map(([label, value]) => `<tr><th align="left" valign="top">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`),
+    '</table>',
+    ...closing.map(paragraph => typeof paragraph === 'string'
+      ? `<p>${escapeHtml(paragraph)}</p>`
+      : `<p>${escapeHtml(paragraph.text)}<br><a href="${escapeHtml(paragraph.url)}">${escapeHtml(paragraph.url)}</a></p>`),
+    `<p>${signature.map(escapeHtml).join('<br>')}</p>`,
+    '</body></html>'
+  ].join('\n') + '\n';
+
+  return { subject, text, html };
+}
+
+/**
+ * Label and value of each detail of an appointment, as listed in every email
+ * A series lists each of its visits where a single appointment says when it is
+ * 
+ * @param {{appointmentTypeName: string, providerName?: string, startTime: string, endTime: string, occurrences?: Array<{startTime: string, endTime: string}>}} appointment - The appointment
+ * @param {ClinicDetails} clinic - The clinic
+ * @returns {Array<[string, string]>} The details
+ */
+function appointmentDetails(appointment, clinic) {
+  const when = appointment.occurrences
+    ? appointment.occurrences.map((occurrence, index) => [`Visit ${index + 1}`, describeAppointmentTime(occurrence.startTime, occurrence.endTime, clinic.timeZone)])
+    : [['When', describeAppointmentTime(appointment.startTime, appointment.endTime, clinic.timeZone)]];
+  return /** @type {Array<[string, string]>} */ ([
+    ['What', appointment.appointmentTypeName],
+    ...when,
+    ...(appointment.providerName ? [['With', appointment.providerName]] : []),
+    ...(clinic.address ? [['Where', clinic.address]] : [])
+  ]);
+}
+
+/**
+ * Render the email for a booking event
+ * 
+ * @param {string} event - booked, rescheduled, cancelled or reminder
+ * @param {BookingEmailDetails} booking - The booking
+ * @param {ClinicDetails} [clinic] - The clinic, defaults to the configured one
+ * @returns {RenderedEmail} The email
+ * @throws {Error} If the event is not one of those
+ */
+function renderBookingEmail(event, booking, clinic = getClinicDetails()) {
+  if (booking.occurrences && event !== 'reminder') {
+    return renderSeriesEmail(event, booking, clinic);
+  }
+
+  const details = appointmentDetails(booking, clinic);
+  const greeting = `Hi ${booking.patientName},`;
+  const manageLink = booking.manageToken
+    ? [{ text: 'To change or cancel your appointment, use this link:', url: `${clinic.publicBaseUrl}/manage/${booking.manageToken}` }]
+    : [];
+  const callUs = clinic.phone ? [`If you have any questions, call us on ${clinic.phone}.`] : [];
+
+  switch (event) {
+    case 'booked':
+      return layoutEmail({
+        subject: `Your ${booking.appointmentTypeName} appointment at ${clinic.name} is confirmed`,
+        greeting,
+        intro: ['Thank you for booking with us. Your appointment is confirmed:'],
+        details,
+        closing: [
+          'Open the attached invite to add the appointment to your calendar.',
+          ...manageLink,
+          ...callUs
+        ]
+      }, clinic);
+    case 'rescheduled':
+      return layoutEmail({
+        subject: `Your ${booking.appointmentTypeName} appointment at ${clinic.name} has moved`,
+        greeting,
+        intro: [
+          booking.previousStartTime
+            ? `Your appointment has moved from ${describeAppointmentTime(booking.previousStartTime, booking.previousEndTime || booking.previousStartTime, clinic.timeZone)} to the new time below.`
+            : 'Your appointment has moved to the new time below.'
+        ],
+        details,
+        closing: [
+          'Open the attached invite to update the appointment in your calendar.',
+          ...manageLink,
+          ...callUs
+        ]
+      }, clinic);
+    case 'cancelled':
+      return layoutEmail({
+        subject: `Your ${booking.appointmentTypeName} appointment at ${clinic.name} is cancelled`,
+        greeting,
+        intro: ['Your appointment has been cancelled:'],
+        details,
+        closing: [
+          'Open the attached invite to remove the appointment from your calendar.',
+          { text: 'You can book another appointment at any time:', url: `${clinic.publicBaseUrl}/` },
+          ...callUs
+        ]
+      }, clinic);
+    case 'reminder':
+      return layoutEmail({
+        subject: `Reminder: your ${booking.appointmentTypeName} appointment at ${clinic.name}`,
+        greeting,
+        intro: ['This is a reminder of your upcoming appointment:'],
+        details,
+        closing: [
+          ...manageLink,
+          ...callUs
+        ]
+      }, clinic);
+    default:
+      throw new Error(`Unknown booking email ${event}`);
+  }
+}
+
+/**
+ * Render the email for a booking event about a recurring series, listing every visit it is about
+ * 
+ * @param {string} event - booked, rescheduled or cancelled
+ * @param {BookingEmailDetails} booking - The series' first visit, with every visit the email is about
+ * @param {ClinicDetails} clinic - The clinic
+ * @returns {RenderedEmail} The email
+ * @throws {Error} If the event is not one of those
+ */
+function renderSeriesEmail(event, booking, clinic) {
+  const details = appointmentDetails(booking, clinic);
+  const greeting = `Hi ${booking.patientName},`;
+  const visits = booking.occurrences.length;
+  const manageLink = booking.manageToken
+    ? [{ text: 'To change or cancel your appointments, use this link:', url: `${clinic.publicBaseUrl}/manage/${booking.manageToken}` }]
+    : [];
+  const callUs = clinic.phone ? [`If you have any questions, call us on ${clinic.phone}.`] : [];
+
+  switch (event) {
+    case 'booked':
+      return layoutEmail({
+        subject: `Your ${visits} ${booking.appointmentTypeName} appointments at ${clinic.name} are confirmed`,
+        greeting,
+        intro: [`Thank you for booking with us. All ${visits} appointments of your series are confirmed:`],
+        details,
+        closing: [
+          'Open the attached invite to add the appointments to your calendar.',
+          ...manageLink,
+          ...callUs
+        ]
+      }, clinic);
+    case 'rescheduled':
+      return layoutEmail({
+        subject: `Your ${booking.appointmentTypeName} appointments at ${clinic.name} have moved`,
+        greeting,
+        intro: [`Your ${visits} upcoming appointments have moved to the new times below.`],
+        details,
+        closing: [
+          'Open the attached invite to update the appointments in your calendar.',
+          ...manageLink,
+          ...callUs
+        ]
+      }, clinic);
+    case 'cancelled':
+      return layoutEmail({
+        subject: `Your ${booking.appointmentTypeName} appointments at ${clinic.name} are cancelled`,
+        greeting,
+        intro: [`These ${visits} appointments have been cancelled:`],
+        details,
+        closing: [
+          'Open the attached invite to remove the appointments from your calendar.',
+          { text: 'You can book more appointments at any time:', url: `${clinic.publicBaseUrl}/` },
+          ...callUs
+        ]
+      }, clinic);
+    default:
+      throw new Error(`Unknown series email ${event}`);
+  }
+}
+
+/**
+ * Render the email offering a patient on the waitlist a time that has opened up
+ * 
+ * @param {WaitlistOfferEmailDetails} offer - The offer
+ * @param {ClinicDetails} [clinic] - The clinic, defaults to the configured one
+ * @returns {RenderedEmail} The email
+ */
+function renderWaitlistOfferEmail(offer, clinic = getClinicDetails()) {
+  const deadline = new Intl.DateTimeFormat('en-US', {
+    timeZone: clinic.timeZone,
+    weekday: 'long',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(offer.expiresAt));
+
+  return layoutEmail({
+    subject: `A ${offer.appointmentTypeName} appointment has opened up at ${clinic.name}`,
+    greeting: `Hi ${offer.patientName},`,
+    intro: ['A time you asked for on our waitlist has become free:'],
+    details: appointmentDetails(offer, clinic),
+    closing: [
+      { text: `It goes to whoever on the waitlist claims it first, and this link works until ${deadline}:`, url: `${clinic.publicBaseUrl}/waitlist/claim/${offer.claimToken}` },
+      'If you no longer need an appointment, you can leave the waitlist from the same link.',
+      ...(clinic.phone ? [`If you have any questions, call us on ${clinic.phone}.`] : [])
+    ]
+  }, clinic);
+}
+
+export {
+  getClinicDetails,
+  describeAppointmentTime,
+  escapeHtml,
+  renderBookingEmail,
+  renderWaitlistOfferEmail
+};
@@ -0,0 +1,475 @@
+// backend/email_transports.js - Ways of sending email: SMTP for real delivery, a file outbox or the console for local testing
+import fs from 'fs/promises';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where the file transport writes emails unless EMAIL_OUTBOX_DIR says otherwise
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+// Transport used when EMAIL_TRANSPORT is not set
+const DEFAULT_EMAIL_TRANSPORT = 'console';
+
+const EMAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+// How long the SMTP server has to answer each command unless SMTP_TIMEOUT_MS says otherwise
+const DEFAULT_SMTP_TIMEOUT_MS = 30000;
+
+/**
+ * @typedef {Object} EmailAddress
+ * @property {string} [name] - Display name
+ * @property {string} email - The address
+ */
+
+/**
+ * @typedef {Object} EmailAttachment
+ * @property {string} filename - File name shown to the recipient
+ * @property {string} contentType - MIME type, with any parameters (e.g. "text/calendar; method=REQUEST")
+ * @property {string} content - The file's text
+ */
+
+/**
+ * @typedef {Object} EmailMessage
+ * @property {EmailAddress} from - Sender
+ * @property {EmailAddress} to - Recipient
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain text body
+ * @property {string} [html] - HTML body, sent as an alternative to the text
+ * @property {Array<EmailAttachment>} [attachments] - Files attached to the email
+ */
+
+/**
+ * @typedef {Object} EmailTransport
+ * @property {string} name - Which transport it is
+ * @property {function(EmailMessage): Promise<{messageId: string}>} send - Send an email, rejecting if it could not be handed over
+ */
+
+/**
+ * Error raised when the SMTP server turns an email away or cannot be reached
+ */
+class SmtpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Details of the failure
+   * @param {number|null} [details.code] - SMTP reply code, null if the server never replied
+   * @param {boolean} [details.permanent] - Whether sending again cannot help (a 5xx reply)
+   */
+  constructor(message, { code = null, permanent = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Remove line breaks from a header value, so values taken from patients cannot add headers
+ * 
+ * @param {string} value - The value
+ * @returns {string} The value on one line
+ */
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Encode header text with RFC 2047 when it is not plain ASCII
+ * 
+ * @param {string} text - The text
+ * @returns {string} The text, encoded if it needs to be
+ */
+function encodeHeaderText(text) {
+  const value = headerValue(text);
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Format an address for a From or To header, e.g. "Pat Doe" <pat@example.com>
+ * 
+ * @param {EmailAddress} address - The address
+ * @returns {string} The header value
+ */
+function formatAddress({ name, email }) {
+  const address = `<${headerValue(email).replace(/[<>\s]/g, '')}>`;
+  if (!name) {
+    return address;
+  }
+  const encoded = encodeHeaderText(name);
+  const displayName = encoded.startsWith('=?') ? encoded : `"${encoded.replace(/[\\"]/g, '\\$&')}"`;
+  return `${displayName} ${address}`;
+}
+
+/**
+ * Base64 encode a body part in lines of 76 characters
+ * 
+ * @param {string} content - The content
+ * @returns {string} The encoded content
+ */
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build the raw MIME message for an email
+ * The text and HTML bodies are alternatives, and attachments follow them in a multipart/mixed message
+ * 
+ * @param {EmailMessage} message - The email
+ * @param {Object} [options] - Values to use instead of generated ones
+ * @param {Date} [options.date] - Date the email was sent
+ * @param {string} [options.messageId] - Message-ID, without angle brackets
+ * @returns {string} The message, with CRLF line endings
+ */
+function buildMimeMessage(message, options = {}) {
+  const domain = message.from.email.split('@')[1] || os.hostname();
+  const messageId = options.messageId || `${crypto.randomUUID()}@${domain}`;
+  const boundary = crypto.randomBytes(12).toString('hex');
+
+  const part = (contentType, content, extraHeaders = []) => [
+    `Content-Type: ${contentType}`,
+    'Content-Transfer-Encoding: base64',
+    ...extraHeaders,
+    '',
+    base64Lines(content)
+  ].join('\r\n');
+
+  const alternatives = [part('text/plain; charset=utf-8', message.text)];
+  if (message.html) {
+    alternatives.push(part('text/html; charset=utf-8', message.html));
+  }
+
+  const body = [
+    `--mixed-${boundary}`,
+    `Content-Type: multipart/alternative; boundary="alt-${boundary}"`,
+    '',
+    ...alternatives.map(alternative => `--alt-${boundary}\r\n${alternative}`),
+    `--alt-${boundary}--`,
+    ...(message.attachments || []).map(attachment => `--mixed-${boundary}\r\n` + part(
+      `${attachment.contentType}; name="${headerValue(attachment.filename)}"`,
+      attachment.content,
+      [`Content-Disposition: attachment; filename="${headerValue(attachment.filename)}"`]
+    )),
+    `--mixed-${boundary}--`
+  ];
+
+  return [
+    `Date: ${(options.date || new Date()).toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    `From: ${formatAddress(message.from)}`,
+    `To: ${formatAddress(message.to)}`,
+    `Subject: ${encodeHeaderText(message.subject)}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="mixed-${boundary}"`,
+    '',
+    ...body
+  ].join('\r\n') + '\r\n';
+}
+
+/**
+ * Transport that writes each email to the log instead of sending it
+ * 
+ * @returns {EmailTransport} The transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      const attachments = (message.attachments || []).map(attachment => attachment.filename);
+      logger.info([
+        `Email ${messageId} (not sent, EMAIL_TRANSPORT is console)`,
+        `To: ${formatAddress(message.to)}`,
+        `Subject: ${message.subject}`,
+        ...(attachments.length > 0 ? [`Attachments: ${attachments.join(', ')}`] : []),
+        '',
+        message.text
+      ].join('\n'));
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Transport that writes each email as an .eml file, which mail clients can open
+ * 
+ * @param {{directory?: string}} [options] - Override EMAIL_OUTBOX_DIR
+ * @returns {EmailTransport} The transport
+ */
+function createFileTransport(options = {}) {
+  const directory = options.directory || process.env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+  return {
+    name: 'file',
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      const date = new Date();
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${messageId}.eml`;
+      await fs.writeFile(path.join(directory, fileName), buildMimeMessage(message, { date, messageId: `${messageId}@outbox` }));
+      logger.debug(`Wrote email "${message.subject}" to ${path.join(directory, fileName)}`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Read SMTP replies from a socket, one at a time
+ * A reply may span several lines ("250-..." followed by "250 ...")
+ * 
+ * @param {net.Socket} socket - Connection to the server
+ * @param {number} timeoutMs - How long the server may stay silent
+ * @returns {{read: function(): Promise<{code: number, text: string}>, detach: function(): void}} The reader
+ */
+function createReplyReader(socket, timeoutMs) {
+  let buffered = '';
+  let lines = [];
+  const replies = [];
+  let waiting = null;
+  let failure = null;
+
+  const fail = (error) => {
+    failure = failure || error;
+    if (waiting) {
+      waiting.reject(failure);
+      waiting = null;
+    }
+  };
+
+  const onData = (chunk) => {
+    buffered += chunk.toString('utf8');
+    let end;
+    while ((end = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, end).replace(/\r$/, '');
+      buffered = buffered.slice(end + 1);
+      lines.push(line.slice(4));
+      if (line[3] === '-') {
+        continue;
+      }
+      const reply = { code: Number(line.slice(0, 3)), text: lines.join('\n') };
+      lines = [];
+      if (waiting) {
+        waiting.resolve(reply);
+        waiting = null;
+      } else {
+        replies.push(reply);
+      }
+    }
+  };
+  const onError = (error) => fail(error);
+  const onClose = () => fail(new SmtpError('SMTP server closed the connection'));
+  const onTimeout = () => {
+    fail(new SmtpError(`SMTP server did not answer within ${timeoutMs}ms`));
+    socket.destroy();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+  socket.on('timeout', onTimeout);
+  socket.setTimeout(timeoutMs);
+
+  return {
+    read() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+      socket.off('timeout', onTimeout);
+      socket.setTimeout(0);
+    }
+  };
+}
+
+/**
+ * Wait for a socket to connect, or for its TLS handshake to finish
+ * 
+ * @param {net.Socket|tls.TLSSocket} socket - The socket
+ * @param {string} readyEvent - connect or secureConnect
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<any>} Resolves with the socket once it is ready
+ */
+function whenReady(socket, readyEvent, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new SmtpError(`Could not connect to the SMTP server within ${timeoutMs}ms`));
+    }, timeoutMs);
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    socket.once(readyEvent, () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Transport that hands emails to an SMTP server
+ * Connections are upgraded with STARTTLS when the server offers it, and authenticate with AUTH PLAIN or LOGIN
+ * when a user is configured. A connection is opened for each email, as they are sent a few at a time
+ * 
+ * @param {Object} [options] - Override the SMTP_* environment variables
+ * @param {string} [options.host] - Server host name (SMTP_HOST)
+ * @param {number} [options.port] - Server port (SMTP_PORT), 465 when secure and 587 otherwise
+ * @param {boolean} [options.secure] - Use TLS from the start rather than STARTTLS (SMTP_SECURE)
+ * @param {boolean} [options.requireTls] - Refuse to send over a connection that is not encrypted (SMTP_REQUIRE_TLS)
+ * @param {string} [options.user] - User name to log in with (SMTP_USER)
+ * @param {string} [options.pass] - Password to log in with (SMTP_PASS)
+ * @param {number} [options.timeoutMs] - How long the server has to answer each command (SMTP_TIMEOUT_MS)
+ * @param {Object} [options.tlsOptions] - Extra options for the TLS connection, e.g. a CA for a test server
+ * @returns {EmailTransport} The transport
+ * @throws {Error} If no host is configured
+ */
+function createSmtpTransport(options = {}) {
+  const host = options.host || process.env.SMTP_HOST;
+  const secure = options.secure ?? process.env.SMTP_SECURE === 'true';
+  const port = options.port || Number(process.env.SMTP_PORT) || (secure ? 465 : 587);
+  const requireTls = options.requireTls ?? process.env.SMTP_REQUIRE_TLS === 'true';
+  const user = options.user ?? process.env.SMTP_USER;
+  const pass = options.pass ?? process.env.SMTP_PASS ?? '';
+  const timeoutMs = options.timeoutMs || Number(process.env.SMTP_TIMEOUT_MS) || DEFAULT_SMTP_TIMEOUT_MS;
+  const tlsOptions = options.tlsOptions || {};
+
+  if (!host) {
+    throw new Error('SMTP_HOST is required when EMAIL_TRANSPORT is smtp');
+  }
+
+  /**
+   * Send one email over a new connection
+   * 
+   * @param {EmailMessage} message - The email
+   * @returns {Promise<{messageId: string}>} ID of the sent email
+   */
+  async function send(message) {
+    const messageId = `${crypto.randomUUID()}@${message.from.email.split('@')[1] || os.hostname()}`;
+    const raw = buildMimeMessage(message, { messageId });
+
+    let socket = await whenReady(
+      secure ? tls.connect({ host, port, servername: host, ...tlsOptions }) : net.connect({ host, port }),
+      secure ? 'secureConnect' : 'connect',
+      timeoutMs
+    );
+    let reader = createReplyReader(socket, timeoutMs);
+
+    /**
+     * Send a command (or just wait for the greeting) and check the reply
+     * 
+     * @param {string|null} line - The command, null to only read a reply
+     * @param {Array<number>} expected - Reply codes that mean it worked
+     * @param {string} [description] - What to call the command in errors, so credentials are never logged
+     * @returns {Promise<{code: number, text: string}>} The reply
+     */
+    const command = async (line, expected, description = line?.split(' ')[0]) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.read();
+      if (!expected.includes(reply.code)) {
+        throw new SmtpError(`SMTP ${description || 'greeting'} failed: ${reply.code} ${reply.text}`, {
+          code: reply.code,
+          permanent: reply.code >= 500
+        });
+      }
+      return reply;
+    };
+
+    // Extensions the server offers, e.g. STARTTLS and "AUTH PLAIN LOGIN"
+    const hello = async () => (await command(`EHLO ${os.hostname()}`, [250])).text.split('\n').slice(1).map(line => line.toUpperCase());
+
+    try {
+      await command(null, [220]);
+      let extensions = await hello();
+
+      if (!secure && extensions.includes('STARTTLS')) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket = await whenReady(tls.connect({ socket, servername: host, ...tlsOptions }), 'secureConnect', timeoutMs);
+        reader = createReplyReader(socket, timeoutMs);
+        extensions = await hello();
+      } else if (!secure && requireTls) {
+        throw new SmtpError(`SMTP server ${host} does not offer STARTTLS`, { permanent: true });
+      }
+
+      if (user) {
+        const mechanisms = (extensions.find(extension => extension.startsWith('AUTH')) || '').split(/[ =]/).slice(1);
+        if (mechanisms.includes('LOGIN') && !mechanisms.includes('PLAIN')) {
+          await command('AUTH LOGIN', [334]);
+          await command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN user');
+          await command(Buffer.from(pass).toString('base64'), [235], 'AUTH LOGIN password');
+        } else {
+          await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString('base64')}`, [235], 'AUTH PLAIN');
+        }
+      }
+
+      await command(`MAIL FROM:<${message.from.email}>`, [250], 'MAIL FROM');
+      await command(`RCPT TO:<${message.to.email}>`, [250, 251], 'RCPT TO');
+      await command('DATA', [354]);
+      // Lines starting with a dot are doubled so the server does not read them as the end of the message
+      await command(`${raw.replace(/^\./gm, '..')}.`, [250], 'message');
+      await command('QUIT', [221]).catch(() => {});
+      return { messageId };
+    } finally {
+      reader.detach();
+      socket.destroy();
+    }
+  }
+
+  return { name: 'smtp', send };
+}
+
+let warnedTransport = null;
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT, falling back to the console when it is unset or unknown
+ * 
+ * @param {string} [name] - Transport to create instead of the configured one
+ * @returns {EmailTransport} The transport
+ * @throws {Error} If the SMTP transport is chosen without an SMTP_HOST
+ */
+function createEmailTransport(name = process.env.EMAIL_TRANSPORT) {
+  let transport = name || DEFAULT_EMAIL_TRANSPORT;
+  if (!EMAIL_TRANSPORTS.includes(transport)) {
+    if (warnedTransport !== transport) {
+      logger.warn(`EMAIL_TRANSPORT ${transport} is not one of ${EMAIL_TRANSPORTS.join(', ')}, using ${DEFAULT_EMAIL_TRANSPORT}`);
+      warnedTransport = transport;
+    }
+    transport = DEFAULT_EMAIL_TRANSPORT;
+  }
+
+  switch (transport) {
+    case 'file':
+      return createFileTransport();
+    case 'smtp':
+      return createSmtpTransport();
+    default:
+      return createConsoleTransport();
+  }
+}
+
+export {
+  EMAIL_TRANSPORTS,
+  SmtpError,
+  buildMimeMessage,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createEmailTransport
+};
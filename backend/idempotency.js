@@ -0,0 +1,164 @@
+// backend/idempotency.js - Remembers the result of a request so that repeats with the same idempotency key get the same answer
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import logger from '../logger.js';
+
+// Results are replayed for a day unless IDEMPOTENCY_WINDOW_MINUTES says otherwise
+const DEFAULT_WINDOW_MINUTES = 24 * 60;
+// A request still unfinished after this long is assumed to have died with its server
+const IN_PROGRESS_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} fingerprint - Hash of the request the key was first used for
+ * @property {string} status - in_progress or completed
+ * @property {number} [statusCode] - HTTP status of the stored response
+ * @property {Object} [body] - Body of the stored response
+ * @property {number} expiresAt - When the record stops applying, in milliseconds
+ */
+
+/**
+ * @typedef {Object} IdempotencyCheck
+ * @property {string} state - new (go ahead), replay (send the stored response), in_progress (the first request has not finished)
+ *                            or mismatch (the key was used for a different request)
+ * @property {number} [statusCode] - HTTP status of the stored response, for replay
+ * @property {Object} [body] - Body of the stored response, for replay
+ */
+
+const idempotencyStore = createStore('idempotency');
+
+/**
+ * Get how long results are replayed for
+ * 
+ * @returns {number} Window in milliseconds
+ */
+function getWindowMs() {
+  const minutes = Number(process.env.IDEMPOTENCY_WINDOW_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_WINDOW_MINUTES) * 60000;
+}
+
+/**
+ * Hash a request body, so a key reused for a different request can be recognised
+ * 
+ * @param {Object} body - The request body
+ * @returns {string} The fingerprint
+ */
+function fingerprintRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+}
+
+/**
+ * Get the store key for an idempotency key
+ * Hashed, so client-chosen keys of any length or content make safe store keys
+ * 
+ * @param {string} scope - Who the key belongs to
+ * @param {string} key - The idempotency key
+ * @returns {string} The store key
+ */
+function storeKeyFor(scope, key) {
+  return crypto.createHash('sha256').update(`${scope}:${key}`).digest('hex');
+}
+
+/**
+ * Start handling a request with an idempotency key
+ * 
+ * @param {string} scope - Who the key belongs to, keys from different scopes never match
+ * @param {string} key - The idempotency key
+ * @param {Object} body - The request body
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<IdempotencyCheck>} Whether to handle the request or what to answer instead
+ */
+async function beginIdempotentRequest(scope, key, body, now = Date.now()) {
+  const storeKey = storeKeyFor(scope, key);
+  const fingerprint = fingerprintRequest(body);
+  /** @type {IdempotencyRecord} */
+  const inProgress = { fingerprint, status: 'in_progress', expiresAt: now + IN_PROGRESS_LEASE_MS };
+
+  if (await idempotencyStore.add(storeKey, inProgress)) {
+    return { state: 'new' };
+  }
+
+  /** @type {IdempotencyRecord|null} */
+  const record = await idempotencyStore.get(storeKey);
+
+  // Another replica is still writing the record
+  if (!record) {
+    return { state: 'in_progress' };
+  }
+
+  // The stored result or lease has run out, start again
+  if (record.expiresAt <= now) {
+    await idempotencyStore.delete(storeKey);
+    return (await idempotencyStore.add(storeKey, inProgress)) ? { state: 'new' } : { state: 'in_progress' };
+  }
+
+  if (record.fingerprint !== fingerprint) {
+    logger.warn(`Idempotency key ${key} reused for a different request`);
+    return { state: 'mismatch' };
+  }
+
+  if (record.status === 'in_progress') {
+    return { state: 'in_progress' };
+  }
+
+  logger.info(`Replaying stored response for idempotency key ${key}`);
+  return { state: 'replay', statusCode: record.statusCode, body: record.body };
+}
+
+/**
+ * Store the response to a request, to be replayed for repeats within the window
+ * 
+ * @param {string} scope - Who the key belongs to
+ * @param {string} key - The idempotency key
+ * @param {Object} body - The request body
+ * @param {number} statusCode - HTTP status of the response
+ * @param {Object} responseBody - Body of the response
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function completeIdempotentRequest(scope, key, body, statusCode, responseBody, now = Date.now()) {
+  await idempotencyStore.set(storeKeyFor(scope, key), {
+    fingerprint: fingerprintRequest(body),
+    status: 'completed',
+    statusCode,
+    body: responseBody,
+    expiresAt: now + getWindowMs()
+  });
+}
+
+/**
+ * Forget a request that did not complete, so a repeat is handled afresh
+ * 
+ * @param {string} scope - Who the key belongs to
+ * @param {string} key - The idempotency key
+ * @returns {Promise<void>}
+ */
+async function abandonIdempotentRequest(scope, key) {
+  await idempotencyStore.delete(storeKeyFor(scope, key));
+}
+
+/**
+ * Remove records whose window has passed
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<number>} Number of records removed
+ */
+async function removeExpiredIdempotencyRecords(now = Date.now()) {
+  let removed = 0;
+
+  for (const [storeKey, record] of await idempotencyStore.entries()) {
+    if (record.expiresAt <= now) {
+      await idempotencyStore.delete(storeKey);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+export {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  abandonIdempotentRequest,
+  removeExpiredIdempotencyRecords
+};
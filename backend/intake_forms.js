@@ -0,0 +1,396 @@
+// backend/intake_forms.js - Intake form each appointment type asks patients to fill in, loaded from config
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location of the intake forms, can be overridden with INTAKE_FORMS_CONFIG_PATH
+const DEFAULT_INTAKE_FORMS_CONFIG_PATH = path.join(__dirname, '..', 'config', 'intake_forms.json');
+
+// How often the intake forms file is checked for changes
+const RELOAD_INTERVAL_MS = 2000;
+
+// Kinds of field the booking form can show
+const INTAKE_FIELD_TYPES = ['text', 'textarea', 'tel', 'email', 'date', 'select', 'checkbox'];
+
+// Patient chart fields an answer can be copied to when a new chart is opened
+const CHART_FIELDS = ['dob', 'phone_mobile', 'phone_home', 'sex', 'address1', 'city', 'state', 'zip'];
+
+// Every booking asks for these, so they cannot be used as intake field names
+const CONTACT_FIELDS = ['patientName', 'email'];
+
+// Longest answers accepted for fields that do not set maxLength
+const DEFAULT_MAX_LENGTH = 200;
+const DEFAULT_TEXTAREA_MAX_LENGTH = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} IntakeField
+ * @property {string} name - Key of the answer in the booking request
+ * @property {string} label - Question shown to the patient
+ * @property {string} type - One of INTAKE_FIELD_TYPES
+ * @property {boolean} [required=false] - Whether the field must be answered; a required checkbox must be ticked
+ * @property {string} [shortLabel] - Label used in the Cerbo appointment note, defaults to label
+ * @property {string} [help] - Hint shown under the field
+ * @property {Array<{value: string, label: string}>} [options] - Choices of a select field
+ * @property {number} [maxLength] - Longest answer accepted for text, textarea, tel and email fields
+ * @property {boolean} [past=false] - Whether a date field has to be today or earlier
+ * @property {string} [chartField] - One of CHART_FIELDS, the answer is copied to it when a new chart is opened
+ */
+
+/**
+ * @typedef {Object} IntakeFormsConfig
+ * @property {{fields: Array<IntakeField>}} defaults - Form shown for every appointment type
+ * @property {Object<string, {fields?: Array<IntakeField>, omit?: Array<string>}>} [appointmentTypes] - Changes by
+ *           appointment type ID: fields are added, replacing a default field with the same name, and omit drops default fields
+ */
+
+/**
+ * @typedef {Object} IntakeValidation
+ * @property {Object<string, string>} fieldErrors - What is wrong with each field, keyed by field name; empty if the form is valid
+ * @property {Object<string, string|boolean>} answers - The answers to the form's fields, trimmed, with checkboxes as booleans
+ */
+
+/**
+ * Validate a list of intake fields
+ * 
+ * @param {any} fields - The fields
+ * @param {string} label - Where the fields are in the config, for error messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateFields(fields, label) {
+  if (!Array.isArray(fields)) {
+    return [`${label}: fields must be an array`];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  fields.forEach((field, index) => {
+    const where = `${label}: field ${field?.name || index}`;
+
+    if (!field || typeof field !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof field.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(field.name)) {
+      errors.push(`${where}: name must be letters and digits, starting with a letter`);
+    } else if (CONTACT_FIELDS.includes(field.name)) {
+      errors.push(`${where}: ${field.name} is always asked for and cannot be configured`);
+    } else if (names.has(field.name)) {
+      errors.push(`${where}: name is used twice`);
+    }
+    names.add(field.name);
+
+    if (typeof field.label !== 'string' || !field.label.trim()) {
+      errors.push(`${where}: label is required`);
+    }
+    if (!INTAKE_FIELD_TYPES.includes(field.type)) {
+      errors.push(`${where}: type must be one of ${INTAKE_FIELD_TYPES.join(', ')}`);
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      errors.push(`${where}: required must be true or false`);
+    }
+    if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0 ||
+      !field.options.every(option => typeof option?.value === 'string' && typeof option?.label === 'string'))) {
+      errors.push(`${where}: a select needs options, each with a value and a label`);
+    }
+    if (field.maxLength !== undefined && (!Number.isInteger(field.maxLength) || field.maxLength <= 0)) {
+      errors.push(`${where}: maxLength must be a positive whole number`);
+    }
+    if (field.chartField !== undefined) {
+      if (!CHART_FIELDS.includes(field.chartField)) {
+        errors.push(`${where}: chartField must be one of ${CHART_FIELDS.join(', ')}`);
+      } else if (field.chartField === 'dob' && field.type !== 'date') {
+        errors.push(`${where}: only a date field can fill in dob`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the intake forms config
+ * 
+ * @param {any} config - Parsed contents of the intake forms file
+ * @returns {Array<string>} Validation errors, empty if the config is valid
+ */
+function validateIntakeFormsConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['intake forms must be an object'];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(config)) {
+    if (!['defaults', 'appointmentTypes'].includes(key)) {
+      errors.push(`unknown section ${key}`);
+    }
+  }
+
+  errors.push(...validateFields(config.defaults?.fields, 'defaults'));
+
+  const appointmentTypes = config.appointmentTypes ?? {};
+  if (typeof appointmentTypes !== 'object' || Array.isArray(appointmentTypes)) {
+    errors.push('appointmentTypes: must be an object keyed by appointment type ID');
+    return errors;
+  }
+
+  for (const [appointmentTypeId, changes] of Object.entries(appointmentTypes)) {
+    const label = `appointmentTypes.${appointmentTypeId}`;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      errors.push(`${label}: must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(changes)) {
+      if (!['fields', 'omit'].includes(key)) {
+        errors.push(`${label}: unknown setting ${key}`);
+      }
+    }
+    if (changes.fields !== undefined) {
+      errors.push(...validateFields(changes.fields, label));
+    }
+    if (changes.omit !== undefined && (!Array.isArray(changes.omit) || !changes.omit.every(name => typeof name === 'string'))) {
+      errors.push(`${label}: omit must be a list of field names`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Work out the form for an appointment type from the config
+ * 
+ * @param {IntakeFormsConfig} config - The intake forms config
+ * @param {number|string} appointmentTypeId - The appointment type
+ * @returns {Array<IntakeField>} The form's fields in order
+ */
+function resolveIntakeForm(config, appointmentTypeId) {
+  const changes = config.appointmentTypes?.[String(appointmentTypeId)] || {};
+  const extraFields = changes.fields || [];
+  const omitted = new Set(changes.omit || []);
+
+  // A field of the appointment type takes the place of the default field with the same name
+  const fields = config.defaults.fields
+    .filter(field => !omitted.has(field.name))
+    .map(field => extraFields.find(extra => extra.name === field.name) || field);
+
+  return [...fields, ...extraFields.filter(extra => !fields.some(field => field.name === extra.name))];
+}
+
+/**
+ * Load and validate the intake forms file
+ * 
+ * @param {string} configPath - Path to the intake forms JSON file
+ * @returns {IntakeFormsConfig} The intake forms config
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+function loadIntakeForms(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const errors = validateIntakeFormsConfig(config);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid intake forms ${configPath}: ${errors.join('; ')}`);
+  }
+
+  return config;
+}
+
+const intakeFormsConfigPath = process.env.INTAKE_FORMS_CONFIG_PATH || DEFAULT_INTAKE_FORMS_CONFIG_PATH;
+let intakeForms = loadIntakeForms(intakeFormsConfigPath);
+logger.info(`Loaded intake forms from ${intakeFormsConfigPath}`);
+
+/**
+ * Reload the intake forms from disk
+ * Keeps the current forms if the file is invalid, so a bad edit never takes booking down
+ * 
+ * @returns {boolean} True if the intake forms were reloaded
+ */
+function reloadIntakeForms() {
+  try {
+    intakeForms = loadIntakeForms(intakeFormsConfigPath);
+    logger.info(`Reloaded intake forms from ${intakeFormsConfigPath}`);
+    return true;
+  } catch (error) {
+    logger.error('Failed to reload intake forms, keeping the previous forms:', error.message);
+    return false;
+  }
+}
+
+// Hot-reload the intake forms when the file changes (unref'd so it never keeps the process alive)
+fs.watchFile(intakeFormsConfigPath, { interval: RELOAD_INTERVAL_MS }, (current, previous) => {
+  if (current.mtimeMs !== previous.mtimeMs) {
+    reloadIntakeForms();
+  }
+}).unref();
+
+/**
+ * Get the intake form for an appointment type
+ * 
+ * @param {number|string} appointmentTypeId - The appointment type
+ * @param {IntakeFormsConfig} [config] - The intake forms config, the configured one by default
+ * @returns {Array<IntakeField>} The form's fields in order
+ */
+function getIntakeForm(appointmentTypeId, config = intakeForms) {
+  return resolveIntakeForm(config, appointmentTypeId);
+}
+
+/**
+ * Check the name and email every booking is made with
+ * 
+ * @param {any} patientName - Name of the patient
+ * @param {any} email - Email of the patient
+ * @returns {Object<string, string>} What is wrong with each, keyed by patientName and email
+ */
+function validateContact(patientName, email) {
+  /** @type {Object<string, string>} */
+  const fieldErrors = {};
+
+  if (typeof patientName !== 'string' || !patientName.trim()) {
+    fieldErrors.patientName = 'Patient name is required';
+  } else if (patientName.trim().length > DEFAULT_MAX_LENGTH) {
+    fieldErrors.patientName = `Patient name must be at most ${DEFAULT_MAX_LENGTH} characters`;
+  }
+
+  if (typeof email !== 'string' || !email.trim()) {
+    fieldErrors.email = 'Email is required';
+  } else if (!EMAIL_PATTERN.test(email.trim())) {
+    fieldErrors.email = 'Please enter a valid email address';
+  }
+
+  return fieldErrors;
+}
+
+/**
+ * Check one answer against its field
+ * 
+ * @param {IntakeField} field - The field
+ * @param {string} value - The trimmed answer, not empty
+ * @returns {string|null} What is wrong with the answer, or null if it is fine
+ */
+function checkAnswer(field, value) {
+  const maxLength = field.maxLength || (field.type === 'textarea' ? DEFAULT_TEXTAREA_MAX_LENGTH : DEFAULT_MAX_LENGTH);
+
+  if (['text', 'textarea', 'tel', 'email'].includes(field.type) && value.length > maxLength) {
+    return `${field.label} must be at most ${maxLength} characters`;
+  }
+
+  switch (field.type) {
+    case 'tel': {
+      // Spaces, dashes, dots and brackets are only formatting
+      const digits = value.replace(/[\s().-]/g, '');
+      return /^\+?\d{7,15}$/.test(digits) ? null : 'Please enter a valid phone number';
+    }
+    case 'email':
+      return EMAIL_PATTERN.test(value) ? null : 'Please enter a valid email address';
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!DATE_PATTERN.test(value) || isNaN(date.getTime()) || !date.toISOString().startsWith(value)) {
+        return `${field.label} must be a date (YYYY-MM-DD)`;
+      }
+      return field.past && date.getTime() > Date.now() ? `${field.label} cannot be in the future` : null;
+    }
+    case 'select':
+      return field.options.some(option => option.value === value) ? null : 'Please choose one of the options';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a patient's answers to an intake form
+ * 
+ * @param {Array<IntakeField>} fields - The form's fields
+ * @param {Object<string, any>} submitted - The answers sent with the booking, keyed by field name; other keys are ignored
+ * @returns {IntakeValidation} The errors and the answers
+ */
+function validateIntake(fields, submitted = {}) {
+  /** @type {Object<string, string>} */
+  const fieldErrors = {};
+  /** @type {Object<string, string|boolean>} */
+  const answers = {};
+
+  for (const field of fields) {
+    const raw = submitted?.[field.name];
+
+    if (field.type === 'checkbox') {
+      const checked = raw === true || raw === 'true';
+      if (field.required && !checked) {
+        fieldErrors[field.name] = 'This must be ticked to book';
+      }
+      answers[field.name] = checked;
+      continue;
+    }
+
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (!value) {
+      if (field.required) {
+        fieldErrors[field.name] = `${field.label} is required`;
+      }
+      continue;
+    }
+
+    const error = checkAnswer(field, value);
+    if (error) {
+      fieldErrors[field.name] = error;
+    } else {
+      answers[field.name] = value;
+    }
+  }
+
+  return { fieldErrors, answers };
+}
+
+/**
+ * Describe the answers for the Cerbo appointment note, one "Label: answer" line per answered field
+ * 
+ * @param {Array<IntakeField>} fields - The form's fields
+ * @param {Object<string, string|boolean>} answers - The answers
+ * @returns {Array<string>} The lines, in the form's order
+ */
+function describeIntake(fields, answers) {
+  return fields
+    .filter(field => answers[field.name] !== undefined && answers[field.name] !== '')
+    .map(field => {
+      const value = answers[field.name];
+      let text = String(value);
+      if (field.type === 'checkbox') {
+        text = value ? 'Yes' : 'No';
+      } else if (field.type === 'select') {
+        text = field.options.find(option => option.value === value)?.label || text;
+      }
+      return `${field.shortLabel || field.label}: ${text}`;
+    });
+}
+
+/**
+ * Get the answers that belong on the patient's chart, keyed by Cerbo chart field
+ * 
+ * @param {Array<IntakeField>} fields - The form's fields
+ * @param {Object<string, string|boolean>} answers - The answers
+ * @returns {Object<string, string>} Chart fields and their values
+ */
+function chartFieldsFromIntake(fields, answers) {
+  return Object.fromEntries(fields
+    .filter(field => field.chartField && typeof answers[field.name] === 'string')
+    .map(field => [field.chartField, String(answers[field.name])]));
+}
+
+export {
+  INTAKE_FIELD_TYPES,
+  CHART_FIELDS,
+  validateIntakeFormsConfig,
+  resolveIntakeForm,
+  reloadIntakeForms,
+  getIntakeForm,
+  validateContact,
+  validateIntake,
+  describeIntake,
+  chartFieldsFromIntake
+};
@@ -0,0 +1,123 @@
+// backend/job_runner.js - Runs the backend's periodic jobs, such as clearing expired sessions and sending reminders
+import logger from '../logger.js';
+
+/**
+ * @typedef {Object} Job
+ * @property {string} name - Name of the job, for the log and status
+ * @property {number} intervalMs - How often the job runs
+ * @property {function(): Promise<any>} run - Does the job's work, resolving with a summary for the log
+ * @property {boolean} [runOnStart=false] - Also run the job as soon as the runner starts
+ */
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} name - Name of the job
+ * @property {boolean} running - Whether the job is running now
+ * @property {string|null} lastStartedAt - ISO datetime string for when the job last started
+ * @property {string|null} lastFinishedAt - ISO datetime string for when the job last finished
+ * @property {string|null} lastOutcome - completed or failed
+ * @property {string|null} lastError - Why the last run failed
+ */
+
+/**
+ * Create a runner for periodic jobs
+ * A run that is still going when the job is next due is not started again, so a slow Cerbo cannot pile up runs,
+ * and a failing run is logged without stopping later ones
+ * 
+ * @param {Array<Job>} jobs - The jobs
+ * @returns {{start: function(): void, stop: function(): void, runJob: function(string): Promise<boolean>, getJobStatus: function(): Array<JobStatus>}} The runner
+ */
+function createJobRunner(jobs) {
+  const names = new Set();
+  for (const job of jobs) {
+    if (names.has(job.name)) {
+      throw new Error(`Job ${job.name} is registered twice`);
+    }
+    names.add(job.name);
+  }
+
+  /** @type {Map<string, JobStatus>} */
+  const statuses = new Map(jobs.map(job => [job.name, {
+    name: job.name,
+    running: false,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    lastOutcome: null,
+    lastError: null
+  }]));
+  let timers = [];
+
+  /**
+   * Run a job now, unless it is already running
+   * 
+   * @param {string} name - Name of the job
+   * @returns {Promise<boolean>} True if the job ran, false if it was already running
+   * @throws {Error} If there is no job with that name
+   */
+  async function runJob(name) {
+    const job = jobs.find(candidate => candidate.name === name);
+    if (!job) {
+      throw new Error(`Unknown job ${name}`);
+    }
+    const status = statuses.get(name);
+    if (status.running) {
+      logger.warn(`Job ${name} is still running from ${status.lastStartedAt}, skipping this run`);
+      return false;
+    }
+
+    status.running = true;
+    status.lastStartedAt = new Date().toISOString();
+    try {
+      const summary = await job.run();
+      status.lastOutcome = 'completed';
+      status.lastError = null;
+      logger.info(`Job ${name} completed`, summary === undefined ? '' : JSON.stringify(summary));
+    } catch (error) {
+      status.lastOutcome = 'failed';
+      status.lastError = error.message;
+      logger.error(`Job ${name} failed:`, error);
+    } finally {
+      status.running = false;
+      status.lastFinishedAt = new Date().toISOString();
+    }
+    return true;
+  }
+
+  /**
+   * Start running every job on its interval
+   * The timers do not keep the process alive on their own
+   */
+  function start() {
+    if (timers.length > 0) {
+      return;
+    }
+    for (const job of jobs) {
+      timers.push(setInterval(() => runJob(job.name), job.intervalMs).unref());
+      if (job.runOnStart) {
+        runJob(job.name);
+      }
+    }
+    logger.info(`Job runner started: ${jobs.map(job => `${job.name} every ${Math.round(job.intervalMs / 60000)} min`).join(', ')}`);
+  }
+
+  /**
+   * Stop running jobs on their intervals; runs already going are left to finish
+   */
+  function stop() {
+    timers.forEach(timer => clearInterval(timer));
+    timers = [];
+  }
+
+  /**
+   * @returns {Array<JobStatus>} The state of every job
+   */
+  function getJobStatus() {
+    return [...statuses.values()].map(status => ({ ...status }));
+  }
+
+  return { start, stop, runJob, getJobStatus };
+}
+
+export {
+  createJobRunner
+};
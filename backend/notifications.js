@@ -0,0 +1,278 @@
+// backend/notifications.js - Emails patients when their appointment is booked, moved or cancelled, and waitlist offers
+import logger from '../logger.js';
+import { createEmailTransport } from './email_transports.js';
+import { getClinicDetails, renderBookingEmail, renderWaitlistOfferEmail } from './email_templates.js';
+import { buildCalendarInvite } from './calendar_invite.js';
+
+// Defaults, each can be overridden with the environment variable named alongside
+const DEFAULT_MAX_ATTEMPTS = 5; // EMAIL_MAX_ATTEMPTS
+const DEFAULT_RETRY_BASE_MS = 30000; // EMAIL_RETRY_BASE_MS
+
+/**
+ * @typedef {import('./email_templates.js').BookingEmailDetails & {sequence: number}} BookingNotification
+ * The booking as the patient should now see it, with the revision of its calendar invite
+ */
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {boolean} sent - Whether the email was handed to the transport
+ * @property {number} attempts - How many times sending was tried
+ * @property {string} [messageId] - ID the transport gave the email
+ * @property {string} [error] - Why the email was not sent
+ */
+
+/**
+ * Read a positive number from the environment
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when the variable is unset or invalid
+ * @returns {number} The number
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Build the email for a booking event, with its calendar invite attached
+ * Reminders leave the invite out, the patient's calendar already has the appointment
+ * 
+ * @param {string} event - booked, rescheduled, cancelled or reminder
+ * @param {BookingNotification} booking - The booking
+ * @param {import('./email_templates.js').ClinicDetails} clinic - The clinic sending it
+ * @returns {import('./email_transports.js').EmailMessage} The email
+ */
+function buildBookingMessage(event, booking, clinic) {
+  const email = renderBookingEmail(event, booking, clinic);
+  const from = { name: clinic.name, email: clinic.email };
+  const to = { name: booking.patientName, email: booking.email };
+  if (event === 'reminder') {
+    return { from, to, ...email };
+  }
+
+  const cancelled = event === 'cancelled';
+  const invite = buildCalendarInvite({
+    appointmentId: booking.appointmentId,
+    sequence: booking.sequence,
+    status: cancelled ? 'cancelled' : 'confirmed',
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    occurrences: booking.occurrences,
+    summary: `${booking.appointmentTypeName} at ${clinic.name}`,
+    description: [
+      booking.providerName ? `With ${booking.providerName}` : null,
+      !cancelled && booking.manageToken ? `Change or cancel: ${clinic.publicBaseUrl}/manage/${booking.manageToken}` : null,
+      clinic.phone ? `Phone: ${clinic.phone}` : null
+    ].filter(Boolean).join('\n'),
+    location: clinic.address || clinic.name,
+    organizer: { name: clinic.name, email: clinic.email },
+    attendee: { name: booking.patientName, email: booking.email },
+    uidDomain: clinic.email.split('@')[1] || 'physiospa'
+  });
+
+  return {
+    from,
+    to,
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+    attachments: [{
+      filename: cancelled ? 'cancellation.ics' : 'invite.ics',
+      contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`,
+      content: invite
+    }]
+  };
+}
+
+/**
+ * Build the email offering a patient on the waitlist a time that has opened up
+ * 
+ * @param {import('./email_templates.js').WaitlistOfferEmailDetails} offer - The offer
+ * @param {import('./email_templates.js').ClinicDetails} clinic - The clinic sending it
+ * @returns {import('./email_transports.js').EmailMessage} The email
+ */
+function buildWaitlistOfferMessage(offer, clinic) {
+  return {
+    from: { name: clinic.name, email: clinic.email },
+    to: { name: offer.patientName, email: offer.email },
+    ...renderWaitlistOfferEmail(offer, clinic)
+  };
+}
+
+/**
+ * Create a notifier, which sends booking emails in the background and retries them when sending fails
+ * Options default to the EMAIL_* environment variables, tests pass their own
+ * 
+ * @param {Object} [options] - Notifier options
+ * @param {import('./email_transports.js').EmailTransport} [options.transport] - How emails are sent, defaults to EMAIL_TRANSPORT
+ * @param {number} [options.maxAttempts] - Attempts at each email before giving up
+ * @param {number} [options.retryBaseMs] - Wait before the first retry, doubled for each one after
+ * @param {function(number): Promise<void>} [options.sleep] - Waits for a number of milliseconds
+ * @param {function(): import('./email_templates.js').ClinicDetails} [options.clinic] - Returns the clinic's details
+ * @returns {{notify: function(string, BookingNotification): Promise<DeliveryResult>, notifyWaitlistOffer: function(import('./email_templates.js').WaitlistOfferEmailDetails): Promise<DeliveryResult>, settled: function(): Promise<void>, transport: import('./email_transports.js').EmailTransport}} The notifier
+ */
+function createNotifier(options = {}) {
+  const transport = options.transport || createEmailTransport();
+  const maxAttempts = options.maxAttempts ?? numberFromEnv('EMAIL_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+  const retryBaseMs = options.retryBaseMs ?? numberFromEnv('EMAIL_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  // Waiting to retry an email must not keep the process alive on its own
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms).unref()));
+  const clinic = options.clinic || getClinicDetails;
+
+  /** @type {Set<Promise<DeliveryResult>>} */
+  const pending = new Set();
+
+  /**
+   * Send an email, retrying with backoff until it is sent, it is refused for good or the attempts run out
+   * 
+   * @param {import('./email_transports.js').EmailMessage} message - The email
+   * @param {string} description - What the email is, for the log
+   * @returns {Promise<DeliveryResult>} What happened, never rejects
+   */
+  async function deliver(message, description) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { messageId } = await transport.send(message);
+        logger.info(`Sent ${description} with the ${transport.name} transport (attempt ${attempt})`);
+        return { sent: true, attempts: attempt, messageId };
+      } catch (error) {
+        if (error.permanent || attempt >= maxAttempts) {
+          logger.error(`Giving up on ${description} after ${attempt} attempt(s):`, error.message);
+          return { sent: false, attempts: attempt, error: error.message };
+        }
+        const delay = retryBaseMs * 2 ** (attempt - 1);
+        logger.warn(`Could not send ${description} (attempt ${attempt} of ${maxAttempts}), retrying in ${delay}ms:`, error.message);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Email the patient about a booking event
+   * The email is sent in the background; the returned promise is for callers that want to know how it went
+   * 
+   * @param {string} event - booked, rescheduled or cancelled
+   * @param {BookingNotification} booking - The booking
+   * @returns {Promise<DeliveryResult>} What happened, never rejects
+   */
+  function notify(event, booking) {
+    return send(`${event} email for appointment ${booking.appointmentId}`, () => buildBookingMessage(event, booking, clinic()));
+  }
+
+  /**
+   * Email a patient on the waitlist the offer of a time that has opened up, in the background like notify
+   * 
+   * @param {import('./email_templates.js').WaitlistOfferEmailDetails} offer - The offer
+   * @returns {Promise<DeliveryResult>} What happened, never rejects
+   */
+  function notifyWaitlistOffer(offer) {
+    return send(`waitlist offer email for ${offer.startTime}`, () => buildWaitlistOfferMessage(offer, clinic()));
+  }
+
+  /**
+   * Build an email and start delivering it, keeping track of it until it is sent or given up on
+   * 
+   * @param {string} description - What the email is, for the log
+   * @param {function(): import('./email_transports.js').EmailMessage} build - Builds the email
+   * @returns {Promise<DeliveryResult>} What happened, never rejects
+   */
+  function send(description, build) {
+    let message;
+    try {
+      message = build();
+    } catch (error) {
+      logger.error(`Could not prepare ${description}:`, error);
+      return Promise.resolve({ sent: false, attempts: 0, error: error.message });
+    }
+
+    const delivery = deliver(message, description).finally(() => pending.delete(delivery));
+    pending.add(delivery);
+    return delivery;
+  }
+
+  /**
+   * Wait for every email being sent or retried to finish
+   * 
+   * @returns {Promise<void>} Resolves once nothing is pending
+   */
+  async function settled() {
+    while (pending.size > 0) {
+      await Promise.all([...pending]);
+    }
+  }
+
+  return { notify, notifyWaitlistOffer, settled, transport };
+}
+
+/** @type {ReturnType<typeof createNotifier>|null} */
+let notifier = null;
+
+/**
+ * Replace the notifier used for booking emails, e.g. to send with a different transport
+ * 
+ * @param {Parameters<typeof createNotifier>[0]} [options] - Notifier options
+ * @returns {ReturnType<typeof createNotifier>} The new notifier
+ */
+function configureNotifications(options) {
+  notifier = createNotifier(options);
+  return notifier;
+}
+
+/**
+ * Email the patient about a booking event with the configured notifier
+ * A misconfigured transport is logged rather than thrown, so it can never fail the booking that triggered it
+ * 
+ * @param {string} event - booked, rescheduled or cancelled
+ * @param {BookingNotification} booking - The booking
+ * @returns {Promise<DeliveryResult>} What happened, never rejects
+ */
+function notifyBooking(event, booking) {
+  try {
+    if (!notifier) {
+      notifier = createNotifier();
+    }
+  } catch (error) {
+    logger.error(`Could not set up email notifications, ${event} email for appointment ${booking.appointmentId} not sent:`, error.message);
+    return Promise.resolve({ sent: false, attempts: 0, error: error.message });
+  }
+  return notifier.notify(event, booking);
+}
+
+/**
+ * Email a patient on the waitlist the offer of a time with the configured notifier
+ * 
+ * @param {import('./email_templates.js').WaitlistOfferEmailDetails} offer - The offer
+ * @returns {Promise<DeliveryResult>} What happened, never rejects
+ */
+function notifyWaitlistOffer(offer) {
+  try {
+    if (!notifier) {
+      notifier = createNotifier();
+    }
+  } catch (error) {
+    logger.error(`Could not set up email notifications, waitlist offer email for ${offer.startTime} not sent:`, error.message);
+    return Promise.resolve({ sent: false, attempts: 0, error: error.message });
+  }
+  return notifier.notifyWaitlistOffer(offer);
+}
+
+/**
+ * Wait for the configured notifier's emails to be sent or given up on
+ * 
+ * @returns {Promise<void>} Resolves once nothing is pending
+ */
+async function notificationsSettled() {
+  if (notifier) {
+    await notifier.settled();
+  }
+}
+
+export {
+  buildBookingMessage,
+  buildWaitlistOfferMessage,
+  createNotifier,
+  configureNotifications,
+  notifyBooking,
+  notifyWaitlistOffer,
+  notificationsSettled
+};
@@ -0,0 +1,170 @@
+// backend/patients.js - Finds or creates the Cerbo chart an online booking belongs to
+import { searchPatients, createPatient } from '../cerbo_api.js';
+import logger from '../logger.js';
+
+// What happens when more than one chart could be the patient's:
+// review books without a chart and asks the front desk to link it, create opens a new chart, reject turns the booking away
+const PATIENT_MATCH_POLICIES = ['review', 'create', 'reject'];
+
+// Policy used when PATIENT_MATCH_POLICY is not set
+const DEFAULT_PATIENT_MATCH_POLICY = 'review';
+
+/**
+ * @typedef {Object} PatientDetails
+ * @property {string} patientName - Name the patient booked under
+ * @property {string} email - Email the patient booked with
+ * @property {string} [dateOfBirth] - Date of birth in YYYY-MM-DD format, if the patient gave it
+ * @property {Object<string, string>} [chartFields] - Other details for a new chart, keyed by Cerbo chart field (e.g. phone_mobile)
+ */
+
+/**
+ * @typedef {Object} PatientMatch
+ * @property {string} outcome - matched (an existing chart), new (a chart is to be created), review or rejected
+ * @property {number|string|null} patientId - ID of the matched chart, null until a new chart is created
+ * @property {Array<number|string>} candidateIds - Charts that could also be the patient's, when the match was ambiguous
+ */
+
+let warnedPolicy = null;
+
+/**
+ * Get the policy for ambiguous matches from PATIENT_MATCH_POLICY, falling back to the default when it is unset or unknown
+ * 
+ * @returns {string} review, create or reject
+ */
+function getPatientMatchPolicy() {
+  const policy = process.env.PATIENT_MATCH_POLICY;
+  if (!policy) {
+    return DEFAULT_PATIENT_MATCH_POLICY;
+  }
+  if (PATIENT_MATCH_POLICIES.includes(policy)) {
+    return policy;
+  }
+  if (warnedPolicy !== policy) {
+    logger.warn(`PATIENT_MATCH_POLICY ${policy} is not one of ${PATIENT_MATCH_POLICIES.join(', ')}, using ${DEFAULT_PATIENT_MATCH_POLICY}`);
+    warnedPolicy = policy;
+  }
+  return DEFAULT_PATIENT_MATCH_POLICY;
+}
+
+/**
+ * Split the name a patient booked under into first and last name
+ * The last word is the last name, so "Mary Ann Smith" is Mary Ann, Smith
+ * 
+ * @param {string} patientName - The name
+ * @returns {{firstName: string, lastName: string}} The first and last name, the last name empty for a single word
+ */
+function splitPatientName(patientName) {
+  const words = String(patientName).trim().split(/\s+/).filter(Boolean);
+  if (words.length < 2) {
+    return { firstName: words[0] || '', lastName: '' };
+  }
+  return { firstName: words.slice(0, -1).join(' '), lastName: words[words.length - 1] };
+}
+
+/**
+ * Normalise a name or email for comparison
+ * 
+ * @param {string|null|undefined} value - The value
+ * @returns {string} Lower-case with single spaces
+ */
+function normalise(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Decide which of the charts Cerbo found is the patient's
+ * A chart is the patient's when it has their name and either their email or their date of birth.
+ * Charts with a different date of birth are never theirs. Any other chart with their name or email
+ * makes the match ambiguous, and the policy decides what happens
+ * 
+ * @param {Array<import('../cerbo_api.js').Patient>} candidates - Charts found by searching for the patient
+ * @param {PatientDetails} details - Who is booking
+ * @param {string} [policy] - Policy for ambiguous matches, defaults to the configured one
+ * @returns {PatientMatch} The match
+ */
+function matchPatient(candidates, details, policy = getPatientMatchPolicy()) {
+  const name = normalise(details.patientName);
+  const email = normalise(details.email);
+  const dateOfBirth = details.dateOfBirth || null;
+
+  const possible = candidates.filter(patient => !dateOfBirth || !patient.dob || patient.dob === dateOfBirth);
+  const hasName = patient => normalise(`${patient.first_name} ${patient.last_name}`) === name;
+  const hasEmail = patient => normalise(patient.email) === email;
+
+  const confirmed = possible.filter(patient => hasName(patient) && (hasEmail(patient) || (dateOfBirth && patient.dob === dateOfBirth)));
+  if (confirmed.length === 1) {
+    return { outcome: 'matched', patientId: confirmed[0].id, candidateIds: [] };
+  }
+
+  const similar = confirmed.length > 1 ? confirmed : possible.filter(patient => hasName(patient) || hasEmail(patient));
+  if (similar.length === 0) {
+    return { outcome: 'new', patientId: null, candidateIds: [] };
+  }
+
+  const candidateIds = similar.map(patient => patient.id);
+  const outcome = { review: 'review', create: 'new', reject: 'rejected' }[policy] || 'review';
+  logger.info(`Patient match for booking is ambiguous between charts ${candidateIds.join(', ')}, policy ${policy}`);
+  return { outcome, patientId: null, candidateIds };
+}
+
+/**
+ * Search Cerbo for the patient's chart, by email and by name
+ * A single-word name is not searched for on its own, it would find too many charts
+ * 
+ * @param {PatientDetails} details - Who is booking
+ * @param {string} [policy] - Policy for ambiguous matches, defaults to the configured one
+ * @returns {Promise<PatientMatch>} The match
+ * @throws {CerboError} If a search fails
+ */
+async function findPatient(details, policy = getPatientMatchPolicy()) {
+  const { firstName, lastName } = splitPatientName(details.patientName);
+
+  const [byEmail, byName] = await Promise.all([
+    searchPatients({ email: details.email }),
+    lastName ? searchPatients({ firstName, lastName }) : Promise.resolve({ patients: [] })
+  ]);
+
+  // A chart found by both searches is one candidate
+  const candidates = new Map();
+  for (const patient of [...byEmail.patients, ...byName.patients]) {
+    candidates.set(String(patient.id), patient);
+  }
+
+  return matchPatient([...candidates.values()], details, policy);
+}
+
+/**
+ * Open a new chart for the patient
+ * 
+ * @param {PatientDetails} details - Who is booking
+ * @returns {Promise<number|string>} ID of the new chart
+ * @throws {CerboError} If Cerbo does not create the chart
+ */
+async function createPatientChart(details) {
+  const { firstName, lastName } = splitPatientName(details.patientName);
+
+  const patient = await createPatient({
+    ...details.chartFields,
+    first_name: firstName,
+    last_name: lastName,
+    email1: details.email,
+    ...(details.dateOfBirth ? { dob: details.dateOfBirth } : {})
+  });
+
+  if (!patient?.id) {
+    throw new Error('Cerbo did not return the new patient chart');
+  }
+
+  logger.info(`Created patient chart ${patient.id} for online booking`);
+  return patient.id;
+}
+
+export {
+  PATIENT_MATCH_POLICIES,
+  DEFAULT_PATIENT_MATCH_POLICY,
+  getPatientMatchPolicy,
+  splitPatientName,
+  matchPatient,
+  findPatient,
+  createPatientChart
+};
@@ -0,0 +1,111 @@
+// backend/providers.js - Registry of providers that accept online bookings
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location of the provider registry, can be overridden with PROVIDERS_CONFIG_PATH
+const DEFAULT_PROVIDERS_CONFIG_PATH = path.join(__dirname, '..', 'config', 'providers.json');
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {number|string} id - The Cerbo provider (user) ID
+ * @property {string} displayName - Name shown to patients
+ * @property {Array<number|string>} appointmentTypeIds - Appointment types this provider offers
+ */
+
+// Model for a provider that can be booked online
+class PhysioSpaProvider {
+  /**
+   * Create a PhysioSpa provider
+   *
+   * @param {number} id - The Cerbo provider ID
+   * @param {string} displayName - Name shown to patients
+   * @param {Array<number>} appointmentTypeIds - IDs of the appointment types this provider offers
+   */
+  constructor(id, displayName, appointmentTypeIds) {
+    this.id = id;
+    this.displayName = displayName;
+    this.appointmentTypeIds = appointmentTypeIds;
+  }
+
+  /**
+   * Check if this provider offers an appointment type
+   * @param {number|string} appointmentTypeId - The appointment type ID to check
+   * @returns {boolean} True if the provider offers the appointment type
+   */
+  offers(appointmentTypeId) {
+    return this.appointmentTypeIds.some(id => String(id) === String(appointmentTypeId));
+  }
+}
+
+/**
+ * Load the provider registry from the JSON config file
+ * 
+ * @param {string} configPath - Path to the providers JSON file
+ * @returns {Array<PhysioSpaProvider>} The configured providers
+ * @throws {Error} If the file cannot be read or an entry is invalid
+ */
+function loadProviders(configPath) {
+  /** @type {Array<ProviderConfig>} */
+  const entries = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`Provider config ${configPath} must contain an array`);
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.id || !entry.displayName || !Array.isArray(entry.appointmentTypeIds)) {
+      throw new Error(`Provider config entry ${index} requires id, displayName and appointmentTypeIds`);
+    }
+    return new PhysioSpaProvider(
+      Number(entry.id),
+      entry.displayName,
+      entry.appointmentTypeIds.map(Number)
+    );
+  });
+}
+
+const providersConfigPath = process.env.PROVIDERS_CONFIG_PATH || DEFAULT_PROVIDERS_CONFIG_PATH;
+const providers = loadProviders(providersConfigPath);
+logger.info(`Loaded ${providers.length} provider(s) from ${providersConfigPath}`);
+
+/**
+ * Get all providers that accept online bookings, in registry order
+ * 
+ * @returns {Array<PhysioSpaProvider>} The registered providers
+ */
+function listProviders() {
+  return [...providers];
+}
+
+/**
+ * Find a provider by ID
+ * 
+ * @param {number|string} providerId - The provider ID to look up
+ * @returns {PhysioSpaProvider|undefined} The matching provider or undefined
+ */
+function findProviderById(providerId) {
+  return providers.find(provider => String(provider.id) === String(providerId));
+}
+
+/**
+ * Get the providers that offer an appointment type, in registry order
+ * 
+ * @param {number|string} appointmentTypeId - The appointment type ID
+ * @returns {Array<PhysioSpaProvider>} Providers offering the appointment type
+ */
+function getProvidersForAppointmentType(appointmentTypeId) {
+  return providers.filter(provider => provider.offers(appointmentTypeId));
+}
+
+export {
+  PhysioSpaProvider,
+  loadProviders,
+  listProviders,
+  findProviderById,
+  getProvidersForAppointmentType
+};
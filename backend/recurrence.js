@@ -0,0 +1,98 @@
+// backend/recurrence.js - How a recurring series of appointments repeats, and when each of its visits is
+import { getClinicTimeZone, getWallTime, fromWallTime, toClinicDate } from '../clinic_time.js';
+
+// Days between visits for each frequency a series can repeat at
+const RECURRENCE_INTERVAL_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+// Most visits a series booked online can have, including the first
+const MAX_SERIES_OCCURRENCES = 12;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} frequency - weekly or biweekly
+ * @property {number} [count] - Number of visits, including the first
+ * @property {string} [until] - Last day at the clinic a visit may be on, "YYYY-MM-DD". Either count or until is given
+ */
+
+/**
+ * List the start times of a series' visits
+ * Each visit is at the same time on the clinic's clocks as the first, even when the clocks change in between
+ * 
+ * @param {string} firstStartTime - ISO datetime string for the start of the first visit
+ * @param {Recurrence} recurrence - How the series repeats
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Stop after this many visits, defaults to one more than a series may have
+ * @param {string} [options.timeZone] - IANA time zone of the clinic
+ * @returns {Array<string>} ISO datetime strings, the first visit first
+ */
+function listOccurrenceStarts(firstStartTime, recurrence, options = {}) {
+  const { limit = MAX_SERIES_OCCURRENCES + 1, timeZone = getClinicTimeZone() } = options;
+  const intervalDays = RECURRENCE_INTERVAL_DAYS[recurrence.frequency];
+  const first = getWallTime(new Date(firstStartTime), timeZone);
+  const count = recurrence.count ? Math.min(recurrence.count, limit) : limit;
+
+  const startTimes = [];
+  for (let index = 0; index < count; index++) {
+    const startTime = fromWallTime({ ...first, day: first.day + index * intervalDays }, timeZone);
+    if (recurrence.until && toClinicDate(startTime, timeZone) > recurrence.until) {
+      break;
+    }
+    startTimes.push(startTime.toISOString());
+  }
+  return startTimes;
+}
+
+/**
+ * Check how a patient asked for a series to repeat and list its visits
+ * 
+ * @param {Object} recurrence - The recurrence as sent by the patient
+ * @param {string} firstStartTime - ISO datetime string for the start of the first visit
+ * @param {string} [timeZone] - IANA time zone of the clinic
+ * @returns {{error: string|null, startTimes: Array<string>}} What is wrong with the recurrence, or the visits' start times
+ */
+function validateRecurrence(recurrence, firstStartTime, timeZone = getClinicTimeZone()) {
+  const invalid = (/** @type {string} */ error) => ({ error, startTimes: [] });
+
+  if (!recurrence || typeof recurrence !== 'object' || !RECURRENCE_INTERVAL_DAYS[recurrence.frequency]) {
+    return invalid('Choose whether the appointment repeats weekly or every two weeks');
+  }
+
+  const hasCount = recurrence.count !== undefined && recurrence.count !== null && recurrence.count !== '';
+  const hasUntil = Boolean(recurrence.until);
+  if (hasCount === hasUntil) {
+    return invalid('Give either the number of visits or the date of the last one');
+  }
+
+  if (hasCount) {
+    const count = Number(recurrence.count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+      return invalid(`A series has between 2 and ${MAX_SERIES_OCCURRENCES} visits`);
+    }
+    return { error: null, startTimes: listOccurrenceStarts(firstStartTime, { frequency: recurrence.frequency, count }, { timeZone }) };
+  }
+
+  if (typeof recurrence.until !== 'string' || !DATE_PATTERN.test(recurrence.until)) {
+    return invalid('The date of the last visit must be given as YYYY-MM-DD');
+  }
+
+  const startTimes = listOccurrenceStarts(firstStartTime, { frequency: recurrence.frequency, until: recurrence.until }, { timeZone });
+  if (startTimes.length < 2) {
+    return invalid('The last visit must be at least one repeat after the first');
+  }
+  if (startTimes.length > MAX_SERIES_OCCURRENCES) {
+    return invalid(`A series has at most ${MAX_SERIES_OCCURRENCES} visits, choose an earlier date for the last one`);
+  }
+  return { error: null, startTimes };
+}
+
+export {
+  RECURRENCE_INTERVAL_DAYS,
+  MAX_SERIES_OCCURRENCES,
+  listOccurrenceStarts,
+  validateRecurrence
+};
@@ -0,0 +1,325 @@
+// backend/reminders.js - Reminds patients of their upcoming appointments by email and text message
+import { getAllAppointments } from '../cerbo_api.js';
+import logger from '../logger.js';
+import { listProviders, findProviderById } from './providers.js';
+import { findAppointmentTypeById } from './appointment_types.js';
+import { getBookingRecord } from './booking_records.js';
+import { createBookingToken } from './booking_tokens.js';
+import { getIntakeForm, chartFieldsFromIntake } from './intake_forms.js';
+import { createStore } from './store.js';
+import { createEmailTransport } from './email_transports.js';
+import { createSmsTransport, toE164 } from './sms_transports.js';
+import { getClinicDetails, describeAppointmentTime } from './email_templates.js';
+import { buildBookingMessage } from './notifications.js';
+
+// When reminders go out before an appointment, unless REMINDER_OFFSETS says otherwise
+const DEFAULT_REMINDER_OFFSETS = '48h,2h';
+
+// How reminders are sent unless REMINDER_CHANNELS says otherwise ("none" turns them off)
+const DEFAULT_REMINDER_CHANNELS = ['email'];
+
+const REMINDER_CHANNELS = ['email', 'sms'];
+
+// How often upcoming appointments are checked unless REMINDER_SCAN_INTERVAL_MINUTES says otherwise
+const DEFAULT_SCAN_INTERVAL_MINUTES = 15;
+
+// Intake answer in which the patient says whether they want reminders (config/intake_forms.json)
+const REMINDER_CONSENT_FIELD = 'consentToReminders';
+
+// Records of sent reminders are dropped this long after the appointment starts
+const SENT_REMINDER_RETENTION_MS = 2 * 24 * 60 * 60000;
+
+const DURATION_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * @typedef {Object} SentReminder
+ * @property {string} status - sending while being sent, sent once it was, failed if it can never be sent
+ * @property {string} startTime - ISO datetime string for the start of the appointment it reminds of
+ * @property {string} [sentAt] - ISO datetime string for when it was sent
+ * @property {string} [error] - Why it can never be sent
+ */
+
+/**
+ * @typedef {Object} ReminderSummary
+ * @property {number} due - Appointments with a reminder due
+ * @property {number} sent - Reminders sent
+ * @property {number} failed - Reminders that could not be sent
+ * @property {number} alreadySent - Reminders sent by an earlier run, or being sent by another replica
+ * @property {number} skipped - Reminders with nowhere to go, such as a text message to a patient without a phone number
+ */
+
+// Reminders sent, keyed by appointment, start time, offset and channel, so a restart or another replica never sends one twice
+const sentReminderStore = createStore('reminders');
+
+/**
+ * Parse the reminder offsets, e.g. "48h,2h" or "1d, 90m"
+ * 
+ * @param {string} value - Comma-separated durations, each a whole number of minutes (m), hours (h) or days (d)
+ * @returns {Array<number>|null} The offsets in minutes, longest first, or null if any of them is invalid
+ */
+function parseReminderOffsets(value) {
+  const offsets = new Set();
+  for (const entry of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = /^(\d+)\s*([mhd])$/i.exec(entry);
+    if (!match || Number(match[1]) === 0) {
+      return null;
+    }
+    offsets.add(Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+  }
+  return offsets.size > 0 ? [...offsets].sort((a, b) => b - a) : null;
+}
+
+let warnedOffsets = null;
+let warnedChannels = null;
+
+/**
+ * Get the reminder offsets from REMINDER_OFFSETS, falling back to the default when it is unset or invalid
+ * 
+ * @returns {Array<number>} The offsets in minutes, longest first
+ */
+function getReminderOffsets() {
+  const value = process.env.REMINDER_OFFSETS;
+  const offsets = value ? parseReminderOffsets(value) : null;
+  if (value && !offsets && warnedOffsets !== value) {
+    logger.warn(`REMINDER_OFFSETS ${value} is not a list of durations such as 48h,2h, using ${DEFAULT_REMINDER_OFFSETS}`);
+    warnedOffsets = value;
+  }
+  return offsets || parseReminderOffsets(DEFAULT_REMINDER_OFFSETS);
+}
+
+/**
+ * Get the channels reminders are sent on from REMINDER_CHANNELS, leaving out any that are unknown
+ * 
+ * @returns {Array<string>} email and/or sms, empty when reminders are turned off
+ */
+function getReminderChannels() {
+  const value = process.env.REMINDER_CHANNELS;
+  if (!value) {
+    return DEFAULT_REMINDER_CHANNELS;
+  }
+  if (value.trim() === 'none') {
+    return [];
+  }
+  const channels = [...new Set(value.split(',').map(part => part.trim()).filter(Boolean))];
+  const unknown = channels.filter(channel => !REMINDER_CHANNELS.includes(channel));
+  if (unknown.length > 0 && warnedChannels !== value) {
+    logger.warn(`REMINDER_CHANNELS ${unknown.join(', ')} not known, reminders are sent by ${REMINDER_CHANNELS.join(' or ')}`);
+    warnedChannels = value;
+  }
+  return channels.filter(channel => REMINDER_CHANNELS.includes(channel));
+}
+
+/**
+ * Choose which reminder, if any, is due for an appointment
+ * A reminder is due once its time has come, unless the appointment was booked or moved after that time
+ * (the patient was just emailed about it). When several are due, e.g. after the server was down, only the
+ * one nearest the appointment is chosen, so a patient is never sent two reminders at once
+ * 
+ * @param {number} start - Start of the appointment in milliseconds
+ * @param {number} scheduledAt - When the appointment was booked or last moved, in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @param {Array<number>} offsets - Reminder offsets in minutes
+ * @returns {number|null} Offset of the due reminder in minutes, or null
+ */
+function pickDueReminder(start, scheduledAt, now, offsets) {
+  if (start <= now) {
+    return null;
+  }
+  const due = offsets.filter(offset => {
+    const sendAt = start - offset * 60000;
+    return sendAt <= now && sendAt >= scheduledAt;
+  });
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+/**
+ * Text of a reminder sent by text message
+ * 
+ * @param {import('./email_templates.js').BookingEmailDetails} booking - The booking
+ * @param {import('./email_templates.js').ClinicDetails} clinic - The clinic
+ * @returns {string} The text
+ */
+function renderReminderText(booking, clinic) {
+  return [
+    `${clinic.name}: a reminder of your ${booking.appointmentTypeName} appointment on ${describeAppointmentTime(booking.startTime, booking.endTime, clinic.timeZone)}.`,
+    `To change or cancel: ${clinic.publicBaseUrl}/manage/${booking.manageToken}`
+  ].join(' ');
+}
+
+/**
+ * Send one reminder on one channel, unless it has been sent already
+ * The reminder is claimed in the store before it is sent, so of several replicas only one sends it.
+ * A failed send gives up the claim so the next run tries again, unless the failure is permanent
+ * 
+ * @param {Object} reminder - The reminder
+ * @param {string} reminder.key - Key of the reminder in the store
+ * @param {string} reminder.channel - email or sms
+ * @param {string} reminder.startTime - ISO datetime string for the start of the appointment
+ * @param {function(): Promise<{messageId: string}>} reminder.send - Sends it
+ * @param {import('./store.js').Store} store - Where sent reminders are recorded
+ * @returns {Promise<string>} sent, failed or alreadySent
+ */
+async function sendReminder({ key, channel, startTime, send }, store) {
+  if (!(await store.add(key, { status: 'sending', startTime }))) {
+    return 'alreadySent';
+  }
+
+  try {
+    await send();
+    await store.set(key, { status: 'sent', startTime, sentAt: new Date().toISOString() });
+    logger.info(`Sent ${channel} reminder ${key}`);
+    return 'sent';
+  } catch (error) {
+    if (error.permanent) {
+      await store.set(key, { status: 'failed', startTime, error: error.message });
+      logger.error(`Could not send ${channel} reminder ${key}, not trying again:`, error.message);
+    } else {
+      await store.delete(key);
+      logger.warn(`Could not send ${channel} reminder ${key}, trying again on the next run:`, error.message);
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Send the reminders that are due for upcoming appointments
+ * Appointments come from Cerbo, so a time changed by the front desk is what the patient is reminded of;
+ * only bookings made online are reminded, as only they have the patient's email
+ * 
+ * @param {Object} [options] - Options, defaulting to the REMINDER_* settings
+ * @param {Date} [options.now] - Current time
+ * @param {Array<number>} [options.offsets] - Reminder offsets in minutes
+ * @param {Array<string>} [options.channels] - Channels to send on
+ * @param {{email?: import('./email_transports.js').EmailTransport, sms?: import('./sms_transports.js').SmsTransport}} [options.transports] - How reminders are sent, created from EMAIL_TRANSPORT and SMS_TRANSPORT when first needed
+ * @param {import('./store.js').Store} [options.store] - Where sent reminders are recorded
+ * @returns {Promise<ReminderSummary>} What was sent
+ */
+async function sendDueReminders(options = {}) {
+  const now = options.now || new Date();
+  const offsets = options.offsets || getReminderOffsets();
+  const channels = options.channels || getReminderChannels();
+  const transports = { ...options.transports };
+  const store = options.store || sentReminderStore;
+  const summary = { due: 0, sent: 0, failed: 0, alreadySent: 0, skipped: 0 };
+
+  if (channels.length === 0) {
+    return summary;
+  }
+
+  const transport = (channel) => {
+    if (!transports[channel]) {
+      transports[channel] = channel === 'sms' ? createSmsTransport() : createEmailTransport();
+    }
+    return transports[channel];
+  };
+
+  const clinic = getClinicDetails();
+  const horizon = new Date(now.getTime() + Math.max(...offsets) * 60000);
+  const seen = new Set();
+
+  for (const provider of listProviders()) {
+    const { appointments } = await getAllAppointments(provider.id, now, horizon);
+
+    for (const appointment of appointments) {
+      if (seen.has(String(appointment.id)) || appointment.appointment_status?.toLowerCase() === 'cancelled') {
+        continue;
+      }
+      seen.add(String(appointment.id));
+
+      // Buffers and appointments booked in Cerbo have no booking record
+      const record = await getBookingRecord(appointment.id);
+      if (!record || record.status !== 'confirmed' || record.intake?.[REMINDER_CONSENT_FIELD] === false) {
+        continue;
+      }
+
+      const startTime = appointment.start_date_time.toISOString();
+      const endTime = appointment.end_date_time.toISOString();
+      const offset = pickDueReminder(
+        appointment.start_date_time.getTime(),
+        Date.parse(record.rescheduledAt || record.createdAt),
+        now.getTime(),
+        offsets
+      );
+      if (offset === null) {
+        continue;
+      }
+      summary.due++;
+
+      const booking = {
+        appointmentId: appointment.id,
+        patientName: record.patientName,
+        email: record.email,
+        appointmentTypeName: findAppointmentTypeById(record.appointmentTypeId)?.displayName || appointment.appointment_type_internal_name,
+        providerName: findProviderById(appointment.associated_providers?.[0]?.id ?? record.providerId)?.displayName,
+        startTime,
+        endTime,
+        manageToken: createBookingToken(appointment.id, endTime),
+        sequence: record.inviteSequence ?? 0
+      };
+
+      for (const channel of channels) {
+        const key = `${appointment.id}:${startTime}:${offset}m:${channel}`;
+        let send;
+        if (channel === 'sms') {
+          const phone = toE164(chartFieldsFromIntake(getIntakeForm(record.appointmentTypeId), record.intake || {}).phone_mobile);
+          if (!phone) {
+            summary.skipped++;
+            continue;
+          }
+          send = () => transport('sms').send({ to: phone, body: renderReminderText(booking, clinic) });
+        } else {
+          send = () => transport('email').send(buildBookingMessage('reminder', booking, clinic));
+        }
+        summary[await sendReminder({ key, channel, startTime, send }, store)]++;
+      }
+    }
+  }
+
+  await removeOldSentReminders(store, now);
+  return summary;
+}
+
+/**
+ * Forget reminders for appointments that are long over
+ * 
+ * @param {import('./store.js').Store} store - Where sent reminders are recorded
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} How many were forgotten
+ */
+async function removeOldSentReminders(store, now) {
+  let removed = 0;
+  for (const [key, reminder] of await store.entries()) {
+    if (Date.parse(reminder.startTime) < now.getTime() - SENT_REMINDER_RETENTION_MS) {
+      await store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * The reminder job for the job runner, sending due reminders every REMINDER_SCAN_INTERVAL_MINUTES
+ * 
+ * @param {Parameters<typeof sendDueReminders>[0]} [options] - Options passed to each run
+ * @returns {import('./job_runner.js').Job} The job
+ */
+function createReminderJob(options = {}) {
+  const minutes = Number(process.env.REMINDER_SCAN_INTERVAL_MINUTES);
+  return {
+    name: 'appointment-reminders',
+    intervalMs: (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_SCAN_INTERVAL_MINUTES) * 60000,
+    runOnStart: true,
+    run: () => sendDueReminders({ ...options, now: new Date() })
+  };
+}
+
+export {
+  REMINDER_CHANNELS,
+  parseReminderOffsets,
+  getReminderOffsets,
+  getReminderChannels,
+  pickDueReminder,
+  renderReminderText,
+  sendDueReminders,
+  createReminderJob
+};
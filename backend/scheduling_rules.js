@@ -0,0 +1,386 @@
+// backend/scheduling_rules.js - Scheduling rules (work limits, buffers and slot grid) per provider and appointment type, loaded from config
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+import { getClinicTimeZone, getWallTime } from '../clinic_time.js';
+import { BUFFER_POLICIES, listAppointmentTypes } from './appointment_types.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location of the rule set, can be overridden with SCHEDULING_RULES_CONFIG_PATH
+const DEFAULT_SCHEDULING_RULES_CONFIG_PATH = path.join(__dirname, '..', 'config', 'scheduling_rules.json');
+
+// How often the rule set file is checked for changes
+const RELOAD_INTERVAL_MS = 2000;
+
+// Appointments this close together still count as back-to-back work
+const CONTINUOUS_WORK_GAP_MINUTES = 1;
+
+/**
+ * @typedef {Object} SchedulingRules
+ * @property {number} maxConsecutiveMinutes - Longest stretch of back-to-back work a booking may be part of
+ * @property {number} bufferThresholdMinutes - Stretch of back-to-back work at which a buffer is booked after the appointment
+ * @property {number} bufferMinutes - Length of the buffer
+ * @property {number} bufferAppointmentTypeId - Appointment type the buffer is booked as, not counted as work
+ * @property {string} bufferPolicy - One of BUFFER_POLICIES
+ * @property {number} slotGranularityMinutes - Slots start every this many minutes, counted from midnight
+ */
+
+/**
+ * @typedef {Object} RuleSetConfig
+ * @property {Partial<SchedulingRules>} [defaults] - Rules for every provider and appointment type
+ * @property {Object<string, Partial<SchedulingRules>>} [appointmentTypes] - Rules by appointment type ID
+ * @property {Object<string, Partial<SchedulingRules> & {appointmentTypes?: Object<string, Partial<SchedulingRules>>}>} [providers] -
+ *           Rules by provider ID, optionally narrowed further by appointment type ID
+ */
+
+/**
+ * @typedef {Object} WorkPeriod
+ * @property {Date} start - Start of the period
+ * @property {Date} end - End of the period
+ */
+
+// Rules used where the rule set says nothing
+/** @type {SchedulingRules} */
+const DEFAULT_SCHEDULING_RULES = Object.freeze({
+  maxConsecutiveMinutes: 60,
+  bufferThresholdMinutes: 60,
+  bufferMinutes: 30,
+  bufferAppointmentTypeId: 1,
+  bufferPolicy: 'auto',
+  slotGranularityMinutes: 30
+});
+
+// Rules that must be a positive whole number of minutes (or a positive ID)
+const NUMERIC_RULES = [
+  'maxConsecutiveMinutes',
+  'bufferThresholdMinutes',
+  'bufferMinutes',
+  'bufferAppointmentTypeId',
+  'slotGranularityMinutes'
+];
+
+/**
+ * Validate one set of rule overrides
+ * 
+ * @param {any} rules - The overrides
+ * @param {string} label - Where the overrides are in the rule set, for error messages
+ * @param {Array<string>} [nestedKeys=[]] - Keys holding nested overrides rather than rules
+ * @returns {Array<string>} Validation errors
+ */
+function validateRules(rules, label, nestedKeys = []) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [`${label}: must be an object`];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(rules)) {
+    if (nestedKeys.includes(key)) {
+      continue;
+    }
+    if (NUMERIC_RULES.includes(key)) {
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push(`${label}: ${key} must be a positive whole number`);
+      }
+    } else if (key === 'bufferPolicy') {
+      if (!BUFFER_POLICIES.includes(value)) {
+        errors.push(`${label}: bufferPolicy must be one of ${BUFFER_POLICIES.join(', ')}`);
+      }
+    } else {
+      errors.push(`${label}: unknown rule ${key}`);
+    }
+  }
+
+  if (Number.isInteger(rules.slotGranularityMinutes) && rules.slotGranularityMinutes > 24 * 60) {
+    errors.push(`${label}: slotGranularityMinutes must be at most a day`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rule set
+ * 
+ * @param {any} ruleSet - Parsed contents of the rule set file
+ * @returns {Array<string>} Validation errors, empty if the rule set is valid
+ */
+function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return ['rule set must be an object'];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(ruleSet)) {
+    if (!['defaults', 'appointmentTypes', 'providers'].includes(key)) {
+      errors.push(`unknown section ${key}`);
+    }
+  }
+
+  if (ruleSet.defaults !== undefined) {
+    errors.push(...validateRules(ruleSet.defaults, 'defaults'));
+    // Buffer policies belong to appointment types, the catalogue already gives every type one
+    if (ruleSet.defaults && ruleSet.defaults.bufferPolicy !== undefined) {
+      errors.push('defaults: bufferPolicy can only be set for appointment types or providers');
+    }
+  }
+
+  // Providers can narrow their rules further by appointment type
+  /** @type {Array<[string, Array<string>]>} */
+  const sections = [['appointmentTypes', []], ['providers', ['appointmentTypes']]];
+
+  for (const [section, nestedKeys] of sections) {
+    const entries = ruleSet[section];
+    if (entries === undefined) {
+      continue;
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`${section}: must be an object keyed by ID`);
+      continue;
+    }
+
+    for (const [id, rules] of Object.entries(entries)) {
+      errors.push(...validateRules(rules, `${section}.${id}`, nestedKeys));
+
+      if (section === 'providers' && rules && rules.appointmentTypes !== undefined) {
+        if (!rules.appointmentTypes || typeof rules.appointmentTypes !== 'object' || Array.isArray(rules.appointmentTypes)) {
+          errors.push(`providers.${id}.appointmentTypes: must be an object keyed by ID`);
+          continue;
+        }
+        for (const [typeId, typeRules] of Object.entries(rules.appointmentTypes)) {
+          errors.push(...validateRules(typeRules, `providers.${id}.appointmentTypes.${typeId}`));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Work out the rules for a provider and appointment type
+ * The most specific rules win: defaults, then the appointment type's buffer policy from the catalogue,
+ * then the rule set's appointment type, provider, and provider and appointment type rules
+ * 
+ * @param {RuleSetConfig} ruleSet - A valid rule set
+ * @param {number|string|null} providerId - The provider, or null for rules that hold for every provider
+ * @param {number|string} appointmentTypeId - The appointment type
+ * @param {string} [catalogueBufferPolicy] - Buffer policy of the appointment type in the catalogue
+ * @returns {SchedulingRules} The rules
+ */
+function resolveSchedulingRules(ruleSet, providerId, appointmentTypeId, catalogueBufferPolicy) {
+  const { appointmentTypes: providerTypeRules = {}, ...providerRules } =
+    (providerId !== null && providerId !== undefined && ruleSet.providers?.[String(providerId)]) || {};
+
+  return {
+    ...DEFAULT_SCHEDULING_RULES,
+    ...ruleSet.defaults,
+    ...(catalogueBufferPolicy ? { bufferPolicy: catalogueBufferPolicy } : {}),
+    ...ruleSet.appointmentTypes?.[String(appointmentTypeId)],
+    ...providerRules,
+    ...providerTypeRules[String(appointmentTypeId)]
+  };
+}
+
+/**
+ * Load and validate the rule set file
+ * 
+ * @param {string} configPath - Path to the rule set JSON file
+ * @returns {RuleSetConfig} The rule set
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+function loadRuleSet(configPath) {
+  const ruleSet = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const errors = validateRuleSet(ruleSet);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid scheduling rules ${configPath}: ${errors.join('; ')}`);
+  }
+
+  return ruleSet;
+}
+
+const ruleSetConfigPath = process.env.SCHEDULING_RULES_CONFIG_PATH || DEFAULT_SCHEDULING_RULES_CONFIG_PATH;
+let ruleSet = loadRuleSet(ruleSetConfigPath);
+logger.info(`Loaded scheduling rules from ${ruleSetConfigPath}`);
+
+/**
+ * Reload the rule set from disk
+ * Keeps the current rules if the file is invalid, so a bad edit never takes booking down
+ * 
+ * @returns {boolean} True if the rule set was reloaded
+ */
+function reloadSchedulingRules() {
+  try {
+    ruleSet = loadRuleSet(ruleSetConfigPath);
+    logger.info(`Reloaded scheduling rules from ${ruleSetConfigPath}`);
+    return true;
+  } catch (error) {
+    logger.error('Failed to reload scheduling rules, keeping the previous rules:', error.message);
+    return false;
+  }
+}
+
+// Hot-reload the rule set when the file changes (unref'd so it never keeps the process alive)
+fs.watchFile(ruleSetConfigPath, { interval: RELOAD_INTERVAL_MS }, (current, previous) => {
+  if (current.mtimeMs !== previous.mtimeMs) {
+    reloadSchedulingRules();
+  }
+}).unref();
+
+/**
+ * Get the rules for a provider and appointment type
+ * 
+ * @param {number|string|null} providerId - The provider, or null for rules that hold for every provider
+ * @param {number|string} appointmentTypeId - The appointment type
+ * @param {Object} [sources] - Where the rules come from, the configured rule set and catalogue by default
+ * @param {RuleSetConfig} [sources.ruleSet] - The rule set
+ * @param {Array<import('./appointment_types.js').PhysioSpaAppointmentType>} [sources.catalogue] - The appointment
+ *        type catalogue, for the type's buffer policy
+ * @returns {SchedulingRules} The rules
+ */
+function getSchedulingRules(providerId, appointmentTypeId, { ruleSet: rules = ruleSet, catalogue = listAppointmentTypes() } = {}) {
+  return resolveSchedulingRules(
+    rules,
+    providerId,
+    appointmentTypeId,
+    catalogue.find(type => String(type.id) === String(appointmentTypeId))?.bufferPolicy
+  );
+}
+
+/**
+ * List the slot start times in an availability window
+ * Slots start on the rules' grid, counted from midnight on the clinic's clocks, and must end within the window
+ * 
+ * @param {Date} windowStart - Start of the availability window
+ * @param {Date} windowEnd - End of the availability window
+ * @param {number} duration - Length of the appointment in minutes
+ * @param {SchedulingRules} rules - The rules
+ * @param {string} [timeZone] - IANA time zone the grid follows, defaults to the clinic's
+ * @returns {Array<Date>} Start times in order
+ */
+function listSlotStarts(windowStart, windowEnd, duration, rules, timeZone = getClinicTimeZone()) {
+  const step = rules.slotGranularityMinutes * 60000;
+
+  // Move a time forward onto the grid. The grid follows the clock, which on the day the clocks
+  // change is not the time elapsed since midnight, so this is checked again after every step
+  const onGrid = (/** @type {number} */ time) => {
+    const wall = getWallTime(new Date(time), timeZone);
+    const sinceMidnight = ((wall.hour * 60 + wall.minute) * 60 + wall.second) * 1000 + (time % 1000);
+    const offset = sinceMidnight % step;
+    return offset === 0 ? time : time + step - offset;
+  };
+
+  const starts = [];
+  for (let slotStart = onGrid(windowStart.getTime()); slotStart < windowEnd.getTime(); slotStart = onGrid(slotStart + step)) {
+    if (slotStart + duration * 60000 <= windowEnd.getTime()) {
+      starts.push(new Date(slotStart));
+    }
+  }
+  return starts;
+}
+
+/**
+ * Group periods into stretches of back-to-back work
+ * 
+ * @param {Array<WorkPeriod>} periods - The periods, in any order
+ * @returns {Array<WorkPeriod>} The stretches in order
+ */
+function findContinuousWork(periods) {
+  const sorted = [...periods].sort((a, b) => a.start.getTime() - b.start.getTime());
+  const stretches = [];
+
+  for (const period of sorted) {
+    const current = stretches[stretches.length - 1];
+    if (current && period.start.getTime() - current.end.getTime() <= CONTINUOUS_WORK_GAP_MINUTES * 60000) {
+      if (period.end > current.end) {
+        current.end = period.end;
+      }
+    } else {
+      stretches.push({ start: period.start, end: period.end });
+    }
+  }
+
+  return stretches;
+}
+
+/**
+ * Get the length of a stretch of work in minutes
+ * 
+ * @param {WorkPeriod} stretch - The stretch
+ * @returns {number} Length in minutes
+ */
+function stretchMinutes(stretch) {
+  return (stretch.end.getTime() - stretch.start.getTime()) / 60000;
+}
+
+/**
+ * Check whether a booking would make the provider work too long without a break
+ * 
+ * @param {WorkPeriod} booking - The proposed appointment
+ * @param {Array<WorkPeriod>} workPeriods - The provider's other work, buffers left out
+ * @param {SchedulingRules} rules - The rules
+ * @returns {boolean} True if the stretch the booking is part of is longer than maxConsecutiveMinutes
+ */
+function exceedsConsecutiveWork(booking, workPeriods, rules) {
+  const stretch = findContinuousWork([...workPeriods, booking]).find(candidate =>
+    candidate.start <= booking.start && candidate.end >= booking.end
+  );
+  return stretchMinutes(stretch) > rules.maxConsecutiveMinutes;
+}
+
+/**
+ * Check whether a booking needs a buffer after it
+ * With the auto policy a buffer is needed when the stretch of back-to-back appointments (buffers included)
+ * the booking is part of lasts at least bufferThresholdMinutes. Long stretches at other times of the day,
+ * or on other days, do not count
+ * 
+ * @param {WorkPeriod} booking - The proposed appointment
+ * @param {Array<WorkPeriod>} scheduledPeriods - Everything on the provider's schedule
+ * @param {SchedulingRules} rules - The rules
+ * @returns {boolean} True if a buffer should be booked
+ */
+function needsBuffer(booking, scheduledPeriods, rules) {
+  if (rules.bufferPolicy === 'never') {
+    return false;
+  }
+  if (rules.bufferPolicy === 'always') {
+    return true;
+  }
+  const stretch = findContinuousWork([...scheduledPeriods, booking]).find(candidate =>
+    candidate.start <= booking.start && candidate.end >= booking.end
+  );
+  return stretchMinutes(stretch) >= rules.bufferThresholdMinutes;
+}
+
+/**
+ * Get the buffer to book after an appointment
+ * 
+ * @param {Date} appointmentEnd - End of the appointment
+ * @param {SchedulingRules} rules - The rules
+ * @returns {WorkPeriod & {appointmentTypeId: number, duration: number}} The buffer
+ */
+function bufferAfter(appointmentEnd, rules) {
+  return {
+    appointmentTypeId: rules.bufferAppointmentTypeId,
+    start: new Date(appointmentEnd),
+    end: new Date(appointmentEnd.getTime() + rules.bufferMinutes * 60000),
+    duration: rules.bufferMinutes
+  };
+}
+
+export {
+  DEFAULT_SCHEDULING_RULES,
+  validateRuleSet,
+  resolveSchedulingRules,
+  reloadSchedulingRules,
+  getSchedulingRules,
+  listSlotStarts,
+  findContinuousWork,
+  exceedsConsecutiveWork,
+  needsBuffer,
+  bufferAfter
+};
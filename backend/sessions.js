@@ -0,0 +1,163 @@
+// backend/sessions.js - Browser sessions and the time slots each one has been offered
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import logger from '../logger.js';
+
+// Sessions are forgotten after an hour without requests, matching the session cookie
+const SESSION_TIMEOUT_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Session
+ * @property {number} lastAccessed - Time of the session's last request in milliseconds
+ * @property {string|null} offerId - ID of the set of time slots currently offered to the session, if any
+ * @property {string|null} rescheduleAppointmentId - Appointment being rescheduled when the slots were offered, if any
+ */
+
+// Each part of a session has its own keys, so concurrent requests from one browser never write over each other:
+// the time of the last request, the set of slots currently offered, and each offered slot under its own slot ID
+const sessionStore = createStore('sessions');
+const offerStore = createStore('session-offers');
+const slotStore = createStore('session-slots');
+
+/**
+ * Record a request from a session, starting the session if it is new
+ * 
+ * @param {string} sessionId - The session ID from the cookie
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Session>} The session
+ */
+async function touchSession(sessionId, now = Date.now()) {
+  await sessionStore.set(sessionId, { lastAccessed: now });
+  return getSession(sessionId);
+}
+
+/**
+ * Get a session
+ * 
+ * @param {string} sessionId - The session ID from the cookie
+ * @returns {Promise<Session|null>} The session, or null if it does not exist or has been cleaned up
+ */
+async function getSession(sessionId) {
+  const [activity, offer] = await Promise.all([sessionStore.get(sessionId), offerStore.get(sessionId)]);
+
+  if (!activity) {
+    return null;
+  }
+
+  return {
+    lastAccessed: activity.lastAccessed,
+    offerId: offer?.offerId ?? null,
+    rescheduleAppointmentId: offer?.rescheduleAppointmentId ?? null
+  };
+}
+
+/**
+ * Get the set of slots currently offered to a session, starting one if nothing has been offered yet
+ * 
+ * @param {string} sessionId - The session ID from the cookie
+ * @returns {Promise<{offerId: string, rescheduleAppointmentId: string|null}>} The current offer
+ */
+async function currentOffer(sessionId) {
+  const offer = { offerId: crypto.randomUUID(), rescheduleAppointmentId: null };
+
+  // Of two requests starting the first offer at once, one adds it and the other uses it
+  if (await offerStore.add(sessionId, offer)) {
+    return offer;
+  }
+  return (await offerStore.get(sessionId)) || offer;
+}
+
+/**
+ * Store time slots offered to a session so they can be looked up by ID when the browser sends one back
+ * 
+ * @param {string} sessionId - The session ID from the cookie
+ * @param {Object<string, Object>} slotsById - Full time slots keyed by slot ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Forget the slots offered earlier, as when fresh availability is shown
+ * @param {string|null} [options.rescheduleAppointmentId] - Appointment being rescheduled, stored when replacing the slots
+ * @returns {Promise<void>}
+ */
+async function offerTimeSlots(sessionId, slotsById, { replace = false, rescheduleAppointmentId = null } = {}) {
+  let offer;
+
+  if (replace) {
+    // Slots from earlier offers no longer match the offer ID, and are removed with the expired sessions
+    offer = { offerId: crypto.randomUUID(), rescheduleAppointmentId };
+    await offerStore.set(sessionId, offer);
+  } else {
+    offer = await currentOffer(sessionId);
+  }
+
+  await Promise.all(Object.entries(slotsById).map(([slotId, slot]) =>
+    slotStore.set(slotId, { sessionId, offerId: offer.offerId, slot })
+  ));
+}
+
+/**
+ * Get a time slot offered to a session
+ * 
+ * @param {string} sessionId - The session ID from the cookie
+ * @param {string} slotId - ID of the slot
+ * @returns {Promise<Object|null>} The full time slot, or null if it is not currently offered to the session
+ */
+async function getOfferedTimeSlot(sessionId, slotId) {
+  const [offered, offer] = await Promise.all([slotStore.get(slotId), offerStore.get(sessionId)]);
+
+  if (!offered || offered.sessionId !== sessionId || offered.offerId !== offer?.offerId) {
+    return null;
+  }
+  return offered.slot;
+}
+
+/**
+ * Forget a time slot once it has been used
+ * 
+ * @param {string} sessionId - The session ID from the cookie
+ * @param {string} slotId - ID of the slot
+ * @returns {Promise<void>}
+ */
+async function removeOfferedTimeSlot(sessionId, slotId) {
+  const offered = await slotStore.get(slotId);
+
+  if (offered?.sessionId === sessionId) {
+    await slotStore.delete(slotId);
+  }
+}
+
+/**
+ * Remove sessions that have had no requests for longer than the session timeout,
+ * along with the slots offered to them and slots replaced by a later offer
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function removeExpiredSessions(now = Date.now()) {
+  let removed = 0;
+
+  for (const [sessionId, session] of await sessionStore.entries()) {
+    if (now - (session.lastAccessed || 0) > SESSION_TIMEOUT_MS) {
+      await sessionStore.delete(sessionId);
+      await offerStore.delete(sessionId);
+      removed++;
+      logger.debug(`Cleaned up expired session: ${sessionId}`);
+    }
+  }
+
+  const offerIds = new Map((await offerStore.entries()).map(([sessionId, offer]) => [sessionId, offer.offerId]));
+  for (const [slotId, offered] of await slotStore.entries()) {
+    if (offerIds.get(offered.sessionId) !== offered.offerId) {
+      await slotStore.delete(slotId);
+    }
+  }
+
+  return removed;
+}
+
+export {
+  touchSession,
+  getSession,
+  offerTimeSlots,
+  getOfferedTimeSlot,
+  removeOfferedTimeSlot,
+  removeExpiredSessions
+};
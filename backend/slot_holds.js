@@ -0,0 +1,116 @@
+// backend/slot_holds.js - Short-lived holds on time slots while a patient completes their booking
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import logger from '../logger.js';
+
+// How long a slot is held for, can be overridden with SLOT_HOLD_MINUTES
+const DEFAULT_HOLD_MINUTES = 10;
+
+/**
+ * @typedef {Object} SlotHold
+ * @property {string} holdId - Unique ID of the hold
+ * @property {string} sessionId - Session that placed the hold
+ * @property {number} providerId - Provider whose time is held
+ * @property {string} appointmentTypeId - Appointment type the slot was offered for
+ * @property {string} startTime - ISO datetime string for the held appointment start
+ * @property {string} endTime - ISO datetime string for the held appointment end
+ * @property {string|null} bufferStartTime - ISO datetime string for the start of the held buffer, if the slot needs one
+ * @property {string|null} bufferEndTime - ISO datetime string for the end of the held buffer, if the slot needs one
+ * @property {string} expiresAt - ISO datetime string for when the hold lapses
+ */
+
+// Active holds keyed by session ID, a session holds at most one slot at a time
+const holdStore = createStore('slot_holds');
+
+/**
+ * Get the hold duration in minutes
+ * 
+ * @returns {number} Minutes a slot is held for
+ */
+function getHoldMinutes() {
+  const minutes = Number(process.env.SLOT_HOLD_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+}
+
+/**
+ * Drop holds that have expired
+ * 
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<SlotHold>>} The holds that are still active
+ */
+async function removeExpiredHolds(now) {
+  const activeHolds = [];
+
+  for (const [sessionId, hold] of await holdStore.entries()) {
+    if (new Date(hold.expiresAt).getTime() <= now) {
+      await holdStore.delete(sessionId);
+      logger.debug(`Hold ${hold.holdId} for session ${sessionId} expired`);
+    } else {
+      activeHolds.push(hold);
+    }
+  }
+
+  return activeHolds;
+}
+
+/**
+ * Hold a time slot for a session, replacing any slot the session already holds
+ * 
+ * @param {string} sessionId - Session placing the hold
+ * @param {Object} timeSlot - The time slot to hold, as returned by getAvailability
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @param {number} [minutes] - How long to hold the slot for, defaults to SLOT_HOLD_MINUTES
+ * @returns {Promise<SlotHold>} The new hold
+ */
+async function placeHold(sessionId, timeSlot, now = Date.now(), minutes = getHoldMinutes()) {
+  const { primaryBooking, buffer } = timeSlot;
+  const primaryEnd = new Date(new Date(primaryBooking.startTime).getTime() + primaryBooking.duration * 60000);
+
+  const hold = {
+    holdId: crypto.randomUUID(),
+    sessionId,
+    providerId: Number(timeSlot.providerId),
+    appointmentTypeId: String(primaryBooking.appointmentTypeId),
+    startTime: primaryBooking.startTime,
+    endTime: primaryEnd.toISOString(),
+    bufferStartTime: buffer ? buffer.startTime : null,
+    bufferEndTime: buffer
+      ? new Date(new Date(buffer.startTime).getTime() + buffer.duration * 60000).toISOString()
+      : null,
+    expiresAt: new Date(now + minutes * 60000).toISOString()
+  };
+
+  await holdStore.set(sessionId, hold);
+  logger.debug(`Session ${sessionId} holds ${hold.startTime} with provider ${hold.providerId} until ${hold.expiresAt}`);
+  return { ...hold };
+}
+
+/**
+ * Release the slot held by a session, if any
+ * 
+ * @param {string} sessionId - Session whose hold is released
+ * @returns {Promise<boolean>} True if a hold was released
+ */
+async function releaseHold(sessionId) {
+  return holdStore.delete(sessionId);
+}
+
+/**
+ * Get the active holds on a provider's time that were placed by other sessions
+ * 
+ * @param {number|string} providerId - The provider
+ * @param {string|null} [excludeSessionId] - Session whose own hold is left out, null to include every hold
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Array<SlotHold>>} Active holds on the provider's time
+ */
+async function getHoldsForProvider(providerId, excludeSessionId = null, now = Date.now()) {
+  const activeHolds = await removeExpiredHolds(now);
+  return activeHolds
+    .filter(hold => String(hold.providerId) === String(providerId) && hold.sessionId !== excludeSessionId);
+}
+
+export {
+  placeHold,
+  releaseHold,
+  getHoldsForProvider
+};
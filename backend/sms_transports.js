@@ -0,0 +1,212 @@
+// backend/sms_transports.js - Ways of sending text messages: Twilio for real delivery, a file outbox or the console for local testing
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where the file transport writes text messages unless SMS_OUTBOX_DIR says otherwise
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+// Transport used when SMS_TRANSPORT is not set
+const DEFAULT_SMS_TRANSPORT = 'console';
+
+const SMS_TRANSPORTS = ['console', 'file', 'twilio'];
+
+// Country calling code added to phone numbers given without one, unless SMS_DEFAULT_COUNTRY_CODE says otherwise
+const DEFAULT_COUNTRY_CODE = '1';
+
+// Time allowed for each request to Twilio
+const TWILIO_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} SmsMessage
+ * @property {string} to - Phone number in E.164 format, e.g. +15550102000
+ * @property {string} body - The text
+ */
+
+/**
+ * @typedef {Object} SmsTransport
+ * @property {string} name - Which transport it is
+ * @property {function(SmsMessage): Promise<{messageId: string}>} send - Send a text message, rejecting if it could not be handed over
+ */
+
+/**
+ * Error raised when the SMS provider turns a message away or cannot be reached
+ */
+class SmsError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Details of the failure
+   * @param {number|null} [details.status] - HTTP status returned by the provider, null if there was no response
+   * @param {boolean} [details.permanent] - Whether sending again cannot help, e.g. an invalid number
+   */
+  constructor(message, { status = null, permanent = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Turn a phone number as a patient typed it into E.164 format
+ * Numbers without a leading + get the default country code unless they already start with it
+ * 
+ * @param {string} phone - The phone number, e.g. "(555) 010-2000"
+ * @param {string} [countryCode] - Country calling code to add, defaults to SMS_DEFAULT_COUNTRY_CODE
+ * @returns {string|null} The number, e.g. "+15550102000", or null if it has too few or too many digits
+ */
+function toE164(phone, countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || DEFAULT_COUNTRY_CODE) {
+  const text = String(phone || '').trim();
+  const digits = text.replace(/\D/g, '');
+  let number;
+  if (text.startsWith('+')) {
+    number = digits;
+  } else if (digits.startsWith('00')) {
+    number = digits.slice(2);
+  } else if (digits.startsWith(countryCode) && digits.length > 10) {
+    number = digits;
+  } else {
+    number = `${countryCode}${digits.replace(/^0/, '')}`;
+  }
+  return number.length >= 8 && number.length <= 15 ? `+${number}` : null;
+}
+
+/**
+ * Transport that writes each text message to the log instead of sending it
+ * 
+ * @returns {SmsTransport} The transport
+ */
+function createConsoleSmsTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      logger.info(`Text message ${messageId} to ${message.to} (not sent, SMS_TRANSPORT is console):\n${message.body}`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Transport that writes each text message to a file in the outbox
+ * 
+ * @param {{directory?: string}} [options] - Override SMS_OUTBOX_DIR
+ * @returns {SmsTransport} The transport
+ */
+function createFileSmsTransport(options = {}) {
+  const directory = options.directory || process.env.SMS_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+  return {
+    name: 'file',
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.sms.txt`;
+      await fs.writeFile(path.join(directory, fileName), `To: ${message.to}\n\n${message.body}\n`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Transport that sends text messages with Twilio's Messages API
+ * 
+ * @param {Object} [options] - Override the TWILIO_* and SMS_FROM environment variables
+ * @param {string} [options.accountSid] - Twilio account SID (TWILIO_ACCOUNT_SID)
+ * @param {string} [options.authToken] - Twilio auth token (TWILIO_AUTH_TOKEN)
+ * @param {string} [options.from] - Number or messaging service the messages come from (SMS_FROM)
+ * @param {string} [options.baseUrl] - Twilio API base URL, for testing against a stub
+ * @returns {SmsTransport} The transport
+ * @throws {Error} If the account, token or sender is missing
+ */
+function createTwilioSmsTransport(options = {}) {
+  const accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+  const authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+  const from = options.from || process.env.SMS_FROM;
+  const baseUrl = options.baseUrl || 'https://api.twilio.com/2010-04-01';
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM are required when SMS_TRANSPORT is twilio');
+  }
+
+  return {
+    name: 'twilio',
+    async send(message) {
+      const body = new URLSearchParams({
+        To: message.to,
+        Body: message.body,
+        // A messaging service SID starts with MG, anything else is a phone number
+        ...(from.startsWith('MG') ? { MessagingServiceSid: from } : { From: from })
+      });
+
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/Accounts/${accountSid}/Messages.json`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body,
+          signal: AbortSignal.timeout(TWILIO_TIMEOUT_MS)
+        });
+      } catch (error) {
+        throw new SmsError(`Could not reach Twilio: ${error.message}`);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new SmsError(`Twilio refused the message: ${response.status} ${data.message || response.statusText}`, {
+          status: response.status,
+          // Rate limits and server errors are worth retrying, a bad number or account is not
+          permanent: response.status >= 400 && response.status < 500 && response.status !== 429
+        });
+      }
+      return { messageId: data.sid };
+    }
+  };
+}
+
+let warnedTransport = null;
+
+/**
+ * Create the transport named by SMS_TRANSPORT, falling back to the console when it is unset or unknown
+ * 
+ * @param {string} [name] - Transport to create instead of the configured one
+ * @returns {SmsTransport} The transport
+ * @throws {Error} If Twilio is chosen without its settings
+ */
+function createSmsTransport(name = process.env.SMS_TRANSPORT) {
+  let transport = name || DEFAULT_SMS_TRANSPORT;
+  if (!SMS_TRANSPORTS.includes(transport)) {
+    if (warnedTransport !== transport) {
+      logger.warn(`SMS_TRANSPORT ${transport} is not one of ${SMS_TRANSPORTS.join(', ')}, using ${DEFAULT_SMS_TRANSPORT}`);
+      warnedTransport = transport;
+    }
+    transport = DEFAULT_SMS_TRANSPORT;
+  }
+
+  switch (transport) {
+    case 'file':
+      return createFileSmsTransport();
+    case 'twilio':
+      return createTwilioSmsTransport();
+    default:
+      return createConsoleSmsTransport();
+  }
+}
+
+export {
+  SMS_TRANSPORTS,
+  SmsError,
+  toE164,
+  createConsoleSmsTransport,
+  createFileSmsTransport,
+  createTwilioSmsTransport,
+  createSmsTransport
+};
@@ -0,0 +1,428 @@
+// backend/staff_accounts.js - Clinic staff accounts with hashed passwords, their roles and signed-in sessions
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { createStore } from './store.js';
+import { findProviderById } from './providers.js';
+import logger from '../logger.js';
+
+const scrypt = /** @type {function(string, Buffer, number): Promise<Buffer>} */ (promisify(crypto.scrypt));
+
+// What each role may do is decided by the routes; these are the roles an account can have
+const STAFF_ROLES = ['front-desk', 'provider', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9._@-]{2,64}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const HASH_LENGTH = 64;
+
+// Signed-in sessions last a working day unless STAFF_SESSION_HOURS says otherwise
+const DEFAULT_SESSION_HOURS = 12;
+
+// Wrong passwords in a row that lock an account, and for how long
+const MAX_FAILED_SIGN_INS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+/**
+ * @typedef {Object} StaffMember
+ * @property {string} username - What they sign in with, in lower case
+ * @property {string} name - Name recorded with the bookings and cancellations they make
+ * @property {string} role - front-desk, provider or admin
+ * @property {number} [providerId] - The provider whose schedule they see, for providers
+ */
+
+/**
+ * @typedef {Object} StaffAccount
+ * @property {string} username - What they sign in with, in lower case
+ * @property {string} name - Name recorded with the bookings and cancellations they make
+ * @property {string} role - front-desk, provider or admin
+ * @property {number} [providerId] - The provider whose schedule they see, for providers
+ * @property {string} passwordHash - scrypt hash of the password with its salt
+ * @property {string} createdAt - ISO datetime string for when the account was created
+ */
+
+/**
+ * @typedef {Object} StaffAccountResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {StaffMember} [account] - The account, without its password
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (INVALID_STAFF_ACCOUNT, ACCOUNT_EXISTS, NOT_FOUND)
+ * @property {Object<string, string>} [fieldErrors] - What is wrong with each field, for INVALID_STAFF_ACCOUNT
+ */
+
+/**
+ * @typedef {Object} SignInResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {string} [token] - Bearer token for the admin routes
+ * @property {string} [expiresAt] - ISO datetime string for when the token stops working
+ * @property {StaffMember} [staff] - Who signed in
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (INVALID_CREDENTIALS, ACCOUNT_LOCKED)
+ * @property {number} [retryAfterSeconds] - How long until a locked account can be signed in to again
+ */
+
+const accountStore = createStore('staff-accounts');
+const signInStore = createStore('staff-sessions');
+// Sign-in attempts since the last successful one, keyed by username and attempt number. Each attempt adds
+// its own key, so attempts made at the same time, on any replica, are all counted
+const attemptStore = createStore('staff-sign-in-attempts');
+// Locked accounts, keyed by username
+const lockoutStore = createStore('staff-lockouts');
+
+/**
+ * Get how long a sign-in lasts
+ * 
+ * @returns {number} Session length in milliseconds
+ */
+function getSessionMs() {
+  const hours = Number(process.env.STAFF_SESSION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_HOURS) * 60 * 60000;
+}
+
+/**
+ * Usernames are compared without case or surrounding spaces
+ * 
+ * @param {any} username - The username as typed
+ * @returns {string} The username as stored
+ */
+function normaliseUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+/**
+ * Get the store key for a sign-in token
+ * 
+ * @param {string} token - The bearer token
+ * @returns {string} The store key
+ */
+function tokenKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * 
+ * @param {string} password - The password
+ * @returns {Promise<string>} "scrypt$salt$hash", both base64
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, HASH_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * 
+ * @param {string} password - The password as typed
+ * @param {string} passwordHash - The stored hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so a wrong username takes as long as a wrong password
+let unknownUserHash = null;
+
+/**
+ * The parts of an account it is safe to send to the browser
+ * 
+ * @param {StaffAccount} account - The stored account
+ * @returns {StaffMember} The account without its password or lockout state
+ */
+function toStaffMember(account) {
+  return {
+    username: account.username,
+    name: account.name,
+    role: account.role,
+    ...(account.providerId ? { providerId: account.providerId } : {})
+  };
+}
+
+/**
+ * Create a staff account
+ * Provider accounts are tied to the provider whose schedule they see
+ * 
+ * @param {Object} details - The new account
+ * @param {string} details.username - What they sign in with
+ * @param {string} details.name - Their name, recorded with what they do
+ * @param {string} details.password - Their password, at least 12 characters
+ * @param {string} details.role - front-desk, provider or admin
+ * @param {number|string} [details.providerId] - The provider they are, required for the provider role
+ * @returns {Promise<StaffAccountResponse>} The account
+ */
+async function createStaffAccount({ username, name, password, role, providerId } = /** @type {any} */ ({})) {
+  /** @type {Object<string, string>} */
+  const fieldErrors = {};
+  const key = normaliseUsername(username);
+
+  if (!USERNAME_PATTERN.test(key)) {
+    fieldErrors.username = 'Username must be 2 to 64 letters, digits or . _ @ -';
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    fieldErrors.name = 'Name is required';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    fieldErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    fieldErrors.role = `Role must be one of ${STAFF_ROLES.join(', ')}`;
+  } else if (role === 'provider' && !findProviderById(providerId)) {
+    fieldErrors.providerId = 'Choose the provider this account belongs to';
+  }
+
+  if (Object.keys(fieldErrors).length > 0) {
+    return { success: false, error: 'Please correct the highlighted fields', errorCode: 'INVALID_STAFF_ACCOUNT', fieldErrors };
+  }
+
+  /** @type {StaffAccount} */
+  const account = {
+    username: key,
+    name: name.trim(),
+    role,
+    ...(role === 'provider' ? { providerId: Number(providerId) } : {}),
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+
+  if (!(await accountStore.add(key, account))) {
+    return { success: false, error: `There is already an account for ${key}`, errorCode: 'ACCOUNT_EXISTS' };
+  }
+
+  logger.info(`Created ${role} staff account ${key}`);
+  return { success: true, account: toStaffMember(account) };
+}
+
+/**
+ * Remove a staff account, which also ends its sessions
+ * 
+ * @param {string} username - The account's username
+ * @returns {Promise<StaffAccountResponse>} Whether the account was removed
+ */
+async function removeStaffAccount(username) {
+  const key = normaliseUsername(username);
+  const account = await accountStore.get(key);
+
+  if (!account || !(await accountStore.delete(key))) {
+    return { success: false, error: `No account for ${key}`, errorCode: 'NOT_FOUND' };
+  }
+  await lockoutStore.delete(key);
+  await clearSignInAttempts(key);
+
+  logger.info(`Removed staff account ${key}`);
+  return { success: true, account: toStaffMember(account) };
+}
+
+/**
+ * List every staff account
+ * 
+ * @returns {Promise<Array<StaffMember>>} The accounts, by username
+ */
+async function listStaffAccounts() {
+  return (await accountStore.entries())
+    .map(([, account]) => toStaffMember(account))
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Claim the next attempt number for a sign-in
+ * 
+ * @param {string} key - The account's username
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} The attempt number, 1 for the first since the last successful sign-in
+ */
+async function claimSignInAttempt(key, now) {
+  let attempt = 1;
+  while (!(await attemptStore.add(`${key}:${attempt}`, { at: now }))) {
+    attempt++;
+  }
+  return attempt;
+}
+
+/**
+ * Forget an account's sign-in attempts, after a successful sign-in or once it is locked
+ * 
+ * @param {string} key - The account's username
+ * @returns {Promise<void>}
+ */
+async function clearSignInAttempts(key) {
+  for (const [attemptKey] of await attemptStore.entries()) {
+    if (attemptKey.startsWith(`${key}:`)) {
+      await attemptStore.delete(attemptKey);
+    }
+  }
+}
+
+/**
+ * The answer for a locked account
+ * 
+ * @param {number} lockedUntil - When the account can be signed in to again, in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {SignInResponse} The failure
+ */
+function accountLocked(lockedUntil, now) {
+  return {
+    success: false,
+    error: 'Too many wrong passwords, please try again later',
+    errorCode: 'ACCOUNT_LOCKED',
+    retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000)
+  };
+}
+
+/**
+ * Sign in with a username and password
+ * After five wrong passwords in a row the account is locked for fifteen minutes. Each attempt is counted
+ * before its password is checked, so no more than five can be tried even when they are sent at once
+ * 
+ * @param {string} username - The username as typed
+ * @param {string} password - The password as typed
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<SignInResponse>} A token for the admin routes
+ */
+async function signInStaff(username, password, now = Date.now()) {
+  const key = normaliseUsername(username);
+  const account = key ? await accountStore.get(key) : null;
+  const wrongCredentials = { success: false, error: 'Username or password is wrong', errorCode: 'INVALID_CREDENTIALS' };
+
+  if (!account) {
+    unknownUserHash = unknownUserHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(String(password), unknownUserHash);
+    return wrongCredentials;
+  }
+
+  const lockout = await lockoutStore.get(key);
+  if (lockout && lockout.lockedUntil > now) {
+    return accountLocked(lockout.lockedUntil, now);
+  }
+
+  // Attempts beyond the limit were sent alongside the one that locks the account
+  const attempt = await claimSignInAttempt(key, now);
+  if (attempt > MAX_FAILED_SIGN_INS) {
+    return accountLocked(now + LOCKOUT_MS, now);
+  }
+
+  if (!(await verifyPassword(String(password), account.passwordHash))) {
+    if (attempt === MAX_FAILED_SIGN_INS) {
+      await lockoutStore.set(key, { lockedUntil: now + LOCKOUT_MS });
+      await clearSignInAttempts(key);
+      logger.warn(`Staff account ${key} locked after ${MAX_FAILED_SIGN_INS} wrong passwords`);
+    }
+    return wrongCredentials;
+  }
+
+  await clearSignInAttempts(key);
+  if (lockout) {
+    await lockoutStore.delete(key);
+  }
+
+  // Only a hash of the token is stored, so the store's contents cannot be used to sign in
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = now + getSessionMs();
+  await signInStore.set(tokenKey(token), { username: key, expiresAt });
+
+  logger.info(`Staff member ${key} signed in`);
+  return { success: true, token, expiresAt: new Date(expiresAt).toISOString(), staff: toStaffMember(account) };
+}
+
+/**
+ * Find who a bearer token belongs to
+ * The account is read each time, so a changed role or a removed account applies straight away
+ * 
+ * @param {string} token - The bearer token from signInStaff
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<StaffMember|null>} The member of staff, or null if the token is unknown or has expired
+ */
+async function getSignedInStaff(token, now = Date.now()) {
+  if (!token) {
+    return null;
+  }
+
+  const signIn = await signInStore.get(tokenKey(token));
+  if (!signIn || signIn.expiresAt <= now) {
+    return null;
+  }
+
+  const account = await accountStore.get(signIn.username);
+  return account ? toStaffMember(account) : null;
+}
+
+/**
+ * End the session a token belongs to
+ * 
+ * @param {string} token - The bearer token from signInStaff
+ * @returns {Promise<boolean>} Whether there was a session to end
+ */
+async function signOutStaff(token) {
+  return token ? signInStore.delete(tokenKey(token)) : false;
+}
+
+/**
+ * Remove sessions whose tokens have expired
+ * 
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function removeExpiredStaffSessions(now = Date.now()) {
+  let removed = 0;
+
+  for (const [key, signIn] of await signInStore.entries()) {
+    if (signIn.expiresAt <= now) {
+      await signInStore.delete(key);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Create the admin account named by STAFF_ADMIN_USERNAME and STAFF_ADMIN_PASSWORD if it does not exist yet,
+ * so there is someone to sign in and add the rest of the staff
+ * 
+ * @returns {Promise<void>}
+ */
+async function createInitialAdmin() {
+  const username = process.env.STAFF_ADMIN_USERNAME;
+  const password = process.env.STAFF_ADMIN_PASSWORD;
+
+  if (!username || !password) {
+    if ((await listStaffAccounts()).length === 0) {
+      logger.warn('No staff accounts exist; set STAFF_ADMIN_USERNAME and STAFF_ADMIN_PASSWORD to create the first admin');
+    }
+    return;
+  }
+
+  if (await accountStore.get(normaliseUsername(username))) {
+    return;
+  }
+
+  const response = await createStaffAccount({
+    username,
+    name: process.env.STAFF_ADMIN_NAME || username,
+    password,
+    role: 'admin'
+  });
+
+  if (!response.success) {
+    logger.error('Could not create the initial admin account:', response.fieldErrors || response.error);
+  }
+}
+
+export {
+  STAFF_ROLES,
+  hashPassword,
+  verifyPassword,
+  createStaffAccount,
+  removeStaffAccount,
+  listStaffAccounts,
+  signInStaff,
+  getSignedInStaff,
+  signOutStaff,
+  removeExpiredStaffSessions,
+  createInitialAdmin
+};
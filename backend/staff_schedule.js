@@ -0,0 +1,287 @@
+// backend/staff_schedule.js - Each provider's day or week as the front desk sees it: appointments, buffers, dual bookings and open gaps
+import { getAvailability as getCerboAvailability, getAllAppointments } from '../cerbo_api.js';
+import logger from '../logger.js';
+import { listProviders, findProviderById } from './providers.js';
+import { listAppointmentTypes } from './appointment_types.js';
+import { getSchedulingRules } from './scheduling_rules.js';
+import { getBookingRecord } from './booking_records.js';
+import { getClinicTimeZone, toClinicDate } from '../clinic_time.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60000;
+
+/**
+ * @typedef {Object} ScheduleItem
+ * @property {string} kind - appointment, buffer, dual-booking (two patients sharing a dual-bookable time) or gap (open time)
+ * @property {string} startTime - ISO datetime string for the start
+ * @property {string} endTime - ISO datetime string for the end
+ * @property {number|string} [id] - ID of the Cerbo appointment, for appointments and buffers
+ * @property {string} [appointmentTypeName] - What was booked, for appointments and dual bookings
+ * @property {string} [title] - Title of the Cerbo appointment
+ * @property {string} [status] - Status of the Cerbo appointment
+ * @property {boolean} [dualBookable] - Whether another patient can still share the time, for appointments
+ * @property {string} [patientName] - Name of the patient, for bookings made online or at the front desk
+ * @property {string} [email] - Email of the patient, likewise
+ * @property {import('./booking_audit.js').StaffAction} [staff] - Who booked it at the clinic, and why any rule was overridden
+ * @property {Array<ScheduleItem>} [appointments] - The appointments sharing the time, for dual bookings
+ * @property {number} [minutes] - Length of the open time, for gaps
+ */
+
+/**
+ * @typedef {Object} ScheduleDay
+ * @property {string} date - Day at the clinic, "YYYY-MM-DD"
+ * @property {Array<ScheduleItem>} items - Everything on the provider's calendar that day, earliest first
+ */
+
+/**
+ * @typedef {Object} ScheduleResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {string} [startDate] - First day shown, "YYYY-MM-DD"
+ * @property {string} [endDate] - Last day shown, "YYYY-MM-DD"
+ * @property {string} [timeZone] - IANA time zone of the clinic
+ * @property {Array<{id: number, displayName: string, days: Array<ScheduleDay>}>} [providers] - Each provider's schedule
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (INVALID_DATE, NOT_FOUND, or CERBO_AUTH_FAILED,
+ *           CERBO_RATE_LIMITED, CERBO_UNAVAILABLE when Cerbo could not be used)
+ * @property {number} [retryAfterSeconds] - How long to wait before trying again, when Cerbo said
+ */
+
+/**
+ * Add days to a day at the clinic
+ * 
+ * @param {string} date - The day, "YYYY-MM-DD"
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} The other day, "YYYY-MM-DD"
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * The first and last day of the day or week view around a day
+ * Weeks run Monday to Sunday
+ * 
+ * @param {string} date - A day at the clinic, "YYYY-MM-DD"
+ * @param {string} view - day or week
+ * @returns {{startDate: string, endDate: string}} The days shown
+ */
+function scheduleRange(date, view) {
+  if (view !== 'week') {
+    return { startDate: date, endDate: date };
+  }
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const startDate = addDays(date, -((weekday + 6) % 7));
+  return { startDate, endDate: addDays(startDate, 6) };
+}
+
+/**
+ * Merge overlapping or touching periods
+ * 
+ * @param {Array<{start: number, end: number}>} periods - Periods in milliseconds
+ * @returns {Array<{start: number, end: number}>} The merged periods, earliest first
+ */
+function mergePeriods(periods) {
+  const merged = [];
+  for (const period of [...periods].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      last.end = Math.max(last.end, period.end);
+    } else {
+      merged.push({ ...period });
+    }
+  }
+  return merged;
+}
+
+/**
+ * The parts of the provider's available windows no appointment takes up
+ * 
+ * @param {Array<{start: number, end: number}>} windows - Times the provider can be booked, in milliseconds
+ * @param {Array<{start: number, end: number}>} busy - Times taken by appointments and buffers, in milliseconds
+ * @returns {Array<{start: number, end: number}>} The open times, earliest first
+ */
+function findGaps(windows, busy) {
+  const taken = mergePeriods(busy);
+  const gaps = [];
+  for (const window of mergePeriods(windows)) {
+    let start = window.start;
+    for (const period of taken) {
+      if (period.end <= start || period.start >= window.end) {
+        continue;
+      }
+      if (period.start > start) {
+        gaps.push({ start, end: period.start });
+      }
+      start = Math.max(start, period.end);
+    }
+    if (start < window.end) {
+      gaps.push({ start, end: window.end });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Lay out one provider's calendar day by day
+ * Cancelled appointments are left out. Appointments of the provider's buffer type are buffers, and two
+ * dual-bookable appointments at exactly the same time are shown together as one dual booking
+ * 
+ * @param {number} providerId - The provider
+ * @param {import('../cerbo_api.js').AvailabilityResponse} availabilityResponse - The provider's availability from Cerbo
+ * @param {import('../cerbo_api.js').AppointmentsResponse} appointmentsResponse - The provider's appointments from Cerbo
+ * @param {Array<string>} dates - Days to lay out, "YYYY-MM-DD"
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone] - IANA time zone of the clinic
+ * @param {function(number|string): Promise<import('./booking_records.js').BookingRecord|null>} [options.findBookingRecord] - Looks up
+ *        the record of a booking made online or at the front desk
+ * @returns {Promise<Array<ScheduleDay>>} The provider's days
+ */
+async function buildProviderDays(providerId, availabilityResponse, appointmentsResponse, dates, options = {}) {
+  const { timeZone = getClinicTimeZone(), findBookingRecord = getBookingRecord } = options;
+  const catalogue = listAppointmentTypes();
+  // Each appointment type's rules may name a different buffer type
+  const bufferTypeIds = new Set(catalogue.map(type => String(getSchedulingRules(providerId, type.id).bufferAppointmentTypeId)));
+  const period = ({ startTime, endTime }) => ({ start: Date.parse(startTime), end: Date.parse(endTime) });
+
+  const days = new Map(dates.map(date => [date, { date, items: [], busy: [], windows: [] }]));
+
+  for (const providerAvailability of availabilityResponse?.userAvailabilities || []) {
+    for (const typeAvailability of providerAvailability.availability_by_type || []) {
+      for (const window of typeAvailability.available_windows || []) {
+        days.get(toClinicDate(window.window_start, timeZone))?.windows.push({
+          start: window.window_start.getTime(),
+          end: window.window_end.getTime()
+        });
+      }
+    }
+  }
+
+  // Dual-bookable appointments wait here until every appointment at the same time has been seen
+  const dualBookable = new Map();
+
+  for (const appointment of appointmentsResponse?.appointments || []) {
+    if (appointment.appointment_status?.toLowerCase() === 'cancelled') {
+      continue;
+    }
+    const day = days.get(toClinicDate(appointment.start_date_time, timeZone));
+    if (!day) {
+      continue;
+    }
+
+    const appointmentType = catalogue.find(type => type.internalName === appointment.appointment_type_internal_name);
+    const record = await findBookingRecord(appointment.id);
+    const item = {
+      kind: appointmentType && bufferTypeIds.has(String(appointmentType.id)) ? 'buffer' : 'appointment',
+      id: appointment.id,
+      startTime: appointment.start_date_time.toISOString(),
+      endTime: appointment.end_date_time.toISOString(),
+      appointmentTypeName: appointmentType?.displayName || appointment.appointment_type_internal_name,
+      title: appointment.title,
+      status: appointment.appointment_status,
+      ...(record ? { patientName: record.patientName, email: record.email } : {}),
+      ...(record?.staff ? { staff: record.staff } : {})
+    };
+    day.busy.push(period(item));
+
+    if (item.kind === 'appointment' && appointmentType?.dualBookable) {
+      const key = `${item.startTime}/${item.endTime}`;
+      dualBookable.set(key, [...(dualBookable.get(key) || []), { ...item, dualBookable: true }]);
+    } else {
+      day.items.push(item);
+    }
+  }
+
+  for (const [key, appointments] of dualBookable) {
+    const day = days.get(toClinicDate(appointments[0].startTime, timeZone));
+    if (appointments.length === 1) {
+      day.items.push(appointments[0]);
+    } else {
+      const [startTime, endTime] = key.split('/');
+      day.items.push({
+        kind: 'dual-booking',
+        startTime,
+        endTime,
+        appointmentTypeName: appointments[0].appointmentTypeName,
+        appointments: appointments.map(appointment => ({ ...appointment, dualBookable: false }))
+      });
+    }
+  }
+
+  return [...days.values()].map(({ date, items, busy, windows }) => ({
+    date,
+    items: [
+      ...items,
+      ...findGaps(windows, busy).map(gap => ({
+        kind: 'gap',
+        startTime: new Date(gap.start).toISOString(),
+        endTime: new Date(gap.end).toISOString(),
+        minutes: Math.round((gap.end - gap.start) / 60000)
+      }))
+    ].sort((a, b) => a.startTime.localeCompare(b.startTime))
+  }));
+}
+
+/**
+ * Get the day or week schedule of every provider, or of one
+ * Read straight from Cerbo rather than the availability cache, so the front desk sees changes as they are made
+ * 
+ * @param {string} date - A day at the clinic, "YYYY-MM-DD"
+ * @param {Object} [options] - Options
+ * @param {string} [options.view='day'] - day, or week for the Monday to Sunday week the day is in
+ * @param {number|string} [options.providerId] - Only this provider
+ * @returns {Promise<ScheduleResponse>} Each provider's days
+ */
+async function getStaffSchedule(date, options = {}) {
+  const { view = 'day', providerId = null } = options;
+
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+    return { success: false, error: 'date must be a day given as YYYY-MM-DD', errorCode: 'INVALID_DATE' };
+  }
+
+  let providers = listProviders();
+  if (providerId) {
+    const provider = findProviderById(providerId);
+    if (!provider) {
+      return { success: false, error: `Provider ${providerId} not found`, errorCode: 'NOT_FOUND' };
+    }
+    providers = [provider];
+  }
+
+  const timeZone = getClinicTimeZone();
+  const { startDate, endDate } = scheduleRange(date, view);
+  const dates = [];
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+
+  try {
+    const schedules = [];
+    for (const provider of providers) {
+      const availabilityResponse = await getCerboAvailability([provider.id], startDate, endDate);
+      const appointmentsResponse = await getAllAppointments(provider.id, startDate, endDate);
+      schedules.push({
+        id: provider.id,
+        displayName: provider.displayName,
+        days: await buildProviderDays(provider.id, availabilityResponse, appointmentsResponse, dates, { timeZone })
+      });
+    }
+
+    return { success: true, startDate, endDate, timeZone, providers: schedules };
+  } catch (error) {
+    logger.error('Error getting the staff schedule:', error);
+    return {
+      success: false,
+      error: 'Failed to retrieve the schedule',
+      ...(error.errorCode ? { errorCode: error.errorCode } : {}),
+      ...(error.retryAfterSeconds ? { retryAfterSeconds: error.retryAfterSeconds } : {})
+    };
+  }
+}
+
+export {
+  getStaffSchedule,
+  buildProviderDays,
+  scheduleRange,
+  findGaps
+};
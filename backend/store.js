@@ -0,0 +1,200 @@
+// backend/store.js - Key-value storage for server state, kept in memory or in files shared between replicas
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where the file store keeps its data unless STORE_DIR says otherwise
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * @typedef {Object} Store
+ * @property {function(string): Promise<any>} get - Get the value stored under a key, or null
+ * @property {function(string, any): Promise<void>} set - Store a value under a key
+ * @property {function(string, any): Promise<boolean>} add - Store a value only if the key is not already taken, true if it was stored
+ * @property {function(string): Promise<boolean>} delete - Remove a key, true if it existed
+ * @property {function(): Promise<Array<[string, any]>>} entries - Every key and value in the store
+ */
+
+/**
+ * Store that keeps values in process memory
+ * Values are copied in and out so callers cannot change stored values by accident
+ */
+class MemoryStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.has(key) ? structuredClone(this.values.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+
+  async add(key, value) {
+    if (this.values.has(key)) {
+      return false;
+    }
+    this.values.set(key, structuredClone(value));
+    return true;
+  }
+
+  async delete(key) {
+    return this.values.delete(key);
+  }
+
+  /**
+   * @returns {Promise<Array<[string, any]>>} Every key and value in the store
+   */
+  async entries() {
+    return [...this.values.entries()].map(([key, value]) => [key, structuredClone(value)]);
+  }
+}
+
+/**
+ * Store that keeps each value as a JSON file in a directory
+ * Files are written to a temporary name and renamed into place, so readers on other replicas never see half a value
+ */
+class FileStore {
+  /**
+   * @param {string} directory - Directory holding the store's files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = null;
+  }
+
+  /**
+   * Create the store's directory the first time it is used
+   * 
+   * @returns {Promise<any>} Resolves once the directory exists
+   */
+  directoryReady() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Get the path of the file for a key
+   * 
+   * @param {string} key - The key
+   * @returns {string} Path of the JSON file
+   */
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Read and parse a JSON file, treating missing or unreadable files as absent
+   * 
+   * @param {string} filePath - Path of the JSON file
+   * @returns {Promise<any>} The parsed value, or null
+   */
+  async readFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable store file ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async get(key) {
+    await this.directoryReady();
+    return this.readFile(this.filePath(key));
+  }
+
+  async set(key, value) {
+    await this.directoryReady();
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Store a value only if the key is not already taken
+   * The file is created exclusively, so of several replicas adding the same key only one succeeds
+   * 
+   * @param {string} key - The key
+   * @param {any} value - The value
+   * @returns {Promise<boolean>} True if the value was stored
+   */
+  async add(key, value) {
+    await this.directoryReady();
+    try {
+      await fs.writeFile(this.filePath(key), JSON.stringify(value), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.directoryReady();
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<[string, any]>>} Every key and value in the store
+   */
+  async entries() {
+    await this.directoryReady();
+    const fileNames = (await fs.readdir(this.directory)).filter(fileName => fileName.endsWith('.json'));
+    const entries = await Promise.all(fileNames.map(async fileName => /** @type {[string, any]} */ ([
+      decodeURIComponent(fileName.slice(0, -'.json'.length)),
+      await this.readFile(path.join(this.directory, fileName))
+    ])));
+    // A file removed by another replica while listing reads as null
+    return entries.filter(([, value]) => value !== null);
+  }
+}
+
+/**
+ * Create the store for one kind of state
+ * The backing storage is chosen with STORE_TYPE ("memory", the default, or "file").
+ * File stores live in STORE_DIR, which replicas must share for them to see each other's state
+ * 
+ * @param {string} namespace - Name of the kind of state, e.g. "sessions"
+ * @param {{type?: string, directory?: string}} [options] - Override the environment settings
+ * @returns {Store} The store
+ */
+function createStore(namespace, options = {}) {
+  const type = options.type || process.env.STORE_TYPE || 'memory';
+
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+
+  if (type === 'file') {
+    const directory = options.directory || process.env.STORE_DIR || DEFAULT_STORE_DIR;
+    return new FileStore(path.join(directory, namespace));
+  }
+
+  throw new Error(`Unknown STORE_TYPE "${type}", expected "memory" or "file"`);
+}
+
+export {
+  createStore
+};
@@ -0,0 +1,682 @@
+// backend/waitlist.js - Waitlist for fully booked days: patients wait for a time that suits them and are offered it when one opens up
+import crypto from 'crypto';
+import logger from '../logger.js';
+import { getAvailability, bookAppointment, ADMIN_FLEXIBLE_TYPE_ID } from './availability.web.js';
+import { findAppointmentTypeById } from './appointment_types.js';
+import { findProviderById } from './providers.js';
+import { validateContact } from './intake_forms.js';
+import { placeHold, releaseHold } from './slot_holds.js';
+import { createStore } from './store.js';
+import { notifyWaitlistOffer } from './notifications.js';
+import { getClinicTimeZone, toClinicDate } from '../clinic_time.js';
+
+// Defaults, each can be overridden with the environment variable named alongside
+const DEFAULT_CLAIM_MINUTES = 60; // WAITLIST_CLAIM_MINUTES
+const DEFAULT_OFFER_BATCH = 3; // WAITLIST_OFFER_BATCH
+const DEFAULT_SCAN_INTERVAL_MINUTES = 5; // WAITLIST_SCAN_INTERVAL_MINUTES
+
+// Most dates a patient can wait for at once
+const MAX_PREFERRED_DATES = 14;
+
+// Offers and the records of who was offered a time are kept this long after the time has passed
+const OFFER_RETENTION_MS = 24 * 60 * 60000;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// The whole day, for patients who do not mind what time they come
+const ANY_TIME = { from: '00:00', to: '24:00' };
+
+/**
+ * @typedef {Object} TimeWindow
+ * @property {string} from - Earliest start on the clinic's clocks, "HH:MM"
+ * @property {string} to - Start times must be before this, "HH:MM" ("24:00" for the end of the day)
+ */
+
+/**
+ * @typedef {Object} WaitlistEntry
+ * @property {string} id - ID of the entry
+ * @property {string} appointmentTypeId - Appointment type the patient wants
+ * @property {number|null} providerId - Provider the patient wants, null for any provider
+ * @property {string} patientName - Name of the patient
+ * @property {string} email - Email of the patient, where offers are sent
+ * @property {Array<string>} preferredDates - Days at the clinic the patient can come, "YYYY-MM-DD", in order
+ * @property {TimeWindow} timeWindow - Times of day the patient can come
+ * @property {string} status - waiting, offered (an offer is open), booked, expired (all their days passed) or left
+ * @property {string} createdAt - ISO datetime string for when the patient joined, which sets their place in the queue
+ * @property {number} [sequence] - Number claimed when the patient joined, orders patients who joined in the same millisecond. Missing on entries from before it was added
+ * @property {number|string} [appointmentId] - Appointment booked from an offer
+ * @property {string} [updatedAt] - ISO datetime string for the last change
+ */
+
+/**
+ * @typedef {Object} WaitlistOffer
+ * @property {string} token - Token in the claim link
+ * @property {string} entryId - Waitlist entry the offer was made to
+ * @property {string} openingKey - The time that opened up, as provider and start time
+ * @property {import('./availability.web.js').TimeSlot} slot - The slot to book for the patient's appointment type
+ * @property {string} status - open, claimed, taken (someone else claimed it), declined or expired
+ * @property {string} expiresAt - ISO datetime string for when the claim link stops working
+ * @property {string} createdAt - ISO datetime string for when the offer was made
+ */
+
+/**
+ * @typedef {Object} WaitlistResponse
+ * @property {boolean} success - Whether the operation was successful
+ * @property {Object} [entry] - The patient's place on the waitlist: id, appointmentTypeId, providerId, preferredDates, timeWindow and position
+ * @property {Object} [offer] - What is on offer: status, appointment type, provider, patient, start and end time and expiresAt
+ * @property {string} [timeZone] - IANA time zone of the clinic
+ * @property {string} [error] - Error message if not successful
+ * @property {string} [errorCode] - Machine-readable reason the operation failed (INVALID_WAITLIST_REQUEST, NOT_FOUND, OFFER_EXPIRED, OFFER_TAKEN, OFFER_CLAIMED)
+ * @property {Object<string, string>} [fieldErrors] - What is wrong with each of the patient's details, keyed by field name
+ */
+
+// Patients waiting, keyed by entry ID
+const entryStore = createStore('waitlist');
+// Offers keyed by their claim token
+const offerStore = createStore('waitlist_offers');
+// Each round of offers for a time, keyed by opening and round number, so two replicas never offer the same round
+const roundStore = createStore('waitlist_rounds');
+// Times that have been claimed, keyed by opening, so only the first patient to respond books it
+const claimStore = createStore('waitlist_claims');
+// Sequence numbers given to entries, keyed by number, so two patients joining at once never get the same one
+const sequenceStore = createStore('waitlist_sequence');
+
+// The last sequence number this replica claimed, where it starts looking for the next free one
+let lastSequence = 0;
+
+/**
+ * Read a positive whole number from the environment
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when the variable is unset or invalid
+ * @returns {number} The number
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Key of a time that opened up: the provider and the start time
+ * 
+ * @param {{providerId?: number, startTime: string}} slot - The slot
+ * @returns {string} The key
+ */
+function openingKeyOf(slot) {
+  return `${slot.providerId}:${slot.startTime}`;
+}
+
+/**
+ * Session the waitlist holds an opening under while it is on offer
+ * Claims book with the same session, so the hold keeps the time for them and nobody else
+ * 
+ * @param {string} openingKey - The opening
+ * @returns {string} The session ID
+ */
+function holdSessionId(openingKey) {
+  return `waitlist:${openingKey}`;
+}
+
+/**
+ * Check whether a slot is one the patient is waiting for
+ * 
+ * @param {WaitlistEntry} entry - The patient's entry
+ * @param {{clinicDate?: string, clinicTime?: string}} slot - The slot, with its day and time at the clinic
+ * @returns {boolean} True if the slot is on one of their days and inside their time window
+ */
+function slotMatchesEntry(entry, slot) {
+  return entry.preferredDates.includes(slot.clinicDate)
+    && slot.clinicTime >= entry.timeWindow.from
+    && slot.clinicTime < entry.timeWindow.to;
+}
+
+/**
+ * Check the details of a request to join the waitlist
+ * 
+ * @param {Object} request - The request, see joinWaitlist
+ * @param {string} today - Today at the clinic, "YYYY-MM-DD"
+ * @returns {{fieldErrors: Object<string, string>, preferredDates: Array<string>, timeWindow: TimeWindow}} What is wrong, and the cleaned dates and window
+ */
+function validateWaitlistRequest(request, today) {
+  const fieldErrors = validateContact(request.patientName, request.email);
+
+  const dates = Array.isArray(request.preferredDates) ? request.preferredDates.map(String) : [];
+  const preferredDates = [...new Set(dates)].sort();
+  if (preferredDates.length === 0) {
+    fieldErrors.preferredDates = 'Choose at least one date';
+  } else if (preferredDates.length > MAX_PREFERRED_DATES) {
+    fieldErrors.preferredDates = `Choose at most ${MAX_PREFERRED_DATES} dates`;
+  } else if (preferredDates.some(day => !DAY_PATTERN.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`)))) {
+    fieldErrors.preferredDates = 'Dates must be given as YYYY-MM-DD';
+  } else if (preferredDates.some(day => day < today)) {
+    fieldErrors.preferredDates = 'Dates cannot be in the past';
+  }
+
+  const timeWindow = request.timeWindow ? { from: String(request.timeWindow.from), to: String(request.timeWindow.to) } : ANY_TIME;
+  if (!TIME_PATTERN.test(timeWindow.from) || !TIME_PATTERN.test(timeWindow.to)) {
+    fieldErrors.timeWindow = 'Times must be given as HH:MM';
+  } else if (timeWindow.from >= timeWindow.to) {
+    fieldErrors.timeWindow = 'The earliest time must be before the latest';
+  }
+
+  return { fieldErrors, preferredDates, timeWindow };
+}
+
+/**
+ * Get the patients still waiting or holding an offer, first to join first
+ * 
+ * @returns {Promise<Array<WaitlistEntry>>} The entries
+ */
+async function listActiveEntries() {
+  return (await entryStore.entries())
+    .map(([, entry]) => entry)
+    .filter(entry => entry.status === 'waiting' || entry.status === 'offered')
+    .sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt) || (a.sequence ?? 0) - (b.sequence ?? 0) || a.id.localeCompare(b.id)
+    );
+}
+
+/**
+ * Claim the next free sequence number for a new entry
+ * Numbers are claimed by adding them to the store, so if another join, here or on another replica,
+ * took a number first this one moves on to the next
+ * 
+ * @param {string} entryId - The entry the number is for
+ * @returns {Promise<number>} The sequence number
+ */
+async function claimSequence(entryId) {
+  let sequence = lastSequence + 1;
+  while (!(await sequenceStore.add(String(sequence), { entryId }))) {
+    sequence++;
+  }
+  lastSequence = Math.max(lastSequence, sequence);
+  return sequence;
+}
+
+/**
+ * What a patient is told about their place on the waitlist
+ * 
+ * @param {WaitlistEntry} entry - The entry
+ * @param {Array<WaitlistEntry>} activeEntries - Everyone waiting, first to join first
+ * @returns {Object} The entry without the patient's details, with their place in the queue for the appointment type
+ */
+function describeEntry(entry, activeEntries) {
+  const queue = activeEntries.filter(other => other.appointmentTypeId === entry.appointmentTypeId);
+  return {
+    id: entry.id,
+    appointmentTypeId: entry.appointmentTypeId,
+    providerId: entry.providerId,
+    preferredDates: entry.preferredDates,
+    timeWindow: entry.timeWindow,
+    status: entry.status,
+    position: queue.findIndex(other => other.id === entry.id) + 1
+  };
+}
+
+/**
+ * Join the waitlist for an appointment type
+ * A patient already waiting for the same appointment type has their days and times replaced and keeps their place
+ * 
+ * @param {Object} request - What the patient is waiting for
+ * @param {number|string} request.appointmentTypeId - Appointment type
+ * @param {number|string|null} [request.providerId] - Provider, omit for any provider
+ * @param {string} request.patientName - Name of the patient
+ * @param {string} request.email - Email of the patient, where offers are sent
+ * @param {Array<string>} request.preferredDates - Days at the clinic the patient can come, "YYYY-MM-DD"
+ * @param {TimeWindow} [request.timeWindow] - Times of day the patient can come, defaults to any time
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<WaitlistResponse>} The patient's place on the waitlist
+ */
+async function joinWaitlist(request, now = Date.now()) {
+  try {
+    const appointmentType = findAppointmentTypeById(request.appointmentTypeId);
+    if (!appointmentType || appointmentType.id === ADMIN_FLEXIBLE_TYPE_ID) {
+      return {
+        success: false,
+        error: `Appointment type with ID ${request.appointmentTypeId} not found`,
+        errorCode: 'NOT_FOUND'
+      };
+    }
+
+    const providerId = request.providerId ? Number(request.providerId) : null;
+    if (providerId && !findProviderById(providerId)?.offers(appointmentType.id)) {
+      return {
+        success: false,
+        error: `Provider ${providerId} does not offer appointment type ${appointmentType.id}`,
+        errorCode: 'INVALID_WAITLIST_REQUEST',
+        fieldErrors: { providerId: 'This provider does not offer this appointment' }
+      };
+    }
+
+    const { fieldErrors, preferredDates, timeWindow } = validateWaitlistRequest(request, toClinicDate(now));
+    if (Object.keys(fieldErrors).length > 0) {
+      return {
+        success: false,
+        error: 'Please check the highlighted details',
+        errorCode: 'INVALID_WAITLIST_REQUEST',
+        fieldErrors
+      };
+    }
+
+    const email = request.email.trim();
+    const activeEntries = await listActiveEntries();
+    const existing = activeEntries.find(entry =>
+      entry.appointmentTypeId === String(appointmentType.id) && entry.email.toLowerCase() === email.toLowerCase()
+    );
+
+    const id = existing ? existing.id : crypto.randomUUID();
+    
+    /** @type {WaitlistEntry} */
+    const entry = existing
+      ? { ...existing, providerId, patientName: request.patientName.trim(), preferredDates, timeWindow, updatedAt: new Date(now).toISOString() }
+      : {
+        id,
+        appointmentTypeId: String(appointmentType.id),
+        providerId,
+        patientName: request.patientName.trim(),
+        email,
+        preferredDates,
+        timeWindow,
+        status: 'waiting',
+        createdAt: new Date(now).toISOString(),
+        sequence: await claimSequence(id)
+      };
+    await entryStore.set(entry.id, entry);
+    logger.info(`${existing ? 'Updated' : 'Added'} waitlist entry ${entry.id} for appointment type ${entry.appointmentTypeId} on ${preferredDates.join(', ')}`);
+
+    // The place in the queue is read back after storing, so it counts patients who joined at the same time
+    return {
+      success: true,
+      entry: describeEntry(entry, await listActiveEntries())
+    };
+  } catch (error) {
+    logger.error('Error joining waitlist:', error);
+    return {
+      success: false,
+      error: 'Failed to join the waitlist'
+    };
+  }
+}
+
+/**
+ * Find an offer by its claim token, failing with the reason it can no longer be claimed
+ * 
+ * @param {string} token - Token from the claim link
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{offer?: WaitlistOffer, failure?: WaitlistResponse}>} The open offer, or why it is not open
+ */
+async function findOpenOffer(token, now) {
+  const offer = token ? await offerStore.get(String(token)) : null;
+
+  if (!offer) {
+    return { failure: { success: false, error: 'This waitlist offer was not found', errorCode: 'NOT_FOUND' } };
+  }
+  if (offer.status === 'claimed') {
+    return { offer, failure: { success: false, error: 'You have already booked this time, your confirmation email has the details', errorCode: 'OFFER_CLAIMED' } };
+  }
+  if (offer.status === 'taken') {
+    return { offer, failure: { success: false, error: 'Sorry, someone else on the waitlist claimed this time first', errorCode: 'OFFER_TAKEN' } };
+  }
+  if (offer.status !== 'open' || Date.parse(offer.expiresAt) <= now) {
+    return { offer, failure: { success: false, error: 'This waitlist offer has expired', errorCode: 'OFFER_EXPIRED' } };
+  }
+  return { offer };
+}
+
+/**
+ * Get what a claim link offers
+ * 
+ * @param {string} token - Token from the claim link
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<WaitlistResponse>} The offer
+ */
+async function getWaitlistOffer(token, now = Date.now()) {
+  try {
+    const { offer, failure } = await findOpenOffer(token, now);
+    if (failure) {
+      return failure;
+    }
+
+    const entry = await entryStore.get(offer.entryId);
+    const appointmentType = findAppointmentTypeById(offer.slot.primaryBooking.appointmentTypeId);
+
+    return {
+      success: true,
+      offer: {
+        status: offer.status,
+        appointmentTypeId: appointmentType?.id ?? null,
+        appointmentTypeName: appointmentType?.displayName ?? null,
+        providerId: offer.slot.providerId,
+        providerName: offer.slot.providerName,
+        patientName: entry?.patientName ?? null,
+        email: entry?.email ?? null,
+        startTime: offer.slot.startTime,
+        endTime: offer.slot.endTime,
+        clinicDate: offer.slot.clinicDate,
+        clinicTime: offer.slot.clinicTime,
+        expiresAt: offer.expiresAt,
+        // Lets the browser count down without relying on its own clock matching ours
+        expiresInSeconds: Math.round((Date.parse(offer.expiresAt) - now) / 1000)
+      },
+      timeZone: getClinicTimeZone()
+    };
+  } catch (error) {
+    logger.error('Error getting waitlist offer:', error);
+    return {
+      success: false,
+      error: 'Failed to retrieve waitlist offer'
+    };
+  }
+}
+
+/**
+ * Mark the other open offers of an opening as taken once one of them was claimed
+ * 
+ * @param {string} openingKey - The opening
+ * @param {string} claimedToken - The offer that was claimed
+ * @returns {Promise<void>}
+ */
+async function closeOtherOffers(openingKey, claimedToken) {
+  for (const [token, offer] of await offerStore.entries()) {
+    if (offer.openingKey !== openingKey || token === claimedToken || offer.status !== 'open') {
+      continue;
+    }
+    await offerStore.set(token, { ...offer, status: 'taken' });
+    const entry = await entryStore.get(offer.entryId);
+    if (entry?.status === 'offered') {
+      await entryStore.set(entry.id, { ...entry, status: 'waiting', updatedAt: new Date().toISOString() });
+    }
+  }
+}
+
+/**
+ * Claim the time a waitlist offer is for and book it
+ * Of the patients offered the same time, the first to claim it books it; the others are told it was taken.
+ * A claim that fails, e.g. because the intake form needs correcting, leaves the time to be claimed again
+ * 
+ * @param {string} token - Token from the claim link
+ * @param {Object<string, any>} intake - Answers to the appointment type's intake form, keyed by field name
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<WaitlistResponse|import('./availability.web.js').BookingResponse>} The booking
+ */
+async function claimWaitlistOffer(token, intake, now = Date.now()) {
+  try {
+    const { offer, failure } = await findOpenOffer(token, now);
+    if (failure) {
+      return failure;
+    }
+
+    const entry = await entryStore.get(offer.entryId);
+    if (!entry || entry.status === 'left' || entry.status === 'booked') {
+      return { success: false, error: 'This waitlist offer was not found', errorCode: 'NOT_FOUND' };
+    }
+
+    if (!(await claimStore.add(offer.openingKey, { token: offer.token, claimedAt: new Date(now).toISOString() }))) {
+      return { success: false, error: 'Sorry, someone else on the waitlist claimed this time first', errorCode: 'OFFER_TAKEN' };
+    }
+
+    const response = await bookAppointment(entry.patientName, entry.email, offer.slot, {
+      sessionId: holdSessionId(offer.openingKey),
+      intake
+    });
+
+    if (!response.success) {
+      await claimStore.delete(offer.openingKey);
+      if (response.errorCode === 'SLOT_UNAVAILABLE') {
+        // The time went some other way, e.g. it was booked at the front desk
+        await offerStore.set(offer.token, { ...offer, status: 'taken' });
+        await entryStore.set(entry.id, { ...entry, status: 'waiting', updatedAt: new Date(now).toISOString() });
+        return { success: false, error: 'Sorry, this time is no longer available', errorCode: 'OFFER_TAKEN' };
+      }
+      return response;
+    }
+
+    await offerStore.set(offer.token, { ...offer, status: 'claimed' });
+    await entryStore.set(entry.id, { ...entry, status: 'booked', appointmentId: response.appointment.id, updatedAt: new Date(now).toISOString() });
+    await closeOtherOffers(offer.openingKey, offer.token);
+    logger.info(`Waitlist entry ${entry.id} claimed ${offer.openingKey} as appointment ${response.appointment.id}`);
+    return response;
+  } catch (error) {
+    logger.error('Error claiming waitlist offer:', error);
+    return {
+      success: false,
+      error: 'Failed to claim waitlist offer'
+    };
+  }
+}
+
+/**
+ * Turn down a waitlist offer, optionally leaving the waitlist
+ * When everyone offered the time has turned it down it is no longer held, and the next run offers it on
+ * 
+ * @param {string} token - Token from the claim link
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.leave=false] - Also leave the waitlist, instead of waiting for another time
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<WaitlistResponse>} Whether the offer was turned down
+ */
+async function declineWaitlistOffer(token, { leave = false, now = Date.now() } = {}) {
+  try {
+    const { offer, failure } = await findOpenOffer(token, now);
+    if (failure && !(leave && offer)) {
+      return failure;
+    }
+
+    if (!failure) {
+      await offerStore.set(offer.token, { ...offer, status: 'declined' });
+      const othersOpen = (await offerStore.entries())
+        .some(([, other]) => other.openingKey === offer.openingKey && other.status === 'open' && Date.parse(other.expiresAt) > now);
+      if (!othersOpen) {
+        await releaseHold(holdSessionId(offer.openingKey));
+      }
+    }
+
+    const entry = await entryStore.get(offer.entryId);
+    if (entry && (entry.status === 'waiting' || entry.status === 'offered')) {
+      await entryStore.set(entry.id, { ...entry, status: leave ? 'left' : 'waiting', updatedAt: new Date(now).toISOString() });
+    }
+    logger.info(`Waitlist offer for ${offer.openingKey} declined by entry ${offer.entryId}${leave ? ', who left the waitlist' : ''}`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error declining waitlist offer:', error);
+    return {
+      success: false,
+      error: 'Failed to decline waitlist offer'
+    };
+  }
+}
+
+/**
+ * @typedef {Object} WaitlistSummary
+ * @property {number} offered - Offers sent
+ * @property {number} offersExpired - Offers that ran out unclaimed
+ * @property {number} entriesExpired - Patients whose days have all passed
+ */
+
+/**
+ * Offer times that have opened up to the patients waiting for them
+ * Patients are offered times in the order they joined. Each time is offered to a round of up to
+ * WAITLIST_OFFER_BATCH patients and held for them for WAITLIST_CLAIM_MINUTES; the first to claim it books it.
+ * If nobody does, the hold runs out and the next run offers it to the next round
+ * 
+ * @param {Object} [options] - Options, defaulting to the WAITLIST_* settings
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {number} [options.claimMinutes] - How long each offer can be claimed for
+ * @param {number} [options.batchSize] - Patients offered each time in one round
+ * @returns {Promise<WaitlistSummary>} What was done
+ */
+async function processWaitlist(options = {}) {
+  const now = options.now ?? Date.now();
+  const claimMinutes = options.claimMinutes ?? numberFromEnv('WAITLIST_CLAIM_MINUTES', DEFAULT_CLAIM_MINUTES);
+  const batchSize = options.batchSize ?? numberFromEnv('WAITLIST_OFFER_BATCH', DEFAULT_OFFER_BATCH);
+  const today = toClinicDate(now);
+  const summary = { offered: 0, offersExpired: 0, entriesExpired: 0 };
+
+  // Offers nobody claimed in time send their patients back to waiting
+  for (const [token, offer] of await offerStore.entries()) {
+    if (offer.status === 'open' && Date.parse(offer.expiresAt) <= now) {
+      await offerStore.set(token, { ...offer, status: 'expired' });
+      const entry = await entryStore.get(offer.entryId);
+      if (entry?.status === 'offered') {
+        await entryStore.set(entry.id, { ...entry, status: 'waiting', updatedAt: new Date(now).toISOString() });
+      }
+      summary.offersExpired++;
+    } else if (Date.parse(offer.slot.startTime) < now - OFFER_RETENTION_MS) {
+      await offerStore.delete(token);
+    }
+  }
+
+  const waiting = [];
+  for (const entry of await listActiveEntries()) {
+    if (entry.preferredDates.every(day => day < today)) {
+      await entryStore.set(entry.id, { ...entry, status: 'expired', updatedAt: new Date(now).toISOString() });
+      summary.entriesExpired++;
+    } else if (entry.status === 'waiting') {
+      waiting.push(entry);
+    }
+  }
+
+  // Who each opening has been offered to in earlier rounds
+  /** @type {Map<string, {rounds: number, entryIds: Set<string>}>} */
+  const openings = new Map();
+  for (const [key, round] of await roundStore.entries()) {
+    if (Date.parse(round.startTime) < now - OFFER_RETENTION_MS) {
+      await roundStore.delete(key);
+      await claimStore.delete(round.openingKey);
+      continue;
+    }
+    const opening = openings.get(round.openingKey) || { rounds: 0, entryIds: new Set() };
+    opening.rounds++;
+    round.entryIds.forEach(id => opening.entryIds.add(id));
+    openings.set(round.openingKey, opening);
+  }
+  const offeredBefore = (entry, slot) => openings.get(openingKeyOf(slot))?.entryIds.has(entry.id) ?? false;
+
+  // Free slots for each appointment type and provider that patients are waiting for, fetched when first needed
+  /** @type {Map<string, Array<import('./availability.web.js').TimeSlot>>} */
+  const slotsByQueue = new Map();
+  const freeSlotsFor = async (entry) => {
+    const queue = `${entry.appointmentTypeId}:${entry.providerId ?? ''}`;
+    if (!slotsByQueue.has(queue)) {
+      const days = waiting
+        .filter(other => other.appointmentTypeId === entry.appointmentTypeId && other.providerId === entry.providerId)
+        .flatMap(other => other.preferredDates)
+        .filter(day => day >= today)
+        .sort();
+      const availability = await getAvailability(Number(entry.appointmentTypeId), days[0], days[days.length - 1], {
+        providerId: entry.providerId,
+        bypassCache: true
+      });
+      if (!availability.success) {
+        // Cerbo may be back by the next run, the patients keep their place meanwhile
+        logger.warn(`Could not check availability for waitlist queue ${queue}:`, availability.error);
+      }
+      slotsByQueue.set(queue, availability.success ? availability.availableSlots : []);
+    }
+    return slotsByQueue.get(queue);
+  };
+
+  const offeredThisRun = new Set();
+  for (const [index, entry] of waiting.entries()) {
+    if (offeredThisRun.has(entry.id)) {
+      continue;
+    }
+    const slot = (await freeSlotsFor(entry)).find(candidate => slotMatchesEntry(entry, candidate) && !offeredBefore(entry, candidate));
+    if (!slot) {
+      continue;
+    }
+
+    // The patients next in line who can take the same time join the round
+    const round = [{ entry, slot }];
+    for (const next of waiting.slice(index + 1)) {
+      if (round.length >= batchSize) {
+        break;
+      }
+      if (offeredThisRun.has(next.id) || offeredBefore(next, slot)) {
+        continue;
+      }
+      const nextSlot = (await freeSlotsFor(next)).find(candidate =>
+        candidate.providerId === slot.providerId && candidate.startTime === slot.startTime && slotMatchesEntry(next, candidate)
+      );
+      if (nextSlot) {
+        round.push({ entry: next, slot: nextSlot });
+      }
+    }
+
+    const openingKey = openingKeyOf(slot);
+    const opening = openings.get(openingKey) || { rounds: 0, entryIds: new Set() };
+    const expiresAt = new Date(now + claimMinutes * 60000).toISOString();
+    if (!(await roundStore.add(`${openingKey}#${opening.rounds + 1}`, {
+      openingKey,
+      startTime: slot.startTime,
+      entryIds: round.map(offer => offer.entry.id),
+      expiresAt
+    }))) {
+      // Another replica is offering this time
+      continue;
+    }
+    opening.rounds++;
+    round.forEach(offer => opening.entryIds.add(offer.entry.id));
+    openings.set(openingKey, opening);
+
+    await placeHold(holdSessionId(openingKey), slot, now, claimMinutes);
+    // The hold changes what is free, so later patients are matched against fresh availability
+    slotsByQueue.clear();
+
+    for (const { entry: patient, slot: patientSlot } of round) {
+      const claimToken = crypto.randomBytes(24).toString('base64url');
+      await offerStore.set(claimToken, {
+        token: claimToken,
+        entryId: patient.id,
+        openingKey,
+        slot: patientSlot,
+        status: 'open',
+        expiresAt,
+        createdAt: new Date(now).toISOString()
+      });
+      await entryStore.set(patient.id, { ...patient, status: 'offered', updatedAt: new Date(now).toISOString() });
+      offeredThisRun.add(patient.id);
+      summary.offered++;
+
+      notifyWaitlistOffer({
+        patientName: patient.patientName,
+        email: patient.email,
+        appointmentTypeName: findAppointmentTypeById(patient.appointmentTypeId)?.displayName,
+        providerName: patientSlot.providerName,
+        startTime: patientSlot.startTime,
+        endTime: patientSlot.endTime,
+        claimToken,
+        expiresAt
+      });
+    }
+    logger.info(`Offered ${openingKey} to waitlist entries ${round.map(offer => offer.entry.id).join(', ')} until ${expiresAt}`);
+  }
+
+  return summary;
+}
+
+/**
+ * The waitlist job for the job runner, offering times that opened up every WAITLIST_SCAN_INTERVAL_MINUTES
+ * Cancellations also run it straight away, so a freed time is offered without waiting for the next run
+ * 
+ * @param {Parameters<typeof processWaitlist>[0]} [options] - Options passed to each run
+ * @returns {import('./job_runner.js').Job} The job
+ */
+function createWaitlistJob(options = {}) {
+  return {
+    name: 'waitlist-offers',
+    intervalMs: numberFromEnv('WAITLIST_SCAN_INTERVAL_MINUTES', DEFAULT_SCAN_INTERVAL_MINUTES) * 60000,
+    runOnStart: true,
+    run: () => processWaitlist({ ...options, now: Date.now() })
+  };
+}
+
+export {
+  joinWaitlist,
+  getWaitlistOffer,
+  claimWaitlistOffer,
+  declineWaitlistOffer,
+  processWaitlist,
+  createWaitlistJob
+};
@@ -1,6 +1,8 @@
 // cerbo_api.js
-import { authHeader, baseUrl } from './api_token.js';
+import { baseUrl } from './api_token.js';
+import { cerboRequest } from './cerbo_client.js';
 import logger from './logger.js';
+import { parseClinicDateTime, toClinicDate } from './clinic_time.js';
 
 /**
  * Retrieves provider availability for the specified date range
@@ -9,7 +11,7 @@ import logger from './logger.js';
  * @param {string|Date} startDate - Start date in YYYY-MM-DD format or Date object
  * @param {string|Date} endDate - End date in YYYY-MM-DD format or Date object
  * @returns {Promise<AvailabilityResponse>} Availability response object
- * @throws {Error} If the API request fails
+ * @throws {CerboError} If the API request fails
  */
 export async function getAvailability(providerIds, startDate, endDate) {
   try {
@@ -31,23 +33,8 @@ export async function getAvailability(providerIds, startDate, endDate) {
     const url = buildUrl(`${baseUrl}/appointments/availability`, params);
     
     logger.info("Availability Request URL:", url);
-    logger.info("Availability Request authHeader:", authHeader);
     
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(`API error (${response.status} ${response.statusText}):`, errorText);
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await cerboRequest(url);
     return AvailabilityResponse.fromJson(data);
   } catch (error) {
     logger.error('Error retrieving availability:', error);
@@ -62,7 +49,7 @@ export async function getAvailability(providerIds, startDate, endDate) {
  * @param {string|Date} startDate - Start date in YYYY-MM-DD format or Date object
  * @param {string|Date} endDate - End date in YYYY-MM-DD format or Date object 
  * @returns {Promise<AppointmentsResponse>} Appointments response object
- * @throws {Error} If the API request fails
+ * @throws {CerboError} If the API request fails
  */
 export async function getAllAppointments(providerId, startDate, endDate) {
   try {
@@ -75,23 +62,8 @@ export async function getAllAppointments(providerId, startDate, endDate) {
     const url = buildUrl(`${baseUrl}/appointments`, params);
     
     logger.info("All Appointments Request URL:", url);
-    logger.info("Appointments Request authHeader:", authHeader);
     
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(`API error (${response.status} ${response.statusText}):`, errorText);
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await cerboRequest(url);
     return AppointmentsResponse.fromJson(data);
   } catch (error) {
     logger.error('Error retrieving appointments:', error);
@@ -104,7 +76,7 @@ export async function getAllAppointments(providerId, startDate, endDate) {
  * 
  * @param {AppointmentRequest} appointmentRequest - The appointment request object
  * @returns {Promise<CreateAppointmentResponse>} Create appointment response object
- * @throws {Error} If the API request fails
+ * @throws {CerboError} If the API request fails
  */
 export async function createAppointment(appointmentRequest) {
   try {
@@ -113,25 +85,105 @@ export async function createAppointment(appointmentRequest) {
     logger.info("Create Appointment URL:", url);
     logger.info("Create Appointment Request:", JSON.stringify(appointmentRequest, null, 2));
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(appointmentRequest)
-    });
+    const data = await cerboRequest(url, { method: 'POST', body: appointmentRequest });
+    return CreateAppointmentResponse.fromJson(data);
+  } catch (error) {
+    logger.error('Error creating appointment:', error);
+    throw error;
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(`API error (${response.status} ${response.statusText}):`, errorText);
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
+/**
+ * Retrieves a single appointment by ID
+ * 
+ * @param {string|number} appointmentId - The appointment ID
+ * @returns {Promise<Object|null>} The appointment with Date objects for time fields, or null if it does not exist
+ * @throws {CerboError} If the API request fails
+ */
+export async function getAppointment(appointmentId) {
+  try {
+    const url = `${baseUrl}/appointments/${encodeURIComponent(appointmentId)}`;
+
+    logger.info("Get Appointment URL:", url);
+
+    const data = await cerboRequest(url, { notFoundAsNull: true });
+
+    if (data === null) {
+      return null;
     }
+    return AppointmentsResponse.fromJson({ data: [data] }).appointments[0];
+  } catch (error) {
+    logger.error('Error retrieving appointment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Updates an existing appointment
+ * 
+ * @param {string|number} appointmentId - The appointment ID
+ * @param {Partial<AppointmentRequest>} appointmentChanges - The appointment fields to change
+ * @returns {Promise<CreateAppointmentResponse>} Response object with the updated appointment
+ * @throws {CerboError} If the API request fails
+ */
+export async function updateAppointment(appointmentId, appointmentChanges) {
+  try {
+    const url = `${baseUrl}/appointments/${encodeURIComponent(appointmentId)}`;
+
+    logger.info("Update Appointment URL:", url);
+    logger.info("Update Appointment Request:", JSON.stringify(appointmentChanges, null, 2));
 
-    const data = await response.json();
+    const data = await cerboRequest(url, { method: 'PATCH', body: appointmentChanges });
     return CreateAppointmentResponse.fromJson(data);
   } catch (error) {
-    logger.error('Error creating appointment:', error);
+    logger.error('Error updating appointment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancels an appointment, keeping it on the calendar with a cancelled status
+ * 
+ * @param {string|number} appointmentId - The appointment ID
+ * @returns {Promise<ApiResponse>} Cancellation response object
+ * @throws {CerboError} If the API request fails
+ */
+export async function cancelAppointment(appointmentId) {
+  try {
+    const url = `${baseUrl}/appointments/${encodeURIComponent(appointmentId)}`;
+
+    logger.info("Cancel Appointment URL:", url);
+
+    await cerboRequest(url, { method: 'PATCH', body: { appointment_status: 'cancelled' } });
+
+    logger.info(`Cancelled appointment ${appointmentId}`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error cancelling appointment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes an appointment from the calendar
+ * Used for ADMIN-Flexible buffers, which should not linger as cancelled entries
+ * 
+ * @param {string|number} appointmentId - The appointment ID
+ * @returns {Promise<ApiResponse>} Deletion response object
+ * @throws {CerboError} If the API request fails
+ */
+export async function deleteAppointment(appointmentId) {
+  try {
+    const url = `${baseUrl}/appointments/${encodeURIComponent(appointmentId)}`;
+
+    logger.info("Delete Appointment URL:", url);
+
+    await cerboRequest(url, { method: 'DELETE' });
+
+    logger.info(`Deleted appointment ${appointmentId}`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error deleting appointment:', error);
     throw error;
   }
 }
@@ -148,7 +200,7 @@ export async function createAppointment(appointmentRequest) {
  * @param {string} taskData.due_date - Due date in ISO format
  * @param {number} [taskData.remind_minutes_before] - Minutes before to send reminder
  * @returns {Promise<Object>} Task creation response object
- * @throws {Error} If the API request fails
+ * @throws {CerboError} If the API request fails
  */
 export async function createTask(taskData) {
   try {
@@ -157,22 +209,7 @@ export async function createTask(taskData) {
     logger.info("Create Task URL:", url);
     logger.info("Create Task Request:", JSON.stringify(taskData, null, 2));
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(taskData)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(`API error (${response.status} ${response.statusText}):`, errorText);
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await cerboRequest(url, { method: 'POST', body: taskData });
     logger.info("Task created successfully:", JSON.stringify(data, null, 2));
     return { 
       success: true,
@@ -185,6 +222,99 @@ export async function createTask(taskData) {
   }
 }
 
+/**
+ * Updates an existing task in Cerbo
+ * 
+ * @param {string|number} taskId - The task ID
+ * @param {Object} taskData - The task fields to update
+ * @param {string} [taskData.status] - Task status (e.g. "completed" to close the task)
+ * @param {string} [taskData.notes] - Task notes/description
+ * @param {number} [taskData.dr_id] - Provider the task is assigned to
+ * @param {string} [taskData.due_date] - When the task is due (ISO string)
+ * @returns {Promise<Object>} Task update response object
+ * @throws {CerboError} If the API request fails
+ */
+export async function updateTask(taskId, taskData) {
+  try {
+    const url = `${baseUrl}/tasks/${encodeURIComponent(taskId)}`;
+
+    logger.info("Update Task URL:", url);
+    logger.info("Update Task Request:", JSON.stringify(taskData, null, 2));
+
+    const data = await cerboRequest(url, { method: 'PATCH', body: taskData });
+    return {
+      success: true,
+      taskId: data?.id ?? taskId,
+      data
+    };
+  } catch (error) {
+    logger.error('Error updating task:', error);
+    throw error;
+  }
+}
+
+/**
+ * Searches patient charts
+ * Only the criteria given are sent; Cerbo returns the charts that match all of them
+ * 
+ * @param {Object} criteria - What to search for
+ * @param {string} [criteria.email] - Patient email
+ * @param {string} [criteria.firstName] - Patient first name
+ * @param {string} [criteria.lastName] - Patient last name
+ * @param {string} [criteria.dob] - Date of birth in YYYY-MM-DD format
+ * @returns {Promise<PatientsResponse>} Patients response object
+ * @throws {CerboError} If the API request fails
+ */
+export async function searchPatients(criteria) {
+  try {
+    const params = new URLSearchParams();
+
+    if (criteria.email) {
+      params.append('email', criteria.email);
+    }
+    if (criteria.firstName) {
+      params.append('first_name', criteria.firstName);
+    }
+    if (criteria.lastName) {
+      params.append('last_name', criteria.lastName);
+    }
+    if (criteria.dob) {
+      params.append('dob', criteria.dob);
+    }
+
+    const url = buildUrl(`${baseUrl}/patients/search`, params);
+
+    logger.info("Search Patients URL:", url);
+
+    const data = await cerboRequest(url);
+    return PatientsResponse.fromJson(data);
+  } catch (error) {
+    logger.error('Error searching patients:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates a new patient chart
+ * 
+ * @param {PatientRequest} patientRequest - The patient request object
+ * @returns {Promise<Patient>} The created patient
+ * @throws {CerboError} If the API request fails
+ */
+export async function createPatient(patientRequest) {
+  try {
+    const url = `${baseUrl}/patients`;
+
+    logger.info("Create Patient URL:", url);
+
+    const data = await cerboRequest(url, { method: 'POST', body: patientRequest });
+    return PatientsResponse.fromJson({ data: [data] }).patients[0];
+  } catch (error) {
+    logger.error('Error creating patient:', error);
+    throw error;
+  }
+}
+
 // Helper classes and functions
 /**
  * Class representing an availability response from the Cerbo API
@@ -218,31 +348,16 @@ export class AvailabilityResponse {
    */
   static fromJson(json) {
     const userAvailabilities = json.user_availabilies || [];
-    const gmtTimezoneOffset = json.gmt_timezone_offset || '';
     
-    // Convert string times to Date objects with proper timezone handling
+    // Convert string times to Date objects on the clinic's clocks
+    // gmt_timezone_offset is a single offset for the whole response, which is wrong for part of any range spanning a DST change
     userAvailabilities.forEach(provider => {
       if (provider.availability_by_type) {
         provider.availability_by_type.forEach(type => {
           if (type.available_windows) {
             type.available_windows.forEach(window => {
-              // First, ensure the format is ISO compatible
-              let timeStr = window.window_start;
-              // Replace space with 'T' if needed
-              if (timeStr.includes(' ')) {
-                timeStr = timeStr.replace(' ', 'T');
-              }
-              // Append timezone offset
-              window.window_start = new Date(`${timeStr}${gmtTimezoneOffset}`);
-
-              // First, ensure the format is ISO compatible
-              timeStr = window.window_end;
-              // Replace space with 'T' if needed
-              if (timeStr.includes(' ')) {
-                timeStr = timeStr.replace(' ', 'T');
-              }
-              // Append timezone offset
-              window.window_end = new Date(`${timeStr}${gmtTimezoneOffset}`);
+              window.window_start = parseClinicDateTime(window.window_start);
+              window.window_end = parseClinicDateTime(window.window_end);
             });
           }
         });
@@ -288,24 +403,15 @@ export class AppointmentsResponse {
     // The API returns appointments in the "data" array
     const appointments = json.data || [];
     
-    // Convert string times to Date objects with proper UTC handling
+    // Convert string times to Date objects
+    // Unlike availability windows, Cerbo sends appointment times in UTC, without saying so
     appointments.forEach(appointment => {
-      // Convert start_date_time to Date object with UTC handling
       if (appointment.start_date_time) {
-        // Ensure proper UTC handling by appending 'Z' if not present
-        const startTime = appointment.start_date_time.endsWith('Z') 
-          ? appointment.start_date_time 
-          : `${appointment.start_date_time}Z`;
-        appointment.start_date_time = new Date(startTime);
+        appointment.start_date_time = parseUtcDateTime(appointment.start_date_time);
       }
       
-      // Convert end_date_time to Date object with UTC handling
       if (appointment.end_date_time) {
-        // Ensure proper UTC handling by appending 'Z' if not present
-        const endTime = appointment.end_date_time.endsWith('Z') 
-          ? appointment.end_date_time 
-          : `${appointment.end_date_time}Z`;
-        appointment.end_date_time = new Date(endTime);
+        appointment.end_date_time = parseUtcDateTime(appointment.end_date_time);
       }
       
       // Convert created_at to Date object
@@ -378,8 +484,56 @@ export class CreateAppointmentResponse {
   }
 }
 
+/**
+ * Class representing a patients response from the Cerbo API
+ */
+export class PatientsResponse {
+  /**
+   * Create a patients response
+   * 
+   * @param {Array<Patient>} patients - The patients
+   */
+  constructor(patients) {
+    this.patients = patients;
+  }
+
+  /**
+   * Create a PatientsResponse instance from JSON
+   * Cerbo keeps a patient's main email in email1
+   * 
+   * @param {Object} json - The JSON response from the API
+   * @returns {PatientsResponse} A new PatientsResponse instance
+   */
+  static fromJson(json) {
+    const patients = (json?.data || []).map(patient => ({
+      id: patient.id,
+      first_name: patient.first_name || '',
+      last_name: patient.last_name || '',
+      dob: patient.dob || null,
+      email: patient.email1 || patient.email || null
+    }));
+
+    return new PatientsResponse(patients);
+  }
+}
+
+/**
+ * Read a date-time that is in UTC unless it says otherwise
+ * 
+ * @param {string|Date} value - "YYYY-MM-DD HH:MM:SS", or an ISO datetime string with "Z" or an offset
+ * @returns {Date} The instant
+ */
+function parseUtcDateTime(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const dateTime = String(value).trim().replace(' ', 'T');
+  return new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(dateTime) ? dateTime : `${dateTime}Z`);
+}
+
 /**
  * Format a date for API requests
+ * Dates are days at the clinic, so a Date is formatted as the day it falls on there
  * 
  * @param {string|Date|any} date - The date to format
  * @returns {string} The formatted date in YYYY-MM-DD format
@@ -387,16 +541,16 @@ export class CreateAppointmentResponse {
 function formatDateForApi(date) {
   // If it's already a string in YYYY-MM-DD format, return it
   if (typeof date === 'string') {
-    // If it has a T separator (ISO format), split and take date part
+    // If it has a T separator (ISO format), take the clinic day of the instant it names
     if (date.includes('T')) {
-      return date.split('T')[0];
+      return toClinicDate(parseClinicDateTime(date));
     }
     return date; // Assume it's already in YYYY-MM-DD format
   }
   
   // If it's a Date object, format it as YYYY-MM-DD
   if (date instanceof Date) {
-    return date.toISOString().split('T')[0];
+    return toClinicDate(date);
   }
   
   // For other types, try to create a date from it
@@ -405,11 +559,11 @@ function formatDateForApi(date) {
     if (isNaN(dateObj.getTime())) {
       throw new Error('Invalid date');
     }
-    return dateObj.toISOString().split('T')[0];
+    return toClinicDate(dateObj);
   } catch (error) {
     console.error('Error formatting date:', date, error);
     // Return current date as fallback
-    return new Date().toISOString().split('T')[0];
+    return toClinicDate(new Date());
   }
 }
 
@@ -446,6 +600,25 @@ function buildUrl(baseUrl, params) {
  * @property {string} appointment_note - Note for the appointment
  * @property {string} status - Status of the appointment (e.g., "scheduled")
  * @property {boolean} telemedicine - Whether this is a telemedicine appointment
+ * @property {number} [pt_id] - ID of the patient's chart
+ */
+
+/**
+ * @typedef {Object} PatientRequest
+ * @property {string} first_name - Patient's first name
+ * @property {string} last_name - Patient's last name
+ * @property {string} email1 - Patient's main email
+ * @property {string} [dob] - Date of birth in YYYY-MM-DD format
+ * @property {string} [phone_mobile] - Patient's mobile number
+ */
+
+/**
+ * @typedef {Object} Patient
+ * @property {number|string} id - The patient's chart ID
+ * @property {string} first_name - Patient's first name
+ * @property {string} last_name - Patient's last name
+ * @property {string|null} dob - Date of birth in YYYY-MM-DD format, if known
+ * @property {string|null} email - Patient's main email, if known
  */
 
 /**
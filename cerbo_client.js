@@ -0,0 +1,312 @@
+// cerbo_client.js - Shared HTTP client for the Cerbo API with timeouts, retries, rate-limit handling and a circuit breaker
+import { authHeader } from './api_token.js';
+import logger from './logger.js';
+
+// Defaults, each can be overridden with the environment variable named alongside
+const DEFAULT_TIMEOUT_MS = 10000; // CERBO_TIMEOUT_MS
+const DEFAULT_MAX_RETRIES = 3; // CERBO_MAX_RETRIES
+const DEFAULT_RETRY_BASE_MS = 250; // CERBO_RETRY_BASE_MS
+const DEFAULT_MAX_RETRY_DELAY_MS = 5000; // CERBO_MAX_RETRY_DELAY_MS
+const DEFAULT_FAILURE_THRESHOLD = 5; // CERBO_CIRCUIT_FAILURE_THRESHOLD
+const DEFAULT_CIRCUIT_RESET_MS = 30000; // CERBO_CIRCUIT_RESET_MS
+
+/**
+ * Error raised for a failed Cerbo API request
+ */
+export class CerboError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Details of the failure
+   * @param {number|null} [details.status] - HTTP status returned by Cerbo, null if there was no response
+   * @param {string} [details.errorCode] - Machine-readable error code passed on to API clients
+   */
+  constructor(message, { status = null, errorCode = 'CERBO_ERROR' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.errorCode = errorCode;
+  }
+}
+
+/**
+ * Cerbo rejected our credentials (401 or 403)
+ */
+export class CerboAuthError extends CerboError {
+  constructor(message, { status = 401 } = {}) {
+    super(message, { status, errorCode: 'CERBO_AUTH_FAILED' });
+  }
+}
+
+/**
+ * Cerbo is rate limiting us (429) and did not let us in within the time we are prepared to wait
+ */
+export class CerboRateLimitError extends CerboError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Details of the failure
+   * @param {number|null} [details.retryAfterSeconds] - When Cerbo said to try again, if it did
+   */
+  constructor(message, { retryAfterSeconds = null } = {}) {
+    super(message, { status: 429, errorCode: 'CERBO_RATE_LIMITED' });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Cerbo could not be reached, timed out, returned a server error, or the circuit breaker is open
+ */
+export class CerboUnavailableError extends CerboError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Details of the failure
+   * @param {number|null} [details.status] - HTTP status returned by Cerbo, null if there was no response
+   * @param {number|null} [details.retryAfterSeconds] - When it is worth trying again, if known
+   */
+  constructor(message, { status = null, retryAfterSeconds = null } = {}) {
+    super(message, { status, errorCode: 'CERBO_UNAVAILABLE' });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Read a positive number from the environment
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when the variable is unset or invalid
+ * @returns {number} The number
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Parse a Retry-After header, which is either a number of seconds or an HTTP date
+ * 
+ * @param {string|null} header - The header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null if the header is missing or invalid
+ */
+function parseRetryAfter(header, now) {
+  if (!header) {
+    return null;
+  }
+  if (/^\d+$/.test(header.trim())) {
+    return Number(header.trim()) * 1000;
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a Cerbo API client
+ * Options default to the CERBO_* environment variables, tests pass their own
+ * 
+ * @param {Object} [options] - Client options
+ * @param {number} [options.timeoutMs] - Time allowed for each attempt
+ * @param {number} [options.maxRetries] - Retries after the first attempt of a GET
+ * @param {number} [options.retryBaseMs] - Backoff before the first retry, doubled for each one after
+ * @param {number} [options.maxRetryDelayMs] - Longest wait between attempts, including waits asked for with Retry-After
+ * @param {number} [options.failureThreshold] - Consecutive failed attempts that open the circuit
+ * @param {number} [options.circuitResetMs] - How long the circuit stays open before a trial request is let through
+ * @param {function(number): Promise<void>} [options.sleep] - Waits for a number of milliseconds
+ * @param {function(): number} [options.now] - Returns the current time in milliseconds
+ * @param {function(): number} [options.random] - Returns a random number in [0, 1), used for jitter
+ * @returns {{request: function(string, Object=): Promise<any>, getCircuitState: function(): string}} The client
+ */
+export function createCerboClient(options = {}) {
+  const timeoutMs = options.timeoutMs ?? numberFromEnv('CERBO_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+  const maxRetries = options.maxRetries ?? numberFromEnv('CERBO_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const retryBaseMs = options.retryBaseMs ?? numberFromEnv('CERBO_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  const maxRetryDelayMs = options.maxRetryDelayMs ?? numberFromEnv('CERBO_MAX_RETRY_DELAY_MS', DEFAULT_MAX_RETRY_DELAY_MS);
+  const failureThreshold = options.failureThreshold ?? numberFromEnv('CERBO_CIRCUIT_FAILURE_THRESHOLD', DEFAULT_FAILURE_THRESHOLD);
+  const circuitResetMs = options.circuitResetMs ?? numberFromEnv('CERBO_CIRCUIT_RESET_MS', DEFAULT_CIRCUIT_RESET_MS);
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const now = options.now || Date.now;
+  const random = options.random || Math.random;
+
+  // Circuit breaker state: closed lets everything through, open fails fast,
+  // half-open lets a single trial request through to see whether Cerbo has recovered
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  /**
+   * Get the circuit breaker state
+   * 
+   * @returns {string} closed, open or half-open
+   */
+  function getCircuitState() {
+    if (openedAt === null) {
+      return 'closed';
+    }
+    return now() - openedAt >= circuitResetMs ? 'half-open' : 'open';
+  }
+
+  function recordSuccess() {
+    if (openedAt !== null) {
+      logger.info('Cerbo circuit breaker closed');
+    }
+    consecutiveFailures = 0;
+    openedAt = null;
+  }
+
+  function recordFailure() {
+    consecutiveFailures++;
+    if (openedAt !== null || consecutiveFailures >= failureThreshold) {
+      if (openedAt === null) {
+        logger.error(`Cerbo circuit breaker opened after ${consecutiveFailures} consecutive failures`);
+      }
+      openedAt = now();
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * 
+   * @param {number} retry - Number of the retry, starting at 0
+   * @returns {number} Milliseconds to wait
+   */
+  function backoffDelay(retry) {
+    return Math.floor(random() * Math.min(maxRetryDelayMs, retryBaseMs * 2 ** retry));
+  }
+
+  /**
+   * Make a single attempt at a request
+   * 
+   * @param {string} url - Full request URL
+   * @param {string} method - HTTP method
+   * @param {Object|undefined} body - JSON body, if any
+   * @param {boolean} notFoundAsNull - Return null for a 404 rather than raising an error
+   * @returns {Promise<any>} The parsed response body
+   */
+  async function attempt(url, method, body, notFoundAsNull) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': authHeader,
+          'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+      throw new CerboUnavailableError(`Cerbo API request failed: ${reason}`);
+    }
+
+    if (response.status === 404 && notFoundAsNull) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(`API error (${response.status} ${response.statusText}):`, errorText);
+      const message = `API error: ${response.status} ${response.statusText}`;
+
+      if (response.status === 401 || response.status === 403) {
+        throw new CerboAuthError(message, { status: response.status });
+      }
+      if (response.status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'), now());
+        throw new CerboRateLimitError(message, {
+          retryAfterSeconds: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000)
+        });
+      }
+      if (response.status >= 500) {
+        throw new CerboUnavailableError(message, { status: response.status });
+      }
+      throw new CerboError(message, { status: response.status });
+    }
+
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Send a request to the Cerbo API
+   * GETs are retried with backoff on server errors, timeouts and rate limits. Other methods are
+   * only retried when rate limited, since Cerbo did not act on a request it turned away with a 429
+   * 
+   * @param {string} url - Full request URL
+   * @param {Object} [requestOptions] - Request options
+   * @param {string} [requestOptions.method='GET'] - HTTP method
+   * @param {Object} [requestOptions.body] - JSON body
+   * @param {boolean} [requestOptions.notFoundAsNull=false] - Return null for a 404 rather than raising an error
+   * @returns {Promise<any>} The parsed response body, or null for an empty body
+   * @throws {CerboError} If the request failed
+   */
+  async function request(url, { method = 'GET', body, notFoundAsNull = false } = {}) {
+    for (let retry = 0; ; retry++) {
+      const circuitState = getCircuitState();
+      if (circuitState === 'open' || (circuitState === 'half-open' && trialInFlight)) {
+        const retryAfterSeconds = Math.ceil((circuitResetMs - (now() - openedAt)) / 1000);
+        throw new CerboUnavailableError('Cerbo API circuit breaker is open', { retryAfterSeconds: Math.max(1, retryAfterSeconds) });
+      }
+
+      const isTrial = circuitState === 'half-open';
+      trialInFlight = isTrial;
+
+      try {
+        const result = await attempt(url, method, body, notFoundAsNull);
+        recordSuccess();
+        return result;
+      } catch (error) {
+        // Any other answer from Cerbo shows it is up, whatever it thought of the request
+        if (error instanceof CerboUnavailableError) {
+          recordFailure();
+        } else {
+          recordSuccess();
+        }
+
+        let delay = null;
+        if (retry < maxRetries) {
+          if (error instanceof CerboRateLimitError) {
+            // Wait as long as Cerbo asked, unless that is longer than we are prepared to keep the patient waiting
+            const retryAfterMs = error.retryAfterSeconds === null ? backoffDelay(retry) : error.retryAfterSeconds * 1000;
+            delay = retryAfterMs <= maxRetryDelayMs ? retryAfterMs : null;
+          } else if (error instanceof CerboUnavailableError && method === 'GET' && getCircuitState() === 'closed') {
+            delay = backoffDelay(retry);
+          }
+        }
+
+        if (delay === null) {
+          throw error;
+        }
+
+        logger.warn(`Cerbo ${method} ${url} failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      } finally {
+        if (isTrial) {
+          trialInFlight = false;
+        }
+      }
+    }
+  }
+
+  return { request, getCircuitState };
+}
+
+// Client shared by every function in cerbo_api.js, so they all trip the same circuit breaker
+const cerboClient = createCerboClient();
+
+/**
+ * Send a request to the Cerbo API through the shared client
+ * 
+ * @param {string} url - Full request URL
+ * @param {Object} [requestOptions] - See createCerboClient's request
+ * @returns {Promise<any>} The parsed response body, or null for an empty body
+ * @throws {CerboError} If the request failed
+ */
+export function cerboRequest(url, requestOptions) {
+  return cerboClient.request(url, requestOptions);
+}
@@ -0,0 +1,215 @@
+// clinic_time.js - Dates and times on the clinic's clocks
+import logger from './logger.js';
+
+// Time zone of the clinic's Cerbo account when CLINIC_TIMEZONE is not set
+const DEFAULT_CLINIC_TIMEZONE = 'America/New_York';
+
+// Cerbo date-times without a zone, e.g. "2025-03-27 12:00:00"
+const WALL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/;
+
+const DAY_MS = 24 * 60 * 60000;
+
+/**
+ * Date and time as shown on a clock in some time zone
+ * @typedef {Object} WallTime
+ * @property {number} year - Year
+ * @property {number} month - Month, 1-12
+ * @property {number} day - Day of the month
+ * @property {number} hour - Hour, 0-23
+ * @property {number} minute - Minute
+ * @property {number} second - Second
+ */
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+let warnedTimeZone = null;
+
+/**
+ * Formatter reading the wall time in a time zone, created once per zone
+ * 
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} The formatter
+ * @throws {RangeError} If the time zone is not known
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check a time zone name is one this runtime knows
+ * 
+ * @param {string} timeZone - IANA time zone name, e.g. "Europe/London"
+ * @returns {boolean} Whether the time zone can be used
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the clinic's time zone from CLINIC_TIMEZONE, falling back to the default when it is unset or unknown
+ * 
+ * @returns {string} IANA time zone name
+ */
+function getClinicTimeZone() {
+  const timeZone = process.env.CLINIC_TIMEZONE;
+  if (!timeZone) {
+    return DEFAULT_CLINIC_TIMEZONE;
+  }
+  if (isValidTimeZone(timeZone)) {
+    return timeZone;
+  }
+  if (warnedTimeZone !== timeZone) {
+    logger.warn(`CLINIC_TIMEZONE ${timeZone} is not a known time zone, using ${DEFAULT_CLINIC_TIMEZONE}`);
+    warnedTimeZone = timeZone;
+  }
+  return DEFAULT_CLINIC_TIMEZONE;
+}
+
+/**
+ * Read the wall time of an instant in a time zone
+ * 
+ * @param {Date} date - The instant
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {WallTime} The wall time, to the second
+ */
+function getWallTime(date, timeZone = getClinicTimeZone()) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Get how far a time zone's clocks are ahead of UTC at an instant
+ * 
+ * @param {Date|number} date - The instant
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {number} Offset in minutes, negative west of Greenwich
+ */
+function getTimeZoneOffset(date, timeZone = getClinicTimeZone()) {
+  // The formatter works to the second, so compare against the instant without its milliseconds
+  const instant = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const wall = getWallTime(new Date(instant), timeZone);
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return Math.round((wallAsUtc - instant) / 60000);
+}
+
+/**
+ * Find the instant a wall time happens in a time zone
+ * A time repeated when the clocks go back is its first occurrence; a time skipped when they go
+ * forward is read with the offset from before the change, so 02:30 becomes 03:30 when 02:00 jumps to 03:00
+ * 
+ * @param {WallTime} wall - The wall time
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {Date} The instant
+ */
+function fromWallTime(wall, timeZone = getClinicTimeZone()) {
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second || 0);
+  // Clocks change at most once in any two days, so the offsets a day either side are the only candidates
+  const offsetBefore = getTimeZoneOffset(wallAsUtc - DAY_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallAsUtc + DAY_MS, timeZone);
+  const candidates = [offsetBefore, offsetAfter]
+    .map(offset => wallAsUtc - offset * 60000)
+    .filter(instant => getTimeZoneOffset(instant, timeZone) * 60000 === wallAsUtc - instant);
+
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wallAsUtc - offsetBefore * 60000);
+}
+
+/**
+ * Read a Cerbo date-time as a time on the clinic's clocks
+ * Cerbo sends "YYYY-MM-DD HH:MM:SS" without a zone; values with "Z" or an offset are read as they say
+ * 
+ * @param {string|Date} value - The date-time
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {Date} The instant
+ */
+function parseClinicDateTime(value, timeZone = getClinicTimeZone()) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const match = WALL_TIME_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return new Date(value);
+  }
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(Number);
+  return fromWallTime({ year, month, day, hour, minute, second }, timeZone);
+}
+
+/**
+ * Format an instant as a Cerbo date-time on the clinic's clocks
+ * 
+ * @param {Date|string|number} date - The instant
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {string} The wall time as "YYYY-MM-DD HH:MM:SS"
+ */
+function formatClinicDateTime(date, timeZone = getClinicTimeZone()) {
+  const wall = getWallTime(new Date(date), timeZone);
+  const pad = (/** @type {number} */ value) => String(value).padStart(2, '0');
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)} ${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}`;
+}
+
+/**
+ * Get the day an instant falls on at the clinic, used to group slots by day and ask Cerbo for date ranges
+ * 
+ * @param {Date|string|number} date - The instant
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {string} The day as "YYYY-MM-DD"
+ */
+function toClinicDate(date, timeZone = getClinicTimeZone()) {
+  return formatClinicDateTime(date, timeZone).substring(0, 10);
+}
+
+/**
+ * Get the instant the clinic's day containing a date began
+ * 
+ * @param {Date} date - The instant
+ * @param {string} [timeZone] - IANA time zone name, defaults to the clinic's
+ * @returns {Date} Midnight on the clinic's clocks
+ */
+function startOfClinicDay(date, timeZone = getClinicTimeZone()) {
+  const wall = getWallTime(date, timeZone);
+  return fromWallTime({ ...wall, hour: 0, minute: 0, second: 0 }, timeZone);
+}
+
+export {
+  DEFAULT_CLINIC_TIMEZONE,
+  isValidTimeZone,
+  getClinicTimeZone,
+  getWallTime,
+  getTimeZoneOffset,
+  fromWallTime,
+  parseClinicDateTime,
+  formatClinicDateTime,
+  toClinicDate,
+  startOfClinicDay
+};
@@ -5,6 +5,10 @@ import Navbar from './components/Navbar';
 import AppointmentType from './pages/AppointmentType';
 import ScheduleAppointment from './pages/ScheduleAppointment';
 import AppointmentConfirmation from './pages/AppointmentConfirmation';
+import RescheduleAppointment from './pages/RescheduleAppointment';
+import ManageBooking from './pages/ManageBooking';
+import WaitlistClaim from './pages/WaitlistClaim';
+import AdminDashboard from './pages/AdminDashboard';
 
 function App() {
   return (
@@ -14,7 +18,11 @@ function App() {
         <Routes>
           <Route path="/" element={<AppointmentType />} />
           <Route path="/schedule/:appointmentTypeId" element={<ScheduleAppointment />} />
-          <Route path="/confirmation/:appointmentId" element={<AppointmentConfirmation />} />
+          <Route path="/confirmation/:token" element={<AppointmentConfirmation />} />
+          <Route path="/manage/:token" element={<ManageBooking />} />
+          <Route path="/reschedule/:token" element={<RescheduleAppointment />} />
+          <Route path="/waitlist/claim/:token" element={<WaitlistClaim />} />
+          <Route path="/admin" element={<AdminDashboard />} />
         </Routes>
       </div>
     </div>
@@ -0,0 +1,204 @@
+import axios from 'axios';
+
+const API_URL = window.ENV.API_URL;
+
+// Where the sign-in token and who signed in are kept for the browser tab, so a reload does not sign out
+const STAFF_STORAGE_KEY = 'physiospa.staff';
+
+/**
+ * Gets the member of staff signed in to the admin dashboard
+ * @returns {{token: string, expiresAt: string, username: string, name: string, role: string, providerId?: number}|null}
+ *          The sign-in, or null if nobody signed in in this tab or the sign-in has expired
+ */
+export const getStaff = () => {
+  try {
+    const staff = JSON.parse(window.sessionStorage.getItem(STAFF_STORAGE_KEY) || 'null');
+    return staff && Date.parse(staff.expiresAt) > Date.now() ? staff : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Forgets the sign-in kept for this browser tab
+ */
+export const forgetStaff = () => {
+  window.sessionStorage.removeItem(STAFF_STORAGE_KEY);
+};
+
+/**
+ * Headers that let the request through to the admin routes
+ * @returns {Object} The Authorization header
+ */
+const staffHeaders = () => ({ Authorization: `Bearer ${getStaff()?.token || ''}` });
+
+/**
+ * Turns a failed admin request into the response shape the pages expect
+ * @param {Object} error - The axios error
+ * @param {string} fallback - Message when the server did not send one
+ * @returns {Object} Failed response with the error, errorCode and field errors
+ */
+const failure = (error, fallback) => ({
+  success: false,
+  error: error.response?.data?.error || fallback,
+  errorCode: error.response?.data?.errorCode,
+  fieldErrors: error.response?.data?.fieldErrors,
+  alternatives: error.response?.data?.alternatives
+});
+
+/**
+ * Signs a member of staff in and keeps the sign-in for this browser tab
+ * @param {string} username - Their username
+ * @param {string} password - Their password
+ * @returns {Promise<Object>} Response with who signed in
+ */
+export const signIn = async (username, password) => {
+  try {
+    const response = await axios.post(`${API_URL}/staff/sign-in`, { username, password });
+    const { token, expiresAt, staff } = response.data;
+    window.sessionStorage.setItem(STAFF_STORAGE_KEY, JSON.stringify({ token, expiresAt, ...staff }));
+    return response.data;
+  } catch (error) {
+    console.error('Error signing in:', error);
+    return failure(error, 'Failed to sign in');
+  }
+};
+
+/**
+ * Signs the member of staff out, on the server as well as in this tab
+ * @returns {Promise<void>}
+ */
+export const signOut = async () => {
+  try {
+    await axios.post(`${API_URL}/staff/sign-out`, {}, { headers: staffHeaders() });
+  } catch (error) {
+    console.error('Error signing out:', error);
+  }
+  forgetStaff();
+};
+
+/**
+ * Fetches each provider's schedule for a day or week
+ * @param {string} date - A day in YYYY-MM-DD format
+ * @param {string} view - day, or week for the Monday to Sunday week the day is in
+ * @param {string|number} [providerId] - ID of the provider, omit for every provider
+ * @returns {Promise<Object>} Response with each provider's days
+ */
+export const getSchedule = async (date, view, providerId) => {
+  try {
+    const response = await axios.get(`${API_URL}/admin/schedule`, {
+      params: { date, view, providerId: providerId || undefined },
+      headers: staffHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    return failure(error, 'Failed to fetch the schedule');
+  }
+};
+
+/**
+ * Fetches the time slots staff can book on a day
+ * @param {string|number} appointmentTypeId - ID of the appointment type
+ * @param {string|number} providerId - ID of the provider
+ * @param {string} date - The day in YYYY-MM-DD format
+ * @param {boolean} overrideBufferRules - Also list times the buffer rules turn away
+ * @returns {Promise<Object>} Response with available time slots
+ */
+export const getStaffAvailability = async (appointmentTypeId, providerId, date, overrideBufferRules) => {
+  try {
+    const response = await axios.get(`${API_URL}/admin/availability`, {
+      params: { appointmentTypeId, providerId, date, overrideBufferRules },
+      headers: staffHeaders()
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching staff availability:', error);
+    return failure(error, 'Failed to fetch availability');
+  }
+};
+
+/**
+ * Books an appointment for a patient from the front desk
+ * @param {Object} booking - The booking
+ * @param {string} booking.slotId - ID of the time slot (from the staff availability response)
+ * @param {string} booking.patientName - Name of the patient
+ * @param {string} booking.email - Email of the patient
+ * @param {boolean} booking.overrideBufferRules - Book without the consecutive work limit or a buffer
+ * @param {string} [booking.reason] - Why the buffer rules are overridden, required when they are
+ * @returns {Promise<Object>} Response with the booked appointment
+ */
+export const bookForPatient = async (booking) => {
+  try {
+    const response = await axios.post(`${API_URL}/admin/bookings`, booking, { headers: staffHeaders() });
+    return response.data;
+  } catch (error) {
+    console.error('Error booking appointment:', error);
+    return failure(error, 'Failed to book appointment');
+  }
+};
+
+/**
+ * Cancels an appointment from the front desk
+ * @param {string|number} appointmentId - ID of the Cerbo appointment
+ * @param {string} reason - Why it is cancelled
+ * @returns {Promise<Object>} Response with the cancelled appointment
+ */
+export const cancelForPatient = async (appointmentId, reason) => {
+  try {
+    const response = await axios.post(`${API_URL}/admin/appointments/${appointmentId}/cancel`, { reason }, { headers: staffHeaders() });
+    return response.data;
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    return failure(error, 'Failed to cancel appointment');
+  }
+};
+
+/**
+ * Fetches every staff account, for admins
+ * @returns {Promise<Object>} Response with the accounts
+ */
+export const getStaffAccounts = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/admin/staff`, { headers: staffHeaders() });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching staff accounts:', error);
+    return failure(error, 'Failed to fetch staff accounts');
+  }
+};
+
+/**
+ * Creates a staff account, for admins
+ * @param {Object} account - The account
+ * @param {string} account.username - What they sign in with
+ * @param {string} account.name - Their name, recorded with what they do
+ * @param {string} account.password - Their password, at least 12 characters
+ * @param {string} account.role - front-desk, provider or admin
+ * @param {string|number} [account.providerId] - The provider they are, for the provider role
+ * @returns {Promise<Object>} Response with the new account
+ */
+export const createStaffAccount = async (account) => {
+  try {
+    const response = await axios.post(`${API_URL}/admin/staff`, account, { headers: staffHeaders() });
+    return response.data;
+  } catch (error) {
+    console.error('Error creating staff account:', error);
+    return failure(error, 'Failed to create staff account');
+  }
+};
+
+/**
+ * Removes a staff account, for admins
+ * @param {string} username - The account's username
+ * @returns {Promise<Object>} Response with the removed account
+ */
+export const removeStaffAccount = async (username) => {
+  try {
+    const response = await axios.post(`${API_URL}/admin/staff/${encodeURIComponent(username)}/remove`, {}, { headers: staffHeaders() });
+    return response.data;
+  } catch (error) {
+    console.error('Error removing staff account:', error);
+    return failure(error, 'Failed to remove staff account');
+  }
+};
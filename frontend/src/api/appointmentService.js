@@ -19,6 +19,25 @@ axios.defaults.withCredentials = true;
 // Configure axios to include credentials for session cookies
 axios.defaults.withCredentials = true;
 
+// Idempotency keys for booking requests, so repeats of the same booking are only made once
+const bookingIdempotencyKeys = new Map();
+
+// How often a booking request is sent again when the response was lost or the first attempt is still running
+const BOOKING_ATTEMPTS = 3;
+const BOOKING_RETRY_DELAY_MS = 1000;
+
+/**
+ * Generates a random idempotency key
+ * @returns {string} The key
+ */
+const generateIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  // randomUUID is only available on secure origins
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}${Math.random().toString(36).substring(2)}`;
+};
+
 /**
  * Fetches all available appointment types
  * @returns {Promise<Object>} Response with appointment types
@@ -36,20 +55,68 @@ export const getAppointmentTypes = async () => {
   }
 };
 
+/**
+ * Fetches the providers who offer a specific appointment type, or every provider
+ * @param {string|number} [appointmentTypeId] - ID of the appointment type, omit for every provider
+ * @returns {Promise<Object>} Response with providers
+ */
+export const getProviders = async (appointmentTypeId) => {
+  try {
+    const response = await axios.get(`${API_URL}/providers`, {
+      params: {
+        appointmentTypeId
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching providers:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to fetch providers'
+    };
+  }
+};
+
+/**
+ * Fetches the intake form patients fill in to book an appointment type
+ * @param {string|number} appointmentTypeId - ID of the appointment type
+ * @returns {Promise<Object>} Response with the form's fields
+ */
+export const getIntakeForm = async (appointmentTypeId) => {
+  try {
+    const response = await axios.get(`${API_URL}/intake-form`, {
+      params: {
+        appointmentTypeId
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching intake form:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to fetch intake form'
+    };
+  }
+};
+
 /**
  * Fetches available time slots for a specific appointment type and date range
  * @param {string|number} appointmentTypeId - ID of the appointment type
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string|number} [providerId] - ID of the provider, omit for any provider
+ * @param {string} [manageToken] - Manage-booking token of the appointment being rescheduled, if any
  * @returns {Promise<Object>} Response with available time slots
  */
-export const getAvailability = async (appointmentTypeId, startDate, endDate) => {
+export const getAvailability = async (appointmentTypeId, startDate, endDate, providerId, manageToken) => {
   try {
     const response = await axios.get(`${API_URL}/availability`, {
       params: {
         appointmentTypeId,
         startDate,
-        endDate
+        endDate,
+        providerId: providerId || undefined,
+        rescheduleToken: manageToken || undefined
       }
     });
     return response.data;
@@ -62,31 +129,265 @@ export const getAvailability = async (appointmentTypeId, startDate, endDate) =>
   }
 };
 
+/**
+ * Holds a time slot for this session while the patient fills in the booking form
+ * @param {string} slotId - ID of the selected time slot (from availability response)
+ * @returns {Promise<Object>} Response with the hold and when it expires
+ */
+export const holdSlot = async (slotId) => {
+  try {
+    const response = await axios.post(`${API_URL}/slots/${slotId}/hold`);
+    return response.data;
+  } catch (error) {
+    console.error('Error holding time slot:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to hold time slot',
+      errorCode: error.response?.data?.errorCode,
+      alternatives: error.response?.data?.alternatives
+    };
+  }
+};
+
 /**
  * Books an appointment using a slot ID from the server-side cache
  * @param {string} patientName - Name of the patient
  * @param {string} email - Email of the patient
  * @param {string} slotId - ID of the selected time slot (from availability response)
+ * @param {Object} intake - Answers to the appointment type's intake form, keyed by field name
+ * @param {Object} [series] - Book a recurring series starting with the slot
+ * @param {{frequency: string, count?: number, until?: string}} series.recurrence - weekly or biweekly, for a number of visits or until a date
+ * @param {Object<number, string>} [series.replacementSlotIds] - Slot IDs picked instead of visits that could not be booked, keyed by position
  * @returns {Promise<Object>} Response with booked appointment details
  */
-export const bookAppointment = async (patientName, email, slotId) => {
+export const bookAppointment = async (patientName, email, slotId, intake, series) => {
   try {
     // Build the request with the slot ID
     const requestData = {
       patientName,
       email,
-      slotId
+      slotId,
+      intake,
+      ...(series ? { recurrence: series.recurrence, replacementSlotIds: series.replacementSlotIds } : {})
     };
 
     console.log('Sending booking request with data:', requestData);
 
-    const response = await axios.post(`${API_URL}/book-appointment`, requestData);
-    return response.data;
+    // The same booking details always get the same key, so a double-click or retry books once
+    const bookingKey = JSON.stringify(requestData);
+    if (!bookingIdempotencyKeys.has(bookingKey)) {
+      bookingIdempotencyKeys.set(bookingKey, generateIdempotencyKey());
+    }
+    const headers = { 'Idempotency-Key': bookingIdempotencyKeys.get(bookingKey) };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.post(`${API_URL}/book-appointment`, requestData, { headers });
+        return response.data;
+      } catch (error) {
+        // Send again if the response was lost, or the server is still working on an earlier attempt
+        const retryable = !error.response || error.response.data?.errorCode === 'REQUEST_IN_PROGRESS';
+        if (!retryable || attempt >= BOOKING_ATTEMPTS) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, BOOKING_RETRY_DELAY_MS));
+      }
+    }
   } catch (error) {
     console.error('Error booking appointment:', error);
+    // Keep errorCode and alternatives so a taken slot (409) can be told apart from other failures,
+    // and the field errors so they can be shown next to the fields
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to book appointment',
+      errorCode: error.response?.data?.errorCode,
+      fieldErrors: error.response?.data?.fieldErrors,
+      alternatives: error.response?.data?.alternatives,
+      occurrences: error.response?.data?.occurrences
+    };
+  }
+};
+
+/**
+ * Fetches a booking using the token from its manage-booking link
+ * @param {string} manageToken - Signed token returned when the appointment was booked
+ * @returns {Promise<Object>} Response with the appointment details
+ */
+export const getBooking = async (manageToken) => {
+  try {
+    const response = await axios.get(`${API_URL}/bookings/${manageToken}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching booking:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to fetch booking'
+    };
+  }
+};
+
+/**
+ * Cancels a booked appointment, along with its buffer time and task
+ * @param {string} manageToken - Signed token from the manage-booking link
+ * @returns {Promise<Object>} Response with the cancelled appointment
+ */
+export const cancelAppointment = async (manageToken) => {
+  try {
+    const response = await axios.post(`${API_URL}/bookings/${manageToken}/cancel`);
+    return response.data;
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to cancel appointment'
+    };
+  }
+};
+
+/**
+ * Moves a booked appointment to a new slot from the server-side cache
+ * @param {string} manageToken - Signed token from the manage-booking link
+ * @param {string} slotId - ID of the new time slot (from availability response)
+ * @returns {Promise<Object>} Response with the rescheduled appointment and a new manage token
+ */
+export const rescheduleAppointment = async (manageToken, slotId) => {
+  try {
+    const response = await axios.post(`${API_URL}/bookings/${manageToken}/reschedule`, { slotId });
+    return response.data;
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to reschedule appointment',
+      errorCode: error.response?.data?.errorCode,
+      alternatives: error.response?.data?.alternatives
+    };
+  }
+};
+
+/**
+ * Cancels every upcoming visit of the recurring series a booking belongs to
+ * @param {string} manageToken - Signed token from the manage-booking link of any visit in the series
+ * @returns {Promise<Object>} Response with the cancelled visits
+ */
+export const cancelSeries = async (manageToken) => {
+  try {
+    const response = await axios.post(`${API_URL}/bookings/${manageToken}/series/cancel`);
+    return response.data;
+  } catch (error) {
+    console.error('Error cancelling series:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to cancel the series',
+      errorCode: error.response?.data?.errorCode
+    };
+  }
+};
+
+/**
+ * Moves every upcoming visit of a recurring series, the first to a new slot and the others on from it
+ * @param {string} manageToken - Signed token from the manage-booking link of any visit in the series
+ * @param {string} slotId - ID of the new time slot for the first upcoming visit
+ * @param {Object<number, string>} [replacementSlotIds] - Slot IDs picked instead of visits that could not be moved, keyed by position
+ * @returns {Promise<Object>} Response with the series at its new times and a new manage token
+ */
+export const rescheduleSeries = async (manageToken, slotId, replacementSlotIds) => {
+  try {
+    const response = await axios.post(`${API_URL}/bookings/${manageToken}/series/reschedule`, { slotId, replacementSlotIds });
+    return response.data;
+  } catch (error) {
+    console.error('Error rescheduling series:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to reschedule the series',
+      errorCode: error.response?.data?.errorCode,
+      occurrences: error.response?.data?.occurrences
+    };
+  }
+};
+
+/**
+ * Adds the patient to the waitlist for an appointment type, to be offered times that become free
+ * @param {Object} request - The waitlist request
+ * @param {string|number} request.appointmentTypeId - ID of the appointment type
+ * @param {string|number} [request.providerId] - ID of the provider, omit for any provider
+ * @param {string} request.patientName - Name of the patient
+ * @param {string} request.email - Email of the patient, where offers are sent
+ * @param {Array<string>} request.preferredDates - Days the patient can come, in YYYY-MM-DD format
+ * @param {{from: string, to: string}} [request.timeWindow] - Times of day the patient can come, as HH:MM
+ * @returns {Promise<Object>} Response with the patient's place on the waitlist
+ */
+export const joinWaitlist = async (request) => {
+  try {
+    const response = await axios.post(`${API_URL}/waitlist`, request);
+    return response.data;
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to join the waitlist',
+      errorCode: error.response?.data?.errorCode,
+      fieldErrors: error.response?.data?.fieldErrors
+    };
+  }
+};
+
+/**
+ * Fetches a waitlist offer using the token from its claim link
+ * @param {string} claimToken - Token from the claim link in the offer email
+ * @returns {Promise<Object>} Response with the offered time and how long it can be claimed for
+ */
+export const getWaitlistOffer = async (claimToken) => {
+  try {
+    const response = await axios.get(`${API_URL}/waitlist/offers/${claimToken}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching waitlist offer:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to fetch waitlist offer',
+      errorCode: error.response?.data?.errorCode
+    };
+  }
+};
+
+/**
+ * Books the time offered to the patient from the waitlist
+ * @param {string} claimToken - Token from the claim link in the offer email
+ * @param {Object} intake - Answers to the appointment type's intake form, keyed by field name
+ * @returns {Promise<Object>} Response with booked appointment details and its manage token
+ */
+export const claimWaitlistOffer = async (claimToken, intake) => {
+  try {
+    const response = await axios.post(`${API_URL}/waitlist/offers/${claimToken}/claim`, { intake });
+    return response.data;
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error);
+    return {
+      success: false,
+      error: error.response?.data?.error || 'Failed to claim waitlist offer',
+      errorCode: error.response?.data?.errorCode,
+      fieldErrors: error.response?.data?.fieldErrors
+    };
+  }
+};
+
+/**
+ * Turns down a waitlist offer, so the time can go to the next patient
+ * @param {string} claimToken - Token from the claim link in the offer email
+ * @param {boolean} [leave=false] - Also leave the waitlist instead of waiting for another time
+ * @returns {Promise<Object>} Response confirming the offer was turned down
+ */
+export const declineWaitlistOffer = async (claimToken, leave = false) => {
+  try {
+    const response = await axios.post(`${API_URL}/waitlist/offers/${claimToken}/decline`, { leave });
+    return response.data;
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
     return {
       success: false,
-      error: error.response?.data?.error || 'Failed to book appointment'
+      error: error.response?.data?.error || 'Failed to decline waitlist offer',
+      errorCode: error.response?.data?.errorCode
     };
   }
 };
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { cancelAppointment, cancelSeries } from '../api/appointmentService';
+import { formatDate, formatTime, timeZoneName } from '../utils/dateTime';
+
+// Details of a booking with the patient's reschedule and cancel actions, shared by the confirmation and manage pages
+// Times are shown in the clinic's time zone. An appointment from a recurring series also lists the series' visits,
+// which can be rescheduled or cancelled together
+const BookingDetails = ({ appointment, manageToken, timeZone, onCancelled, series = null }) => {
+  const [cancelInProgress, setCancelInProgress] = useState(false);
+  const [cancelError, setCancelError] = useState(null);
+  const [visits, setVisits] = useState(series?.appointments || []);
+  const cancelled = appointment.status === 'cancelled';
+  const upcomingVisits = visits.filter(visit => visit.status !== 'cancelled' && new Date(visit.startTime) > new Date());
+
+  // Format date and time for display
+  const formatDateTime = (dateString) => {
+    const dateOptions = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    
+    return {
+      date: formatDate(dateString, timeZone, dateOptions),
+      time: `${formatTime(dateString, timeZone)} ${timeZone ? `(${timeZoneName(timeZone, dateString)})` : ''}`.trim()
+    };
+  };
+
+  // Handle appointment cancellation
+  const handleCancel = async () => {
+    if (!window.confirm('Are you sure you want to cancel this appointment?')) {
+      return;
+    }
+    
+    try {
+      setCancelInProgress(true);
+      setCancelError(null);
+      
+      const response = await cancelAppointment(manageToken);
+      
+      if (response.success) {
+        onCancelled();
+      } else {
+        setCancelError(response.error || 'Failed to cancel appointment');
+      }
+    } catch (err) {
+      setCancelError('Error connecting to server');
+      console.error(err);
+    } finally {
+      setCancelInProgress(false);
+    }
+  };
+
+  // Handle cancelling every upcoming visit of the series
+  const handleCancelSeries = async () => {
+    if (!window.confirm(`Are you sure you want to cancel all ${upcomingVisits.length} remaining visits?`)) {
+      return;
+    }
+    
+    try {
+      setCancelInProgress(true);
+      setCancelError(null);
+      
+      const response = await cancelSeries(manageToken);
+      
+      // Some visits may be cancelled even when others could not be
+      const cancelledIds = (response.appointments || []).map(visit => String(visit.id));
+      setVisits(visits.map(visit => (cancelledIds.includes(String(visit.id)) ? { ...visit, status: 'cancelled' } : visit)));
+      if (cancelledIds.includes(String(appointment.id))) {
+        onCancelled();
+      }
+      
+      if (!response.success) {
+        setCancelError(response.error || 'Failed to cancel the series');
+      }
+    } catch (err) {
+      setCancelError('Error connecting to server');
+      console.error(err);
+    } finally {
+      setCancelInProgress(false);
+    }
+  };
+
+  const { date, time } = formatDateTime(appointment.startTime);
+
+  return (
+    <>
+      <div className="confirmation-card">
+        <h2>Appointment Details</h2>
+        
+        <div className="confirmation-details">
+          <div className="detail-item">
+            <span className="detail-label">Appointment Type:</span>
+            <span className="detail-value">{appointment.appointmentTypeName || 'Not specified'}</span>
+          </div>
+          
+          {appointment.providerName && (
+            <div className="detail-item">
+              <span className="detail-label">Provider:</span>
+              <span className="detail-value">{appointment.providerName}</span>
+            </div>
+          )}
+          
+          <div className="detail-item">
+            <span className="detail-label">Date:</span>
+            <span className="detail-value">{date}</span>
+          </div>
+          
+          <div className="detail-item">
+            <span className="detail-label">Time:</span>
+            <span className="detail-value">{time}</span>
+          </div>
+          
+          {appointment.patientName && (
+            <div className="detail-item">
+              <span className="detail-label">Patient Name:</span>
+              <span className="detail-value">{appointment.patientName}</span>
+            </div>
+          )}
+          
+          {appointment.email && (
+            <div className="detail-item">
+              <span className="detail-label">Email:</span>
+              <span className="detail-value">{appointment.email}</span>
+            </div>
+          )}
+          
+          <div className="detail-item">
+            <span className="detail-label">Confirmation Number:</span>
+            <span className="detail-value">{appointment.id}</span>
+          </div>
+        </div>
+      </div>
+      
+      {visits.length > 0 && (
+        <div className="confirmation-card">
+          <h2>Visits in This Series</h2>
+          <ol className="series-visits">
+            {visits.map(visit => {
+              const visitTime = formatDateTime(visit.startTime);
+              return (
+                <li key={visit.id} className={visit.status === 'cancelled' ? 'series-visit-cancelled' : ''}>
+                  {visitTime.date} {visitTime.time}
+                  {visit.status === 'cancelled' && ' (cancelled)'}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      )}
+      
+      {cancelError && <div className="error text-center">{cancelError}</div>}
+      
+      <div className="confirmation-actions">
+        <Link to="/" className="btn">Book Another Appointment</Link>
+        {!cancelled && (
+          <Link to={`/reschedule/${manageToken}`} className="btn btn-secondary">Reschedule</Link>
+        )}
+        {!cancelled && (
+          <button 
+            type="button" 
+            className="btn btn-secondary"
+            onClick={handleCancel}
+            disabled={cancelInProgress}
+          >
+            {cancelInProgress ? 'Cancelling...' : 'Cancel Appointment'}
+          </button>
+        )}
+        {upcomingVisits.length > 1 && (
+          <Link to={`/reschedule/${manageToken}?series=1`} className="btn btn-secondary">Reschedule All Remaining Visits</Link>
+        )}
+        {upcomingVisits.length > 1 && (
+          <button 
+            type="button" 
+            className="btn btn-secondary"
+            onClick={handleCancelSeries}
+            disabled={cancelInProgress}
+          >
+            {cancelInProgress ? 'Cancelling...' : 'Cancel All Remaining Visits'}
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default BookingDetails;
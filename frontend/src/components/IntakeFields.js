@@ -0,0 +1,75 @@
+import React from 'react';
+import { calendarDayKey } from '../utils/dateTime';
+
+// Fields of an appointment type's intake form, as described by the server
+// Answers are kept by field name, with checkboxes as true or false
+const IntakeFields = ({ fields, answers, errors, onChange }) => {
+  const handleChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    onChange(name, type === 'checkbox' ? checked : value);
+  };
+
+  const renderInput = (field, id) => {
+    const common = {
+      id,
+      name: field.name,
+      className: 'form-control',
+      value: answers[field.name] || '',
+      onChange: handleChange,
+      required: field.required
+    };
+
+    switch (field.type) {
+      case 'textarea':
+        return <textarea {...common} rows={3} maxLength={field.maxLength || undefined} />;
+      case 'select':
+        return (
+          <select {...common}>
+            <option value="">Please choose</option>
+            {field.options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+      case 'date':
+        return <input {...common} type="date" max={field.past ? calendarDayKey(new Date()) : undefined} />;
+      default:
+        return <input {...common} type={field.type} maxLength={field.maxLength || undefined} />;
+    }
+  };
+
+  return (
+    <>
+      {fields.map(field => {
+        const id = `intake-${field.name}`;
+
+        return (
+          <div className="form-group" key={field.name}>
+            {field.type === 'checkbox' ? (
+              <label htmlFor={id} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  id={id}
+                  name={field.name}
+                  checked={answers[field.name] === true}
+                  onChange={handleChange}
+                  required={field.required}
+                />
+                {field.label}
+              </label>
+            ) : (
+              <>
+                <label htmlFor={id}>{field.label}{!field.required && ' (optional)'}</label>
+                {renderInput(field, id)}
+              </>
+            )}
+            {field.help && <div className="form-hint">{field.help}</div>}
+            {errors[field.name] && <div className="error">{errors[field.name]}</div>}
+          </div>
+        );
+      })}
+    </>
+  );
+};
+
+export default IntakeFields;
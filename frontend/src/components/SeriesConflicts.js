@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatDate, formatTime } from '../utils/dateTime';
+
+// Lists every visit of a series that could not all be booked as asked, and lets the patient
+// pick one of the suggested times for each visit that clashes
+const SeriesConflicts = ({ occurrences, replacements, onPick, timeZone }) => {
+  const unresolved = occurrences.filter(occurrence => !occurrence.available && !replacements[occurrence.index]).length;
+
+  return (
+    <div className="slot-taken-notice series-conflicts">
+      <p>
+        {unresolved > 0
+          ? 'Some visits of the series cannot be booked at that time. Please choose another time for each of them.'
+          : 'Every visit now has a time. Book the series to confirm them.'}
+      </p>
+      <ol className="series-visits">
+        {occurrences.map(occurrence => {
+          const replacement = replacements[occurrence.index];
+          return (
+            <li key={occurrence.index} className={occurrence.available ? '' : 'series-visit-conflict'}>
+              <span>
+                {formatDate(occurrence.startTime, timeZone)} {formatTime(occurrence.startTime, timeZone)}
+                {occurrence.available ? '' : ' is not available'}
+              </span>
+              {!occurrence.available && occurrence.alternatives.length === 0 && (
+                <span> and there is no other time that week. Please choose another start date or call the clinic.</span>
+              )}
+              {!occurrence.available && occurrence.alternatives.length > 0 && (
+                <div className="slot-taken-alternatives">
+                  {occurrence.alternatives.map(slot => (
+                    <button
+                      key={slot.id}
+                      type="button"
+                      className={`btn ${replacement?.id === slot.id ? '' : 'btn-secondary'}`}
+                      aria-pressed={replacement?.id === slot.id}
+                      onClick={() => onPick(occurrence.index, slot)}
+                    >
+                      {formatDate(slot.startTime, timeZone)} {formatTime(slot.startTime, timeZone, { showZone: true })}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default SeriesConflicts;
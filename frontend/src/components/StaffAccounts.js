@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { getStaffAccounts, createStaffAccount, removeStaffAccount } from '../api/adminService';
+
+const ROLE_NAMES = {
+  'front-desk': 'Front desk',
+  provider: 'Provider',
+  admin: 'Admin'
+};
+
+const EMPTY_ACCOUNT = { username: '', name: '', password: '', role: 'front-desk', providerId: '' };
+
+// Lets admins see who can sign in to the dashboard, add accounts and remove them
+const StaffAccounts = ({ providers, currentUsername }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [account, setAccount] = useState(EMPTY_ACCOUNT);
+  const [formErrors, setFormErrors] = useState(/** @type {Object<string, string>} */ ({}));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadAccounts = async () => {
+    const response = await getStaffAccounts();
+    if (response.success) {
+      setAccounts(response.accounts);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  useEffect(() => {
+    loadAccounts();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setAccount({ ...account, [name]: value });
+    if (formErrors[name]) {
+      setFormErrors({ ...formErrors, [name]: null });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    const response = await createStaffAccount({
+      ...account,
+      providerId: account.role === 'provider' ? account.providerId : undefined
+    });
+
+    if (response.success) {
+      setAccount(EMPTY_ACCOUNT);
+      setFormErrors({});
+      await loadAccounts();
+    } else if (response.fieldErrors) {
+      setFormErrors(response.fieldErrors);
+    } else {
+      setError(response.error);
+    }
+    setBusy(false);
+  };
+
+  const handleRemove = async (username) => {
+    if (!window.confirm(`Remove the account ${username}? They will be signed out straight away.`)) {
+      return;
+    }
+    const response = await removeStaffAccount(username);
+    if (response.success) {
+      await loadAccounts();
+    } else {
+      setError(response.error);
+    }
+  };
+
+  const providerName = (providerId) => providers.find(provider => provider.id === providerId)?.displayName || providerId;
+
+  return (
+    <div className="booking-form-container">
+      <h2>Staff Accounts</h2>
+      {error && <div className="error">{error}</div>}
+
+      <ul className="staff-accounts">
+        {accounts.map(member => (
+          <li key={member.username}>
+            <span>
+              <strong>{member.name}</strong> ({member.username}) – {ROLE_NAMES[member.role] || member.role}
+              {member.providerId ? `, ${providerName(member.providerId)}` : ''}
+            </span>
+            {member.username !== currentUsername && (
+              <button type="button" className="btn btn-secondary" onClick={() => handleRemove(member.username)}>Remove</button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="account-name">Name</label>
+          <input type="text" id="account-name" name="name" className="form-control" value={account.name} onChange={handleChange} required />
+          {formErrors.name && <div className="error">{formErrors.name}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="account-username">Username</label>
+          <input type="text" id="account-username" name="username" className="form-control" autoComplete="off" value={account.username} onChange={handleChange} required />
+          {formErrors.username && <div className="error">{formErrors.username}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="account-password">Password</label>
+          <input type="password" id="account-password" name="password" className="form-control" autoComplete="new-password" minLength={12} value={account.password} onChange={handleChange} required />
+          <div className="form-hint">At least 12 characters. Give it to them in person; they cannot change it yet.</div>
+          {formErrors.password && <div className="error">{formErrors.password}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="account-role">Role</label>
+          <select id="account-role" name="role" className="form-control" value={account.role} onChange={handleChange}>
+            {Object.entries(ROLE_NAMES).map(([role, roleName]) => (
+              <option key={role} value={role}>{roleName}</option>
+            ))}
+          </select>
+          <div className="form-hint">The front desk books and cancels, providers see only their own schedule, admins also manage accounts.</div>
+          {formErrors.role && <div className="error">{formErrors.role}</div>}
+        </div>
+
+        {account.role === 'provider' && (
+          <div className="form-group">
+            <label htmlFor="account-providerId">Provider</label>
+            <select id="account-providerId" name="providerId" className="form-control" value={account.providerId} onChange={handleChange} required>
+              <option value="">Choose a provider</option>
+              {providers.map(provider => (
+                <option key={provider.id} value={provider.id}>{provider.displayName}</option>
+              ))}
+            </select>
+            {formErrors.providerId && <div className="error">{formErrors.providerId}</div>}
+          </div>
+        )}
+
+        <button type="submit" className="btn" disabled={busy}>
+          {busy ? 'Adding...' : 'Add Account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default StaffAccounts;
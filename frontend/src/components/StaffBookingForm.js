@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { getAppointmentTypes, getProviders } from '../api/appointmentService';
+import { getStaffAvailability, bookForPatient } from '../api/adminService';
+import { formatTime } from '../utils/dateTime';
+
+// Lets the front desk book a patient in, optionally at a time the buffer rules would turn away
+// Overriding the rules books no buffer and needs a reason, which is kept with the booking
+const StaffBookingForm = ({ initialDate, timeZone, onBooked }) => {
+  const [appointmentTypes, setAppointmentTypes] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [form, setForm] = useState({ appointmentTypeId: '', providerId: '', date: initialDate, overrideBufferRules: false });
+  const [slots, setSlots] = useState(null);
+  const [slotId, setSlotId] = useState('');
+  const [patient, setPatient] = useState({ patientName: '', email: '', reason: '' });
+  const [formErrors, setFormErrors] = useState(/** @type {Object<string, string>} */ ({}));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getAppointmentTypes().then(response => {
+      if (response.success) {
+        setAppointmentTypes(response.appointmentTypes);
+      }
+    });
+  }, []);
+
+  // Only providers offering the appointment type can be booked for it
+  useEffect(() => {
+    if (!form.appointmentTypeId) {
+      setProviders([]);
+      return;
+    }
+    getProviders(form.appointmentTypeId).then(response => {
+      if (response.success) {
+        setProviders(response.providers);
+      }
+    });
+  }, [form.appointmentTypeId]);
+
+  // The times listed no longer match once what is being booked changes
+  const handleSearchChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({
+      ...form,
+      [name]: type === 'checkbox' ? checked : value,
+      ...(name === 'appointmentTypeId' ? { providerId: '' } : {})
+    });
+    setSlots(null);
+    setSlotId('');
+  };
+
+  const handlePatientChange = (e) => {
+    const { name, value } = e.target;
+    setPatient({ ...patient, [name]: value });
+    if (formErrors[name]) {
+      setFormErrors({ ...formErrors, [name]: null });
+    }
+  };
+
+  const handleFindTimes = async () => {
+    setBusy(true);
+    setError(null);
+    const response = await getStaffAvailability(form.appointmentTypeId, form.providerId, form.date, form.overrideBufferRules);
+    if (response.success) {
+      setSlots(response.availableSlots);
+    } else {
+      setError(response.error);
+    }
+    setBusy(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    const response = await bookForPatient({
+      slotId,
+      patientName: patient.patientName,
+      email: patient.email,
+      overrideBufferRules: form.overrideBufferRules,
+      reason: patient.reason
+    });
+
+    if (response.success) {
+      setSlots(null);
+      setSlotId('');
+      setPatient({ patientName: '', email: '', reason: '' });
+      setFormErrors({});
+      onBooked(response.appointment);
+    } else if (response.fieldErrors) {
+      setFormErrors(response.fieldErrors);
+    } else {
+      setError(response.error);
+      if (response.errorCode === 'SLOT_UNAVAILABLE') {
+        setSlots(null);
+        setSlotId('');
+      }
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="booking-form-container">
+      <h2>Book for a Patient</h2>
+      {error && <div className="error">{error}</div>}
+
+      <div className="admin-controls">
+        <select name="appointmentTypeId" className="form-control" aria-label="Appointment type" value={form.appointmentTypeId} onChange={handleSearchChange}>
+          <option value="">Appointment type</option>
+          {appointmentTypes.map(type => (
+            <option key={type.id} value={type.id}>{type.displayName}</option>
+          ))}
+        </select>
+        <select name="providerId" className="form-control" aria-label="Provider" value={form.providerId} onChange={handleSearchChange}>
+          <option value="">Provider</option>
+          {providers.map(provider => (
+            <option key={provider.id} value={provider.id}>{provider.displayName}</option>
+          ))}
+        </select>
+        <input type="date" name="date" className="form-control" aria-label="Day" value={form.date} onChange={handleSearchChange} />
+        <label className="checkbox-label">
+          <input type="checkbox" name="overrideBufferRules" checked={form.overrideBufferRules} onChange={handleSearchChange} />
+          Override buffer rules
+        </label>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={handleFindTimes}
+          disabled={busy || !form.appointmentTypeId || !form.providerId || !form.date}
+        >
+          Find Times
+        </button>
+      </div>
+
+      {slots && slots.length === 0 && <p>No free times that day.</p>}
+
+      {slots && slots.length > 0 && (
+        <form onSubmit={handleSubmit}>
+          <div className="timeslot-grid">
+            {slots.map(slot => (
+              <button
+                key={slot.id}
+                type="button"
+                className={`timeslot ${slotId === slot.id ? 'selected' : ''} ${slot.overridesBufferRules ? 'timeslot-override' : ''}`}
+                onClick={() => setSlotId(slot.id)}
+              >
+                {formatTime(slot.startTime, timeZone)}
+                {slot.overridesBufferRules && <div className="timeslot-provider">Overrides rules</div>}
+              </button>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="staff-patientName">Patient Name</label>
+            <input type="text" id="staff-patientName" name="patientName" className="form-control" value={patient.patientName} onChange={handlePatientChange} required />
+            {formErrors.patientName && <div className="error">{formErrors.patientName}</div>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="staff-email">Email</label>
+            <input type="email" id="staff-email" name="email" className="form-control" value={patient.email} onChange={handlePatientChange} required />
+            {formErrors.email && <div className="error">{formErrors.email}</div>}
+          </div>
+
+          {form.overrideBufferRules && (
+            <div className="form-group">
+              <label htmlFor="staff-reason">Reason for overriding the buffer rules</label>
+              <input type="text" id="staff-reason" name="reason" className="form-control" value={patient.reason} onChange={handlePatientChange} required />
+              {formErrors.reason && <div className="error">{formErrors.reason}</div>}
+            </div>
+          )}
+
+          <button type="submit" className="btn" disabled={busy || !slotId}>
+            {busy ? 'Booking...' : 'Book Appointment'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default StaffBookingForm;
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { joinWaitlist } from '../api/appointmentService';
+import { calendarDayKey, formatDate, timeZoneName } from '../utils/dateTime';
+
+// Times of day a patient can pick from, as clinic times
+const TIME_WINDOWS = [
+  { value: 'any', label: 'Any time', from: '00:00', to: '24:00' },
+  { value: 'morning', label: 'Mornings (before 12 PM)', from: '00:00', to: '12:00' },
+  { value: 'afternoon', label: 'Afternoons (12 PM to 5 PM)', from: '12:00', to: '17:00' },
+  { value: 'evening', label: 'Evenings (after 5 PM)', from: '17:00', to: '24:00' }
+];
+
+// The server takes at most this many days per request
+const MAX_DATES = 14;
+
+// Lets a patient who found no free time ask to be emailed when one opens up
+// Starts with the day they were looking at, more days can be added
+const WaitlistForm = ({ appointmentTypeId, providerId, initialDate, timeZone }) => {
+  const [form, setForm] = useState({ patientName: '', email: '', timeWindow: 'any' });
+  const [dates, setDates] = useState([initialDate]);
+  const [dateToAdd, setDateToAdd] = useState('');
+  const [formErrors, setFormErrors] = useState(/** @type {Object<string, string>} */ ({}));
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [entry, setEntry] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm({ ...form, [name]: value });
+    if (formErrors[name]) {
+      setFormErrors({ ...formErrors, [name]: null });
+    }
+  };
+
+  const handleAddDate = () => {
+    if (dateToAdd && !dates.includes(dateToAdd) && dates.length < MAX_DATES) {
+      setDates([...dates, dateToAdd].sort());
+      setFormErrors({ ...formErrors, preferredDates: null });
+    }
+    setDateToAdd('');
+  };
+
+  const handleRemoveDate = (date) => {
+    setDates(dates.filter(other => other !== date));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    /** @type {Object<string, string>} */
+    const errors = {};
+    if (!form.patientName.trim()) {
+      errors.patientName = 'Patient name is required';
+    }
+    if (!form.email.includes('@')) {
+      errors.email = 'Please enter a valid email address';
+    }
+    if (dates.length === 0) {
+      errors.preferredDates = 'Choose at least one date';
+    }
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    const timeWindow = TIME_WINDOWS.find(option => option.value === form.timeWindow);
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const response = await joinWaitlist({
+        appointmentTypeId,
+        providerId: providerId || undefined,
+        patientName: form.patientName,
+        email: form.email,
+        preferredDates: dates,
+        timeWindow: { from: timeWindow.from, to: timeWindow.to }
+      });
+
+      if (response.success) {
+        setEntry(response.entry);
+      } else if (response.errorCode === 'INVALID_WAITLIST_REQUEST') {
+        setFormErrors(response.fieldErrors || {});
+      } else {
+        setError(response.error || 'Failed to join the waitlist');
+      }
+    } catch (err) {
+      setError('Error connecting to server');
+      console.error(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (entry) {
+    return (
+      <div className="booking-form-container">
+        <h2>You're on the waitlist</h2>
+        <p>
+          You are number <strong>{entry.position}</strong> in line. If a time opens up on one of your days,
+          we'll email {form.email} a link to book it.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="booking-form-container">
+      <h2>Join the Waitlist</h2>
+      <p className="form-hint">We'll email you when a time opens up on one of these days. Patients are offered times in the order they joined.</p>
+      {error && <div className="error">{error}</div>}
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="waitlist-patientName">Patient Name</label>
+          <input
+            type="text"
+            id="waitlist-patientName"
+            name="patientName"
+            className="form-control"
+            value={form.patientName}
+            onChange={handleInputChange}
+            required
+          />
+          {formErrors.patientName && <div className="error">{formErrors.patientName}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="waitlist-email">Email</label>
+          <input
+            type="email"
+            id="waitlist-email"
+            name="email"
+            className="form-control"
+            value={form.email}
+            onChange={handleInputChange}
+            required
+          />
+          {formErrors.email && <div className="error">{formErrors.email}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="waitlist-date">Days I can come</label>
+          <ul className="waitlist-dates">
+            {dates.map(date => (
+              <li key={date}>
+                {formatDate(`${date}T12:00:00Z`, 'UTC')}
+                <button type="button" className="btn btn-secondary" onClick={() => handleRemoveDate(date)}>Remove</button>
+              </li>
+            ))}
+          </ul>
+          {dates.length < MAX_DATES && (
+            <div className="waitlist-add-date">
+              <input
+                type="date"
+                id="waitlist-date"
+                className="form-control"
+                value={dateToAdd}
+                min={calendarDayKey(new Date())}
+                onChange={(e) => setDateToAdd(e.target.value)}
+              />
+              <button type="button" className="btn btn-secondary" onClick={handleAddDate} disabled={!dateToAdd}>Add day</button>
+            </div>
+          )}
+          {formErrors.preferredDates && <div className="error">{formErrors.preferredDates}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="waitlist-timeWindow">Times I can come</label>
+          <select
+            id="waitlist-timeWindow"
+            name="timeWindow"
+            className="form-control"
+            value={form.timeWindow}
+            onChange={handleInputChange}
+          >
+            {TIME_WINDOWS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {timeZone && <div className="form-hint">Times are in the clinic's time zone ({timeZoneName(timeZone)}).</div>}
+          {formErrors.timeWindow && <div className="error">{formErrors.timeWindow}</div>}
+        </div>
+
+        <button type="submit" className="btn" disabled={submitting}>
+          {submitting ? 'Joining...' : 'Join Waitlist'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default WaitlistForm;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import './Pages.css';
+import StaffBookingForm from '../components/StaffBookingForm';
+import StaffAccounts from '../components/StaffAccounts';
+import { getProviders } from '../api/appointmentService';
+import { getStaff, forgetStaff, signIn as signInStaff, signOut, getSchedule, cancelForPatient } from '../api/adminService';
+import { calendarDayKey, formatDate, formatTime, timeZoneName } from '../utils/dateTime';
+
+// Staff view of each provider's day or week. The front desk and admins also book and cancel for patients,
+// providers see only their own schedule and admins manage the staff accounts
+const AdminDashboard = () => {
+  const [staff, setStaff] = useState(getStaff());
+  const [signIn, setSignIn] = useState({ username: '', password: '' });
+  const [signingIn, setSigningIn] = useState(false);
+  const [providers, setProviders] = useState([]);
+  const [filters, setFilters] = useState({ date: calendarDayKey(new Date()), view: 'day', providerId: '' });
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // The appointment being cancelled and the reason typed for it
+  const [cancelling, setCancelling] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  useEffect(() => {
+    getProviders().then(response => {
+      if (response.success) {
+        setProviders(response.providers);
+      }
+    });
+  }, []);
+
+  // Load the schedule whenever what is shown changes, or after a booking or cancellation
+  useEffect(() => {
+    if (!staff) {
+      return;
+    }
+
+    const fetchSchedule = async () => {
+      setLoading(true);
+      setError(null);
+      const response = await getSchedule(filters.date, filters.view, filters.providerId);
+      if (response.success) {
+        setSchedule(response);
+      } else if (response.errorCode === 'UNAUTHORIZED') {
+        // The sign-in expired or the account was removed
+        forgetStaff();
+        setStaff(null);
+        setError(response.error);
+      } else {
+        setError(response.error);
+      }
+      setLoading(false);
+    };
+
+    fetchSchedule();
+  }, [staff, filters, refreshCount]);
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    const response = await signInStaff(signIn.username.trim(), signIn.password);
+    if (response.success) {
+      setSignIn({ username: '', password: '' });
+      setStaff(getStaff());
+    } else {
+      setError(response.error);
+    }
+    setSigningIn(false);
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    setStaff(null);
+    setSchedule(null);
+  };
+
+  // Providers only look; the front desk and admins book and cancel
+  const canBook = staff?.role === 'front-desk' || staff?.role === 'admin';
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value });
+  };
+
+  const handleCancel = async (e) => {
+    e.preventDefault();
+    const response = await cancelForPatient(cancelling.id, cancelling.reason);
+    if (response.success) {
+      setCancelling(null);
+      setRefreshCount(refreshCount + 1);
+    } else {
+      setCancelling({ ...cancelling, error: response.fieldErrors?.reason || response.error });
+    }
+  };
+
+  const timeZone = schedule?.timeZone;
+  const timeRange = item => `${formatTime(item.startTime, timeZone)} – ${formatTime(item.endTime, timeZone)}`;
+
+  // One appointment with its patient, who booked it and the cancel action
+  const renderAppointment = (appointment) => (
+    <div className="schedule-patient">
+      <span>{appointment.patientName || appointment.title}</span>
+      {appointment.staff && (
+        <span className="schedule-note">
+          Booked by {appointment.staff.name}{appointment.staff.overrideBufferRules ? `, buffer rules overridden: ${appointment.staff.reason}` : ''}
+        </span>
+      )}
+      {!canBook ? null : cancelling?.id === appointment.id ? (
+        <form className="schedule-cancel" onSubmit={handleCancel}>
+          <input
+            type="text"
+            className="form-control"
+            aria-label="Reason for cancelling"
+            placeholder="Reason for cancelling"
+            value={cancelling.reason}
+            onChange={(e) => setCancelling({ ...cancelling, reason: e.target.value, error: null })}
+            required
+          />
+          <button type="submit" className="btn">Cancel Appointment</button>
+          <button type="button" className="btn btn-secondary" onClick={() => setCancelling(null)}>Keep</button>
+          {cancelling.error && <div className="error">{cancelling.error}</div>}
+        </form>
+      ) : (
+        <button type="button" className="btn btn-secondary" onClick={() => setCancelling({ id: appointment.id, reason: '' })}>
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+
+  const renderItem = (item) => {
+    switch (item.kind) {
+      case 'buffer':
+        return <span>Buffer</span>;
+      case 'gap':
+        return <span>Open, {item.minutes} min</span>;
+      case 'dual-booking':
+        return (
+          <>
+            <strong>{item.appointmentTypeName} (dual booked)</strong>
+            {item.appointments.map(appointment => (
+              <React.Fragment key={appointment.id}>{renderAppointment(appointment)}</React.Fragment>
+            ))}
+          </>
+        );
+      default:
+        return (
+          <>
+            <strong>{item.appointmentTypeName}{item.dualBookable ? ' (1 of 2 places taken)' : ''}</strong>
+            {renderAppointment(item)}
+          </>
+        );
+    }
+  };
+
+  if (!staff) {
+    return (
+      <div className="booking-form-container admin-sign-in">
+        <h1>Staff Sign In</h1>
+        {error && <div className="error">{error}</div>}
+        <form onSubmit={handleSignIn}>
+          <div className="form-group">
+            <label htmlFor="staff-username">Username</label>
+            <input type="text" id="staff-username" className="form-control" autoComplete="username" value={signIn.username} onChange={(e) => setSignIn({ ...signIn, username: e.target.value })} required />
+          </div>
+          <div className="form-group">
+            <label htmlFor="staff-password">Password</label>
+            <input type="password" id="staff-password" className="form-control" autoComplete="current-password" value={signIn.password} onChange={(e) => setSignIn({ ...signIn, password: e.target.value })} required />
+          </div>
+          <button type="submit" className="btn" disabled={signingIn}>
+            {signingIn ? 'Signing In...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-dashboard">
+      <div className="admin-header">
+        <h1>Schedule</h1>
+        <span>
+          Signed in as {staff.name}{' '}
+          <button type="button" className="btn btn-secondary" onClick={handleSignOut}>Sign Out</button>
+        </span>
+      </div>
+
+      <div className="admin-controls">
+        <input type="date" name="date" className="form-control" aria-label="Day" value={filters.date} onChange={handleFilterChange} />
+        <select name="view" className="form-control" aria-label="View" value={filters.view} onChange={handleFilterChange}>
+          <option value="day">Day</option>
+          <option value="week">Week</option>
+        </select>
+        {staff.role !== 'provider' && (
+          <select name="providerId" className="form-control" aria-label="Provider" value={filters.providerId} onChange={handleFilterChange}>
+            <option value="">All providers</option>
+            {providers.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.displayName}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {timeZone && <p className="timezone-note">Times are shown in the clinic's time zone ({timeZoneName(timeZone)}).</p>}
+      {error && <div className="error">{error}</div>}
+      {loading && <div className="loading">Loading...</div>}
+
+      {schedule && schedule.providers.map(provider => (
+        <section key={provider.id} className="admin-provider">
+          <h2>{provider.displayName}</h2>
+          <div className="admin-days">
+            {provider.days.map(day => (
+              <div key={day.date} className="admin-day">
+                <h3>{formatDate(`${day.date}T12:00:00Z`, 'UTC')}</h3>
+                {day.items.length === 0 ? (
+                  <p className="schedule-empty">Not working</p>
+                ) : (
+                  <ul className="schedule-items">
+                    {day.items.map(item => (
+                      <li key={`${item.kind}-${item.id ?? item.startTime}`} className={`schedule-item schedule-${item.kind}`}>
+                        <span className="schedule-time">{timeRange(item)}</span>
+                        {renderItem(item)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+
+      {schedule && canBook && (
+        <StaffBookingForm
+          initialDate={filters.date}
+          timeZone={timeZone}
+          onBooked={() => setRefreshCount(refreshCount + 1)}
+        />
+      )}
+
+      {staff.role === 'admin' && <StaffAccounts providers={providers} currentUsername={staff.username} />}
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -1,89 +1,91 @@
-import React from 'react';
-import { useLocation, Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
 import './Pages.css';
+import BookingDetails from '../components/BookingDetails';
+import { getBooking } from '../api/appointmentService';
 
 const AppointmentConfirmation = () => {
+  const { token } = useParams();
   const location = useLocation();
-  const { appointment, patientName, email, appointmentType } = location.state || {};
+  const rescheduled = location.state?.rescheduled;
+  const [appointment, setAppointment] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [timeZone, setTimeZone] = useState(undefined);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
 
-  // If there's no appointment data in the state, show an error
-  if (!appointment) {
+  // Load the booking from its manage token, so the page survives a refresh
+  useEffect(() => {
+    const fetchBooking = async () => {
+      try {
+        setLoading(true);
+        const response = await getBooking(token);
+        if (response.success) {
+          setAppointment(response.appointment);
+          setSeries(response.series || null);
+          setTimeZone(response.timeZone);
+        } else {
+          setError(response.error || 'Failed to fetch booking');
+        }
+      } catch (err) {
+        setError('Error connecting to server');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBooking();
+  }, [token]);
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  // If the booking could not be loaded, show an error
+  if (error) {
     return (
       <div className="confirmation-container error-container">
         <h1>Error</h1>
-        <p>No appointment information found. Please try booking again.</p>
+        <p>{error}</p>
         <Link to="/" className="btn">Book New Appointment</Link>
       </div>
     );
   }
 
-  // Format date and time for display
-  const formatDateTime = (dateString) => {
-    const date = new Date(dateString);
-    const dateOptions = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-    const timeOptions = { hour: '2-digit', minute: '2-digit' };
-    
-    return {
-      date: date.toLocaleDateString(undefined, dateOptions),
-      time: date.toLocaleTimeString(undefined, timeOptions)
-    };
-  };
-
-  const { date, time } = formatDateTime(appointment.startTime);
+  const cancelled = appointment.status === 'cancelled';
+  const manageUrl = `${window.location.origin}/manage/${token}`;
 
   return (
     <div className="confirmation-container">
       <div className="confirmation-header">
-        <h1>Appointment Confirmed!</h1>
-        <div className="confirmation-check">✓</div>
+        {cancelled ? (
+          <h1>Appointment Cancelled</h1>
+        ) : (
+          <>
+            <h1>{rescheduled ? 'Appointment Rescheduled!' : 'Appointment Confirmed!'}</h1>
+            <div className="confirmation-check">✓</div>
+          </>
+        )}
       </div>
       
-      <div className="confirmation-card">
-        <h2>Appointment Details</h2>
-        
-        <div className="confirmation-details">
-          <div className="detail-item">
-            <span className="detail-label">Appointment Type:</span>
-            <span className="detail-value">{appointmentType?.displayName || 'Not specified'}</span>
-          </div>
-          
-          <div className="detail-item">
-            <span className="detail-label">Date:</span>
-            <span className="detail-value">{date}</span>
-          </div>
-          
-          <div className="detail-item">
-            <span className="detail-label">Time:</span>
-            <span className="detail-value">{time}</span>
-          </div>
-          
-          <div className="detail-item">
-            <span className="detail-label">Patient Name:</span>
-            <span className="detail-value">{patientName}</span>
-          </div>
-          
-          <div className="detail-item">
-            <span className="detail-label">Email:</span>
-            <span className="detail-value">{email}</span>
-          </div>
-          
-          <div className="detail-item">
-            <span className="detail-label">Confirmation Number:</span>
-            <span className="detail-value">{appointment.id}</span>
-          </div>
-        </div>
-      </div>
-      
-      <div className="confirmation-actions">
-        <Link to="/" className="btn">Book Another Appointment</Link>
-      </div>
+      <BookingDetails
+        appointment={appointment}
+        series={series}
+        manageToken={token}
+        timeZone={timeZone}
+        onCancelled={() => setAppointment({ ...appointment, status: 'cancelled' })}
+      />
       
       <div className="confirmation-notes">
         <h3>Important Information</h3>
         <ul>
           <li>Please arrive 15 minutes before your appointment time.</li>
-          <li>If you need to cancel or reschedule, please call us at least 24 hours in advance.</li>
-          <li>A confirmation email has been sent to your email address.</li>
+          <li>You can reschedule or cancel online using the buttons above.</li>
+          <li>
+            Keep this link to manage your booking later: <Link to={`/manage/${token}`} className="manage-link">{manageUrl}</Link>
+          </li>
+          <li>A confirmation email with a calendar invite is on its way to your email address.</li>
         </ul>
       </div>
     </div>
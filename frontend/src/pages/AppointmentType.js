@@ -61,6 +61,9 @@ const AppointmentType = () => {
               <p>{type.description}</p>
               <div className="appointment-type-details">
                 <span>Duration: {type.duration} minutes</span>
+                {type.price !== null && type.price !== undefined && (
+                  <span>Price: ${type.price}</span>
+                )}
                 {type.dualBookable && (
                   <span className="dual-bookable">Can be dual booked</span>
                 )}
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import './Pages.css';
+import BookingDetails from '../components/BookingDetails';
+import { getBooking } from '../api/appointmentService';
+import { formatDate } from '../utils/dateTime';
+
+const ManageBooking = () => {
+  const { token } = useParams();
+  const [appointment, setAppointment] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [timeZone, setTimeZone] = useState(undefined);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the booking from the manage-booking link
+  useEffect(() => {
+    const fetchBooking = async () => {
+      try {
+        setLoading(true);
+        const response = await getBooking(token);
+        if (response.success) {
+          setAppointment(response.appointment);
+          setSeries(response.series || null);
+          setTimeZone(response.timeZone);
+          setExpiresAt(response.expiresAt);
+        } else {
+          setError(response.error || 'Failed to fetch booking');
+        }
+      } catch (err) {
+        setError('Error connecting to server');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBooking();
+  }, [token]);
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="confirmation-container error-container">
+        <h1>Booking Not Available</h1>
+        <p>{error}</p>
+        <Link to="/" className="btn">Book New Appointment</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="confirmation-container">
+      <div className="confirmation-header">
+        <h1>{appointment.status === 'cancelled' ? 'Appointment Cancelled' : 'Manage My Booking'}</h1>
+      </div>
+      
+      <BookingDetails
+        appointment={appointment}
+        series={series}
+        manageToken={token}
+        timeZone={timeZone}
+        onCancelled={() => setAppointment({ ...appointment, status: 'cancelled' })}
+      />
+      
+      {expiresAt && (
+        <p className="text-center manage-link-expiry">
+          This link can be used until {formatDate(expiresAt, timeZone)}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ManageBooking;
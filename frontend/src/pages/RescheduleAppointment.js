@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import './Pages.css';
+import ScheduleAppointment from './ScheduleAppointment';
+import { getBooking } from '../api/appointmentService';
+
+const RescheduleAppointment = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const [appointment, setAppointment] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the appointment being rescheduled
+  useEffect(() => {
+    const fetchAppointment = async () => {
+      try {
+        setLoading(true);
+        const response = await getBooking(token);
+        if (response.success) {
+          setAppointment(response.appointment);
+          setSeries(response.series || null);
+        } else {
+          setError(response.error || 'Failed to fetch booking');
+        }
+      } catch (err) {
+        setError('Error connecting to server');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAppointment();
+  }, [token]);
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (error) {
+    return <div className="error-container">Error: {error}</div>;
+  }
+
+  if (appointment.status === 'cancelled') {
+    return (
+      <div className="confirmation-container error-container">
+        <h1>Appointment Cancelled</h1>
+        <p>This appointment has been cancelled and can no longer be rescheduled.</p>
+        <Link to="/" className="btn">Book New Appointment</Link>
+      </div>
+    );
+  }
+
+  // ?series=1 moves every upcoming visit of the appointment's series along with it
+  const wholeSeries = searchParams.get('series') === '1' && Boolean(series);
+
+  return <ScheduleAppointment existingAppointment={appointment} manageToken={token} series={series} wholeSeries={wholeSeries} />;
+};
+
+export default RescheduleAppointment;
@@ -1,27 +1,70 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
 import './Pages.css';
-import { getAvailability, bookAppointment, getAppointmentTypes } from '../api/appointmentService';
+import { getAvailability, holdSlot, bookAppointment, rescheduleAppointment, rescheduleSeries, getAppointmentTypes, getProviders, getIntakeForm } from '../api/appointmentService';
+import IntakeFields from '../components/IntakeFields';
+import WaitlistForm from '../components/WaitlistForm';
+import SeriesConflicts from '../components/SeriesConflicts';
+import { toDayKey, calendarDayKey, calendarDateFromKey, formatDate, formatTime, timeZoneName, browserTimeZone } from '../utils/dateTime';
 
-const ScheduleAppointment = () => {
-  const { appointmentTypeId } = useParams();
+// Day a slot is on at the clinic, sent with the slot by the server
+const slotDay = (slot, timeZone) =>
+  slot.clinicDate || toDayKey(slot.primaryBooking ? slot.primaryBooking.startTime : slot.startTime, timeZone);
+
+// How often a series can repeat, as the server names it
+const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'weekly', label: 'Every week' },
+  { value: 'biweekly', label: 'Every two weeks' }
+];
+
+// Most visits the server books in one series
+const MAX_SERIES_VISITS = 12;
+
+// When given an existing appointment (and its manage token) the calendar moves that appointment instead of booking a new one;
+// with wholeSeries it moves every upcoming visit of the appointment's series, the first to the chosen time
+const ScheduleAppointment = ({ existingAppointment = null, manageToken = null, series = null, wholeSeries = false }) => {
+  const params = useParams();
+  const appointmentTypeId = existingAppointment ? String(existingAppointment.appointmentTypeId) : params.appointmentTypeId;
+  const rescheduleToken = existingAppointment ? manageToken : null;
   const navigate = useNavigate();
   
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [availableSlots, setAvailableSlots] = useState([]);
   const [appointmentType, setAppointmentType] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [selectedProviderId, setSelectedProviderId] = useState('');
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [availableDates, setAvailableDates] = useState([]);
+  // Clinic time zone the slots are grouped by, sent with the availability
+  const [timeZone, setTimeZone] = useState(undefined);
+  // Telehealth patients can see the times on their own clocks instead
+  const [showPatientTime, setShowPatientTime] = useState(false);
   const [bookingForm, setBookingForm] = useState({
     patientName: '',
     email: ''
   });
-  const [formErrors, setFormErrors] = useState({});
+  // Intake form for the appointment type, and the patient's answers keyed by field name
+  const [intakeFields, setIntakeFields] = useState([]);
+  const [intakeAnswers, setIntakeAnswers] = useState({});
+  const [formErrors, setFormErrors] = useState(/** @type {Object<string, string>} */ ({}));
   const [bookingInProgress, setBookingInProgress] = useState(false);
+  // Bumped to re-fetch availability, e.g. after the selected slot was taken by someone else
+  const [availabilityVersion, setAvailabilityVersion] = useState(0);
+  const [slotTakenAlternatives, setSlotTakenAlternatives] = useState(null);
+  // Hold on the selected slot while the patient completes the form
+  const [hold, setHold] = useState(null);
+  const [holdSecondsLeft, setHoldSecondsLeft] = useState(null);
+  const [holdExpired, setHoldExpired] = useState(false);
+  const latestHoldRequest = useRef(null);
+  // How a new booking repeats, and the times picked for visits of a series that clashed
+  const [repeat, setRepeat] = useState({ frequency: '', ends: 'count', count: '6', until: '' });
+  const [seriesConflicts, setSeriesConflicts] = useState(null);
+  const [replacements, setReplacements] = useState({});
 
   // Fetch appointment type details
   useEffect(() => {
@@ -47,6 +90,36 @@ const ScheduleAppointment = () => {
     fetchAppointmentType();
   }, [appointmentTypeId]);
 
+  // Fetch the intake form for a new booking of this appointment type
+  useEffect(() => {
+    const fetchIntakeForm = async () => {
+      const response = await getIntakeForm(appointmentTypeId);
+      if (response.success) {
+        setIntakeFields(response.fields);
+      } else {
+        setError(response.error || 'Failed to fetch booking form');
+      }
+    };
+
+    if (!rescheduleToken) {
+      fetchIntakeForm();
+    }
+  }, [appointmentTypeId, rescheduleToken]);
+
+  // Fetch the providers who offer this appointment type
+  useEffect(() => {
+    const fetchProviders = async () => {
+      const response = await getProviders(appointmentTypeId);
+      if (response.success) {
+        setProviders(response.providers);
+      } else {
+        console.error('Failed to fetch providers:', response.error);
+      }
+    };
+
+    fetchProviders();
+  }, [appointmentTypeId]);
+
   // Fetch availability for the selected date range
   useEffect(() => {
     const fetchAvailability = async () => {
@@ -58,20 +131,19 @@ const ScheduleAppointment = () => {
         const twoWeeksLater = new Date();
         twoWeeksLater.setDate(today.getDate() + 14);
         
-        const startDate = today.toISOString().split('T')[0];
-        const endDate = twoWeeksLater.toISOString().split('T')[0];
+        const startDate = calendarDayKey(today);
+        const endDate = calendarDayKey(twoWeeksLater);
         
-        const response = await getAvailability(appointmentTypeId, startDate, endDate);
+        const response = await getAvailability(appointmentTypeId, startDate, endDate, selectedProviderId, rescheduleToken);
         
         if (response.success) {
           setAvailableSlots(response.availableSlots);
+          setTimeZone(response.timeZone);
           
-          // Extract unique dates from available slots
-          const dates = [...new Set(response.availableSlots.map(slot => 
-            new Date(slot.primaryBooking ? slot.primaryBooking.startTime : slot.startTime).toISOString().split('T')[0]
-          ))];
+          // Extract the days at the clinic that have slots
+          const dates = [...new Set(response.availableSlots.map(slot => slotDay(slot, response.timeZone)))];
           
-          setAvailableDates(dates.map(date => new Date(date)));
+          setAvailableDates(dates);
           
           // Reset selected slot when availability changes
           setSelectedSlot(null);
@@ -89,7 +161,37 @@ const ScheduleAppointment = () => {
     if (appointmentTypeId) {
       fetchAvailability();
     }
-  }, [appointmentTypeId]);
+  }, [appointmentTypeId, selectedProviderId, rescheduleToken, availabilityVersion]);
+
+  // Count down the hold on the selected slot, and let the slot go when the hold runs out
+  useEffect(() => {
+    if (!hold) {
+      setHoldSecondsLeft(null);
+      return undefined;
+    }
+
+    const tick = () => {
+      const secondsLeft = Math.max(0, Math.round((hold.deadline - Date.now()) / 1000));
+      setHoldSecondsLeft(secondsLeft);
+
+      if (secondsLeft === 0) {
+        setHold(null);
+        setHoldExpired(true);
+        setSelectedSlot(current => (current?.id === hold.slotId ? null : current));
+        setAvailabilityVersion(version => version + 1);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [hold]);
+
+  // Handle provider change ('' means any provider)
+  const handleProviderChange = (e) => {
+    setSelectedProviderId(e.target.value);
+    setSelectedSlot(null);
+  };
 
   // Handle date change from calendar
   const handleDateChange = (date) => {
@@ -97,10 +199,51 @@ const ScheduleAppointment = () => {
     setSelectedSlot(null);
   };
 
+  // The visits of a series follow on from the first, so a clash found for one start no longer applies
+  const clearSeriesConflicts = () => {
+    setSeriesConflicts(null);
+    setReplacements({});
+  };
+
   // Handle time slot selection
-  const handleSlotSelect = (slot) => {
+  const handleSlotSelect = async (slot) => {
     console.log('Selected slot:', slot);  // Debug the selected slot
     setSelectedSlot(slot);
+    setSlotTakenAlternatives(null);
+    clearSeriesConflicts();
+    setHoldExpired(false);
+    setHold(null);
+
+    // Hold the slot so nobody else can take it while the form is filled in
+    latestHoldRequest.current = slot.id;
+    const response = await holdSlot(slot.id);
+
+    // Ignore the response if another slot was picked in the meantime
+    if (latestHoldRequest.current !== slot.id) {
+      return;
+    }
+
+    if (response.success) {
+      setHold({ slotId: slot.id, deadline: Date.now() + response.hold.expiresInSeconds * 1000 });
+    } else if (response.errorCode === 'SLOT_UNAVAILABLE') {
+      handleSlotTaken(response);
+    } else {
+      // Booking still re-checks the slot, so carry on without a hold
+      console.error('Failed to hold slot:', response.error);
+    }
+  };
+
+  // The slot was taken since the grid was loaded: refresh the grid and suggest the nearest free times
+  const handleSlotTaken = (response) => {
+    setSlotTakenAlternatives(response.alternatives || []);
+    setSelectedSlot(null);
+    setAvailabilityVersion(version => version + 1);
+  };
+
+  // Select an alternative suggested by the server from the refreshed grid
+  const handleAlternativeSelect = (slot) => {
+    setSelectedDate(calendarDateFromKey(slotDay(slot, timeZone)));
+    handleSlotSelect(slot);
   };
 
   // Handle form input changes
@@ -120,8 +263,60 @@ const ScheduleAppointment = () => {
     }
   };
 
+  // Handle a change to how the booking repeats
+  const handleRepeatChange = (e) => {
+    const { name, value } = e.target;
+    setRepeat({
+      ...repeat,
+      [name]: value
+    });
+    clearSeriesConflicts();
+    
+    if (formErrors.recurrence) {
+      setFormErrors({
+        ...formErrors,
+        recurrence: null
+      });
+    }
+  };
+
+  // Remember the time picked for a visit of the series that clashed
+  const handleReplacementPick = (index, slot) => {
+    setReplacements({
+      ...replacements,
+      [index]: slot
+    });
+  };
+
+  // Some visits clash: show them with their suggested times, keeping the picks that still work
+  const handleSeriesConflict = (response) => {
+    const occurrences = response.occurrences || [];
+    setSeriesConflicts(occurrences);
+    setReplacements(Object.fromEntries(Object.entries(replacements)
+      .filter(([index]) => occurrences.find(occurrence => occurrence.index === Number(index))?.available)));
+  };
+
+  // Slot IDs of the times picked for clashing visits, keyed by the visit's position
+  const replacementSlotIds = () => Object.fromEntries(Object.entries(replacements).map(([index, slot]) => [index, slot.id]));
+
+  // Handle an answer to the intake form
+  const handleIntakeChange = (name, value) => {
+    setIntakeAnswers({
+      ...intakeAnswers,
+      [name]: value
+    });
+    
+    if (formErrors[name]) {
+      setFormErrors({
+        ...formErrors,
+        [name]: null
+      });
+    }
+  };
+
   // Validate the form
   const validateForm = () => {
+    /** @type {Object<string, string>} */
     const errors = {};
     
     if (!bookingForm.patientName.trim()) {
@@ -134,10 +329,54 @@ const ScheduleAppointment = () => {
       errors.email = 'Please enter a valid email address';
     }
     
+    // The server checks the answers in full, this catches what was left out
+    intakeFields.forEach(field => {
+      if (field.type === 'checkbox') {
+        if (field.required && intakeAnswers[field.name] !== true) {
+          errors[field.name] = 'This must be ticked to book';
+        }
+      } else if (field.required && !String(intakeAnswers[field.name] || '').trim()) {
+        errors[field.name] = `${field.label} is required`;
+      }
+    });
+    
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
+  // Handle moving the existing appointment to the selected slot
+  const handleRescheduleAppointment = async (e) => {
+    e.preventDefault();
+    
+    if (!selectedSlot) {
+      return;
+    }
+    
+    try {
+      setBookingInProgress(true);
+      
+      const response = wholeSeries
+        ? await rescheduleSeries(manageToken, selectedSlot.id, replacementSlotIds())
+        : await rescheduleAppointment(manageToken, selectedSlot.id);
+      
+      if (response.success) {
+        // The new time comes with a new manage token, the confirmation page loads the booking from it
+        navigate(`/confirmation/${response.manageToken}`, { state: { rescheduled: true } });
+      } else if (response.errorCode === 'SLOT_UNAVAILABLE') {
+        handleSlotTaken(response);
+      } else if (response.errorCode === 'SERIES_CONFLICT') {
+        handleSeriesConflict(response);
+      } else {
+        setError(response.error || 'Failed to reschedule appointment');
+      }
+    } catch (err) {
+      setError('Error connecting to server');
+      console.error(err);
+    } finally {
+      setBookingInProgress(false);
+    }
+  };
+
   // Handle appointment booking
   const handleBookAppointment = async (e) => {
     e.preventDefault();
@@ -151,24 +390,35 @@ const ScheduleAppointment = () => {
       
       console.log('Booking with slot ID:', selectedSlot.id);  // Debug the ID being sent
       
+      // A series ends after a number of visits or on a date
+      const seriesRequest = repeat.frequency
+        ? {
+          recurrence: repeat.ends === 'count'
+            ? { frequency: repeat.frequency, count: Number(repeat.count) }
+            : { frequency: repeat.frequency, until: repeat.until },
+          replacementSlotIds: replacementSlotIds()
+        }
+        : undefined;
+      
       // The API now expects just the UUID of the selected slot
       // instead of the whole slot object or its properties
       const response = await bookAppointment(
         bookingForm.patientName,
         bookingForm.email,
-        selectedSlot.id  // Use the UUID assigned by the server
+        selectedSlot.id,  // Use the UUID assigned by the server
+        intakeAnswers,
+        seriesRequest
       );
       
       if (response.success) {
-        // Navigate to confirmation page
-        navigate(`/confirmation/${response.appointment.id}`, { 
-          state: { 
-            appointment: response.appointment,
-            patientName: bookingForm.patientName,
-            email: bookingForm.email,
-            appointmentType: appointmentType
-          } 
-        });
+        // Navigate to confirmation page, which loads the booking from its manage token
+        navigate(`/confirmation/${response.manageToken}`);
+      } else if (response.errorCode === 'SLOT_UNAVAILABLE') {
+        handleSlotTaken(response);
+      } else if (response.errorCode === 'SERIES_CONFLICT') {
+        handleSeriesConflict(response);
+      } else if (response.errorCode === 'INVALID_INTAKE' || response.errorCode === 'INVALID_RECURRENCE') {
+        setFormErrors(response.fieldErrors || {});
       } else {
         setError(response.error || 'Failed to book appointment');
       }
@@ -180,32 +430,46 @@ const ScheduleAppointment = () => {
     }
   };
 
-  // Filter time slots for the selected date
-  const filteredSlots = availableSlots.filter(slot => {
-    // Get start time from primaryBooking if available, otherwise fall back to legacy startTime
-    const startTimeStr = slot.primaryBooking ? slot.primaryBooking.startTime : slot.startTime;
-    const slotDate = new Date(startTimeStr);
-    return slotDate.toISOString().split('T')[0] === selectedDate.toISOString().split('T')[0];
-  });
+  // Filter time slots for the selected date, which is a day at the clinic
+  const filteredSlots = availableSlots.filter(slot => slotDay(slot, timeZone) === calendarDayKey(selectedDate));
 
-  // Format time display
-  const formatTime = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  };
+  // Offer the patient's own time only for telehealth visits, and only when their clocks differ from the clinic's
+  const patientTimeZone = browserTimeZone();
+  const canShowPatientTime = Boolean(appointmentType?.telehealth && timeZone && patientTimeZone !== timeZone);
+  const displayTimeZone = canShowPatientTime && showPatientTime ? patientTimeZone : timeZone;
 
   // Get formatted start time from a time slot
-  const getSlotStartTime = (slot) => {
+  const getSlotStartTime = (slot, options) => {
     const startTimeStr = slot.primaryBooking ? slot.primaryBooking.startTime : slot.startTime;
-    return formatTime(startTimeStr);
+    return formatTime(startTimeStr, displayTimeZone, options);
   };
 
+  // Alternatives from the server that are still in the refreshed grid
+  const refreshedAlternatives = (slotTakenAlternatives || [])
+    .map(alternative => availableSlots.find(slot =>
+      slot.startTime === alternative.startTime && slot.providerId === alternative.providerId
+    ))
+    .filter(Boolean);
+
+  // Format the time left on the hold as m:ss
+  const formatCountdown = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  const selectedSlotHeld = hold && selectedSlot && hold.slotId === selectedSlot.id && holdSecondsLeft !== null;
+  
+  // A series can only be sent again once every clashing visit has another time
+  const unresolvedConflicts = (seriesConflicts || [])
+    .filter(occurrence => !occurrence.available && !replacements[occurrence.index]).length;
+  const remainingVisits = (series?.appointments || [])
+    .filter(visit => visit.status !== 'cancelled' && new Date(visit.startTime) > new Date()).length;
+  const frequencyLabel = frequency => (frequency === 'biweekly' ? 'every two weeks' : 'every week');
+
   // Tile class for the calendar to highlight dates with available slots
   const tileClassName = ({ date, view }) => {
     if (view === 'month') {
-      const isAvailable = availableDates.some(availableDate => 
-        availableDate.toISOString().split('T')[0] === date.toISOString().split('T')[0]
-      );
+      const isAvailable = availableDates.includes(calendarDayKey(date));
       return isAvailable ? 'available-date' : null;
     }
   };
@@ -220,7 +484,64 @@ const ScheduleAppointment = () => {
 
   return (
     <div className="schedule-container">
-      <h1>Schedule {appointmentType?.displayName}</h1>
+      <h1>{existingAppointment ? 'Reschedule' : 'Schedule'} {appointmentType?.displayName}</h1>
+      
+      {existingAppointment && !wholeSeries && (
+        <p className="reschedule-current">
+          Currently booked for {formatDate(existingAppointment.startTime, displayTimeZone)} at {formatTime(existingAppointment.startTime, displayTimeZone, { showZone: true })}
+        </p>
+      )}
+      
+      {wholeSeries && series && (
+        <p className="reschedule-current">
+          Moving all {remainingVisits} remaining visits of your series. Choose a time for the first one,
+          the others follow on at the same time {frequencyLabel(series.frequency)}.
+        </p>
+      )}
+      
+      {providers.length > 1 && (
+        <div className="form-group provider-select">
+          <label htmlFor="providerId">Provider</label>
+          <select
+            id="providerId"
+            className="form-control"
+            value={selectedProviderId}
+            onChange={handleProviderChange}
+          >
+            <option value="">Any provider</option>
+            {providers.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.displayName}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      
+      {holdExpired && !selectedSlot && (
+        <div className="slot-taken-notice">
+          <p>Your hold on the selected time has expired. Please choose a time again.</p>
+        </div>
+      )}
+      
+      {slotTakenAlternatives && (
+        <div className="slot-taken-notice">
+          <p>Sorry, that time was just booked by someone else. The available times have been refreshed.</p>
+          {refreshedAlternatives.length > 0 && (
+            <div className="slot-taken-alternatives">
+              <span>Nearby times:</span>
+              {refreshedAlternatives.map(slot => (
+                <button
+                  key={slot.id}
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => handleAlternativeSelect(slot)}
+                >
+                  {formatDate(slot.startTime, displayTimeZone)} {getSlotStartTime(slot, { showZone: true })}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
       
       <div className="scheduling-grid">
         <div className="calendar-container">
@@ -246,6 +567,29 @@ const ScheduleAppointment = () => {
         
         <div className="timeslots-container">
           <h2>Available Times</h2>
+          {timeZone && !canShowPatientTime && (
+            <p className="timezone-note">Times are shown in the clinic's time zone ({timeZoneName(timeZone, selectedDate)}).</p>
+          )}
+          {canShowPatientTime && (
+            <div className="timezone-toggle" role="group" aria-label="Show times in">
+              <button
+                type="button"
+                className={`btn ${showPatientTime ? 'btn-secondary' : ''}`}
+                aria-pressed={!showPatientTime}
+                onClick={() => setShowPatientTime(false)}
+              >
+                Clinic time ({timeZoneName(timeZone, selectedDate)})
+              </button>
+              <button
+                type="button"
+                className={`btn ${showPatientTime ? '' : 'btn-secondary'}`}
+                aria-pressed={showPatientTime}
+                onClick={() => setShowPatientTime(true)}
+              >
+                My time ({timeZoneName(patientTimeZone, selectedDate)})
+              </button>
+            </div>
+          )}
           {filteredSlots.length === 0 ? (
             <p>No available time slots for selected date</p>
           ) : (
@@ -259,6 +603,9 @@ const ScheduleAppointment = () => {
                     onClick={() => handleSlotSelect(slot)}
                   >
                     {getSlotStartTime(slot)}
+                    {!selectedProviderId && providers.length > 1 && (
+                      <div className="timeslot-provider">{slot.providerName}</div>
+                    )}
                     {slot.hasBuffer && <span className="buffer-indicator" title="Includes buffer time">🕒</span>}
                   </div>
                 );
@@ -268,7 +615,57 @@ const ScheduleAppointment = () => {
         </div>
       </div>
       
-      {selectedSlot && (
+      {/* Nothing free on this day: offer to join the waitlist for it, keyed so the form starts over on another day */}
+      {!loading && !existingAppointment && filteredSlots.length === 0 && (
+        <WaitlistForm
+          key={`${calendarDayKey(selectedDate)}:${selectedProviderId}`}
+          appointmentTypeId={appointmentTypeId}
+          providerId={selectedProviderId}
+          initialDate={calendarDayKey(selectedDate)}
+          timeZone={timeZone}
+        />
+      )}
+      
+      {selectedSlot && existingAppointment && (
+        <div className="booking-form-container">
+          <form onSubmit={handleRescheduleAppointment}>
+            {selectedSlotHeld && (
+              <div className="hold-countdown">
+                This time is held for you for <strong>{formatCountdown(holdSecondsLeft)}</strong>
+              </div>
+            )}
+            
+            <div className="booking-summary">
+              <h3>{wholeSeries ? 'New Time of the First Visit' : 'New Appointment Time'}</h3>
+              <p><strong>Date:</strong> {formatDate(selectedSlot.startTime, displayTimeZone)}</p>
+              <p><strong>Time:</strong> {getSlotStartTime(selectedSlot, { showZone: true })}</p>
+              <p><strong>Type:</strong> {appointmentType?.displayName}</p>
+              {selectedSlot.providerName && (
+                <p><strong>Provider:</strong> {selectedSlot.providerName}</p>
+              )}
+            </div>
+            
+            {seriesConflicts && (
+              <SeriesConflicts
+                occurrences={seriesConflicts}
+                replacements={replacements}
+                onPick={handleReplacementPick}
+                timeZone={displayTimeZone}
+              />
+            )}
+            
+            <button 
+              type="submit" 
+              className="btn"
+              disabled={bookingInProgress || unresolvedConflicts > 0}
+            >
+              {bookingInProgress ? 'Rescheduling...' : (wholeSeries ? 'Confirm New Times' : 'Confirm New Time')}
+            </button>
+          </form>
+        </div>
+      )}
+      
+      {selectedSlot && !existingAppointment && (
         <div className="booking-form-container">
           <h2>Patient Information</h2>
           <form onSubmit={handleBookAppointment}>
@@ -300,19 +697,99 @@ const ScheduleAppointment = () => {
               {formErrors.email && <div className="error">{formErrors.email}</div>}
             </div>
             
+            <IntakeFields
+              fields={intakeFields}
+              answers={intakeAnswers}
+              errors={formErrors}
+              onChange={handleIntakeChange}
+            />
+            
+            <div className="form-group">
+              <label htmlFor="frequency">Repeat</label>
+              <select
+                id="frequency"
+                name="frequency"
+                className="form-control"
+                value={repeat.frequency}
+                onChange={handleRepeatChange}
+              >
+                {REPEAT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {repeat.frequency && (
+                <div className="series-ends">
+                  <select
+                    name="ends"
+                    className="form-control"
+                    aria-label="Series ends"
+                    value={repeat.ends}
+                    onChange={handleRepeatChange}
+                  >
+                    <option value="count">for a number of visits</option>
+                    <option value="until">until a date</option>
+                  </select>
+                  {repeat.ends === 'count' ? (
+                    <input
+                      type="number"
+                      name="count"
+                      className="form-control"
+                      aria-label="Number of visits"
+                      min="2"
+                      max={MAX_SERIES_VISITS}
+                      value={repeat.count}
+                      onChange={handleRepeatChange}
+                    />
+                  ) : (
+                    <input
+                      type="date"
+                      name="until"
+                      className="form-control"
+                      aria-label="Date of the last visit"
+                      min={slotDay(selectedSlot, timeZone)}
+                      value={repeat.until}
+                      onChange={handleRepeatChange}
+                    />
+                  )}
+                </div>
+              )}
+              {repeat.frequency && (
+                <div className="form-hint">Every visit is at the same time with the same provider, and the series is booked as a whole.</div>
+              )}
+              {formErrors.recurrence && <div className="error">{formErrors.recurrence}</div>}
+            </div>
+            
+            {seriesConflicts && (
+              <SeriesConflicts
+                occurrences={seriesConflicts}
+                replacements={replacements}
+                onPick={handleReplacementPick}
+                timeZone={displayTimeZone}
+              />
+            )}
+            
+            {selectedSlotHeld && (
+              <div className="hold-countdown">
+                This time is held for you for <strong>{formatCountdown(holdSecondsLeft)}</strong>
+              </div>
+            )}
+            
             <div className="booking-summary">
               <h3>Appointment Summary</h3>
-              <p><strong>Date:</strong> {selectedDate.toLocaleDateString()}</p>
-              <p><strong>Time:</strong> {getSlotStartTime(selectedSlot)}</p>
+              <p><strong>Date:</strong> {formatDate(selectedSlot.startTime, displayTimeZone)}</p>
+              <p><strong>Time:</strong> {getSlotStartTime(selectedSlot, { showZone: true })}</p>
               <p><strong>Type:</strong> {appointmentType?.displayName}</p>
+              {selectedSlot.providerName && (
+                <p><strong>Provider:</strong> {selectedSlot.providerName}</p>
+              )}
             </div>
             
             <button 
               type="submit" 
               className="btn"
-              disabled={bookingInProgress}
+              disabled={bookingInProgress || unresolvedConflicts > 0}
             >
-              {bookingInProgress ? 'Booking...' : 'Book Appointment'}
+              {bookingInProgress ? 'Booking...' : (repeat.frequency ? 'Book Series' : 'Book Appointment')}
             </button>
           </form>
         </div>
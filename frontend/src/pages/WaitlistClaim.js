@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import './Pages.css';
+import IntakeFields from '../components/IntakeFields';
+import { getWaitlistOffer, claimWaitlistOffer, declineWaitlistOffer, getIntakeForm } from '../api/appointmentService';
+import { formatDate, formatTime } from '../utils/dateTime';
+
+// Ways an offer can no longer be claimed, as returned by the server
+const CLOSED_OFFER_CODES = ['OFFER_EXPIRED', 'OFFER_TAKEN', 'OFFER_CLAIMED'];
+
+// Page behind the claim link in a waitlist offer email: book the offered time, or turn it down
+const WaitlistClaim = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [offer, setOffer] = useState(null);
+  const [timeZone, setTimeZone] = useState(undefined);
+  const [deadline, setDeadline] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [intakeFields, setIntakeFields] = useState([]);
+  const [intakeAnswers, setIntakeAnswers] = useState({});
+  const [formErrors, setFormErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Set once the offer can no longer be claimed, to explain why
+  const [closedMessage, setClosedMessage] = useState(null);
+  const [declined, setDeclined] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Load the offer and the intake form of its appointment type
+  useEffect(() => {
+    const fetchOffer = async () => {
+      try {
+        setLoading(true);
+        const response = await getWaitlistOffer(token);
+        if (!response.success) {
+          if (CLOSED_OFFER_CODES.includes(response.errorCode)) {
+            setClosedMessage(response.error);
+          } else {
+            setError(response.error || 'Failed to fetch waitlist offer');
+          }
+          return;
+        }
+
+        setOffer(response.offer);
+        setTimeZone(response.timeZone);
+        setDeadline(Date.now() + response.offer.expiresInSeconds * 1000);
+
+        const form = await getIntakeForm(response.offer.appointmentTypeId);
+        if (form.success) {
+          setIntakeFields(form.fields);
+        } else {
+          setError(form.error || 'Failed to fetch booking form');
+        }
+      } catch (err) {
+        setError('Error connecting to server');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOffer();
+  }, [token]);
+
+  // Count down to the end of the offer
+  useEffect(() => {
+    if (!deadline) {
+      return undefined;
+    }
+
+    const tick = () => {
+      const seconds = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+      setSecondsLeft(seconds);
+      if (seconds === 0) {
+        setClosedMessage('This waitlist offer has expired');
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  const handleIntakeChange = (name, value) => {
+    setIntakeAnswers({
+      ...intakeAnswers,
+      [name]: value
+    });
+
+    if (formErrors[name]) {
+      setFormErrors({
+        ...formErrors,
+        [name]: null
+      });
+    }
+  };
+
+  const handleClaim = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await claimWaitlistOffer(token, intakeAnswers);
+
+      if (response.success) {
+        navigate(`/confirmation/${response.manageToken}`);
+      } else if (CLOSED_OFFER_CODES.includes(response.errorCode)) {
+        setClosedMessage(response.error);
+      } else if (response.errorCode === 'INVALID_INTAKE') {
+        setFormErrors(response.fieldErrors || {});
+      } else {
+        setError(response.error || 'Failed to book this time');
+      }
+    } catch (err) {
+      setError('Error connecting to server');
+      console.error(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async (leave) => {
+    try {
+      setSubmitting(true);
+      const response = await declineWaitlistOffer(token, leave);
+
+      if (response.success) {
+        setDeclined(leave ? 'left' : 'declined');
+      } else if (CLOSED_OFFER_CODES.includes(response.errorCode)) {
+        setClosedMessage(response.error);
+      } else {
+        setError(response.error || 'Failed to turn down this time');
+      }
+    } catch (err) {
+      setError('Error connecting to server');
+      console.error(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Format the time left on the offer as m:ss
+  const formatCountdown = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (error || closedMessage || declined) {
+    return (
+      <div className="confirmation-container error-container">
+        <h1>{declined ? 'Thank You' : 'Offer Not Available'}</h1>
+        {declined === 'declined' && <p>We've passed this time on. You're still on the waitlist and we'll email you if another time opens up.</p>}
+        {declined === 'left' && <p>You've left the waitlist. We won't email you about other times.</p>}
+        {!declined && <p>{closedMessage || error}</p>}
+        <Link to="/" className="btn">Book New Appointment</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="confirmation-container">
+      <div className="confirmation-header">
+        <h1>A Time Has Opened Up</h1>
+      </div>
+
+      <div className="booking-form-container">
+        {secondsLeft !== null && (
+          <div className="hold-countdown">
+            This time is held for you for <strong>{formatCountdown(secondsLeft)}</strong>
+          </div>
+        )}
+
+        <div className="booking-summary">
+          <h3>Offered Appointment</h3>
+          <p><strong>Date:</strong> {formatDate(offer.startTime, timeZone)}</p>
+          <p><strong>Time:</strong> {formatTime(offer.startTime, timeZone, { showZone: true })}</p>
+          <p><strong>Type:</strong> {offer.appointmentTypeName}</p>
+          {offer.providerName && (
+            <p><strong>Provider:</strong> {offer.providerName}</p>
+          )}
+          <p><strong>Patient:</strong> {offer.patientName} ({offer.email})</p>
+        </div>
+
+        <form onSubmit={handleClaim}>
+          <IntakeFields
+            fields={intakeFields}
+            answers={intakeAnswers}
+            errors={formErrors}
+            onChange={handleIntakeChange}
+          />
+
+          <div className="confirmation-actions">
+            <button type="submit" className="btn" disabled={submitting}>
+              {submitting ? 'Booking...' : 'Book This Time'}
+            </button>
+            <button type="button" className="btn btn-secondary" disabled={submitting} onClick={() => handleDecline(false)}>
+              Not This Time
+            </button>
+            <button type="button" className="btn btn-secondary" disabled={submitting} onClick={() => handleDecline(true)}>
+              Leave the Waitlist
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistClaim;
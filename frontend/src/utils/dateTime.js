@@ -0,0 +1,45 @@
+// Dates and times are shown on the clinic's clocks, in the time zone the server sends with them,
+// or on the patient's own clocks when they choose to see them that way
+
+// Day an instant falls on in a time zone, as YYYY-MM-DD
+export const toDayKey = (dateString, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(dateString))
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Day a calendar tile stands for, as YYYY-MM-DD (calendar dates are midnight in the browser's zone)
+export const calendarDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Calendar date for a YYYY-MM-DD day
+export const calendarDateFromKey = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const formatDate = (dateString, timeZone, options = {}) =>
+  new Date(dateString).toLocaleDateString(undefined, { ...options, timeZone });
+
+// Time of day, followed by the zone's abbreviation (e.g. "EDT") when showZone is set
+export const formatTime = (dateString, timeZone, { showZone = false } = {}) =>
+  new Date(dateString).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone,
+    ...(showZone ? { timeZoneName: 'short' } : {})
+  });
+
+// Time zone the patient's browser is in
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Name of a time zone for the patient, e.g. "Eastern Daylight Time"
+export const timeZoneName = (timeZone, dateString = new Date()) => {
+  const part = new Intl.DateTimeFormat(undefined, { timeZone, timeZoneName: 'long' })
+    .formatToParts(new Date(dateString))
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
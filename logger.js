@@ -102,10 +102,39 @@ const error = (message, ...args) => {
 
 const info = log; // Alias for log
 
+// Request fields that are never logged: passwords, bearer tokens and session cookies
+const REDACTED_FIELDS = ['password', 'authorization', 'cookie'];
+
+// Copy a value for logging with the sensitive fields, at any depth, replaced
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    REDACTED_FIELDS.includes(key.toLowerCase()) ? '[redacted]' : redact(field)
+  ]));
+};
+
+// Express middleware that logs each request for debugging, without its sensitive fields
+const logRequest = (req, res, next) => {
+  debug(`${req.method} ${req.url}`, redact({
+    query: req.query,
+    body: req.body,
+    headers: req.headers
+  }));
+  next();
+};
+
 export default {
   debug,
   log,
   info,
   error,
   warn,
+  redact,
+  logRequest,
 };
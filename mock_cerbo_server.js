@@ -0,0 +1,333 @@
+// mock_cerbo_server.js - Stand-alone mock of the Cerbo API for development and end-to-end tests
+// Serves the parts of the API the scheduler uses from in-memory data seeded from the test fixtures
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { formatClinicDateTime, parseClinicDateTime } from './clinic_time.js';
+
+// Get directory name in ES module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'test', 'backend');
+const DEFAULT_PORT = 3002;
+// First day covered by the fixtures, MOCK_CERBO_START_DATE moves the fixture data to start on another day
+const FIXTURE_START_DATE = '2025-03-27';
+
+/**
+ * Format a date as Cerbo does, "YYYY-MM-DD HH:MM:SS"
+ * 
+ * @param {Date} date - The date
+ * @returns {string} The formatted date
+ */
+function formatCerboDateTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Convert a datetime sent by the scheduler (ISO string) to Cerbo's format
+ * Appointment times are stored in UTC, just as the real API returns them
+ * 
+ * @param {string} value - ISO datetime string, or a datetime already in Cerbo's format
+ * @returns {string} The datetime in Cerbo's format
+ */
+function toCerboDateTime(value) {
+  if (typeof value !== 'string' || !value.includes('T')) {
+    return value;
+  }
+  return formatCerboDateTime(new Date(value));
+}
+
+/**
+ * Move a Cerbo datetime or date by a number of days
+ * 
+ * @param {string} value - "YYYY-MM-DD HH:MM:SS" or "YYYY-MM-DD"
+ * @param {number} days - Days to move it by
+ * @returns {string} The moved value in the same format
+ */
+function shiftDays(value, days) {
+  if (!value || days === 0) {
+    return value;
+  }
+  const shifted = formatCerboDateTime(new Date(new Date(`${value.replace(' ', 'T').substring(0, 19)}Z`).getTime() + days * 86400000));
+  return value.length === 10 ? shifted.substring(0, 10) : shifted;
+}
+
+/**
+ * Move a Cerbo appointment time (UTC) by a number of days, keeping its time on the clinic's clocks
+ * Availability windows are clinic times, so appointments moved across a DST change still fill the same gaps
+ * 
+ * @param {string} value - "YYYY-MM-DD HH:MM:SS" in UTC
+ * @param {number} days - Days to move it by
+ * @returns {string} The moved value in the same format
+ */
+function shiftAppointmentDays(value, days) {
+  if (!value || days === 0) {
+    return value;
+  }
+  const clinicTime = formatClinicDateTime(new Date(`${value.replace(' ', 'T').substring(0, 19)}Z`));
+  return formatCerboDateTime(parseClinicDateTime(shiftDays(clinicTime, days)));
+}
+
+/**
+ * Load the fixtures, moving their dates by a number of days
+ * 
+ * @param {string} fixturesDir - Directory holding availability_response.json and appointments_response.json
+ * @param {number} dayOffset - Days to move every date in the fixtures by
+ * @returns {{availability: Object, appointments: Array<Object>}} The seed data
+ */
+function loadFixtures(fixturesDir, dayOffset) {
+  const availability = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'availability_response.json'), 'utf8'));
+  const appointments = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'appointments_response.json'), 'utf8')).data;
+
+  for (const userAvailability of availability.user_availabilies) {
+    for (const typeAvailability of userAvailability.availability_by_type) {
+      for (const window of typeAvailability.available_windows) {
+        window.window_start = shiftDays(window.window_start, dayOffset);
+        window.window_end = shiftDays(window.window_end, dayOffset);
+      }
+    }
+  }
+
+  for (const appointment of appointments) {
+    appointment.start_date_time = shiftAppointmentDays(appointment.start_date_time, dayOffset);
+    appointment.end_date_time = shiftAppointmentDays(appointment.end_date_time, dayOffset);
+  }
+
+  return { availability, appointments };
+}
+
+/**
+ * Check whether a Cerbo datetime falls on a day within a date range
+ * 
+ * @param {string} dateTime - "YYYY-MM-DD HH:MM:SS"
+ * @param {string|null} startDate - First day of the range, "YYYY-MM-DD", or null for no lower bound
+ * @param {string|null} endDate - Last day of the range, "YYYY-MM-DD", or null for no upper bound
+ * @returns {boolean} True if the day is in range
+ */
+function isOnDayInRange(dateTime, startDate, endDate) {
+  const day = dateTime.substring(0, 10);
+  return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+}
+
+/**
+ * Create the mock Cerbo API
+ * 
+ * @param {Object} [options] - Options
+ * @param {string} [options.fixturesDir] - Directory holding the fixture files, defaults to test/backend
+ * @param {string} [options.startDate] - Day the fixture data is moved to start on ("YYYY-MM-DD"), defaults to the fixtures' own dates
+ * @param {Array<Object>} [options.patients] - Patient charts to start with, in Cerbo's format
+ * @returns {{app: express.Express, appointments: Map<string, Object>, tasks: Map<string, Object>, patients: Map<string, Object>}} The Express app and its data
+ */
+function createMockCerboApp(options = {}) {
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+  const dayOffset = options.startDate
+    ? Math.round((Date.parse(`${options.startDate}T00:00:00Z`) - Date.parse(`${FIXTURE_START_DATE}T00:00:00Z`)) / 86400000)
+    : 0;
+  const { availability, appointments: seedAppointments } = loadFixtures(fixturesDir, dayOffset);
+
+  const appointments = new Map(seedAppointments.map(appointment => [String(appointment.id), appointment]));
+  const tasks = new Map();
+  const patients = new Map((options.patients || []).map(patient => [String(patient.id), { object: 'patient', ...patient }]));
+  let nextId = Math.max(0, ...seedAppointments.map(appointment => Number(appointment.id)), ...[...patients.keys()].map(Number)) + 1;
+
+  // Provider details as the fixtures describe them, used for the providers of new appointments
+  const providerDetails = new Map(availability.user_availabilies.map(userAvailability => [
+    Number(userAvailability.provider_id),
+    userAvailability.provider_details
+  ]));
+
+  /**
+   * Build the associated_providers list for an appointment
+   * 
+   * @param {Array<number|string>} providerIds - Provider IDs sent by the scheduler
+   * @returns {Array<Object>} The providers in Cerbo's format
+   */
+  const associatedProviders = (providerIds) => providerIds.map(id => {
+    const details = providerDetails.get(Number(id)) || {};
+    return { ...details, object: 'user', id: Number(id) };
+  });
+
+  const app = express();
+  app.use(express.json());
+
+  // The real API rejects requests without credentials
+  app.use((req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ error: 'Missing Authorization header' });
+    }
+    logger.debug(`Mock Cerbo: ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  const router = express.Router();
+
+  router.get('/appointments/availability', (req, res) => {
+    const searchParams = new URL(req.originalUrl, 'http://mock-cerbo').searchParams;
+    const providerIds = searchParams.getAll('provider_ids[]').map(Number);
+    const startDate = searchParams.get('start_date');
+    const endDate = searchParams.get('end_date');
+
+    const userAvailabilities = availability.user_availabilies
+      .filter(userAvailability => providerIds.length === 0 || providerIds.includes(Number(userAvailability.provider_id)))
+      .map(userAvailability => ({
+        ...userAvailability,
+        availability_by_type: userAvailability.availability_by_type.map(typeAvailability => ({
+          ...typeAvailability,
+          available_windows: typeAvailability.available_windows
+            .filter(window => isOnDayInRange(window.window_start, startDate, endDate))
+        }))
+      }));
+
+    res.json({
+      ...availability,
+      parameters: { ...availability.parameters, start_date: startDate, end_date: endDate, provider_ids: providerIds },
+      user_availabilies: userAvailabilities
+    });
+  });
+
+  router.get('/appointments', (req, res) => {
+    const { provider_id: providerId, start_date: startDate, end_date: endDate } = req.query;
+
+    const matching = [...appointments.values()].filter(appointment =>
+      (!providerId || appointment.associated_providers?.some(provider => String(provider.id) === String(providerId))) &&
+      isOnDayInRange(appointment.start_date_time, startDate ? String(startDate) : null, endDate ? String(endDate) : null)
+    );
+
+    res.json({ object: 'list', total_count: matching.length, has_more: false, data: matching });
+  });
+
+  router.post('/appointments', (req, res) => {
+    const { start_date_time: startDateTime, end_date_time: endDateTime, provider_ids: providerIds = [] } = req.body;
+
+    if (!startDateTime || !endDateTime) {
+      return res.status(400).json({ error: 'start_date_time and end_date_time are required' });
+    }
+
+    const appointment = {
+      object: 'appointment',
+      id: nextId++,
+      title: req.body.title || '',
+      appointment_status: req.body.status || 'scheduled',
+      appointment_type: req.body.appointment_type || '',
+      appointment_note: req.body.appointment_note || '',
+      associated_providers: associatedProviders(providerIds),
+      ...(req.body.pt_id ? { pt_id: req.body.pt_id } : {}),
+      telemedicine: { is_telemedicine: !!req.body.telemedicine, telemedicine_url: null },
+      start_date_time: toCerboDateTime(startDateTime),
+      end_date_time: toCerboDateTime(endDateTime),
+      created: formatCerboDateTime(new Date())
+    };
+
+    appointments.set(String(appointment.id), appointment);
+    res.json(appointment);
+  });
+
+  router.get('/appointments/:id', (req, res) => {
+    const appointment = appointments.get(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    res.json(appointment);
+  });
+
+  router.patch('/appointments/:id', (req, res) => {
+    const appointment = appointments.get(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const { provider_ids: providerIds, status, ...changes } = req.body;
+    Object.assign(appointment, changes);
+    if (changes.start_date_time) {
+      appointment.start_date_time = toCerboDateTime(changes.start_date_time);
+    }
+    if (changes.end_date_time) {
+      appointment.end_date_time = toCerboDateTime(changes.end_date_time);
+    }
+    if (status) {
+      appointment.appointment_status = status;
+    }
+    if (providerIds) {
+      appointment.associated_providers = associatedProviders(providerIds);
+    }
+    appointment.dateupdated = formatCerboDateTime(new Date());
+
+    res.json(appointment);
+  });
+
+  router.delete('/appointments/:id', (req, res) => {
+    if (!appointments.delete(req.params.id)) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    res.json({ success: true });
+  });
+
+  router.get('/tasks', (req, res) => {
+    res.json({ object: 'list', total_count: tasks.size, has_more: false, data: [...tasks.values()] });
+  });
+
+  router.post('/tasks', (req, res) => {
+    const task = { object: 'task', id: nextId++, status: 'open', ...req.body, created: formatCerboDateTime(new Date()) };
+    tasks.set(String(task.id), task);
+    res.json(task);
+  });
+
+  router.patch('/tasks/:id', (req, res) => {
+    const task = tasks.get(req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    Object.assign(task, req.body);
+    res.json(task);
+  });
+
+  // Every criterion given has to match; names and emails ignore case like Cerbo's search
+  router.get('/patients/search', (req, res) => {
+    const criteria = {
+      email1: req.query.email,
+      first_name: req.query.first_name,
+      last_name: req.query.last_name,
+      dob: req.query.dob
+    };
+
+    const matching = [...patients.values()].filter(patient => Object.entries(criteria).every(([field, value]) =>
+      !value || String(patient[field] || '').toLowerCase() === String(value).toLowerCase()
+    ));
+
+    res.json({ object: 'list', total_count: matching.length, has_more: false, data: matching });
+  });
+
+  router.post('/patients', (req, res) => {
+    if (!req.body.first_name) {
+      return res.status(400).json({ error: 'first_name is required' });
+    }
+
+    const patient = { object: 'patient', id: nextId++, ...req.body, created: formatCerboDateTime(new Date()) };
+    patients.set(String(patient.id), patient);
+    res.json(patient);
+  });
+
+  app.use('/api/v1', router);
+
+  return { app, appointments, tasks, patients };
+}
+
+// Run the mock on its own when this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_CERBO_PORT) || DEFAULT_PORT;
+  const { app } = createMockCerboApp({
+    fixturesDir: process.env.MOCK_CERBO_FIXTURES_DIR,
+    // Slots that have already started are not offered, so by default the fixtures start tomorrow
+    startDate: process.env.MOCK_CERBO_START_DATE || new Date(Date.now() + 86400000).toISOString().substring(0, 10)
+  });
+
+  app.listen(port, () => {
+    logger.info(`Mock Cerbo API running on port ${port}, use CERBO_API_BASE_URL=http://localhost:${port}/api/v1`);
+  });
+}
+
+export {
+  createMockCerboApp
+};
@@ -1,12 +1,20 @@
 // Server to expose the scheduling API
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
-import { getAppointmentTypes, getAvailability, bookAppointment } from './backend/availability.web.js';
+import { getAppointmentTypes, getProviders, getIntakeForm, getAvailability, holdTimeSlot, bookAppointment, cancelAppointment, getBooking, rescheduleAppointment, cancelSeries, rescheduleSeries } from './backend/availability.web.js';
+import { verifyBookingToken } from './backend/booking_tokens.js';
+import { touchSession, getSession, offerTimeSlots, getOfferedTimeSlot, removeOfferedTimeSlot, removeExpiredSessions } from './backend/sessions.js';
+import { beginIdempotentRequest, completeIdempotentRequest, abandonIdempotentRequest, removeExpiredIdempotencyRecords } from './backend/idempotency.js';
+import { getAvailabilityCacheStats } from './backend/availability_cache.js';
+import { getStaffSchedule } from './backend/staff_schedule.js';
+import { createStaffAccount, removeStaffAccount, listStaffAccounts, signInStaff, getSignedInStaff, signOutStaff, removeExpiredStaffSessions, createInitialAdmin } from './backend/staff_accounts.js';
+import { getClinicDetails } from './backend/email_templates.js';
+import { createJobRunner } from './backend/job_runner.js';
+import { createReminderJob } from './backend/reminders.js';
+import { joinWaitlist, getWaitlistOffer, claimWaitlistOffer, declineWaitlistOffer, createWaitlistJob } from './backend/waitlist.js';
 import logger from './logger.js';
 
-// Simple in-memory storage for time slots, organized by session ID
-const timeSlotCache = new Map();
-
 // Generate a random UUID without external dependencies
 function generateId() {
   return Math.random().toString(36).substring(2, 15) + 
@@ -14,14 +22,302 @@ function generateId() {
          Date.now().toString(36);
 }
 
+// HTTP status codes for the errorCode values returned by the backend
+const ERROR_CODE_STATUS = {
+  NOT_FOUND: 404,
+  ALREADY_CANCELLED: 409,
+  INVALID_SLOT: 400,
+  SLOT_UNAVAILABLE: 409,
+  INVALID_RECURRENCE: 400,
+  SERIES_CONFLICT: 409,
+  REASON_REQUIRED: 400,
+  INVALID_DATE: 400,
+  INVALID_TOKEN: 403,
+  TOKEN_EXPIRED: 410,
+  INVALID_INTAKE: 400,
+  PATIENT_AMBIGUOUS: 409,
+  BOOKING_FAILED: 502,
+  RESCHEDULE_FAILED: 502,
+  CANCEL_INCOMPLETE: 502,
+  INVALID_WAITLIST_REQUEST: 400,
+  OFFER_EXPIRED: 410,
+  OFFER_TAKEN: 409,
+  OFFER_CLAIMED: 409,
+  INVALID_CREDENTIALS: 401,
+  ACCOUNT_LOCKED: 429,
+  INVALID_STAFF_ACCOUNT: 400,
+  ACCOUNT_EXISTS: 409,
+  // Cerbo API failures, raised as CerboAuthError, CerboRateLimitError and CerboUnavailableError by cerbo_client.js
+  CERBO_AUTH_FAILED: 502,
+  CERBO_RATE_LIMITED: 503,
+  CERBO_UNAVAILABLE: 503
+};
+
+// Longest Idempotency-Key header accepted
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Send a failed backend response with the HTTP status for its errorCode
+ * When Cerbo said how long to back off, the browser is told the same with Retry-After
+ * 
+ * @param {express.Response} res - The response
+ * @param {Object} response - The failed backend response
+ * @returns {express.Response} The response
+ */
+function sendFailure(res, response) {
+  if (response.retryAfterSeconds) {
+    res.setHeader('Retry-After', String(response.retryAfterSeconds));
+  }
+  return res.status(ERROR_CODE_STATUS[response.errorCode] || 500).json(response);
+}
+
+/**
+ * Store full time slots with the session and return the limited versions sent to the browser
+ * The browser only ever sends back the slot ID, so it cannot tamper with the booking details
+ * 
+ * @param {string} sessionId - The session the slots are offered to
+ * @param {Array<Object>} slots - Time slots from the backend
+ * @param {Object} [options] - Passed on to offerTimeSlots
+ * @returns {Promise<Array<Object>>} The slots with their IDs
+ */
+async function cacheTimeSlots(sessionId, slots, options) {
+  const slotsById = {};
+  
+  const limitedSlots = slots.map(slot => {
+    const slotId = generateId();
+    // Keep the complete slot with the session
+    slotsById[slotId] = slot;
+    
+    // Return a limited version of the slot with the UUID
+    return {
+      id: slotId,
+      startTime: slot.primaryBooking ? slot.primaryBooking.startTime : slot.startTime,
+      endTime: slot.endTime,
+      hasDualBooking: slot.hasDualBooking,
+      hasBuffer: !!slot.buffer,
+      providerId: slot.providerId,
+      providerName: slot.providerName,
+      clinicDate: slot.clinicDate,
+      clinicTime: slot.clinicTime,
+      ...(slot.overridesBufferRules !== undefined ? { overridesBufferRules: slot.overridesBufferRules } : {})
+    };
+  });
+  
+  await offerTimeSlots(sessionId, slotsById, options);
+  return limitedSlots;
+}
+
+/**
+ * Look up the time slots a patient picked for visits of a series that could not be booked as asked
+ * 
+ * @param {string} sessionId - The patient's session, the slots must have been offered to it
+ * @param {Object<string, string>} [replacementSlotIds] - Slot ID picked for each visit, keyed by its position in the series
+ * @returns {Promise<Object<number, Object>|null>} The full time slots keyed by position, or null if one was not offered to the session
+ */
+async function replacementSlots(sessionId, replacementSlotIds) {
+  /** @type {Object<number, Object>} */
+  const replacements = {};
+  
+  for (const [index, slotId] of Object.entries(replacementSlotIds || {})) {
+    const timeSlot = await getOfferedTimeSlot(sessionId, slotId);
+    if (!timeSlot || !/^\d+$/.test(index)) {
+      return null;
+    }
+    replacements[Number(index)] = timeSlot;
+  }
+  
+  return replacements;
+}
+
+/**
+ * Offer the alternatives for each visit of a series that cannot be booked, as slots the patient can pick
+ * 
+ * @param {string} sessionId - The session the slots are offered to
+ * @param {Object} response - Backend response, its occurrences are changed in place
+ * @returns {Promise<void>}
+ */
+async function cacheOccurrenceAlternatives(sessionId, response) {
+  for (const occurrence of response.occurrences || []) {
+    occurrence.alternatives = await cacheTimeSlots(sessionId, occurrence.alternatives);
+  }
+}
+
+/**
+ * Read the appointment ID from the manage-booking token in the URL
+ * Sends the error response itself when the token is not valid
+ * 
+ * @param {express.Request} req - Request with a :token parameter
+ * @param {express.Response} res - Response used to reject invalid tokens
+ * @param {string} [token=req.params.token] - The token, when it is not in the URL path
+ * @returns {string|null} The appointment ID, or null if the request was rejected
+ */
+function appointmentIdFromToken(req, res, token = req.params.token) {
+  const verification = verifyBookingToken(token);
+  
+  if (!verification.valid) {
+    res.status(ERROR_CODE_STATUS[verification.errorCode]).json({
+      success: false,
+      error: verification.error,
+      errorCode: verification.errorCode
+    });
+    return null;
+  }
+  
+  return verification.appointmentId;
+}
+
+/**
+ * Read the bearer token a member of staff signed in with
+ * 
+ * @param {express.Request} req - The request
+ * @returns {string} The token, or an empty string if none was sent
+ */
+function bearerToken(req) {
+  return (req.get('Authorization') || '').replace(/^Bearer\s+/i, '').trim();
+}
+
+/**
+ * Middleware that lets only signed-in staff with one of the roles through
+ * Puts the signed-in member of staff in res.locals.staff for the route
+ * 
+ * @param {...string} roles - Roles allowed, front-desk, provider or admin
+ * @returns {express.RequestHandler} The middleware
+ */
+function requireStaff(...roles) {
+  return async (req, res, next) => {
+    let staff;
+    try {
+      staff = await getSignedInStaff(bearerToken(req));
+    } catch (error) {
+      logger.error('Error checking staff sign-in:', error);
+      return res.status(503).json({ success: false, error: 'Staff sign-in storage is unavailable' });
+    }
+    
+    if (!staff) {
+      return res.status(401).json({ success: false, error: 'Please sign in again', errorCode: 'UNAUTHORIZED' });
+    }
+    
+    if (!roles.includes(staff.role)) {
+      logger.warn(`Staff member ${staff.username} (${staff.role}) refused ${req.method} ${req.path}`);
+      return res.status(403).json({ success: false, error: 'Your account is not allowed to do this', errorCode: 'FORBIDDEN' });
+    }
+    
+    res.locals.staff = staff;
+    next();
+  };
+}
+
+/**
+ * Who is acting, for the audit log and the appointment note, with the reason given in the request body
+ * 
+ * @param {express.Request} req - Request with reason in its body for some actions
+ * @param {express.Response} res - Response of a request that passed requireStaff
+ * @returns {import('./backend/booking_audit.js').StaffAction} Who is acting and why
+ */
+function staffAction(req, res) {
+  const { reason } = req.body || {};
+  const { name, username } = res.locals.staff;
+  
+  return {
+    name,
+    username,
+    ...(typeof reason === 'string' && reason.trim() ? { reason: reason.trim() } : {})
+  };
+}
+
+/**
+ * Origins browsers may call the API from: those listed in CORS_ORIGIN, separated by commas,
+ * or else the address of the patient booking site
+ * 
+ * @returns {Array<string>} The allowed origins
+ */
+function allowedCorsOrigins() {
+  const configured = process.env.CORS_ORIGIN || new URL(getClinicDetails().publicBaseUrl).origin;
+  const origins = configured.split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+  
+  if (origins.includes('*')) {
+    logger.warn('CORS_ORIGIN "*" is ignored, list the origins the booking site is served from');
+  }
+  
+  return origins.filter(origin => origin !== '*');
+}
+
+/**
+ * Middleware that makes a POST safe to repeat
+ * The first response for an Idempotency-Key is stored and replayed for repeats from the same session.
+ * Requests without the header get a key from deriveKey, if it gives one. Responses with a 5xx status
+ * are not stored, so a request that failed part way can be tried again
+ * 
+ * @param {function(express.Request): (string|null)} deriveKey - Key to use when the client did not send one
+ * @returns {express.RequestHandler} The middleware
+ */
+function idempotent(deriveKey) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key') || deriveKey(req);
+    
+    if (!key) {
+      return next();
+    }
+    
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key is too long' });
+    }
+    
+    try {
+      const check = await beginIdempotentRequest(req.sessionId, key, req.body);
+      
+      if (check.state === 'replay') {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(check.statusCode).json(check.body);
+      }
+      
+      if (check.state === 'in_progress') {
+        res.setHeader('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          error: 'This request is already being processed',
+          errorCode: 'REQUEST_IN_PROGRESS'
+        });
+      }
+      
+      if (check.state === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request',
+          errorCode: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+    } catch (error) {
+      logger.error('Error checking idempotency key:', error);
+      return res.status(503).json({ success: false, error: 'Request storage is unavailable' });
+    }
+    
+    // Store the response before sending it, so a repeat arriving straight after sees it
+    const sendJson = res.json.bind(res);
+    res.json = (responseBody) => {
+      const settled = res.statusCode < 500
+        ? completeIdempotentRequest(req.sessionId, key, req.body, res.statusCode, responseBody)
+        : abandonIdempotentRequest(req.sessionId, key);
+      
+      settled
+        .catch(error => logger.error('Error storing idempotent response:', error))
+        .finally(() => sendJson(responseBody));
+      return res;
+    };
+    
+    next();
+  };
+}
+
 const app = express();
 const PORT = process.env.PORT;
 
-// Configure CORS to allow requests from frontend
+// Only the booking site's origins may call the API from a browser; requests from other sites get no CORS headers
 const corsOptions = {
-  origin: process.env.CORS_ORIGIN || '*', // Allow all origins by default, or specify in env var
+  origin: allowedCorsOrigins(),
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   credentials: true // Allow cookies to be sent with requests
 };
 
@@ -29,18 +325,11 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Log all requests for debugging
-app.use((req, res, next) => {
-  logger.debug(`${req.method} ${req.url}`, { 
-    query: req.query, 
-    body: req.body,
-    headers: req.headers
-  });
-  next();
-});
+// Log all requests for debugging, passwords, tokens and cookies left out
+app.use(logger.logRequest);
 
 // Simple session middleware that assigns a session ID via cookies
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   // Check for existing session ID in cookies
   let sessionId = req.headers.cookie?.split(';')
     .map(c => c.trim())
@@ -56,12 +345,12 @@ app.use((req, res, next) => {
   // Attach session ID to request object
   req.sessionId = sessionId;
   
-  // Initialize time slot cache for this session if it doesn't exist
-  if (!timeSlotCache.has(sessionId)) {
-    timeSlotCache.set(sessionId, { lastAccessed: Date.now(), cache: new Map() });
-  } else {
-    const sessionCache = timeSlotCache.get(sessionId);
-    sessionCache.lastAccessed = Date.now();
+  // Start the session, or keep an existing one from expiring
+  try {
+    await touchSession(sessionId);
+  } catch (error) {
+    logger.error('Error updating session:', error);
+    return res.status(503).json({ success: false, error: 'Session storage is unavailable' });
   }
   
   next();
@@ -80,14 +369,64 @@ app.get('/api/appointment-types', async (req, res) => {
   }
 });
 
+app.get('/api/providers', async (req, res) => {
+  try {
+    const appointmentTypeId = req.query.appointmentTypeId ? Number(req.query.appointmentTypeId) : null;
+    
+    logger.debug('Getting providers', { appointmentTypeId });
+    const response = await getProviders(appointmentTypeId);
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching providers:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch providers' });
+  }
+});
+
+app.get('/api/intake-form', async (req, res) => {
+  try {
+    const appointmentTypeId = req.query.appointmentTypeId ? Number(req.query.appointmentTypeId) : null;
+    
+    if (!appointmentTypeId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: appointmentTypeId' });
+    }
+    
+    const response = await getIntakeForm(appointmentTypeId);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching intake form:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch intake form' });
+  }
+});
+
+// Hit and miss counts of this replica's availability cache
+app.get('/api/availability/cache-stats', requireStaff('admin'), (req, res) => {
+  res.json({ success: true, stats: getAvailabilityCacheStats() });
+});
+
 app.get('/api/availability', async (req, res) => {
   try {
     // Extract and validate query parameters
     const appointmentTypeId = req.query.appointmentTypeId ? Number(req.query.appointmentTypeId) : null;
     const startDate = req.query.startDate ? String(req.query.startDate) : null;
     const endDate = req.query.endDate ? String(req.query.endDate) : null;
+    // An omitted providerId means "any provider"
+    const providerId = req.query.providerId ? Number(req.query.providerId) : null;
+    // When rescheduling, the appointment being moved does not block its own new time
+    // It is named by its manage-booking token, so only its patient can see past it
+    let rescheduleAppointmentId = null;
+    if (req.query.rescheduleToken) {
+      rescheduleAppointmentId = appointmentIdFromToken(req, res, String(req.query.rescheduleToken));
+      if (!rescheduleAppointmentId) {
+        return;
+      }
+    }
     
-    logger.debug('Getting availability', { appointmentTypeId, startDate, endDate });
+    logger.debug('Getting availability', { appointmentTypeId, startDate, endDate, providerId, rescheduleAppointmentId });
     
     if (!appointmentTypeId || !startDate || !endDate) {
       return res.status(400).json({ 
@@ -96,33 +435,26 @@ app.get('/api/availability', async (req, res) => {
       });
     }
     
-    const response = await getAvailability(appointmentTypeId, startDate, endDate);
-    
-    // Clear previous cache for this session
-    const sessionCache = timeSlotCache.get(req.sessionId);
-    sessionCache.cache.clear();
+    const response = await getAvailability(appointmentTypeId, startDate, endDate, {
+      providerId,
+      rescheduleAppointmentId,
+      sessionId: req.sessionId
+    });
     
-    // Cache the time slots with UUID keys
+    // Cache the time slots with UUID keys, replacing the slots offered before
+    // Remember what they were offered for, holds on them are checked the same way
     if (response.success && response.availableSlots) {
-      const slotsWithIds = response.availableSlots.map(slot => {
-        const slotId = generateId();
-        // Store the complete slot in session cache
-        sessionCache.cache.set(slotId, slot);
-        
-        // Return a limited version of the slot with the UUID
-        return {
-          id: slotId,
-          startTime: slot.primaryBooking ? slot.primaryBooking.startTime : slot.startTime,
-          endTime: slot.endTime,
-          hasDualBooking: slot.hasDualBooking,
-          hasBuffer: !!slot.buffer
-        };
+      const slotsWithIds = await cacheTimeSlots(req.sessionId, response.availableSlots, {
+        replace: true,
+        rescheduleAppointmentId
       });
       
       // Replace the full slots with the limited versions that include UUIDs
       response.availableSlots = slotsWithIds;
       
       logger.debug(`Cached ${slotsWithIds.length} time slots for session ${req.sessionId}`);
+    } else {
+      await offerTimeSlots(req.sessionId, {}, { replace: true, rescheduleAppointmentId });
     }
     
     logger.debug('Availability response (with IDs)', {
@@ -130,6 +462,10 @@ app.get('/api/availability', async (req, res) => {
       slotCount: response.availableSlots?.length
     });
     
+    if (!response.success && response.errorCode) {
+      return sendFailure(res, response);
+    }
+    
     res.json(response);
   } catch (error) {
     logger.error('Error fetching availability:', error);
@@ -137,42 +473,83 @@ app.get('/api/availability', async (req, res) => {
   }
 });
 
-app.post('/api/book-appointment', async (req, res) => {
+app.post('/api/slots/:slotId/hold', async (req, res) => {
+  try {
+    const { slotId } = req.params;
+    const session = await getSession(req.sessionId);
+    const timeSlot = await getOfferedTimeSlot(req.sessionId, slotId);
+    
+    if (!timeSlot) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invalid or expired time slot. Please refresh and try again.' 
+      });
+    }
+    
+    const response = await holdTimeSlot(req.sessionId, timeSlot, {
+      rescheduleAppointmentId: session?.rescheduleAppointmentId
+    });
+    
+    // Offer bookable alternatives when the slot was taken in the meantime
+    if (response.alternatives) {
+      response.alternatives = await cacheTimeSlots(req.sessionId, response.alternatives);
+    }
+    
+    logger.debug('Hold response', response);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error holding time slot:', error);
+    res.status(500).json({ success: false, error: 'Failed to hold time slot' });
+  }
+});
+
+// A double-click or retry without a key still books the same slot once for the same details,
+// while corrected details after a rejected form are a new request
+app.post('/api/book-appointment', idempotent(req => (
+  req.body?.slotId
+    ? `book:${req.body.slotId}:${crypto.createHash('sha256').update(JSON.stringify([req.body.patientName, req.body.email, req.body.intake, req.body.recurrence, req.body.replacementSlotIds])).digest('hex')}`
+    : null
+)), async (req, res) => {
   try {
-    const { patientName, email, slotId } = req.body;
+    const { patientName, email, slotId, intake, recurrence, replacementSlotIds } = req.body;
     
     logger.debug('Booking appointment request', { 
       patientName, 
       email, 
       slotId,
+      recurrence,
       sessionId: req.sessionId
     });
     
-    // Validate required fields
-    if (!patientName || !email || !slotId) {
+    // The patient's details are checked field by field when booking, against the slot's intake form
+    if (!slotId) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing required parameters: patientName, email, and slotId are required' 
+        error: 'Missing required parameter: slotId is required' 
       });
     }
     
-    // Validate email format
-    if (!email.includes('@')) {
-      return res.status(400).json({ success: false, error: 'Invalid email format' });
+    if (intake !== undefined && (!intake || typeof intake !== 'object' || Array.isArray(intake))) {
+      return res.status(400).json({ success: false, error: 'intake must be an object of answers keyed by field name' });
     }
     
-    // Get the session cache
-    const sessionCache = timeSlotCache.get(req.sessionId);
+    // Get the session
+    const session = await getSession(req.sessionId);
     
-    if (!sessionCache) {
+    if (!session) {
       return res.status(400).json({ 
         success: false, 
         error: 'No active session found. Please refresh and try again.' 
       });
     }
     
-    // Retrieve the time slot from session cache
-    const timeSlot = sessionCache.cache.get(slotId);
+    // Retrieve the time slot offered to the session
+    const timeSlot = await getOfferedTimeSlot(req.sessionId, slotId);
     
     if (!timeSlot) {
       return res.status(404).json({ 
@@ -183,13 +560,44 @@ app.post('/api/book-appointment', async (req, res) => {
     
     logger.debug('Retrieved time slot from cache', { timeSlot });
     
+    // Visits of a series moved to other times are picked from the alternatives offered for them
+    const replacements = await replacementSlots(req.sessionId, replacementSlotIds);
+    
+    if (!replacements) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired time slot for a visit of the series. Please refresh and try again.'
+      });
+    }
+    
     // Book the appointment using the retrieved time slot
-    const response = await bookAppointment(patientName, email, timeSlot);
+    const response = await bookAppointment(patientName, email, timeSlot, {
+      sessionId: req.sessionId,
+      intake: intake || {},
+      recurrence: recurrence || undefined,
+      replacements
+    });
+    
+    // The slot is still theirs while they correct the form or pick other times for some visits
+    if (['INVALID_INTAKE', 'INVALID_RECURRENCE', 'SERIES_CONFLICT'].includes(response.errorCode)) {
+      await cacheOccurrenceAlternatives(req.sessionId, response);
+      return sendFailure(res, response);
+    }
+    
+    // Remove the used time slot from the session
+    await removeOfferedTimeSlot(req.sessionId, slotId);
     
-    // Remove the used time slot from cache
-    sessionCache.cache.delete(slotId);
+    // Offer bookable alternatives when the slot was taken in the meantime
+    if (response.alternatives) {
+      response.alternatives = await cacheTimeSlots(req.sessionId, response.alternatives);
+    }
     
     logger.debug('Booking response', response);
+    
+    if (!response.success && response.errorCode) {
+      return sendFailure(res, response);
+    }
+    
     res.json(response);
   } catch (error) {
     logger.error('Error booking appointment:', error);
@@ -197,20 +605,483 @@ app.post('/api/book-appointment', async (req, res) => {
   }
 });
 
-// Clean up expired sessions periodically (every hour)
-setInterval(() => {
-  const now = Date.now();
-  // Session timeout: 1 hour
-  const sessionTimeout = 60 * 60 * 1000;
-  
-  for (const [sessionId, sessionCache] of timeSlotCache.entries()) {
-    const lastAccessed = sessionCache.lastAccessed || 0;
-    if (now - lastAccessed > sessionTimeout) {
-      timeSlotCache.delete(sessionId);
-      logger.debug(`Cleaned up expired session: ${sessionId}`);
+app.get('/api/bookings/:token', async (req, res) => {
+  try {
+    const response = await getBooking(req.params.token);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching appointment:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch appointment' });
+  }
+});
+
+app.post('/api/bookings/:token/reschedule', async (req, res) => {
+  try {
+    const appointmentId = appointmentIdFromToken(req, res);
+    if (!appointmentId) {
+      return;
+    }
+    const { slotId } = req.body;
+    
+    logger.debug('Reschedule appointment request', { appointmentId, slotId });
+    
+    if (!slotId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required parameter: slotId is required' 
+      });
+    }
+    
+    // The new slot comes from the session, just like a new booking
+    const timeSlot = await getOfferedTimeSlot(req.sessionId, slotId);
+    
+    if (!timeSlot) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invalid or expired time slot. Please refresh and try again.' 
+      });
+    }
+    
+    const response = await rescheduleAppointment(appointmentId, timeSlot, { sessionId: req.sessionId });
+    
+    // Offer bookable alternatives when the slot was taken in the meantime
+    if (response.alternatives) {
+      response.alternatives = await cacheTimeSlots(req.sessionId, response.alternatives);
+    }
+    
+    logger.debug('Reschedule response', response);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    // Remove the used time slot from the session
+    await removeOfferedTimeSlot(req.sessionId, slotId);
+    
+    // Offer the old time to the waitlist now rather than on the next scheduled run
+    jobRunner.runJob('waitlist-offers');
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error rescheduling appointment:', error);
+    res.status(500).json({ success: false, error: 'Failed to reschedule appointment' });
+  }
+});
+
+app.post('/api/bookings/:token/series/reschedule', async (req, res) => {
+  try {
+    const appointmentId = appointmentIdFromToken(req, res);
+    if (!appointmentId) {
+      return;
+    }
+    const { slotId, replacementSlotIds } = req.body;
+    
+    logger.debug('Reschedule series request', { appointmentId, slotId, replacementSlotIds });
+    
+    if (!slotId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required parameter: slotId is required' 
+      });
+    }
+    
+    const timeSlot = await getOfferedTimeSlot(req.sessionId, slotId);
+    const replacements = await replacementSlots(req.sessionId, replacementSlotIds);
+    
+    if (!timeSlot || !replacements) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invalid or expired time slot. Please refresh and try again.' 
+      });
+    }
+    
+    const response = await rescheduleSeries(appointmentId, timeSlot, { sessionId: req.sessionId, replacements });
+    await cacheOccurrenceAlternatives(req.sessionId, response);
+    
+    logger.debug('Reschedule series response', response);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    await removeOfferedTimeSlot(req.sessionId, slotId);
+    
+    // The visits' old times are free for the waitlist
+    jobRunner.runJob('waitlist-offers');
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error rescheduling series:', error);
+    res.status(500).json({ success: false, error: 'Failed to reschedule the series' });
+  }
+});
+
+app.post('/api/bookings/:token/series/cancel', async (req, res) => {
+  try {
+    const appointmentId = appointmentIdFromToken(req, res);
+    if (!appointmentId) {
+      return;
+    }
+    
+    logger.debug('Cancel series request', { appointmentId });
+    
+    const response = await cancelSeries(appointmentId);
+    
+    logger.debug('Series cancellation response', response);
+    
+    // Whatever was cancelled, even if not everything, frees time for the waitlist
+    if (response.appointments?.length) {
+      jobRunner.runJob('waitlist-offers');
+    }
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error cancelling series:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel the series' });
+  }
+});
+
+app.post('/api/bookings/:token/cancel', async (req, res) => {
+  try {
+    const appointmentId = appointmentIdFromToken(req, res);
+    if (!appointmentId) {
+      return;
+    }
+    
+    logger.debug('Cancel appointment request', { appointmentId });
+    
+    const response = await cancelAppointment(appointmentId);
+    
+    logger.debug('Cancellation response', response);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    // Offer the freed time to the waitlist now rather than on the next scheduled run
+    jobRunner.runJob('waitlist-offers');
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error cancelling appointment:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel appointment' });
+  }
+});
+
+app.post('/api/waitlist', async (req, res) => {
+  try {
+    const { appointmentTypeId, providerId, patientName, email, preferredDates, timeWindow } = req.body;
+    
+    logger.debug('Join waitlist request', { appointmentTypeId, providerId, preferredDates, timeWindow });
+    
+    if (!appointmentTypeId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: appointmentTypeId is required' });
+    }
+    
+    const response = await joinWaitlist({ appointmentTypeId, providerId, patientName, email, preferredDates, timeWindow });
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.status(201).json(response);
+  } catch (error) {
+    logger.error('Error joining waitlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to join the waitlist' });
+  }
+});
+
+app.get('/api/waitlist/offers/:token', async (req, res) => {
+  try {
+    const response = await getWaitlistOffer(req.params.token);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching waitlist offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch waitlist offer' });
+  }
+});
+
+app.post('/api/waitlist/offers/:token/claim', async (req, res) => {
+  try {
+    const { intake } = req.body;
+    
+    if (intake !== undefined && (!intake || typeof intake !== 'object' || Array.isArray(intake))) {
+      return res.status(400).json({ success: false, error: 'intake must be an object of answers keyed by field name' });
+    }
+    
+    const response = await claimWaitlistOffer(req.params.token, intake || {});
+    
+    logger.debug('Waitlist claim response', response);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error claiming waitlist offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to claim waitlist offer' });
+  }
+});
+
+app.post('/api/waitlist/offers/:token/decline', async (req, res) => {
+  try {
+    const response = await declineWaitlistOffer(req.params.token, { leave: req.body?.leave === true });
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    // The time may be free for the next patients in line
+    jobRunner.runJob('waitlist-offers');
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error declining waitlist offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to decline waitlist offer' });
+  }
+});
+
+// Staff sign in with the accounts in backend/staff_accounts.js and send the token as a bearer token to /api/admin
+app.post('/api/staff/sign-in', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Missing required parameters: username and password are required' });
+    }
+    
+    const response = await signInStaff(username, password);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error signing in staff member:', error);
+    res.status(500).json({ success: false, error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/staff/sign-out', async (req, res) => {
+  try {
+    await signOutStaff(bearerToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error signing out staff member:', error);
+    res.status(500).json({ success: false, error: 'Failed to sign out' });
+  }
+});
+
+app.get('/api/staff/me', requireStaff('front-desk', 'provider', 'admin'), (req, res) => {
+  res.json({ success: true, staff: res.locals.staff });
+});
+
+// Admin dashboard: everyone sees the schedule, providers only their own; the front desk and admins book and cancel
+app.get('/api/admin/schedule', requireStaff('front-desk', 'provider', 'admin'), async (req, res) => {
+  try {
+    const date = req.query.date ? String(req.query.date) : null;
+    const view = req.query.view === 'week' ? 'week' : 'day';
+    let providerId = req.query.providerId ? Number(req.query.providerId) : null;
+    
+    if (!date) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: date is required' });
+    }
+    
+    if (res.locals.staff.role === 'provider') {
+      if (providerId && providerId !== res.locals.staff.providerId) {
+        return res.status(403).json({ success: false, error: 'Providers can only see their own schedule', errorCode: 'FORBIDDEN' });
+      }
+      providerId = res.locals.staff.providerId;
+    }
+    
+    const response = await getStaffSchedule(date, { view, providerId });
+    
+    if (!response.success) {
+      return sendFailure(res, response);
     }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching staff schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch the schedule' });
   }
-}, 60 * 60 * 1000); // Run cleanup every hour
+});
+
+// Slots staff can book for a patient; with overrideBufferRules=true also those the buffer rules turn away
+app.get('/api/admin/availability', requireStaff('front-desk', 'admin'), async (req, res) => {
+  try {
+    const appointmentTypeId = req.query.appointmentTypeId ? Number(req.query.appointmentTypeId) : null;
+    const providerId = req.query.providerId ? Number(req.query.providerId) : null;
+    const date = req.query.date ? String(req.query.date) : null;
+    const overrideBufferRules = req.query.overrideBufferRules === 'true';
+    
+    if (!appointmentTypeId || !providerId || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: appointmentTypeId, providerId and date are required'
+      });
+    }
+    
+    const response = await getAvailability(appointmentTypeId, date, date, {
+      providerId,
+      sessionId: req.sessionId,
+      bypassCache: true,
+      overrideBufferRules
+    });
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    response.availableSlots = await cacheTimeSlots(req.sessionId, response.availableSlots, { replace: true });
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching staff availability:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch availability' });
+  }
+});
+
+app.post('/api/admin/bookings', requireStaff('front-desk', 'admin'), async (req, res) => {
+  try {
+    const staff = staffAction(req, res);
+    const { slotId, patientName, email, overrideBufferRules } = req.body;
+    
+    logger.debug('Staff booking request', { slotId, staff, overrideBufferRules });
+    
+    if (!slotId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: slotId is required' });
+    }
+    
+    const timeSlot = await getOfferedTimeSlot(req.sessionId, slotId);
+    
+    if (!timeSlot) {
+      return res.status(404).json({ success: false, error: 'Invalid or expired time slot. Please refresh and try again.' });
+    }
+    
+    const response = await bookAppointment(patientName, email, timeSlot, {
+      sessionId: req.sessionId,
+      staff: { ...staff, overrideBufferRules: overrideBufferRules === true }
+    });
+    
+    if (!response.success) {
+      if (response.alternatives) {
+        response.alternatives = await cacheTimeSlots(req.sessionId, response.alternatives);
+      }
+      return sendFailure(res, response);
+    }
+    
+    await removeOfferedTimeSlot(req.sessionId, slotId);
+    res.status(201).json(response);
+  } catch (error) {
+    logger.error('Error booking appointment for staff:', error);
+    res.status(500).json({ success: false, error: 'Failed to book appointment' });
+  }
+});
+
+app.post('/api/admin/appointments/:appointmentId/cancel', requireStaff('front-desk', 'admin'), async (req, res) => {
+  try {
+    const staff = staffAction(req, res);
+    
+    logger.debug('Staff cancellation request', { appointmentId: req.params.appointmentId, staff });
+    
+    const response = await cancelAppointment(req.params.appointmentId, { staff });
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    jobRunner.runJob('waitlist-offers');
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error cancelling appointment for staff:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel appointment' });
+  }
+});
+
+app.get('/api/admin/staff', requireStaff('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, accounts: await listStaffAccounts() });
+  } catch (error) {
+    logger.error('Error listing staff accounts:', error);
+    res.status(500).json({ success: false, error: 'Failed to list staff accounts' });
+  }
+});
+
+app.post('/api/admin/staff', requireStaff('admin'), async (req, res) => {
+  try {
+    const { username, name, password, role, providerId } = req.body || {};
+    
+    logger.debug('Staff account request', { username, role, providerId, by: res.locals.staff.username });
+    
+    const response = await createStaffAccount({ username, name, password, role, providerId });
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.status(201).json(response);
+  } catch (error) {
+    logger.error('Error creating staff account:', error);
+    res.status(500).json({ success: false, error: 'Failed to create staff account' });
+  }
+});
+
+app.post('/api/admin/staff/:username/remove', requireStaff('admin'), async (req, res) => {
+  try {
+    // Removing your own account would leave no way back in if you are the last admin
+    if (req.params.username.trim().toLowerCase() === res.locals.staff.username) {
+      return res.status(400).json({ success: false, error: 'You cannot remove your own account' });
+    }
+    
+    const response = await removeStaffAccount(req.params.username);
+    
+    if (!response.success) {
+      return sendFailure(res, response);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('Error removing staff account:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove staff account' });
+  }
+});
+
+// Background jobs: clean up expired sessions every hour, send appointment reminders and offer freed times to the waitlist
+// With a shared store any replica may remove any session, which is harmless, and each reminder or offer is sent by only one replica
+const jobRunner = createJobRunner([
+  {
+    name: 'session-cleanup',
+    intervalMs: 60 * 60 * 1000,
+    run: async () => {
+      await removeExpiredSessions();
+      await removeExpiredStaffSessions();
+      await removeExpiredIdempotencyRecords();
+      logger.info('Availability cache statistics', getAvailabilityCacheStats());
+    }
+  },
+  createReminderJob(),
+  createWaitlistJob()
+]);
+jobRunner.start();
+
+createInitialAdmin().catch(error => logger.error('Error creating the initial admin account:', error));
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get the directory path for the current module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const acupuncture = {
+  id: 151,
+  displayName: 'Acupuncture',
+  internalName: 'Acupuncture.Follow-up, self-schd (50 min)',
+  duration: 60,
+  dualBookable: false
+};
+
+describe('Appointment type catalogue', () => {
+  let tempDir;
+  let cataloguePath;
+  let catalogue;
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'appointment-types-'));
+    cataloguePath = path.join(tempDir, 'appointment_types.json');
+    fs.copyFileSync(path.join(__dirname, '..', '..', 'config', 'appointment_types.json'), cataloguePath);
+
+    // The catalogue is read from APPOINTMENT_TYPES_CONFIG_PATH when the module is first imported
+    process.env.APPOINTMENT_TYPES_CONFIG_PATH = cataloguePath;
+    catalogue = await import('../../backend/appointment_types.js');
+  });
+
+  afterAll(() => {
+    fs.unwatchFile(cataloguePath);
+    delete process.env.APPOINTMENT_TYPES_CONFIG_PATH;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('the shipped catalogue is valid', () => {
+    const entries = JSON.parse(fs.readFileSync(cataloguePath, 'utf8'));
+
+    expect(catalogue.validateCatalogue(entries)).toEqual([]);
+    expect(catalogue.findAppointmentTypeById('151')).toBeInstanceOf(catalogue.PhysioSpaAppointmentType);
+  });
+
+  test('each invalid field of an entry is reported', () => {
+    const errors = catalogue.validateCatalogue([
+      acupuncture,
+      { ...acupuncture, displayName: 'Acupuncture again' },
+      {
+        id: 0,
+        displayName: ' ',
+        internalName: '',
+        duration: 22.5,
+        dualBookable: 'no',
+        bufferPolicy: 'sometimes',
+        description: 5,
+        price: -10,
+        telehealth: 'yes'
+      },
+      null
+    ]);
+
+    expect(errors).toEqual([
+      'entry 1 (id 151): duplicate id',
+      'entry 2: id must be a positive integer',
+      'entry 2: displayName is required',
+      'entry 2: internalName is required',
+      'entry 2: duration must be a positive number of minutes',
+      'entry 2: dualBookable must be true or false',
+      'entry 2: bufferPolicy must be one of auto, never, always',
+      'entry 2: description must be a string',
+      'entry 2: price must be a non-negative number or null',
+      'entry 2: telehealth must be true or false',
+      'entry 3: must be an object'
+    ]);
+    expect(catalogue.validateCatalogue({ types: [acupuncture] })).toEqual(['catalogue must be an array of appointment types']);
+  });
+
+  test('optional details take their defaults', () => {
+    expect(catalogue.validateCatalogue([{ ...acupuncture, price: null, bufferPolicy: 'always', telehealth: true }])).toEqual([]);
+
+    const type = new catalogue.PhysioSpaAppointmentType(151, 'Acupuncture', 'Acupuncture.Follow-up', 60, false);
+    expect(type).toMatchObject({ bufferPolicy: 'auto', description: '', price: null, telehealth: false });
+  });
+
+  test('a reload picks up changes, and a bad file keeps the previous catalogue', () => {
+    expect(catalogue.listAppointmentTypes().length).toBeGreaterThan(1);
+
+    fs.writeFileSync(cataloguePath, JSON.stringify([{ ...acupuncture, displayName: 'Acupuncture (60 min)' }]));
+    expect(catalogue.reloadAppointmentTypes()).toBe(true);
+    expect(catalogue.listAppointmentTypes().map(type => type.displayName)).toEqual(['Acupuncture (60 min)']);
+
+    const reloaded = catalogue.listAppointmentTypes();
+
+    // An entry that fails validation
+    fs.writeFileSync(cataloguePath, JSON.stringify([{ ...acupuncture, duration: 0 }]));
+    expect(catalogue.reloadAppointmentTypes()).toBe(false);
+    expect(catalogue.listAppointmentTypes()).toEqual(reloaded);
+
+    // A file saved half-way through an edit
+    fs.writeFileSync(cataloguePath, '[{"id": 151,');
+    expect(catalogue.reloadAppointmentTypes()).toBe(false);
+    expect(catalogue.listAppointmentTypes()).toEqual(reloaded);
+    expect(catalogue.findAppointmentTypeById(151)?.displayName).toBe('Acupuncture (60 min)');
+  });
+});
@@ -1,4 +1,4 @@
-import { jest, beforeAll, describe, test, expect } from '@jest/globals';
+import { describe, test, expect } from '@jest/globals';
 import { 
   calculateAvailableTimeSlots, 
   PhysioSpaAppointmentType, 
@@ -15,22 +15,6 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Mock specific helper functions from the module
-jest.mock('../../backend/availability.web.js', () => {
-  const originalModule = jest.requireActual('../../backend/availability.web.js');
-  
-  return {
-    ...originalModule,
-    getAppointmentTypesToIgnore: jest.fn().mockReturnValue([]),
-    findAppointmentTypeByInternalName: jest.fn().mockReturnValue(null),
-    getAppointmentTypeIdFromInternalName: jest.fn().mockReturnValue(null)
-  };
-});
-
-// Make classes globally available if needed by the module
-global.ActualAvailableTimeSlot = ActualAvailableTimeSlot;
-global.PhysioSpaAppointmentType = PhysioSpaAppointmentType;
-
 describe('Cerbo API Response Parsing', () => {
   // Load the test data from JSON files
   const availabilityJsonPath = path.join(__dirname, 'availability_response.json');
@@ -101,6 +85,18 @@ describe('Cerbo API Response Parsing', () => {
 });
 
 describe('calculateAvailableTimeSlots with real data', () => {
+  // The fixtures cover 27-29 March 2025, so schedule as on the morning of the 27th, with the
+  // appointment types the fixture appointments were booked as and the default scheduling rules
+  const scheduling = {
+    now: new Date('2025-03-27T00:00:00Z'),
+    catalogue: [
+      new PhysioSpaAppointmentType(151, 'Acupuncture', 'Acupuncture.Follow-up, self-schd (50 min)', 60, false),
+      new PhysioSpaAppointmentType(144, 'Vagus Nerve Stem Therapy', 'Vagus Nerve Stem Therapy- Initial', 30, true, { bufferPolicy: 'never' }),
+      new PhysioSpaAppointmentType(ADMIN_FLEXIBLE_TYPE_ID, 'ADMIN-Flexible', 'ADMIN-Flexible', 30, false, { bufferPolicy: 'never' })
+    ],
+    ruleSet: {}
+  };
+  
   // Helper function to load and parse the test data
   const loadTestData = () => {
     const availabilityJsonPath = path.join(__dirname, 'availability_response.json');
@@ -140,7 +136,8 @@ describe('calculateAvailableTimeSlots with real data', () => {
     const result = calculateAvailableTimeSlots(
       availabilityResponse,
       appointmentsResponse,
-      testAppointmentType
+      testAppointmentType,
+      scheduling
     );
     
     // Basic validation of the results
@@ -198,12 +195,9 @@ describe('calculateAvailableTimeSlots with real data', () => {
       expect(primaryBooking).toHaveProperty('appointmentTypeId');
       expect(['151', 151].includes(primaryBooking.appointmentTypeId)).toBe(true);
       
-      // Assert that all acupuncture time slots have a buffer booking
+      // 50 minutes is under the hour of back-to-back work that needs a buffer, and none of these slots runs on from other work
       expect(slot).toHaveProperty('buffer');
-      const bufferBooking = slot.buffer;
-      expect(bufferBooking).toBeDefined();
-      expect(bufferBooking.appointmentTypeId).toBe(String(ADMIN_FLEXIBLE_TYPE_ID));
-      expect(bufferBooking.duration).toBe(BUFFER_DURATION);
+      expect(slot.buffer).toBeNull();
       
       const start = new Date(slot.startTime);
       const end = new Date(slot.endTime);
@@ -240,6 +234,22 @@ describe('calculateAvailableTimeSlots with real data', () => {
       });
     }
   });
+
+  test('an hour-long acupuncture appointment is followed by a buffer', () => {
+    const { availabilityResponse, appointmentsResponse } = loadTestData();
+    const [acupuncture] = scheduling.catalogue;
+
+    const result = calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse, acupuncture, scheduling);
+
+    expect(result.length).toBeGreaterThan(0);
+    result.forEach(slot => {
+      expect(slot.buffer).toMatchObject({
+        appointmentTypeId: String(ADMIN_FLEXIBLE_TYPE_ID),
+        startTime: slot.endTime,
+        duration: BUFFER_DURATION
+      });
+    });
+  });
   
   test('get time slots for vagus nerve stem therapy', () => {
     const { availabilityResponse, appointmentsResponse } = loadTestData();
@@ -257,7 +267,8 @@ describe('calculateAvailableTimeSlots with real data', () => {
     const result = calculateAvailableTimeSlots(
       availabilityResponse,
       appointmentsResponse,
-      testAppointmentType
+      testAppointmentType,
+      scheduling
     );
     
     // Basic validation of the results
@@ -322,18 +333,9 @@ describe('calculateAvailableTimeSlots with real data', () => {
       expect(primaryBooking).toHaveProperty('appointmentTypeId');
       expect(['144', 144].includes(primaryBooking.appointmentTypeId)).toBe(true);
       
-      // Special case: The time slot at 18:00 on 2025-03-28 should have a buffer
-      // due to the newly added appointment at 17:30-18:00
-      if (slot.startTime === '2025-03-28T18:00:00.000Z') {
-        expect(slot).toHaveProperty('buffer');
-        expect(slot.buffer).not.toBeNull();
-        expect(slot.buffer.appointmentTypeId).toBe(String(ADMIN_FLEXIBLE_TYPE_ID));
-        expect(slot.buffer.duration).toBe(BUFFER_DURATION);
-      } else {
-        // All other Vagus Nerve time slots should NOT have a buffer booking
-        expect(slot).toHaveProperty('buffer');
-        expect(slot.buffer).toBeNull();
-      }
+      // Vagus Nerve Stem Therapy never gets a buffer, not even straight after the 17:30-18:00 meeting on the 28th
+      expect(slot).toHaveProperty('buffer');
+      expect(slot.buffer).toBeNull();
       
       const start = new Date(slot.startTime);
       const end = new Date(slot.endTime);
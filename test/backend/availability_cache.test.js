@@ -0,0 +1,129 @@
+import { jest, describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from '../../backend/store.js';
+
+describe('Availability cache', () => {
+  const now = Date.parse('2025-03-28T14:00:00Z');
+  let storeDir;
+  let cache;
+  let loadMissing;
+
+  beforeAll(async () => {
+    // Replicas share invalidations through the file store, the store type is read when the module is first imported
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'availability-cache-'));
+    process.env.STORE_TYPE = 'file';
+    process.env.STORE_DIR = storeDir;
+    process.env.CLINIC_TIMEZONE = 'America/New_York';
+    cache = await import('../../backend/availability_cache.js');
+  });
+
+  afterAll(() => {
+    delete process.env.STORE_TYPE;
+    delete process.env.STORE_DIR;
+    delete process.env.CLINIC_TIMEZONE;
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    cache.clearAvailabilityCache();
+    loadMissing = jest.fn(async (/** @type {Array<number>} */ providerIds) => new Map(providerIds.map(id => [String(id), { providerId: id }])));
+  });
+
+  /**
+   * Look up providers 61 and 62 for 27-29 March
+   */
+  const lookup = (options = {}, providerIds = [61, 62]) =>
+    cache.getCachedForProviders('availability', providerIds, '2025-03-27', '2025-03-29', loadMissing, { now, ...options });
+
+  test('a repeat lookup is answered from the cache', async () => {
+    const first = await lookup();
+    const second = await lookup();
+
+    expect(second).toEqual(first);
+    expect(loadMissing).toHaveBeenCalledTimes(1);
+    expect(loadMissing).toHaveBeenCalledWith([61, 62]);
+    expect(cache.getAvailabilityCacheStats(now)).toMatchObject({ hits: 2, misses: 2, hitRate: 0.5, size: 2 });
+  });
+
+  test('only the providers not cached are loaded', async () => {
+    await lookup({}, [61]);
+    await lookup();
+
+    expect(loadMissing).toHaveBeenLastCalledWith([62]);
+  });
+
+  test('Date objects and strings for the same day share an entry', async () => {
+    await lookup();
+    await cache.getCachedForProviders('availability', [61], new Date('2025-03-27T10:00:00Z'), '2025-03-29T12:00:00Z', loadMissing, { now });
+
+    expect(loadMissing).toHaveBeenCalledTimes(1);
+  });
+
+  test('Dates in the clinic\'s evening are cached under the clinic day Cerbo is asked about', async () => {
+    // 21:00 in New York on the 27th and 29th, already the next day in UTC
+    await cache.getCachedForProviders('availability', [61, 62], new Date('2025-03-28T01:00:00Z'), new Date('2025-03-30T01:00:00Z'), loadMissing, { now });
+    await lookup();
+    expect(loadMissing).toHaveBeenCalledTimes(1);
+
+    // A range that also covers the 30th is not answered with data that stops on the 29th
+    await cache.getCachedForProviders('availability', [61, 62], '2025-03-28', '2025-03-30', loadMissing, { now });
+    expect(loadMissing).toHaveBeenCalledTimes(2);
+  });
+
+  test('entries expire after the time to live', async () => {
+    await lookup();
+    await lookup({ now: now + 59000 });
+    await lookup({ now: now + 60000 });
+
+    expect(loadMissing).toHaveBeenCalledTimes(2);
+  });
+
+  test('writing to a provider\'s calendar drops only that provider', async () => {
+    await lookup();
+    await cache.invalidateProvider('61');
+    await lookup();
+
+    expect(loadMissing).toHaveBeenLastCalledWith([61]);
+    expect(cache.getAvailabilityCacheStats(now).invalidations).toBe(1);
+  });
+
+  test('a write to a provider\'s calendar on another replica drops that provider here too', async () => {
+    await lookup();
+    await lookup();
+    expect(loadMissing).toHaveBeenCalledTimes(1);
+
+    // Another replica sharing the store books with provider 62
+    const otherReplica = createStore('availability-invalidations', { type: 'file', directory: storeDir });
+    await otherReplica.set('62', { token: 'booked-elsewhere' });
+    await lookup();
+    await lookup();
+
+    expect(loadMissing).toHaveBeenCalledTimes(2);
+    expect(loadMissing).toHaveBeenLastCalledWith([62]);
+  });
+
+  test('bypassing the cache asks again and keeps the fresh answer', async () => {
+    await lookup();
+    await lookup({ bypassCache: true });
+    await lookup();
+
+    expect(loadMissing).toHaveBeenCalledTimes(2);
+  });
+
+  test('concurrent lookups share one request', async () => {
+    await Promise.all([lookup(), lookup(), lookup()]);
+
+    expect(loadMissing).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed request is not cached', async () => {
+    loadMissing.mockRejectedValueOnce(new Error('Cerbo API circuit breaker is open'));
+
+    await expect(lookup()).rejects.toThrow('circuit breaker');
+    await lookup();
+
+    expect(loadMissing).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,73 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import { runSaga } from '../../backend/booking_saga.js';
+
+describe('Booking saga', () => {
+  const failingStep = (name, options = {}) => ({
+    name,
+    run: async () => { throw new Error(`${name} failed`); },
+    ...options
+  });
+
+  test('runs every step in order and passes earlier results along', async () => {
+    const second = jest.fn(async () => ({ taskId: 7 }));
+    const saga = await runSaga('test', [
+      { name: 'appointment', run: async () => ({ appointmentId: 1 }) },
+      { name: 'task', run: second }
+    ]);
+
+    expect(saga.success).toBe(true);
+    expect(saga.outcome).toBe('completed');
+    expect(second).toHaveBeenCalledWith({ appointment: { appointmentId: 1 } });
+    expect(saga.results).toEqual({ appointment: { appointmentId: 1 }, task: { taskId: 7 } });
+    expect(saga.steps.map(step => `${step.step}:${step.status}`)).toEqual(['appointment:completed', 'task:completed']);
+  });
+
+  test('compensates completed steps in reverse order when a required step fails', async () => {
+    const order = [];
+    const saga = await runSaga('test', [
+      { name: 'appointment', run: async () => ({ appointmentId: 1 }), compensate: async () => order.push('appointment') },
+      { name: 'buffer', run: async () => ({ appointmentId: 2 }), compensate: async () => order.push('buffer') },
+      failingStep('task')
+    ]);
+
+    expect(saga.success).toBe(false);
+    expect(saga.outcome).toBe('rolled_back');
+    expect(saga.failedStep).toBe('task');
+    expect(saga.error).toBe('task failed');
+    expect(order).toEqual(['buffer', 'appointment']);
+    expect(saga.steps.map(step => `${step.step}:${step.status}`)).toEqual([
+      'appointment:compensated',
+      'buffer:compensated',
+      'task:failed'
+    ]);
+  });
+
+  test('does not run the steps after a failed required step', async () => {
+    const later = jest.fn(async () => ({}));
+    await runSaga('test', [failingStep('appointment'), { name: 'task', run: later }]);
+
+    expect(later).not.toHaveBeenCalled();
+  });
+
+  test('carries on past a failed optional step', async () => {
+    const compensateAppointment = jest.fn(async () => {});
+    const saga = await runSaga('test', [
+      { name: 'appointment', run: async () => ({ appointmentId: 1 }), compensate: compensateAppointment },
+      failingStep('task', { required: false })
+    ]);
+
+    expect(saga.success).toBe(true);
+    expect(compensateAppointment).not.toHaveBeenCalled();
+    expect(saga.steps.map(step => `${step.step}:${step.status}`)).toEqual(['appointment:completed', 'task:failed']);
+  });
+
+  test('reports a failed rollback', async () => {
+    const saga = await runSaga('test', [
+      { name: 'appointment', run: async () => ({ appointmentId: 1 }), compensate: async () => { throw new Error('delete refused'); } },
+      failingStep('buffer')
+    ]);
+
+    expect(saga.outcome).toBe('rollback_failed');
+    expect(saga.steps[0]).toMatchObject({ step: 'appointment', status: 'compensation_failed', error: 'delete refused' });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, test, expect } from '@jest/globals';
+import { createBookingToken, verifyBookingToken } from '../../backend/booking_tokens.js';
+
+describe('Manage-booking tokens', () => {
+  const appointmentEnd = '2025-03-28T19:30:00.000Z';
+  const beforeAppointment = Date.parse('2025-03-20T12:00:00Z');
+
+  test('a fresh token resolves to its appointment', () => {
+    const token = createBookingToken(130562, appointmentEnd);
+    const result = verifyBookingToken(token, beforeAppointment);
+
+    expect(result.valid).toBe(true);
+    expect(result.appointmentId).toBe('130562');
+    expect(result.expiresAt).toBe('2025-04-04T19:30:00.000Z');
+  });
+
+  test('a token expires a week after the appointment ends', () => {
+    const token = createBookingToken(130562, appointmentEnd);
+
+    expect(verifyBookingToken(token, Date.parse('2025-04-04T19:29:59Z')).valid).toBe(true);
+    expect(verifyBookingToken(token, Date.parse('2025-04-04T19:30:00Z'))).toMatchObject({
+      valid: false,
+      errorCode: 'TOKEN_EXPIRED'
+    });
+  });
+
+  test('a token cannot be pointed at another appointment', () => {
+    const token = createBookingToken(130562, appointmentEnd);
+    const signature = token.split('.')[1];
+    const forgedPayload = Buffer.from(JSON.stringify({
+      appointmentId: '130563',
+      expiresAt: Date.parse('2030-01-01T00:00:00Z')
+    })).toString('base64url');
+
+    expect(verifyBookingToken(`${forgedPayload}.${signature}`, beforeAppointment)).toMatchObject({
+      valid: false,
+      errorCode: 'INVALID_TOKEN'
+    });
+  });
+
+  test.each([
+    ['missing', undefined],
+    ['empty', ''],
+    ['without a signature', 'eyJhcHBvaW50bWVudElkIjoiMSJ9'],
+    ['with a truncated signature', () => createBookingToken(1, appointmentEnd).slice(0, -4)]
+  ])('a %s token is rejected', (label, token) => {
+    const value = typeof token === 'function' ? token() : token;
+
+    expect(verifyBookingToken(value, beforeAppointment)).toMatchObject({
+      valid: false,
+      errorCode: 'INVALID_TOKEN'
+    });
+  });
+});
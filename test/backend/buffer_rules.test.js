@@ -0,0 +1,100 @@
+import { describe, test, expect } from '@jest/globals';
+import { calculateAvailableTimeSlots, PhysioSpaAppointmentType } from '../../backend/availability.web.js';
+import { AvailabilityResponse, AppointmentsResponse } from '../../cerbo_api.js';
+
+const PROVIDER_ID = 61;
+
+const FIRST_DAY = '2025-04-02';
+const SECOND_DAY = '2025-04-03';
+
+/**
+ * A time in UTC from HH:MM, on the first day of the range unless another day is given
+ */
+const at = (time, day = FIRST_DAY) => new Date(`${day}T${time}:00Z`);
+
+const catalogue = [
+  new PhysioSpaAppointmentType(1, 'ADMIN-Flexible', 'ADMIN-Flexible', 30, false, { bufferPolicy: 'never' }),
+  new PhysioSpaAppointmentType(500, 'Massage', 'Massage', 30, false),
+  new PhysioSpaAppointmentType(501, 'Long Massage', 'Long Massage', 60, false),
+  new PhysioSpaAppointmentType(502, 'Consultation', 'Consultation', 30, false, { bufferPolicy: 'never' }),
+  new PhysioSpaAppointmentType(503, 'Treatment', 'Treatment', 30, false, { bufferPolicy: 'always' })
+];
+
+/**
+ * Work out the slots for an appointment type over two days the provider is available 08:00-18:00
+ * 
+ * @param {number} appointmentTypeId - Appointment type being booked
+ * @param {Array<Array<string>>} schedule - Appointments already booked, as [internal name, start, end, day]
+ * @param {Object} [options] - Scheduling options passed on to calculateAvailableTimeSlots
+ * @returns {Array<Object>} The slots offered
+ */
+function slotsFor(appointmentTypeId, schedule, options = {}) {
+  const availabilityResponse = new AvailabilityResponse([{
+    provider_id: PROVIDER_ID,
+    availability_by_type: [{
+      appointment_type_id: appointmentTypeId,
+      available_windows: [FIRST_DAY, SECOND_DAY].map(day => ({ window_start: at('08:00', day), window_end: at('18:00', day) }))
+    }]
+  }]);
+  const appointmentsResponse = new AppointmentsResponse(schedule.map(([internalName, start, end, day], index) => ({
+    id: index + 1,
+    appointment_type_internal_name: internalName,
+    start_date_time: at(start, day),
+    end_date_time: at(end, day)
+  })));
+  const appointmentType = catalogue.find(type => type.id === appointmentTypeId);
+
+  return calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse, appointmentType, {
+    providerId: PROVIDER_ID,
+    now: at('07:00'),
+    catalogue,
+    ruleSet: {},
+    ...options
+  });
+}
+
+describe('Buffer rules', () => {
+  test.each([
+    ['a booking on its own', 500, [], '10:00', {}, null],
+    ['straight after 30 minutes of work', 500, [['Massage', '09:30', '10:00']], '10:00', {}, '10:30'],
+    ['after a one-minute gap, which is not a break', 500, [['Massage', '09:29', '09:59']], '10:00',
+      { ruleSet: { defaults: { maxConsecutiveMinutes: 90 } } }, '10:30'],
+    ['after a two-minute gap', 500, [['Massage', '09:28', '09:58']], '10:00', {}, null],
+    ['after an earlier buffer, which counts towards the threshold', 500, [['ADMIN-Flexible', '09:30', '10:00']], '10:00', {}, '10:30'],
+    ['of an hour-long appointment on its own', 501, [], '10:00', {}, '11:00'],
+    ['when the day already has an hour of back-to-back work elsewhere', 500,
+      [['Massage', '14:00', '14:30'], ['Massage', '14:30', '15:00']], '10:00', {}, null],
+    ['when another day of the range has an hour of back-to-back work', 500,
+      [['Massage', '09:00', '09:30', SECOND_DAY], ['Massage', '09:30', '10:00', SECOND_DAY]], '10:00', {}, null],
+    ['of a type that never has a buffer', 502, [['Massage', '09:30', '10:00']], '10:00', {}, null],
+    ['of a type that always has a buffer', 503, [], '10:00', {}, '10:30'],
+    ['when the rules turn buffers off for the type', 500, [['Massage', '09:30', '10:00']], '10:00',
+      { ruleSet: { appointmentTypes: { 500: { bufferPolicy: 'never' } } } }, null],
+    ['under the provider\'s lower threshold', 500, [['Massage', '09:45', '10:00']], '10:00',
+      { ruleSet: { providers: { [PROVIDER_ID]: { bufferThresholdMinutes: 45 } } } }, '10:30'],
+    ['under another provider\'s lower threshold', 500, [['Massage', '09:45', '10:00']], '10:00',
+      { ruleSet: { providers: { 62: { bufferThresholdMinutes: 45 } } } }, null]
+  ])('buffer for a booking %s', (description, appointmentTypeId, schedule, slotStart, options, bufferStart) => {
+    const slot = slotsFor(appointmentTypeId, schedule, options).find(s => s.startTime === at(slotStart).toISOString());
+
+    expect(slot).toBeDefined();
+    if (bufferStart) {
+      expect(slot.buffer).toEqual({ appointmentTypeId: '1', startTime: at(bufferStart).toISOString(), duration: 30, isBuffer: true });
+    } else {
+      expect(slot.buffer).toBeNull();
+    }
+  });
+
+  test('a booking that would make the provider work over the limit is not offered', () => {
+    const slots = slotsFor(500, [['Massage', '09:00', '09:30'], ['Massage', '09:30', '10:00']]);
+
+    expect(slots.some(slot => slot.startTime === at('10:00').toISOString())).toBe(false);
+    expect(slots.some(slot => slot.startTime === at('10:30').toISOString())).toBe(true);
+  });
+
+  test('slots that have already started are not offered', () => {
+    const slots = slotsFor(500, [], { now: at('10:15') });
+
+    expect(slots[0].startTime).toBe(at('10:30').toISOString());
+  });
+});
@@ -0,0 +1,142 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  createCerboClient,
+  CerboAuthError,
+  CerboRateLimitError,
+  CerboUnavailableError
+} from '../../cerbo_client.js';
+
+const URL = 'http://cerbo.test/api/v1/appointments';
+
+/**
+ * Build a fetch Response-like object
+ */
+function reply(status, body = {}, headers = {}) {
+  return {
+    ok: status < 400,
+    status,
+    statusText: String(status),
+    headers: new Headers(headers),
+    text: async () => JSON.stringify(body)
+  };
+}
+
+describe('Cerbo client', () => {
+  const originalFetch = globalThis.fetch;
+  let sleep;
+  let clock;
+
+  beforeEach(() => {
+    sleep = jest.fn(async () => {});
+    clock = 1000000;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  /**
+   * Client with fake time and no real waiting, jitter fixed at half the backoff
+   */
+  const client = (options = {}) => createCerboClient({
+    timeoutMs: 50,
+    maxRetries: 3,
+    retryBaseMs: 100,
+    maxRetryDelayMs: 5000,
+    failureThreshold: 5,
+    circuitResetMs: 30000,
+    sleep,
+    now: () => clock,
+    random: () => 0.5,
+    ...options
+  });
+
+  /**
+   * Make fetch return the given replies in turn
+   */
+  const fetchReplies = (...replies) => {
+    const fetchMock = jest.fn(async () => replies.shift());
+    globalThis.fetch = /** @type {any} */ (fetchMock);
+    return fetchMock;
+  };
+
+  test('GETs are retried with jittered exponential backoff', async () => {
+    const fetchMock = fetchReplies(reply(503), reply(502), reply(200, { data: [] }));
+
+    await expect(client().request(URL)).resolves.toEqual({ data: [] });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[50], [100]]);
+  });
+
+  test('a GET that keeps failing raises CerboUnavailableError', async () => {
+    const fetchMock = fetchReplies(reply(500), reply(500), reply(500), reply(500));
+
+    await expect(client().request(URL)).rejects.toBeInstanceOf(CerboUnavailableError);
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+  });
+
+  test('writes are not retried after a server error', async () => {
+    const fetchMock = fetchReplies(reply(503), reply(200));
+
+    await expect(client().request(URL, { method: 'POST', body: {} })).rejects.toBeInstanceOf(CerboUnavailableError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('a slow response times out', async () => {
+    globalThis.fetch = /** @type {any} */ ((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    await expect(client({ maxRetries: 0 }).request(URL)).rejects.toThrow('timed out after 50ms');
+  });
+
+  test('Retry-After is waited out, even for writes', async () => {
+    const fetchMock = fetchReplies(reply(429, {}, { 'Retry-After': '2' }), reply(200, { id: 1 }));
+
+    await expect(client().request(URL, { method: 'POST', body: {} })).resolves.toEqual({ id: 1 });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(2000);
+  });
+
+  test('a Retry-After longer than we are willing to wait raises CerboRateLimitError', async () => {
+    fetchReplies(reply(429, {}, { 'Retry-After': '60' }));
+
+    const error = await client().request(URL).catch(e => e);
+    expect(error).toBeInstanceOf(CerboRateLimitError);
+    expect(error.retryAfterSeconds).toBe(60);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('rejected credentials raise CerboAuthError without retrying', async () => {
+    const fetchMock = fetchReplies(reply(401), reply(200));
+
+    await expect(client().request(URL)).rejects.toBeInstanceOf(CerboAuthError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('a 404 can be read as null', async () => {
+    fetchReplies(reply(404));
+
+    await expect(client().request(URL, { notFoundAsNull: true })).resolves.toBeNull();
+  });
+
+  test('the circuit opens after repeated failures and closes once a trial request succeeds', async () => {
+    const cerbo = client({ maxRetries: 0, failureThreshold: 2 });
+    const fetchMock = fetchReplies(reply(503), reply(503), reply(200, { ok: true }));
+
+    await expect(cerbo.request(URL)).rejects.toBeInstanceOf(CerboUnavailableError);
+    await expect(cerbo.request(URL)).rejects.toBeInstanceOf(CerboUnavailableError);
+    expect(cerbo.getCircuitState()).toBe('open');
+
+    // Fails fast while open, without calling Cerbo
+    const error = await cerbo.request(URL).catch(e => e);
+    expect(error.message).toBe('Cerbo API circuit breaker is open');
+    expect(error.retryAfterSeconds).toBe(30);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    clock += 30000;
+    expect(cerbo.getCircuitState()).toBe('half-open');
+    await expect(cerbo.request(URL)).resolves.toEqual({ ok: true });
+    expect(cerbo.getCircuitState()).toBe('closed');
+  });
+});
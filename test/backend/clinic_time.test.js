@@ -0,0 +1,207 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_CLINIC_TIMEZONE,
+  getClinicTimeZone,
+  getTimeZoneOffset,
+  parseClinicDateTime,
+  formatClinicDateTime,
+  toClinicDate,
+  startOfClinicDay
+} from '../../clinic_time.js';
+import { DEFAULT_SCHEDULING_RULES, listSlotStarts } from '../../backend/scheduling_rules.js';
+import { calculateAvailableTimeSlots, PhysioSpaAppointmentType } from '../../backend/availability.web.js';
+import { AvailabilityResponse, AppointmentsResponse } from '../../cerbo_api.js';
+
+const NEW_YORK = 'America/New_York';
+
+const iso = date => date.toISOString();
+
+describe('Clinic time', () => {
+  afterEach(() => {
+    delete process.env.CLINIC_TIMEZONE;
+  });
+
+  describe('getClinicTimeZone', () => {
+    test('comes from CLINIC_TIMEZONE', () => {
+      process.env.CLINIC_TIMEZONE = 'Europe/London';
+      expect(getClinicTimeZone()).toBe('Europe/London');
+    });
+
+    test('falls back to the default when unset or unknown', () => {
+      expect(getClinicTimeZone()).toBe(DEFAULT_CLINIC_TIMEZONE);
+      process.env.CLINIC_TIMEZONE = 'Mars/Olympus_Mons';
+      expect(getClinicTimeZone()).toBe(DEFAULT_CLINIC_TIMEZONE);
+    });
+  });
+
+  describe('parseClinicDateTime', () => {
+    test('reads the same clock time with the offset in force that day', () => {
+      expect(iso(parseClinicDateTime('2025-01-15 12:00:00', NEW_YORK))).toBe('2025-01-15T17:00:00.000Z');
+      expect(iso(parseClinicDateTime('2025-03-27 12:00:00', NEW_YORK))).toBe('2025-03-27T16:00:00.000Z');
+    });
+
+    test('either side of the clocks going forward', () => {
+      expect(iso(parseClinicDateTime('2025-03-09 01:30:00', NEW_YORK))).toBe('2025-03-09T06:30:00.000Z');
+      expect(iso(parseClinicDateTime('2025-03-09 03:00:00', NEW_YORK))).toBe('2025-03-09T07:00:00.000Z');
+    });
+
+    test('a time skipped when the clocks go forward is moved forward with them', () => {
+      expect(iso(parseClinicDateTime('2025-03-09 02:30:00', NEW_YORK))).toBe('2025-03-09T07:30:00.000Z');
+    });
+
+    test('a time repeated when the clocks go back is its first occurrence', () => {
+      expect(iso(parseClinicDateTime('2025-11-02 01:30:00', NEW_YORK))).toBe('2025-11-02T05:30:00.000Z');
+      expect(iso(parseClinicDateTime('2025-11-02 02:00:00', NEW_YORK))).toBe('2025-11-02T07:00:00.000Z');
+    });
+
+    test('works in the southern hemisphere', () => {
+      // Sydney's clocks go back from 03:00 to 02:00 on 6 April 2025
+      expect(iso(parseClinicDateTime('2025-04-06 02:30:00', 'Australia/Sydney'))).toBe('2025-04-05T15:30:00.000Z');
+      expect(iso(parseClinicDateTime('2025-04-06 04:00:00', 'Australia/Sydney'))).toBe('2025-04-05T18:00:00.000Z');
+    });
+
+    test('values with a zone are read as they say', () => {
+      expect(iso(parseClinicDateTime('2025-03-27T12:00:00Z', NEW_YORK))).toBe('2025-03-27T12:00:00.000Z');
+      expect(iso(parseClinicDateTime('2025-03-27T12:00:00+01:00', NEW_YORK))).toBe('2025-03-27T11:00:00.000Z');
+    });
+  });
+
+  test('formatClinicDateTime is the reverse of parseClinicDateTime', () => {
+    for (const wallTime of ['2025-03-09 01:59:00', '2025-03-09 03:00:00', '2025-11-02 00:30:00', '2025-11-02 03:15:00']) {
+      expect(formatClinicDateTime(parseClinicDateTime(wallTime, NEW_YORK), NEW_YORK)).toBe(wallTime);
+    }
+  });
+
+  test('getTimeZoneOffset follows daylight saving', () => {
+    expect(getTimeZoneOffset(new Date('2025-03-09T06:59:00Z'), NEW_YORK)).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2025-03-09T07:00:00Z'), NEW_YORK)).toBe(-240);
+    expect(getTimeZoneOffset(new Date('2025-07-01T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+  });
+
+  test('toClinicDate gives the day at the clinic, not in UTC', () => {
+    expect(toClinicDate(new Date('2025-03-28T02:00:00Z'), NEW_YORK)).toBe('2025-03-27');
+    expect(toClinicDate(new Date('2025-03-28T04:00:00Z'), NEW_YORK)).toBe('2025-03-28');
+  });
+
+  test('startOfClinicDay on the days the clocks change', () => {
+    expect(iso(startOfClinicDay(new Date('2025-03-09T15:00:00Z'), NEW_YORK))).toBe('2025-03-09T05:00:00.000Z');
+    expect(iso(startOfClinicDay(new Date('2025-11-02T15:00:00Z'), NEW_YORK))).toBe('2025-11-02T04:00:00.000Z');
+  });
+
+  describe('listSlotStarts', () => {
+    test('the grid follows the clinic\'s clocks whatever zone the server is in', () => {
+      // Kolkata is UTC+05:30, so its hours start at half past in UTC
+      const start = new Date('2025-04-02T03:00:00Z');
+      const end = new Date('2025-04-02T06:00:00Z');
+      const rules = { ...DEFAULT_SCHEDULING_RULES, slotGranularityMinutes: 60 };
+
+      expect(listSlotStarts(start, end, 60, rules, 'Asia/Kolkata').map(iso)).toEqual([
+        '2025-04-02T03:30:00.000Z',
+        '2025-04-02T04:30:00.000Z'
+      ]);
+    });
+
+    test('the grid counts clock time from midnight on the day the clocks go forward', () => {
+      // 09:00-12:00 on 9 March, nine hours after midnight but ten on the clock
+      const start = parseClinicDateTime('2025-03-09 09:00:00', NEW_YORK);
+      const end = parseClinicDateTime('2025-03-09 12:00:00', NEW_YORK);
+      const rules = { ...DEFAULT_SCHEDULING_RULES, slotGranularityMinutes: 90 };
+
+      expect(listSlotStarts(start, end, 60, rules, NEW_YORK).map(date => formatClinicDateTime(date, NEW_YORK))).toEqual([
+        '2025-03-09 09:00:00',
+        '2025-03-09 10:30:00'
+      ]);
+    });
+
+    test('a window spanning the change stays on the grid', () => {
+      const start = parseClinicDateTime('2025-11-02 00:00:00', NEW_YORK);
+      const end = parseClinicDateTime('2025-11-02 04:00:00', NEW_YORK);
+
+      expect(listSlotStarts(start, end, 60, DEFAULT_SCHEDULING_RULES, NEW_YORK).map(date => formatClinicDateTime(date, NEW_YORK))).toEqual([
+        '2025-11-02 00:00:00',
+        '2025-11-02 00:30:00',
+        '2025-11-02 01:00:00',
+        '2025-11-02 01:30:00',
+        // 01:00-02:00 happens twice; the second time round is still on the grid
+        '2025-11-02 01:00:00',
+        '2025-11-02 01:30:00',
+        '2025-11-02 02:00:00',
+        '2025-11-02 02:30:00',
+        '2025-11-02 03:00:00'
+      ]);
+    });
+  });
+
+  describe('Cerbo responses', () => {
+    test('availability windows are read on the clinic\'s clocks either side of a DST change', () => {
+      process.env.CLINIC_TIMEZONE = NEW_YORK;
+      const availability = AvailabilityResponse.fromJson({
+        // Cerbo gives one offset for the whole range, the one in force when it was asked
+        gmt_timezone_offset: '-05:00',
+        user_availabilies: [{
+          provider_id: 61,
+          availability_by_type: [{
+            appointment_type_id: 500,
+            available_windows: [
+              { window_start: '2025-03-08 09:00:00', window_end: '2025-03-08 10:00:00' },
+              { window_start: '2025-03-10 09:00:00', window_end: '2025-03-10 10:00:00' }
+            ]
+          }]
+        }]
+      });
+
+      const windows = availability.userAvailabilities[0].availability_by_type[0].available_windows;
+      expect(windows.map(window => iso(window.window_start))).toEqual(['2025-03-08T14:00:00.000Z', '2025-03-10T13:00:00.000Z']);
+    });
+
+    test('appointment times are UTC unless they say otherwise', () => {
+      const { appointments } = AppointmentsResponse.fromJson({
+        data: [
+          { id: 1, start_date_time: '2025-03-10 13:00:00', end_date_time: '2025-03-10T14:00:00Z' },
+          { id: 2, start_date_time: '2025-03-10T09:00:00-04:00', end_date_time: '2025-03-10 14:00:00+0000' }
+        ]
+      });
+
+      expect(appointments.map(appointment => [iso(appointment.start_date_time), iso(appointment.end_date_time)])).toEqual([
+        ['2025-03-10T13:00:00.000Z', '2025-03-10T14:00:00.000Z'],
+        ['2025-03-10T13:00:00.000Z', '2025-03-10T14:00:00.000Z']
+      ]);
+    });
+  });
+
+  test('slots keep their clinic times across the weekend the clocks go forward', () => {
+    process.env.CLINIC_TIMEZONE = NEW_YORK;
+    const window = day => ({ window_start: `${day} 09:00:00`, window_end: `${day} 11:00:00` });
+    const availabilityResponse = AvailabilityResponse.fromJson({
+      gmt_timezone_offset: '-05:00',
+      user_availabilies: [{
+        provider_id: 61,
+        availability_by_type: [{
+          appointment_type_id: 500,
+          available_windows: [window('2025-03-08'), window('2025-03-10')]
+        }]
+      }]
+    });
+    // A 09:00 appointment on the Monday, sent by Cerbo in UTC
+    const appointmentsResponse = AppointmentsResponse.fromJson({
+      data: [{ id: 1, appointment_type: 'Massage', start_date_time: '2025-03-10 13:00:00', end_date_time: '2025-03-10 13:30:00' }]
+    });
+    const appointmentType = new PhysioSpaAppointmentType(500, 'Massage', 'Massage', 30, false, { bufferPolicy: 'never' });
+
+    const slots = calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse, appointmentType, {
+      now: new Date('2025-03-01T00:00:00Z'),
+      catalogue: [appointmentType],
+      ruleSet: {}
+    });
+
+    expect(slots.map(slot => formatClinicDateTime(slot.startTime, NEW_YORK))).toEqual([
+      '2025-03-08 09:00:00',
+      '2025-03-08 09:30:00',
+      '2025-03-08 10:00:00',
+      '2025-03-08 10:30:00',
+      '2025-03-10 09:30:00',
+      '2025-03-10 10:00:00',
+      '2025-03-10 10:30:00'
+    ]);
+  });
+});
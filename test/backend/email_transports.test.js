@@ -0,0 +1,171 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {
+  SmtpError,
+  buildMimeMessage,
+  createFileTransport,
+  createSmtpTransport
+} from '../../backend/email_transports.js';
+
+const message = {
+  from: { name: 'PhysioSpa', email: 'bookings@physiospa.test' },
+  to: { name: 'Zoë "Z" Doe', email: 'zoe@example.com' },
+  subject: 'Your appointment\r\nBcc: everyone@example.com',
+  text: 'Hi Zoë,\n.\nSee you soon\n',
+  html: '<p>Hi Zoë</p>',
+  attachments: [{ filename: 'invite.ics', contentType: 'text/calendar; method=REQUEST', content: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n' }]
+};
+
+/**
+ * Decode the base64 body of the part with the given content type
+ */
+function decodePart(raw, contentType) {
+  const start = raw.indexOf(`Content-Type: ${contentType}`);
+  const body = raw.slice(raw.indexOf('\r\n\r\n', start) + 4, raw.indexOf('\r\n--', start));
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+/**
+ * SMTP server that answers each command with the next scripted reply and records what it was sent
+ */
+async function startSmtpServer(replies) {
+  const received = [];
+  const server = net.createServer(socket => {
+    let buffered = '';
+    let inData = false;
+    let replyIndex = 0;
+    const answer = () => socket.write(`${replies[replyIndex++] || '250 OK'}\r\n`);
+
+    socket.write('220 smtp.test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffered += chunk.toString('utf8');
+      if (inData) {
+        if (!buffered.endsWith('\r\n.\r\n')) {
+          return;
+        }
+        inData = false;
+        received.push(buffered);
+        buffered = '';
+        answer();
+        return;
+      }
+      let end;
+      while ((end = buffered.indexOf('\r\n')) !== -1) {
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        received.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-smtp.test\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+          continue;
+        }
+        inData = line === 'DATA' && Boolean(replies[replyIndex]?.startsWith('354'));
+        answer();
+        if (line === 'QUIT') {
+          socket.end();
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(null)));
+  return { server, received, port: /** @type {net.AddressInfo} */ (server.address()).port };
+}
+
+describe('Email transports', () => {
+  let smtp;
+
+  afterEach(async () => {
+    if (smtp) {
+      await new Promise(resolve => smtp.server.close(resolve));
+      smtp = null;
+    }
+  });
+
+  test('buildMimeMessage encodes headers and keeps patients from adding their own', () => {
+    const raw = buildMimeMessage(message, { date: new Date('2025-03-27T16:00:00Z'), messageId: 'abc@physiospa.test' });
+    const headers = raw.slice(0, raw.indexOf('\r\n\r\n')).split('\r\n');
+
+    expect(headers).toEqual(expect.arrayContaining([
+      'Date: Thu, 27 Mar 2025 16:00:00 GMT',
+      'Message-ID: <abc@physiospa.test>',
+      'From: "PhysioSpa" <bookings@physiospa.test>',
+      `To: =?UTF-8?B?${Buffer.from('Zoë "Z" Doe').toString('base64')}?= <zoe@example.com>`,
+      'Subject: Your appointment Bcc: everyone@example.com',
+      'MIME-Version: 1.0'
+    ]));
+    expect(headers.some(header => header.startsWith('Bcc:'))).toBe(false);
+    expect(decodePart(raw, 'text/plain; charset=utf-8')).toBe(message.text);
+    expect(decodePart(raw, 'text/html; charset=utf-8')).toBe(message.html);
+    expect(decodePart(raw, 'text/calendar; method=REQUEST; name="invite.ics"')).toBe(message.attachments[0].content);
+    expect(raw).toContain('Content-Disposition: attachment; filename="invite.ics"');
+  });
+
+  test('the file transport writes an .eml file to the outbox', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    try {
+      const { messageId } = await createFileTransport({ directory }).send(message);
+      const files = await fs.readdir(directory);
+
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(new RegExp(`${messageId}\\.eml$`));
+      expect(await fs.readFile(path.join(directory, files[0]), 'utf8')).toContain(`Message-ID: <${messageId}@outbox>`);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('the SMTP transport logs in and hands over the message', async () => {
+    smtp = await startSmtpServer(['235 Authenticated', '250 OK', '250 OK', '354 Go ahead', '250 Queued', '221 Bye']);
+
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, secure: false, user: 'clinic', pass: 'secret', timeoutMs: 2000 });
+    const { messageId } = await transport.send(message);
+
+    expect(messageId).toMatch(/@physiospa\.test$/);
+    expect(smtp.received[0]).toMatch(/^EHLO /);
+    expect(smtp.received.slice(1, 5)).toEqual([
+      `AUTH PLAIN ${Buffer.from('\0clinic\0secret').toString('base64')}`,
+      'MAIL FROM:<bookings@physiospa.test>',
+      'RCPT TO:<zoe@example.com>',
+      'DATA'
+    ]);
+    expect(smtp.received[5]).toContain(`Message-ID: <${messageId}>`);
+    expect(smtp.received[5].endsWith('\r\n.\r\n')).toBe(true);
+    expect(smtp.received[6]).toBe('QUIT');
+  });
+
+  test('a refused recipient is a permanent failure', async () => {
+    smtp = await startSmtpServer(['250 OK', '550 No such user']);
+
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, secure: false, timeoutMs: 2000 });
+    const error = await transport.send(message).catch(e => e);
+
+    expect(error).toBeInstanceOf(SmtpError);
+    expect(error).toMatchObject({ code: 550, permanent: true, message: 'SMTP RCPT TO failed: 550 No such user' });
+  });
+
+  test('a server that cannot be reached can be retried', async () => {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(null)));
+    const { port } = /** @type {net.AddressInfo} */ (server.address());
+    await new Promise(resolve => server.close(resolve));
+
+    const error = await createSmtpTransport({ host: '127.0.0.1', port, secure: false, timeoutMs: 2000 }).send(message).catch(e => e);
+
+    expect(error.code).toBe('ECONNREFUSED');
+    expect(error.permanent).toBeUndefined();
+  });
+
+  test('the SMTP transport needs a host', () => {
+    const host = process.env.SMTP_HOST;
+    delete process.env.SMTP_HOST;
+    try {
+      expect(() => createSmtpTransport()).toThrow('SMTP_HOST is required when EMAIL_TRANSPORT is smtp');
+    } finally {
+      if (host !== undefined) {
+        process.env.SMTP_HOST = host;
+      }
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  abandonIdempotentRequest
+} from '../../backend/idempotency.js';
+
+describe('Idempotency keys', () => {
+  const now = Date.parse('2025-03-28T14:00:00Z');
+  const body = { patientName: 'Pat Doe', email: 'pat@example.com', slotId: 'slot-1' };
+
+  test('a repeat waits for the first request and then gets its response', async () => {
+    expect(await beginIdempotentRequest('session-a', 'key-1', body, now)).toEqual({ state: 'new' });
+    expect(await beginIdempotentRequest('session-a', 'key-1', body, now)).toEqual({ state: 'in_progress' });
+
+    await completeIdempotentRequest('session-a', 'key-1', body, 200, { success: true, appointment: { id: 1 } }, now);
+
+    expect(await beginIdempotentRequest('session-a', 'key-1', body, now + 60000)).toEqual({
+      state: 'replay',
+      statusCode: 200,
+      body: { success: true, appointment: { id: 1 } }
+    });
+  });
+
+  test('keys from different sessions never match', async () => {
+    await beginIdempotentRequest('session-a', 'key-2', body, now);
+    await completeIdempotentRequest('session-a', 'key-2', body, 200, { success: true }, now);
+
+    expect(await beginIdempotentRequest('session-b', 'key-2', body, now)).toEqual({ state: 'new' });
+  });
+
+  test('a key cannot be reused for a different request', async () => {
+    await beginIdempotentRequest('session-a', 'key-3', body, now);
+    await completeIdempotentRequest('session-a', 'key-3', body, 200, { success: true }, now);
+
+    expect(await beginIdempotentRequest('session-a', 'key-3', { ...body, slotId: 'slot-2' }, now)).toEqual({ state: 'mismatch' });
+  });
+
+  test('an abandoned request can be tried again', async () => {
+    await beginIdempotentRequest('session-a', 'key-4', body, now);
+    await abandonIdempotentRequest('session-a', 'key-4');
+
+    expect(await beginIdempotentRequest('session-a', 'key-4', body, now)).toEqual({ state: 'new' });
+  });
+
+  test('stored responses and stale leases run out', async () => {
+    await beginIdempotentRequest('session-a', 'key-5', body, now);
+    // The first request never finished, its lease runs out after two minutes
+    expect(await beginIdempotentRequest('session-a', 'key-5', body, now + 2 * 60000)).toEqual({ state: 'new' });
+
+    await completeIdempotentRequest('session-a', 'key-5', body, 200, { success: true }, now);
+    expect((await beginIdempotentRequest('session-a', 'key-5', body, now + 23 * 3600000)).state).toBe('replay');
+    expect(await beginIdempotentRequest('session-a', 'key-5', body, now + 24 * 3600000)).toEqual({ state: 'new' });
+  });
+});
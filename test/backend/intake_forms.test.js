@@ -0,0 +1,145 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateIntakeFormsConfig,
+  resolveIntakeForm,
+  getIntakeForm,
+  validateContact,
+  validateIntake,
+  describeIntake,
+  chartFieldsFromIntake
+} from '../../backend/intake_forms.js';
+
+const phone = { name: 'phone', label: 'Phone', type: 'tel', required: true, chartField: 'phone_mobile' };
+const dateOfBirth = { name: 'dateOfBirth', label: 'Date of birth', type: 'date', past: true, chartField: 'dob' };
+const status = {
+  name: 'patientStatus',
+  label: 'Have you been before?',
+  shortLabel: 'Patient',
+  type: 'select',
+  required: true,
+  options: [{ value: 'new', label: 'New patient' }, { value: 'returning', label: 'Returning patient' }]
+};
+const reason = { name: 'reasonForVisit', label: 'Reason for visit', type: 'textarea', maxLength: 20 };
+const consent = { name: 'consent', label: 'I agree to treatment', shortLabel: 'Consent', type: 'checkbox', required: true };
+
+const fields = [phone, dateOfBirth, status, reason, consent];
+
+describe('Intake forms', () => {
+  describe('validateIntakeFormsConfig', () => {
+    test('accepts the shipped config', () => {
+      expect(getIntakeForm(151).map(field => field.name)).toEqual([
+        'phone', 'dateOfBirth', 'patientStatus', 'reasonForVisit', 'consentToTreatment', 'consentToReminders'
+      ]);
+    });
+
+    test('reports every problem with its location', () => {
+      expect(validateIntakeFormsConfig({
+        defaults: {
+          fields: [
+            { name: 'email', label: 'Email', type: 'email' },
+            { name: 'phone', label: 'Phone', type: 'phone', chartField: 'mobile' },
+            { name: 'status', label: 'Status', type: 'select', options: [] },
+            { name: 'age', label: '', type: 'text', chartField: 'dob', maxLength: 0 }
+          ]
+        },
+        appointmentTypes: { 144: { fields: [{ name: 'reason', label: 'Reason', type: 'text', required: 'yes' }], omit: 'phone', hide: true } },
+        consents: []
+      })).toEqual([
+        'unknown section consents',
+        'defaults: field email: email is always asked for and cannot be configured',
+        'defaults: field phone: type must be one of text, textarea, tel, email, date, select, checkbox',
+        'defaults: field phone: chartField must be one of dob, phone_mobile, phone_home, sex, address1, city, state, zip',
+        'defaults: field status: a select needs options, each with a value and a label',
+        'defaults: field age: label is required',
+        'defaults: field age: maxLength must be a positive whole number',
+        'defaults: field age: only a date field can fill in dob',
+        'appointmentTypes.144: unknown setting hide',
+        'appointmentTypes.144: field reason: required must be true or false',
+        'appointmentTypes.144: omit must be a list of field names'
+      ]);
+    });
+  });
+
+  test('an appointment type can replace, add and drop fields', () => {
+    const config = {
+      defaults: { fields },
+      appointmentTypes: {
+        144: {
+          fields: [{ ...reason, required: true }, { name: 'referral', label: 'Referred by', type: 'text' }],
+          omit: ['dateOfBirth']
+        }
+      }
+    };
+
+    const form = resolveIntakeForm(config, 144);
+
+    expect(form.map(field => field.name)).toEqual(['phone', 'patientStatus', 'reasonForVisit', 'consent', 'referral']);
+    expect(form[2].required).toBe(true);
+    expect(resolveIntakeForm(config, 151)).toEqual(fields);
+  });
+
+  test('validateContact checks the name and email', () => {
+    expect(validateContact('Pat Doe', 'pat@example.com')).toEqual({});
+    expect(validateContact('  ', 'pat@')).toEqual({
+      patientName: 'Patient name is required',
+      email: 'Please enter a valid email address'
+    });
+    expect(validateContact(undefined, 'pat @example.com')).toEqual({
+      patientName: 'Patient name is required',
+      email: 'Please enter a valid email address'
+    });
+  });
+
+  describe('validateIntake', () => {
+    test('keeps the trimmed answers and ignores anything not on the form', () => {
+      expect(validateIntake(fields, {
+        phone: ' +1 (555) 010-2000 ',
+        dateOfBirth: '1980-05-01',
+        patientStatus: 'returning',
+        reasonForVisit: '',
+        consent: true,
+        admin: true
+      })).toEqual({
+        fieldErrors: {},
+        answers: { phone: '+1 (555) 010-2000', dateOfBirth: '1980-05-01', patientStatus: 'returning', consent: true }
+      });
+    });
+
+    test('gives a message for each field that is wrong', () => {
+      expect(validateIntake(fields, {
+        phone: '555-01',
+        dateOfBirth: '2999-01-01',
+        patientStatus: 'regular',
+        reasonForVisit: 'x'.repeat(21),
+        consent: false
+      }).fieldErrors).toEqual({
+        phone: 'Please enter a valid phone number',
+        dateOfBirth: 'Date of birth cannot be in the future',
+        patientStatus: 'Please choose one of the options',
+        reasonForVisit: 'Reason for visit must be at most 20 characters',
+        consent: 'This must be ticked to book'
+      });
+    });
+
+    test('required fields must be answered', () => {
+      expect(validateIntake(fields, {}).fieldErrors).toEqual({
+        phone: 'Phone is required',
+        patientStatus: 'Have you been before? is required',
+        consent: 'This must be ticked to book'
+      });
+      expect(validateIntake(fields, { dateOfBirth: '1980-02-30' }).fieldErrors.dateOfBirth).toBe('Date of birth must be a date (YYYY-MM-DD)');
+    });
+  });
+
+  test('answers are described for the appointment note and copied to the chart', () => {
+    const answers = { phone: '555 010 2000', patientStatus: 'new', consent: true, dateOfBirth: '1980-05-01' };
+
+    expect(describeIntake(fields, answers)).toEqual([
+      'Phone: 555 010 2000',
+      'Date of birth: 1980-05-01',
+      'Patient: New patient',
+      'Consent: Yes'
+    ]);
+    expect(chartFieldsFromIntake(fields, answers)).toEqual({ phone_mobile: '555 010 2000', dob: '1980-05-01' });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, expect } from '@jest/globals';
+import { createJobRunner } from '../../backend/job_runner.js';
+
+describe('Job runner', () => {
+  test('a job still running is not started again', async () => {
+    let finish = () => {};
+    let runs = 0;
+    const runner = createJobRunner([{
+      name: 'slow',
+      intervalMs: 60000,
+      run: () => new Promise(resolve => {
+        runs++;
+        finish = () => resolve(null);
+      })
+    }]);
+
+    const first = runner.runJob('slow');
+    await expect(runner.runJob('slow')).resolves.toBe(false);
+    expect(runner.getJobStatus()[0].running).toBe(true);
+
+    finish();
+    await expect(first).resolves.toBe(true);
+    expect(runs).toBe(1);
+    expect(runner.getJobStatus()[0]).toMatchObject({ running: false, lastOutcome: 'completed', lastError: null });
+  });
+
+  test('a failing job is recorded without throwing', async () => {
+    const runner = createJobRunner([{
+      name: 'broken',
+      intervalMs: 60000,
+      run: async () => {
+        throw new Error('Cerbo is down');
+      }
+    }]);
+
+    await expect(runner.runJob('broken')).resolves.toBe(true);
+    expect(runner.getJobStatus()[0]).toMatchObject({ lastOutcome: 'failed', lastError: 'Cerbo is down' });
+  });
+
+  test('job names must be unique and known', async () => {
+    const job = { name: 'cleanup', intervalMs: 60000, run: async () => {} };
+
+    expect(() => createJobRunner([job, job])).toThrow('Job cleanup is registered twice');
+    await expect(createJobRunner([job]).runJob('other')).rejects.toThrow('Unknown job other');
+  });
+});
@@ -0,0 +1,462 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockCerboApp } from '../../mock_cerbo_server.js';
+import { fileURLToPath } from 'url';
+import { createStore } from '../../backend/store.js';
+
+// Get the directory path for the current module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * The day a number of days from today, "YYYY-MM-DD"
+ */
+const daysFromNow = days => new Date(Date.now() + days * 86400000).toISOString().substring(0, 10);
+
+// Answers to the default intake form
+const intake = { phone: '(555) 010-2000', patientStatus: 'returning', consentToTreatment: true };
+
+/**
+ * Transport that keeps what it is given in a list instead of sending it
+ */
+const captureTransport = list => ({
+  name: 'test',
+  send: async message => {
+    list.push(message);
+    return { messageId: String(list.length) };
+  }
+});
+
+describe('Booking end to end against the mock Cerbo server', () => {
+  // Slots in the past are not offered, so the fixture data is moved to start tomorrow
+  const startDate = daysFromNow(1);
+  const endDate = daysFromNow(3);
+  let server;
+  let mock;
+  let scheduler;
+  let notifications;
+  let reminders;
+  let waitlist;
+  let staffSchedule;
+  let bookingAudit;
+  let appointmentTypes;
+  let cataloguePath;
+  // Emails the booking use cases send, kept instead of being delivered
+  const sentEmails = [];
+
+  beforeAll(async () => {
+    mock = createMockCerboApp({
+      startDate,
+      patients: [
+        { id: 9001, first_name: 'Lee', last_name: 'Park', email1: 'lee@example.com', dob: '1980-05-01' },
+        { id: 9002, first_name: 'Alex', last_name: 'Kim', email1: 'alex@example.com' },
+        { id: 9003, first_name: 'Alex', last_name: 'Kim', email1: 'akim@example.com' }
+      ]
+    });
+    server = await new Promise(resolve => {
+      const listening = mock.app.listen(0, () => resolve(listening));
+    });
+
+    // cerbo_api.js reads the base URL when it is first imported
+    process.env.CERBO_API_BASE_URL = `http://127.0.0.1:${server.address().port}/api/v1`;
+    process.env.CERBO_API_AUTH_HEADER = 'Basic mock';
+    // A copy of the catalogue, so a test can change an appointment type
+    cataloguePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-cerbo-catalogue-')), 'appointment_types.json');
+    fs.copyFileSync(path.join(__dirname, '..', '..', 'config', 'appointment_types.json'), cataloguePath);
+    process.env.APPOINTMENT_TYPES_CONFIG_PATH = cataloguePath;
+    appointmentTypes = await import('../../backend/appointment_types.js');
+    scheduler = await import('../../backend/availability.web.js');
+    notifications = await import('../../backend/notifications.js');
+    reminders = await import('../../backend/reminders.js');
+    waitlist = await import('../../backend/waitlist.js');
+    staffSchedule = await import('../../backend/staff_schedule.js');
+    bookingAudit = await import('../../backend/booking_audit.js');
+    notifications.configureNotifications({ transport: captureTransport(sentEmails) });
+  });
+
+  afterAll(async () => {
+    fs.unwatchFile(cataloguePath);
+    delete process.env.APPOINTMENT_TYPES_CONFIG_PATH;
+    fs.rmSync(path.dirname(cataloguePath), { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('requests without credentials are rejected', async () => {
+    const response = await fetch(`${process.env.CERBO_API_BASE_URL}/appointments`);
+    expect(response.status).toBe(401);
+  });
+
+  test('availability is served from the fixtures', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+
+    expect(availability.success).toBe(true);
+    expect(availability.availableSlots.length).toBeGreaterThan(0);
+    expect(availability.availableSlots.every(slot => slot.providerId === 61)).toBe(true);
+  });
+
+  test('slots come with their day and time on the clinic\'s clocks', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const slot = availability.availableSlots[0];
+    const clinicTime = new Date(slot.startTime).toLocaleString('sv-SE', { timeZone: availability.timeZone });
+
+    expect(availability.timeZone).toBe('America/New_York');
+    expect(`${slot.clinicDate} ${slot.clinicTime}`).toBe(clinicTime.substring(0, 16));
+  });
+
+  test('a weekly series is checked visit by visit, booked as one and moved and cancelled as a whole', async () => {
+    // The fixtures only cover a few days, so the second week has nothing free
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const first = availability.availableSlots[0];
+    const later = availability.availableSlots.find(slot => slot.clinicDate > first.clinicDate);
+    const recurrence = { frequency: 'weekly', count: 2 };
+    const appointmentsBefore = mock.appointments.size;
+
+    const conflict = await scheduler.bookAppointment('Dee Moss', 'dee@example.com', first, { intake, recurrence });
+    expect(conflict).toMatchObject({ success: false, errorCode: 'SERIES_CONFLICT' });
+    expect(conflict.occurrences.map(occurrence => occurrence.available)).toEqual([true, false]);
+    expect(mock.appointments.size).toBe(appointmentsBefore);
+
+    // The patient picks another time for the visit that could not be booked
+    const booking = await scheduler.bookAppointment('Dee Moss', 'dee@example.com', first, { intake, recurrence, replacements: { 1: later } });
+    expect(booking.success).toBe(true);
+    expect(booking.series.appointments.map(visit => visit.startTime)).toEqual([first.startTime, later.startTime]);
+    await notifications.notificationsSettled();
+
+    const confirmation = sentEmails.find(email => email.to.email === 'dee@example.com');
+    expect(confirmation.subject).toMatch(/^Your 2 .* appointments at PhysioSpa are confirmed$/);
+    expect(confirmation.text).toContain('Visit 2: ');
+    for (const visit of booking.series.appointments) {
+      expect(confirmation.attachments[0].content).toContain(`UID:appointment-${visit.id}@`);
+    }
+    await expect(scheduler.getBooking(booking.manageToken)).resolves.toMatchObject({
+      series: { seriesId: booking.series.seriesId, frequency: 'weekly' }
+    });
+
+    // The series' own visits do not stand in the way of moving it, so the second visit can stay where it is
+    const open = await scheduler.getAvailability(151, startDate, endDate, { providerId: first.providerId, rescheduleSeriesId: booking.series.seriesId });
+    const moveTo = open.availableSlots.find(slot => slot.clinicDate === first.clinicDate && slot.startTime !== first.startTime);
+    await expect(scheduler.rescheduleSeries(booking.appointment.id, moveTo, { replacements: { 1: moveTo } })).resolves.toMatchObject({
+      success: false,
+      errorCode: 'INVALID_SLOT'
+    });
+    const moved = await scheduler.rescheduleSeries(booking.appointment.id, moveTo, { replacements: { 1: later } });
+    expect(moved.success).toBe(true);
+    expect(moved.series.appointments.map(visit => visit.startTime)).toEqual([moveTo.startTime, later.startTime]);
+
+    const cancelled = await scheduler.cancelSeries(booking.appointment.id);
+    expect(cancelled.success).toBe(true);
+    expect(cancelled.appointments.map(appointment => appointment.id)).toEqual(booking.series.appointments.map(visit => visit.id));
+    expect(mock.appointments.get(String(booking.appointment.id)).appointment_status).toMatch(/cancelled/i);
+    await notifications.notificationsSettled();
+
+    const [, movedEmail, cancelEmail] = sentEmails.filter(email => email.to.email === 'dee@example.com');
+    expect(movedEmail.subject).toMatch(/appointments at PhysioSpa have moved$/);
+    expect(cancelEmail.subject).toMatch(/appointments at PhysioSpa are cancelled$/);
+    expect(cancelEmail.attachments[0].content.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(cancelEmail.attachments[0].content).toContain('SEQUENCE:2');
+    await expect(scheduler.cancelSeries(booking.appointment.id)).resolves.toMatchObject({ success: false, errorCode: 'ALREADY_CANCELLED' });
+  });
+
+  test('a booking is stored by the mock and its slot is no longer offered', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const slot = availability.availableSlots[0];
+
+    const booking = await scheduler.bookAppointment('Pat Doe', 'pat@example.com', slot);
+
+    expect(booking.success).toBe(true);
+    const stored = mock.appointments.get(String(booking.appointment.id));
+    expect(stored.start_date_time).toBe(slot.primaryBooking.startTime.replace('T', ' ').substring(0, 19));
+    expect(stored.associated_providers[0].id).toBe(61);
+    expect([...mock.tasks.values()].some(task => task.notes.includes('Pat Doe'))).toBe(true);
+
+    const after = await scheduler.getAvailability(151, startDate, endDate);
+    expect(after.availableSlots.some(s => s.startTime === slot.startTime)).toBe(false);
+
+    const rebooking = await scheduler.bookAppointment('Sam Roe', 'sam@example.com', slot);
+    expect(rebooking).toMatchObject({ success: false, errorCode: 'SLOT_UNAVAILABLE' });
+  });
+
+  test('a booking is linked to the patient\'s existing chart', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+
+    const booking = await scheduler.bookAppointment('lee park', 'LEE@example.com', availability.availableSlots[0], {
+      intake: { ...intake, dateOfBirth: '1980-05-01' }
+    });
+
+    expect(booking.success).toBe(true);
+    expect(mock.appointments.get(String(booking.appointment.id)).pt_id).toBe(9001);
+    const task = [...mock.tasks.values()].find(t => t.notes.includes('lee park'));
+    expect(task.pt_id).toBe(9001);
+  });
+
+  test('a new patient gets a chart with the details from the intake form', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const patientsBefore = mock.patients.size;
+
+    const booking = await scheduler.bookAppointment('Robin Lane', 'robin@example.com', availability.availableSlots[0], {
+      intake: { ...intake, patientStatus: 'new', dateOfBirth: '1975-11-30', reasonForVisit: 'Stiff neck' }
+    });
+
+    expect(booking.success).toBe(true);
+    expect(mock.patients.size).toBe(patientsBefore + 1);
+    const created = [...mock.patients.values()].find(patient => patient.email1 === 'robin@example.com');
+    expect(created).toMatchObject({ first_name: 'Robin', last_name: 'Lane', dob: '1975-11-30', phone_mobile: '(555) 010-2000' });
+    const appointment = mock.appointments.get(String(booking.appointment.id));
+    expect(appointment.pt_id).toBe(created.id);
+    expect(appointment.appointment_note.split('\n')).toEqual([
+      'Robin Lane (robin@example.com)',
+      'Phone: (555) 010-2000',
+      'Date of birth: 1975-11-30',
+      'Patient: New patient',
+      'Reason for visit: Stiff neck',
+      'Consent to treatment: Yes',
+      'Consent to reminders: No'
+    ]);
+  });
+
+  test('an incomplete intake form is refused field by field and the slot stays free', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const appointmentsBefore = mock.appointments.size;
+
+    const booking = await scheduler.bookAppointment('Robin Lane', 'robin@', availability.availableSlots[0], {
+      intake: { phone: '12', patientStatus: 'maybe' }
+    });
+
+    expect(booking).toMatchObject({ success: false, errorCode: 'INVALID_INTAKE' });
+    expect(booking.fieldErrors).toEqual({
+      email: 'Please enter a valid email address',
+      phone: 'Please enter a valid phone number',
+      patientStatus: 'Please choose one of the options',
+      consentToTreatment: 'This must be ticked to book'
+    });
+    expect(mock.appointments.size).toBe(appointmentsBefore);
+  });
+
+  test('an ambiguous match is booked without a chart and flagged for the front desk', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+
+    const booking = await scheduler.bookAppointment('Alex Kim', 'alex.kim@example.com', availability.availableSlots[0]);
+
+    expect(booking.success).toBe(true);
+    expect(mock.appointments.get(String(booking.appointment.id)).pt_id).toBeUndefined();
+    const task = [...mock.tasks.values()].find(t => t.notes.includes('alex.kim@example.com'));
+    expect(task.pt_id).toBeUndefined();
+    expect(task.priority).toBe('medium');
+    expect(task.notes).toContain('#9002, #9003');
+  });
+
+  test('an ambiguous match is turned away when the policy says so', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const appointmentsBefore = mock.appointments.size;
+    process.env.PATIENT_MATCH_POLICY = 'reject';
+
+    try {
+      const booking = await scheduler.bookAppointment('Alex Kim', 'alex.kim@example.com', availability.availableSlots[0]);
+
+      expect(booking).toMatchObject({ success: false, errorCode: 'PATIENT_AMBIGUOUS' });
+      expect(mock.appointments.size).toBe(appointmentsBefore);
+    } finally {
+      delete process.env.PATIENT_MATCH_POLICY;
+    }
+  });
+
+  test('the patient is emailed a calendar invite when they book and a cancellation when they cancel', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+
+    const booking = await scheduler.bookAppointment('Jo Marsh', 'jo@example.com', availability.availableSlots[0], { intake });
+    await notifications.notificationsSettled();
+
+    const confirmation = sentEmails.find(email => email.to.email === 'jo@example.com');
+    expect(confirmation.subject).toMatch(/appointment at PhysioSpa is confirmed$/);
+    expect(confirmation.text).toContain(`/manage/${booking.manageToken}`);
+    expect(confirmation.attachments[0].content).toContain(`UID:appointment-${booking.appointment.id}@`);
+
+    const cancellation = await scheduler.cancelAppointment(booking.appointment.id);
+    await notifications.notificationsSettled();
+
+    expect(cancellation.success).toBe(true);
+    const cancelEmail = sentEmails.filter(email => email.to.email === 'jo@example.com')[1];
+    expect(cancelEmail.subject).toMatch(/is cancelled$/);
+    expect(cancelEmail.attachments[0].content).toContain('METHOD:CANCEL');
+    expect(cancelEmail.attachments[0].content).toContain('SEQUENCE:1');
+  });
+
+  test('a cancelled time is offered to the waitlist in order and goes to the first to claim it', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const slot = availability.availableSlots[0];
+    const booking = await scheduler.bookAppointment('Sam Roe', 'sam@example.com', slot, { intake });
+    expect(booking.success).toBe(true);
+
+    // Only the booked time suits them, so nothing can be offered until it is cancelled
+    const [hour, minute] = slot.clinicTime.split(':').map(Number);
+    const timeWindow = { from: slot.clinicTime, to: `${String(hour).padStart(2, '0')}:${String(minute + 1).padStart(2, '0')}` };
+    const join = name => waitlist.joinWaitlist({
+      appointmentTypeId: 151,
+      patientName: name,
+      email: `${name.toLowerCase()}@example.com`,
+      preferredDates: [slot.clinicDate],
+      timeWindow
+    });
+    const joined = [await join('Ann'), await join('Ben'), await join('Cy')];
+    expect(joined.map(response => response.entry.position)).toEqual([1, 2, 3]);
+    expect(await waitlist.processWaitlist({ batchSize: 2 })).toMatchObject({ offered: 0 });
+
+    expect((await scheduler.cancelAppointment(booking.appointment.id)).success).toBe(true);
+    expect(await waitlist.processWaitlist({ batchSize: 2 })).toMatchObject({ offered: 2 });
+    await notifications.notificationsSettled();
+
+    const claimToken = address => {
+      const offer = sentEmails.find(email => email.to.email === address && email.subject.includes('has opened up'));
+      return offer && /\/waitlist\/claim\/(\S+)/.exec(offer.text)[1];
+    };
+    expect(claimToken('cy@example.com')).toBeUndefined();
+
+    // The time is held for the patients it was offered to
+    const publicView = await scheduler.getAvailability(151, slot.clinicDate, slot.clinicDate);
+    expect(publicView.availableSlots.some(s => s.startTime === slot.startTime)).toBe(false);
+    await expect(waitlist.getWaitlistOffer(claimToken('ann@example.com'))).resolves.toMatchObject({
+      success: true,
+      offer: { status: 'open', patientName: 'Ann', startTime: slot.startTime }
+    });
+
+    const claimed = await waitlist.claimWaitlistOffer(claimToken('ben@example.com'), intake);
+    expect(claimed).toMatchObject({ success: true, appointment: { startTime: slot.startTime, email: 'ben@example.com' } });
+    await expect(waitlist.claimWaitlistOffer(claimToken('ann@example.com'), intake)).resolves.toMatchObject({
+      success: false,
+      errorCode: 'OFFER_TAKEN'
+    });
+
+    // Leave the time free for the tests after this one
+    expect((await scheduler.cancelAppointment(claimed.appointment.id)).success).toBe(true);
+  });
+
+  test('a reminder goes out once by email and text message, even after a restart', async () => {
+    const availability = await scheduler.getAvailability(151, startDate, endDate);
+    const slot = availability.availableSlots[0];
+    const booking = await scheduler.bookAppointment('Kit Reed', 'kit@example.com', slot, {
+      intake: { ...intake, consentToReminders: true }
+    });
+    expect(booking.success).toBe(true);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'physiospa-reminders-'));
+    const sent = { email: [], sms: [] };
+    const transports = { email: captureTransport(sent.email), sms: captureTransport(sent.sms) };
+    // Both reminders are past due, but only the one nearest the appointment is sent
+    const run = () => reminders.sendDueReminders({
+      now: new Date(Date.parse(slot.startTime) - 90 * 60000),
+      offsets: [2880, 120],
+      channels: ['email', 'sms'],
+      transports,
+      // A new store on the same directory is what the server sees after a restart
+      store: createStore('reminders', { type: 'file', directory })
+    });
+
+    try {
+      const first = await run();
+      const second = await run();
+
+      expect(first.sent).toBeGreaterThanOrEqual(2);
+      expect(second.sent).toBe(0);
+      expect(second.alreadySent).toBe(first.sent);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    const emails = sent.email.filter(email => email.to.email === 'kit@example.com');
+    expect(emails).toHaveLength(1);
+    expect(emails[0].subject).toMatch(/^Reminder: your .* appointment at PhysioSpa$/);
+    expect(emails[0].attachments).toBeUndefined();
+    const texts = sent.sms.filter(text => text.to === '+15550102000' && text.body.includes(`/manage/${booking.manageToken}`));
+    expect(texts).toHaveLength(1);
+  });
+
+  test('no reminder is sent to a patient who declined them', async () => {
+    const availability = await scheduler.getAvailability(144, startDate, endDate);
+    const slot = availability.availableSlots[0];
+    const booking = await scheduler.bookAppointment('Dana Cole', 'dana@example.com', slot, {
+      intake: { ...intake, reasonForVisit: 'Anxiety', consentToReminders: false }
+    });
+    expect(booking.success).toBe(true);
+
+    const sent = [];
+    await reminders.sendDueReminders({
+      now: new Date(Date.parse(slot.startTime) - 60 * 60000),
+      offsets: [120],
+      channels: ['email'],
+      transports: { email: captureTransport(sent) },
+      store: createStore('declined-reminders', { type: 'memory' })
+    });
+
+    expect(sent.some(email => email.to.email === 'dana@example.com')).toBe(false);
+  });
+
+  test('staff can book past the buffer rules and cancel with a recorded reason, and see it on the schedule', async () => {
+    const day = daysFromNow(3);
+    const availability = await scheduler.getAvailability(151, day, day, { providerId: 61, overrideBufferRules: true });
+    const slot = availability.availableSlots.find(candidate => candidate.overridesBufferRules);
+
+    expect(slot.buffer).toBeNull();
+
+    const unexplained = await scheduler.bookAppointment('Ray Hill', 'ray@example.com', slot, {
+      staff: { name: 'Robin', overrideBufferRules: true }
+    });
+    expect(unexplained).toMatchObject({ success: false, errorCode: 'REASON_REQUIRED' });
+
+    const booking = await scheduler.bookAppointment('Ray Hill', 'ray@example.com', slot, {
+      staff: { name: 'Robin', reason: 'Provider agreed to see them back to back', overrideBufferRules: true }
+    });
+
+    expect(booking.success).toBe(true);
+    expect(booking.bookingResults.some(step => step.name === 'buffer')).toBe(false);
+    expect(mock.appointments.get(String(booking.appointment.id)).appointment_note)
+      .toContain('Buffer rules overridden: Provider agreed to see them back to back');
+
+    const schedule = await staffSchedule.getStaffSchedule(day, { providerId: 61 });
+    const booked = schedule.providers[0].days[0].items.find(item => String(item.id) === String(booking.appointment.id));
+    expect(booked).toMatchObject({ kind: 'appointment', patientName: 'Ray Hill', staff: { name: 'Robin', overrideBufferRules: true } });
+
+    expect(await scheduler.cancelAppointment(booking.appointment.id, { staff: { name: 'Robin' } }))
+      .toMatchObject({ success: false, errorCode: 'REASON_REQUIRED' });
+
+    const cancellation = await scheduler.cancelAppointment(booking.appointment.id, { staff: { name: 'Robin', reason: 'Patient called to cancel' } });
+
+    expect(cancellation.success).toBe(true);
+    const [audit] = (await bookingAudit.getBookingAudit(booking.appointment.id)).filter(entry => entry.action === 'cancel');
+    expect(audit).toMatchObject({ outcome: 'completed', staff: { name: 'Robin', reason: 'Patient called to cancel' } });
+    const after = await staffSchedule.getStaffSchedule(day, { providerId: 61 });
+    expect(after.providers[0].days[0].items.some(item => String(item.id) === String(booking.appointment.id))).toBe(false);
+  });
+
+  test('a telehealth visit is booked as a video call, its buffer is not', async () => {
+    const catalogue = JSON.parse(fs.readFileSync(cataloguePath, 'utf8'));
+    const shipped = JSON.stringify(catalogue);
+    fs.writeFileSync(cataloguePath, JSON.stringify(catalogue.map(type => type.id === 151 ? { ...type, telehealth: true } : type)));
+    expect(appointmentTypes.reloadAppointmentTypes()).toBe(true);
+
+    try {
+      const availability = await scheduler.getAvailability(151, startDate, endDate);
+      const slot = availability.availableSlots.find(candidate => candidate.buffer);
+      const booking = await scheduler.bookAppointment('Tia Vance', 'tia@example.com', slot, { intake });
+
+      expect(booking.success).toBe(true);
+      const stored = mock.appointments.get(String(booking.appointment.id));
+      expect(stored.telemedicine.is_telemedicine).toBe(true);
+      const buffer = [...mock.appointments.values()].find(appointment =>
+        appointment.appointment_note === 'BUFFER' && appointment.start_date_time === stored.end_date_time
+      );
+      expect(buffer.telemedicine.is_telemedicine).toBe(false);
+    } finally {
+      fs.writeFileSync(cataloguePath, shipped);
+      appointmentTypes.reloadAppointmentTypes();
+    }
+  });
+
+  test('the fixture data can be moved to other dates', async () => {
+    const moved = createMockCerboApp({ startDate: '2025-04-03' });
+    const appointmentDays = [...moved.appointments.values()].map(appointment => appointment.start_date_time.substring(0, 10));
+
+    expect(appointmentDays).toContain('2025-04-03');
+    expect(appointmentDays).not.toContain('2025-03-27');
+  });
+});
@@ -0,0 +1,207 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import { foldIcsLine, buildCalendarInvite } from '../../backend/calendar_invite.js';
+import { renderBookingEmail } from '../../backend/email_templates.js';
+import { buildBookingMessage, createNotifier } from '../../backend/notifications.js';
+import { SmtpError } from '../../backend/email_transports.js';
+
+const clinic = {
+  name: 'PhysioSpa',
+  email: 'bookings@physiospa.test',
+  address: '1 Main St, Springfield',
+  phone: '555-0100',
+  publicBaseUrl: 'https://book.physiospa.test',
+  timeZone: 'America/New_York'
+};
+
+const booking = {
+  appointmentId: 501,
+  patientName: 'Pat <Doe>',
+  email: 'pat@example.com',
+  appointmentTypeName: 'Acupuncture',
+  providerName: 'Dr. Lee',
+  startTime: '2025-03-27T16:00:00.000Z',
+  endTime: '2025-03-27T17:00:00.000Z',
+  manageToken: 'token123',
+  sequence: 0
+};
+
+describe('Booking notifications', () => {
+  describe('calendar invites', () => {
+    test('an appointment becomes a REQUEST event in UTC', () => {
+      const ics = buildBookingMessage('booked', booking, clinic).attachments[0].content;
+
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(ics.split('\r\n')).toEqual(expect.arrayContaining([
+        'METHOD:REQUEST',
+        'UID:appointment-501@physiospa.test',
+        'SEQUENCE:0',
+        'DTSTART:20250327T160000Z',
+        'DTEND:20250327T170000Z',
+        'SUMMARY:Acupuncture at PhysioSpa',
+        'LOCATION:1 Main St\\, Springfield',
+        'STATUS:CONFIRMED'
+      ]));
+      // Unfolded, as calendars read it
+      expect(ics.replace(/\r\n /g, '')).toContain('DESCRIPTION:With Dr. Lee\\nChange or cancel: https://book.physiospa.test/manage/token123\\nPhone: 555-0100');
+    });
+
+    test('a cancellation keeps the UID and cancels the event', () => {
+      const ics = buildBookingMessage('cancelled', { ...booking, sequence: 2 }, clinic).attachments[0].content;
+
+      expect(ics).toContain('METHOD:CANCEL\r\n');
+      expect(ics).toContain('UID:appointment-501@physiospa.test\r\n');
+      expect(ics).toContain('SEQUENCE:2\r\n');
+      expect(ics).toContain('STATUS:CANCELLED\r\n');
+      expect(ics).not.toContain('Change or cancel');
+    });
+
+    test('long lines are folded at 75 octets without splitting characters', () => {
+      const folded = foldIcsLine(`DESCRIPTION:${'é'.repeat(60)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line, index) => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        expect(line.startsWith(' ')).toBe(index > 0);
+      });
+      expect(lines.map(line => line.replace(/^ /, '')).join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+    });
+
+    test('names cannot break out of their parameter', () => {
+      const ics = buildCalendarInvite({
+        ...booking,
+        status: 'confirmed',
+        summary: 'Visit',
+        organizer: { name: 'PhysioSpa', email: 'bookings@physiospa.test' },
+        attendee: { name: 'Pat "P" Doe;ROLE=CHAIR', email: 'pat@example.com' },
+        uidDomain: 'physiospa.test',
+        stamp: new Date('2025-03-01T09:30:00Z')
+      });
+
+      expect(ics).toContain('DTSTAMP:20250301T093000Z');
+      expect(ics).toContain('ATTENDEE;CN="Pat P Doe;ROLE=CHAIR";ROLE=REQ-PARTICIPANT');
+    });
+  });
+
+  describe('email templates', () => {
+    test('the confirmation shows the time on the clinic\'s clocks and the manage link', () => {
+      const email = renderBookingEmail('booked', booking, clinic);
+
+      expect(email.subject).toBe('Your Acupuncture appointment at PhysioSpa is confirmed');
+      expect(email.text).toContain('When: Thursday, March 27, 2025, 12:00 PM to 1:00 PM EDT');
+      expect(email.text).toContain('With: Dr. Lee');
+      expect(email.text).toContain('Where: 1 Main St, Springfield');
+      expect(email.text).toContain('https://book.physiospa.test/manage/token123');
+      expect(email.text).toContain('call us on 555-0100');
+    });
+
+    test('the HTML escapes what the patient typed', () => {
+      const { html } = renderBookingEmail('booked', booking, clinic);
+
+      expect(html).toContain('Hi Pat &lt;Doe&gt;,');
+      expect(html).not.toContain('<Doe>');
+      expect(html).toContain('<a href="https://book.physiospa.test/manage/token123">');
+    });
+
+    test('a rescheduled appointment says where it moved from', () => {
+      const email = renderBookingEmail('rescheduled', {
+        ...booking,
+        previousStartTime: '2025-03-26T14:00:00.000Z',
+        previousEndTime: '2025-03-26T15:00:00.000Z'
+      }, clinic);
+
+      expect(email.subject).toBe('Your Acupuncture appointment at PhysioSpa has moved');
+      expect(email.text).toContain('moved from Wednesday, March 26, 2025, 10:00 AM to 11:00 AM EDT to the new time below');
+    });
+
+    test('a cancellation offers to book again instead of the manage link', () => {
+      const email = renderBookingEmail('cancelled', booking, clinic);
+
+      expect(email.subject).toBe('Your Acupuncture appointment at PhysioSpa is cancelled');
+      expect(email.text).toContain('https://book.physiospa.test/\n');
+      expect(email.text).not.toContain('/manage/');
+    });
+
+    test('unknown events are refused', () => {
+      expect(() => renderBookingEmail('moved', booking, clinic)).toThrow('Unknown booking email moved');
+    });
+  });
+
+  describe('notifier', () => {
+    const notifier = (send, options = {}) => createNotifier({
+      transport: { name: 'test', send },
+      maxAttempts: 3,
+      retryBaseMs: 100,
+      sleep: options.sleep || jest.fn(async () => {}),
+      clinic: () => clinic
+    });
+
+    /**
+     * Transport send that fails with each error given, or returns each result, in turn
+     */
+    const sendInTurn = (...outcomes) => jest.fn(async () => {
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    });
+
+    test('sends the email from the clinic to the patient with the invite attached', async () => {
+      const sent = [];
+      const send = async message => {
+        sent.push(message);
+        return { messageId: 'm1' };
+      };
+
+      await expect(notifier(send).notify('booked', booking)).resolves.toEqual({ sent: true, attempts: 1, messageId: 'm1' });
+
+      const [message] = sent;
+      expect(message.from).toEqual({ name: 'PhysioSpa', email: 'bookings@physiospa.test' });
+      expect(message.to).toEqual({ name: 'Pat <Doe>', email: 'pat@example.com' });
+      expect(message.attachments[0]).toMatchObject({ filename: 'invite.ics', contentType: 'text/calendar; charset=utf-8; method=REQUEST' });
+    });
+
+    test('retries with backoff until the email is sent', async () => {
+      const sleep = jest.fn(async () => {});
+      const send = sendInTurn(new Error('connection refused'), new SmtpError('try later', { code: 421 }), { messageId: 'm2' });
+
+      await expect(notifier(send, { sleep }).notify('booked', booking)).resolves.toMatchObject({ sent: true, attempts: 3 });
+      expect(sleep.mock.calls).toEqual([[100], [200]]);
+    });
+
+    test('gives up after the last attempt without rejecting', async () => {
+      const send = jest.fn(async () => {
+        throw new Error('connection refused');
+      });
+
+      await expect(notifier(send).notify('booked', booking)).resolves.toEqual({ sent: false, attempts: 3, error: 'connection refused' });
+    });
+
+    test('does not retry an email the server refused for good', async () => {
+      const send = jest.fn(async () => {
+        throw new SmtpError('no such user', { code: 550, permanent: true });
+      });
+
+      await expect(notifier(send).notify('booked', booking)).resolves.toMatchObject({ sent: false, attempts: 1 });
+    });
+
+    test('settled waits for emails still being retried', async () => {
+      let wake = () => {};
+      const sleep = jest.fn(() => new Promise(resolve => {
+        wake = () => resolve(null);
+      }));
+      const send = sendInTurn(new Error('timeout'), { messageId: 'm3' });
+      const sender = notifier(send, { sleep });
+
+      sender.notify('cancelled', booking);
+      const settled = sender.settled();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(send).toHaveBeenCalledTimes(1);
+
+      wake();
+      await settled;
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+  });
+});
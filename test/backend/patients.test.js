@@ -0,0 +1,50 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { DEFAULT_PATIENT_MATCH_POLICY, getPatientMatchPolicy, splitPatientName, matchPatient } from '../../backend/patients.js';
+
+const chart = (id, firstName, lastName, email, dob = null) => ({ id, first_name: firstName, last_name: lastName, email, dob });
+
+const lee = { patientName: 'Lee Park', email: 'lee@example.com' };
+
+describe('Patient matching', () => {
+  afterEach(() => {
+    delete process.env.PATIENT_MATCH_POLICY;
+  });
+
+  test('splitPatientName takes the last word as the last name', () => {
+    expect(splitPatientName('  Mary Ann   Smith ')).toEqual({ firstName: 'Mary Ann', lastName: 'Smith' });
+    expect(splitPatientName('Cher')).toEqual({ firstName: 'Cher', lastName: '' });
+  });
+
+  test('the policy comes from PATIENT_MATCH_POLICY and falls back to review', () => {
+    expect(getPatientMatchPolicy()).toBe(DEFAULT_PATIENT_MATCH_POLICY);
+    process.env.PATIENT_MATCH_POLICY = 'reject';
+    expect(getPatientMatchPolicy()).toBe('reject');
+    process.env.PATIENT_MATCH_POLICY = 'merge';
+    expect(getPatientMatchPolicy()).toBe('review');
+  });
+
+  test.each([
+    ['no charts', [], {}, { outcome: 'new', patientId: null }],
+    ['a chart with the same name and email, whatever the case', [chart(7, 'LEE', 'park', 'Lee@Example.com')], {}, { outcome: 'matched', patientId: 7 }],
+    ['a chart with the same name and date of birth', [chart(7, 'Lee', 'Park', 'old@example.com', '1980-05-01')],
+      { dateOfBirth: '1980-05-01' }, { outcome: 'matched', patientId: 7 }],
+    ['a family member sharing the email as well as the patient\'s own chart',
+      [chart(7, 'Lee', 'Park', 'lee@example.com'), chart(8, 'Kim', 'Park', 'lee@example.com')], {}, { outcome: 'matched', patientId: 7 }],
+    ['a chart with the same name and email but another date of birth', [chart(7, 'Lee', 'Park', 'lee@example.com', '2010-01-01')],
+      { dateOfBirth: '1980-05-01' }, { outcome: 'new', patientId: null }],
+    ['only a chart with the same name', [chart(7, 'Lee', 'Park', 'other@example.com')], {}, { outcome: 'review', candidateIds: [7] }],
+    ['only a chart with the same email', [chart(8, 'Kim', 'Park', 'lee@example.com')], {}, { outcome: 'review', candidateIds: [8] }],
+    ['two charts with the same name and email', [chart(7, 'Lee', 'Park', 'lee@example.com'), chart(9, 'Lee', 'Park', 'lee@example.com')],
+      {}, { outcome: 'review', candidateIds: [7, 9] }]
+  ])('%s', (description, candidates, details, expected) => {
+    expect(matchPatient(candidates, { ...lee, ...details }, 'review')).toMatchObject(expected);
+  });
+
+  test('the policy decides what an ambiguous match does', () => {
+    const candidates = [chart(7, 'Lee', 'Park', 'other@example.com')];
+
+    expect(matchPatient(candidates, lee, 'review')).toEqual({ outcome: 'review', patientId: null, candidateIds: [7] });
+    expect(matchPatient(candidates, lee, 'create')).toEqual({ outcome: 'new', patientId: null, candidateIds: [7] });
+    expect(matchPatient(candidates, lee, 'reject')).toEqual({ outcome: 'rejected', patientId: null, candidateIds: [7] });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockCerboApp } from '../../mock_cerbo_server.js';
+
+// Get the directory path for the current module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * The day a number of days from today, "YYYY-MM-DD"
+ */
+const daysFromNow = days => new Date(Date.now() + days * 86400000).toISOString().substring(0, 10);
+
+/**
+ * Write a JSON file into a directory and return its path
+ */
+const writeJson = (directory, fileName, value) => {
+  const filePath = path.join(directory, fileName);
+  fs.writeFileSync(filePath, JSON.stringify(value));
+  return filePath;
+};
+
+describe('Provider registry', () => {
+  const startDate = daysFromNow(1);
+  const endDate = daysFromNow(3);
+  let tempDir;
+  let server;
+  let providers;
+  let scheduler;
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+
+    // A second acupuncturist with the same hours as the first but an empty calendar, and a provider with no hours at all
+    process.env.PROVIDERS_CONFIG_PATH = writeJson(tempDir, 'providers.json', [
+      { id: 61, displayName: 'Sachin Nene', appointmentTypeIds: [151, 144] },
+      { id: '62', displayName: 'Dana Reyes', appointmentTypeIds: ['151'] },
+      { id: 63, displayName: 'Vagus Only', appointmentTypeIds: [144] }
+    ]);
+
+    const availability = JSON.parse(fs.readFileSync(path.join(__dirname, 'availability_response.json'), 'utf8'));
+    const [sachin] = availability.user_availabilies;
+    availability.user_availabilies.push({
+      ...sachin,
+      provider_id: 62,
+      provider_details: { ...sachin.provider_details, id: '62', first_name: 'Dana', last_name: 'Reyes' }
+    });
+    const fixturesDir = fs.mkdtempSync(path.join(tempDir, 'fixtures-'));
+    writeJson(fixturesDir, 'availability_response.json', availability);
+    fs.copyFileSync(path.join(__dirname, 'appointments_response.json'), path.join(fixturesDir, 'appointments_response.json'));
+
+    const mock = createMockCerboApp({ fixturesDir, startDate });
+    server = await new Promise(resolve => {
+      const listening = mock.app.listen(0, () => resolve(listening));
+    });
+    process.env.CERBO_API_BASE_URL = `http://127.0.0.1:${server.address().port}/api/v1`;
+    process.env.CERBO_API_AUTH_HEADER = 'Basic mock';
+
+    // The registry is read from PROVIDERS_CONFIG_PATH when the module is first imported
+    providers = await import('../../backend/providers.js');
+    scheduler = await import('../../backend/availability.web.js');
+  });
+
+  afterAll(async () => {
+    delete process.env.PROVIDERS_CONFIG_PATH;
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('entries are read with numeric IDs', () => {
+    const loaded = providers.loadProviders(process.env.PROVIDERS_CONFIG_PATH);
+
+    expect(loaded.map(provider => [provider.id, provider.appointmentTypeIds])).toEqual([
+      [61, [151, 144]],
+      [62, [151]],
+      [63, [144]]
+    ]);
+    expect(loaded[1]).toBeInstanceOf(providers.PhysioSpaProvider);
+  });
+
+  test('a registry that is not a list or has an incomplete entry is refused', () => {
+    const notAList = writeJson(tempDir, 'object.json', { id: 61, displayName: 'Sachin Nene', appointmentTypeIds: [151] });
+    const incomplete = writeJson(tempDir, 'incomplete.json', [
+      { id: 61, displayName: 'Sachin Nene', appointmentTypeIds: [151] },
+      { id: 62, displayName: 'Dana Reyes' }
+    ]);
+    const noName = writeJson(tempDir, 'no-name.json', [{ id: 61, appointmentTypeIds: [151] }]);
+
+    expect(() => providers.loadProviders(notAList)).toThrow('must contain an array');
+    expect(() => providers.loadProviders(incomplete)).toThrow('entry 1 requires id, displayName and appointmentTypeIds');
+    expect(() => providers.loadProviders(noName)).toThrow('entry 0 requires');
+    expect(() => providers.loadProviders(path.join(tempDir, 'missing.json'))).toThrow();
+  });
+
+  test('providers offering an appointment type are listed in registry order', () => {
+    const ids = appointmentTypeId => providers.getProvidersForAppointmentType(appointmentTypeId).map(provider => provider.id);
+
+    expect(ids(151)).toEqual([61, 62]);
+    expect(ids('151')).toEqual([61, 62]);
+    expect(ids(144)).toEqual([61, 63]);
+    expect(ids(999)).toEqual([]);
+    expect(providers.findProviderById('62')?.displayName).toBe('Dana Reyes');
+  });
+
+  test('any-provider availability offers each start time once, from the first provider in the registry who is free', async () => {
+    const sachin = await scheduler.getAvailability(151, startDate, endDate, { providerId: 61 });
+    const dana = await scheduler.getAvailability(151, startDate, endDate, { providerId: 62 });
+    const anyone = await scheduler.getAvailability(151, startDate, endDate);
+
+    expect(anyone.success).toBe(true);
+    const startTimes = anyone.availableSlots.map(slot => slot.startTime);
+    expect(new Set(startTimes).size).toBe(startTimes.length);
+
+    // Every time either provider has free is offered
+    const eitherFree = new Set([...sachin.availableSlots, ...dana.availableSlots].map(slot => slot.startTime));
+    expect(new Set(startTimes)).toEqual(eitherFree);
+
+    // Sachin is first in the registry, so he gets the times both are free; Dana fills the times he is booked
+    const sachinFree = new Set(sachin.availableSlots.map(slot => slot.startTime));
+    for (const slot of anyone.availableSlots) {
+      expect(slot.providerId).toBe(sachinFree.has(slot.startTime) ? 61 : 62);
+    }
+    expect(anyone.availableSlots.some(slot => slot.providerId === 62)).toBe(true);
+    expect(anyone.availableSlots.find(slot => slot.providerId === 62)?.providerName).toBe('Dana Reyes');
+  });
+
+  test('a provider only gives availability for the appointment types they offer', async () => {
+    const response = await scheduler.getAvailability(144, startDate, endDate, { providerId: 62 });
+
+    expect(response).toMatchObject({ success: false, error: 'Provider 62 does not offer appointment type 144' });
+  });
+});
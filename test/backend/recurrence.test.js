@@ -0,0 +1,40 @@
+import { describe, test, expect } from '@jest/globals';
+import { listOccurrenceStarts, validateRecurrence, MAX_SERIES_OCCURRENCES } from '../../backend/recurrence.js';
+
+describe('Recurring series', () => {
+  const timeZone = 'America/New_York';
+  // 10:00 AM in New York, two weeks before the clocks go forward on March 9, 2025
+  const firstStartTime = '2025-02-27T15:00:00.000Z';
+
+  test('weekly visits keep the same time on the clinic\'s clocks when they change', () => {
+    expect(listOccurrenceStarts(firstStartTime, { frequency: 'weekly', count: 3 }, { timeZone })).toEqual([
+      '2025-02-27T15:00:00.000Z',
+      '2025-03-06T15:00:00.000Z',
+      '2025-03-13T14:00:00.000Z'
+    ]);
+  });
+
+  test('a series can run every two weeks until a date', () => {
+    expect(listOccurrenceStarts(firstStartTime, { frequency: 'biweekly', until: '2025-03-27' }, { timeZone })).toEqual([
+      '2025-02-27T15:00:00.000Z',
+      '2025-03-13T14:00:00.000Z',
+      '2025-03-27T14:00:00.000Z'
+    ]);
+  });
+
+  test('how a series repeats is checked before its visits are listed', () => {
+    const error = recurrence => validateRecurrence(recurrence, firstStartTime, timeZone).error;
+
+    expect(error({ frequency: 'daily', count: 3 })).toBe('Choose whether the appointment repeats weekly or every two weeks');
+    expect(error({ frequency: 'weekly' })).toBe('Give either the number of visits or the date of the last one');
+    expect(error({ frequency: 'weekly', count: 4, until: '2025-03-27' })).toBe('Give either the number of visits or the date of the last one');
+    expect(error({ frequency: 'weekly', count: 1 })).toBe(`A series has between 2 and ${MAX_SERIES_OCCURRENCES} visits`);
+    expect(error({ frequency: 'weekly', count: 2.5 })).toBe(`A series has between 2 and ${MAX_SERIES_OCCURRENCES} visits`);
+    expect(error({ frequency: 'weekly', until: '03/27/2025' })).toBe('The date of the last visit must be given as YYYY-MM-DD');
+    expect(error({ frequency: 'weekly', until: '2025-03-05' })).toBe('The last visit must be at least one repeat after the first');
+    expect(error({ frequency: 'weekly', until: '2025-12-31' })).toBe(`A series has at most ${MAX_SERIES_OCCURRENCES} visits, choose an earlier date for the last one`);
+
+    expect(validateRecurrence({ frequency: 'weekly', count: '6' }, firstStartTime, timeZone)).toMatchObject({ error: null });
+    expect(validateRecurrence({ frequency: 'weekly', count: '6' }, firstStartTime, timeZone).startTimes).toHaveLength(6);
+  });
+});
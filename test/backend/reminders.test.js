@@ -0,0 +1,110 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { parseReminderOffsets, getReminderChannels, pickDueReminder, renderReminderText } from '../../backend/reminders.js';
+import { SmsError, toE164, createTwilioSmsTransport } from '../../backend/sms_transports.js';
+
+const HOUR = 3600000;
+
+describe('Appointment reminders', () => {
+  const channels = process.env.REMINDER_CHANNELS;
+
+  afterEach(() => {
+    if (channels === undefined) {
+      delete process.env.REMINDER_CHANNELS;
+    } else {
+      process.env.REMINDER_CHANNELS = channels;
+    }
+  });
+
+  test('offsets are read in minutes, hours and days, longest first', () => {
+    expect(parseReminderOffsets('2h, 48h')).toEqual([2880, 120]);
+    expect(parseReminderOffsets('1d,90m,1D')).toEqual([1440, 90]);
+    expect(parseReminderOffsets('48h,soon')).toBeNull();
+    expect(parseReminderOffsets('0h')).toBeNull();
+    expect(parseReminderOffsets('')).toBeNull();
+  });
+
+  test('channels can be chosen or turned off', () => {
+    delete process.env.REMINDER_CHANNELS;
+    expect(getReminderChannels()).toEqual(['email']);
+
+    process.env.REMINDER_CHANNELS = 'sms, email, pager';
+    expect(getReminderChannels()).toEqual(['sms', 'email']);
+
+    process.env.REMINDER_CHANNELS = 'none';
+    expect(getReminderChannels()).toEqual([]);
+  });
+
+  describe('pickDueReminder', () => {
+    const start = Date.parse('2025-03-27T16:00:00Z');
+    const offsets = [2880, 120];
+
+    test.each([
+      ['before any reminder is due', start - 72 * HOUR, start - 50 * HOUR, null],
+      ['once the first reminder is due', start - 72 * HOUR, start - 47 * HOUR, 2880],
+      ['between the reminders', start - 72 * HOUR, start - 3 * HOUR, 2880],
+      ['the nearest one when both are due', start - 72 * HOUR, start - 1 * HOUR, 120],
+      ['none for an appointment booked after a reminder time', start - 24 * HOUR, start - 3 * HOUR, null],
+      ['none once the appointment has started', start - 72 * HOUR, start, null]
+    ])('%s', (_, scheduledAt, now, expected) => {
+      expect(pickDueReminder(start, scheduledAt, now, offsets)).toBe(expected);
+    });
+  });
+
+  test('the text message names the time on the clinic\'s clocks and the manage link', () => {
+    const text = renderReminderText({
+      appointmentId: 501,
+      patientName: 'Pat Doe',
+      email: 'pat@example.com',
+      appointmentTypeName: 'Acupuncture',
+      startTime: '2025-03-27T16:00:00.000Z',
+      endTime: '2025-03-27T17:00:00.000Z',
+      manageToken: 'token123'
+    }, {
+      name: 'PhysioSpa',
+      email: 'bookings@physiospa.test',
+      address: '',
+      phone: '',
+      publicBaseUrl: 'https://book.physiospa.test',
+      timeZone: 'America/New_York'
+    });
+
+    expect(text).toBe('PhysioSpa: a reminder of your Acupuncture appointment on Thursday, March 27, 2025, 12:00 PM to 1:00 PM EDT. '
+      + 'To change or cancel: https://book.physiospa.test/manage/token123');
+  });
+
+  describe('text messages', () => {
+    test.each([
+      ['(555) 010-2000', '+15550102000'],
+      ['1-555-010-2000', '+15550102000'],
+      ['+44 20 7946 0000', '+442079460000'],
+      ['0044 20 7946 0000', '+442079460000'],
+      ['12', null]
+    ])('%s is sent to %s', (phone, expected) => {
+      expect(toE164(phone, '1')).toBe(expected);
+    });
+
+    test('Twilio turning a number away is a permanent failure', async () => {
+      const fetch = global.fetch;
+      const requests = [];
+      global.fetch = async (url, init) => {
+        requests.push({ url, init });
+        return new Response(JSON.stringify({ message: 'Invalid To number' }), { status: 400 });
+      };
+      try {
+        const transport = createTwilioSmsTransport({ accountSid: 'AC1', authToken: 'secret', from: 'MG1', baseUrl: 'https://twilio.test' });
+        const error = await transport.send({ to: '+15550102000', body: 'Hi' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(SmsError);
+        expect(error).toMatchObject({ status: 400, permanent: true });
+        expect(requests[0].url).toBe('https://twilio.test/Accounts/AC1/Messages.json');
+        expect(Object.fromEntries(new URLSearchParams(String(requests[0].init.body)))).toEqual({
+          To: '+15550102000',
+          Body: 'Hi',
+          MessagingServiceSid: 'MG1'
+        });
+      } finally {
+        global.fetch = fetch;
+      }
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockCerboApp } from '../../mock_cerbo_server.js';
+
+/**
+ * The day a number of days from today, "YYYY-MM-DD"
+ */
+const daysFromNow = days => new Date(Date.now() + days * 86400000).toISOString().substring(0, 10);
+
+describe('Rescheduling an appointment and its buffer', () => {
+  // Slots in the past are not offered, so the fixture data is moved to start tomorrow. The third day
+  // has nothing booked, so the tests decide which of its times need a buffer
+  const startDate = daysFromNow(1);
+  const day = daysFromNow(3);
+  let tempDir;
+  let rulesPath;
+  let server;
+  let mock;
+  let scheduler;
+  // The next request to fail on its way to the mock, as { method, path }
+  let failNext = null;
+  let patient;
+
+  /**
+   * The slot offered at a clinic time on the test day, leaving the patient's own booking out
+   */
+  const slotAt = async (clinicTime, rescheduleAppointmentId) => {
+    const availability = await scheduler.getAvailability(151, day, day, { providerId: 61, rescheduleAppointmentId });
+    const slot = availability.availableSlots.find(candidate => candidate.clinicTime === clinicTime);
+    expect(slot).toBeDefined();
+    return slot;
+  };
+
+  /**
+   * The buffer the mock has straight after an appointment, if there is one
+   */
+  const bufferAfter = appointmentId => {
+    const appointment = mock.appointments.get(String(appointmentId));
+    return [...mock.appointments.values()].find(candidate =>
+      candidate.appointment_note === 'BUFFER' && candidate.start_date_time === appointment.end_date_time
+    );
+  };
+
+  const cerboTime = isoTime => isoTime.replace('T', ' ').substring(0, 19);
+
+  beforeAll(async () => {
+    // A lone hour-long visit stays under the buffer threshold, one straight after another visit does not
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reschedule-'));
+    rulesPath = path.join(tempDir, 'scheduling_rules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify({
+      defaults: { maxConsecutiveMinutes: 180, bufferThresholdMinutes: 90 }
+    }));
+    process.env.SCHEDULING_RULES_CONFIG_PATH = rulesPath;
+
+    mock = createMockCerboApp({ startDate });
+    const app = express();
+    app.use((req, res, next) => {
+      if (failNext && req.method === failNext.method && req.path === failNext.path) {
+        failNext = null;
+        return res.status(500).json({ error: 'Injected failure' });
+      }
+      next();
+    });
+    app.use(mock.app);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+
+    // cerbo_api.js reads the base URL, and scheduling_rules.js its config path, when first imported
+    process.env.CERBO_API_BASE_URL = `http://127.0.0.1:${server.address().port}/api/v1`;
+    process.env.CERBO_API_AUTH_HEADER = 'Basic mock';
+    scheduler = await import('../../backend/availability.web.js');
+
+    // Visits at 09:00 and 12:00 mean the hours after them need a buffer
+    for (const clinicTime of ['09:00', '12:00']) {
+      expect((await scheduler.bookAppointment('Fay Filler', 'fay@example.com', await slotAt(clinicTime))).success).toBe(true);
+    }
+    const slot = await slotAt('15:00');
+    expect(slot.buffer).toBeNull();
+    patient = await scheduler.bookAppointment('Rae Moss', 'rae@example.com', slot);
+    expect(patient.success).toBe(true);
+  });
+
+  afterAll(async () => {
+    fs.unwatchFile(rulesPath);
+    delete process.env.SCHEDULING_RULES_CONFIG_PATH;
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('a buffer is booked when the new time needs one', async () => {
+    const appointmentId = patient.appointment.id;
+    const slot = await slotAt('10:00', appointmentId);
+    expect(slot.buffer).not.toBeNull();
+
+    const moved = await scheduler.rescheduleAppointment(appointmentId, slot);
+
+    expect(moved.success).toBe(true);
+    expect(moved.rescheduleResults.map(step => `${step.step}:${step.status}`)).toEqual(['appointment:completed', 'buffer:completed', 'task:completed']);
+    expect(mock.appointments.get(String(appointmentId)).start_date_time).toBe(cerboTime(slot.startTime));
+    expect(bufferAfter(appointmentId)?.start_date_time).toBe(cerboTime(slot.buffer.startTime));
+  });
+
+  test('the buffer moves with the appointment', async () => {
+    const appointmentId = patient.appointment.id;
+    const buffer = bufferAfter(appointmentId);
+    const appointmentCount = mock.appointments.size;
+    const slot = await slotAt('13:00', appointmentId);
+    expect(slot.buffer).not.toBeNull();
+
+    const moved = await scheduler.rescheduleAppointment(appointmentId, slot);
+
+    expect(moved.success).toBe(true);
+    expect(bufferAfter(appointmentId)?.id).toBe(buffer.id);
+    expect(buffer.start_date_time).toBe(cerboTime(slot.buffer.startTime));
+    expect(mock.appointments.size).toBe(appointmentCount);
+  });
+
+  test('the buffer is released when the new time does not need one', async () => {
+    const appointmentId = patient.appointment.id;
+    const buffer = bufferAfter(appointmentId);
+    const slot = await slotAt('15:00', appointmentId);
+    expect(slot.buffer).toBeNull();
+
+    const moved = await scheduler.rescheduleAppointment(appointmentId, slot);
+
+    expect(moved.success).toBe(true);
+    expect(moved.rescheduleResults.map(step => `${step.step}:${step.status}`)).toEqual(['appointment:completed', 'release-buffer:completed', 'task:completed']);
+    expect(mock.appointments.has(String(buffer.id))).toBe(false);
+    expect(bufferAfter(appointmentId)).toBeUndefined();
+  });
+
+  test('the appointment is put back when its new buffer cannot be booked', async () => {
+    const appointmentId = patient.appointment.id;
+    const before = { ...mock.appointments.get(String(appointmentId)) };
+    const appointmentCount = mock.appointments.size;
+    const slot = await slotAt('10:00', appointmentId);
+
+    failNext = { method: 'POST', path: '/api/v1/appointments' };
+    const moved = await scheduler.rescheduleAppointment(appointmentId, slot);
+
+    expect(moved).toMatchObject({ success: false, errorCode: 'RESCHEDULE_FAILED' });
+    expect(moved.error).toContain('the appointment is unchanged');
+    expect(moved.rescheduleResults.map(step => `${step.step}:${step.status}`)).toEqual(['appointment:compensated', 'buffer:failed']);
+    expect(mock.appointments.get(String(appointmentId))).toMatchObject({
+      start_date_time: before.start_date_time,
+      end_date_time: before.end_date_time
+    });
+    expect(mock.appointments.size).toBe(appointmentCount);
+  });
+
+  test('the appointment and its buffer stay put when the buffer cannot be moved', async () => {
+    const booking = await scheduler.bookAppointment('Ash Lane', 'ash@example.com', await slotAt('10:00'));
+    expect(booking.success).toBe(true);
+    const appointmentId = booking.appointment.id;
+    const before = { ...mock.appointments.get(String(appointmentId)) };
+    const buffer = { ...bufferAfter(appointmentId) };
+    const slot = await slotAt('13:00', appointmentId);
+    expect(slot.buffer).not.toBeNull();
+
+    failNext = { method: 'PATCH', path: `/api/v1/appointments/${buffer.id}` };
+    const moved = await scheduler.rescheduleAppointment(appointmentId, slot);
+
+    expect(moved).toMatchObject({ success: false, errorCode: 'RESCHEDULE_FAILED' });
+    expect(moved.rescheduleResults.map(step => `${step.step}:${step.status}`)).toEqual(['appointment:compensated', 'buffer:failed']);
+    expect(mock.appointments.get(String(appointmentId)).start_date_time).toBe(before.start_date_time);
+    expect(mock.appointments.get(String(buffer.id)).start_date_time).toBe(buffer.start_date_time);
+    expect(bufferAfter(appointmentId)?.id).toBe(buffer.id);
+  });
+});
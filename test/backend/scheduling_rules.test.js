@@ -0,0 +1,165 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_SCHEDULING_RULES,
+  validateRuleSet,
+  resolveSchedulingRules,
+  listSlotStarts,
+  exceedsConsecutiveWork,
+  needsBuffer,
+  bufferAfter
+} from '../../backend/scheduling_rules.js';
+import { calculateAvailableTimeSlots, PhysioSpaAppointmentType } from '../../backend/availability.web.js';
+import { AvailabilityResponse, AppointmentsResponse } from '../../cerbo_api.js';
+
+/**
+ * A period of work on 2 April 2025, times in UTC as HH:MM
+ */
+const period = (start, end) => ({
+  start: new Date(`2025-04-02T${start}:00Z`),
+  end: new Date(`2025-04-02T${end}:00Z`)
+});
+
+const times = dates => dates.map(date => date.toISOString().slice(11, 16));
+
+describe('Scheduling rules', () => {
+  describe('validateRuleSet', () => {
+    test('accepts defaults, appointment type and provider rules', () => {
+      expect(validateRuleSet({
+        defaults: { maxConsecutiveMinutes: 90, slotGranularityMinutes: 15 },
+        appointmentTypes: { 144: { bufferPolicy: 'never' } },
+        providers: { 61: { bufferMinutes: 15, appointmentTypes: { 151: { bufferPolicy: 'always' } } } }
+      })).toEqual([]);
+    });
+
+    test('reports every problem with its location', () => {
+      expect(validateRuleSet({
+        defaults: { bufferPolicy: 'auto', maxConsecutiveMinutes: 0 },
+        appointmentTypes: { 144: { bufferPolicy: 'sometimes' } },
+        providers: { 61: { breakMinutes: 10, appointmentTypes: { 151: { bufferMinutes: 12.5 } } } },
+        holidays: []
+      })).toEqual([
+        'unknown section holidays',
+        'defaults: maxConsecutiveMinutes must be a positive whole number',
+        'defaults: bufferPolicy can only be set for appointment types or providers',
+        'appointmentTypes.144: bufferPolicy must be one of auto, never, always',
+        'providers.61: unknown rule breakMinutes',
+        'providers.61.appointmentTypes.151: bufferMinutes must be a positive whole number'
+      ]);
+    });
+  });
+
+  describe('resolveSchedulingRules', () => {
+    const ruleSet = {
+      defaults: { maxConsecutiveMinutes: 90 },
+      appointmentTypes: { 151: { bufferMinutes: 15 } },
+      providers: {
+        61: { bufferMinutes: 20, slotGranularityMinutes: 15, appointmentTypes: { 151: { bufferPolicy: 'always' } } }
+      }
+    };
+
+    test('falls back to the defaults', () => {
+      expect(resolveSchedulingRules({}, 61, 151)).toEqual(DEFAULT_SCHEDULING_RULES);
+    });
+
+    test('the most specific rules win', () => {
+      expect(resolveSchedulingRules(ruleSet, null, 151, 'never')).toEqual({
+        ...DEFAULT_SCHEDULING_RULES,
+        maxConsecutiveMinutes: 90,
+        bufferMinutes: 15,
+        bufferPolicy: 'never'
+      });
+      expect(resolveSchedulingRules(ruleSet, 61, 151, 'never')).toEqual({
+        ...DEFAULT_SCHEDULING_RULES,
+        maxConsecutiveMinutes: 90,
+        bufferMinutes: 20,
+        bufferPolicy: 'always',
+        slotGranularityMinutes: 15
+      });
+      expect(resolveSchedulingRules(ruleSet, 62, 144, 'never').bufferPolicy).toBe('never');
+    });
+  });
+
+  describe('listSlotStarts', () => {
+    const { start, end } = period('09:10', '11:00');
+
+    test('slots start on the grid and end within the window', () => {
+      expect(times(listSlotStarts(start, end, 60, DEFAULT_SCHEDULING_RULES))).toEqual(['09:30', '10:00']);
+    });
+
+    test('the grid follows slotGranularityMinutes', () => {
+      const rules = { ...DEFAULT_SCHEDULING_RULES, slotGranularityMinutes: 15 };
+      expect(times(listSlotStarts(start, end, 60, rules))).toEqual(['09:15', '09:30', '09:45', '10:00']);
+    });
+  });
+
+  describe('exceedsConsecutiveWork', () => {
+    const work = [period('09:00', '09:30'), period('09:30', '10:00')];
+
+    test('a booking may not stretch back-to-back work past the limit', () => {
+      expect(exceedsConsecutiveWork(period('10:00', '10:30'), work, DEFAULT_SCHEDULING_RULES)).toBe(true);
+      expect(exceedsConsecutiveWork(period('10:30', '11:00'), work, DEFAULT_SCHEDULING_RULES)).toBe(false);
+    });
+
+    test('a gap of a minute is not a break', () => {
+      expect(exceedsConsecutiveWork(period('10:01', '10:30'), work, DEFAULT_SCHEDULING_RULES)).toBe(true);
+      expect(exceedsConsecutiveWork(period('10:02', '10:30'), work, DEFAULT_SCHEDULING_RULES)).toBe(false);
+    });
+
+    test('the limit follows maxConsecutiveMinutes', () => {
+      const rules = { ...DEFAULT_SCHEDULING_RULES, maxConsecutiveMinutes: 90 };
+      expect(exceedsConsecutiveWork(period('10:00', '10:30'), work, rules)).toBe(false);
+    });
+  });
+
+  describe('needsBuffer', () => {
+    const booking = period('10:00', '10:30');
+
+    test('follows the buffer policy', () => {
+      expect(needsBuffer(booking, [], { ...DEFAULT_SCHEDULING_RULES, bufferPolicy: 'always' })).toBe(true);
+      expect(needsBuffer(booking, [period('09:00', '10:00')], { ...DEFAULT_SCHEDULING_RULES, bufferPolicy: 'never' })).toBe(false);
+    });
+
+    test('auto adds a buffer once back-to-back work reaches the threshold', () => {
+      expect(needsBuffer(booking, [period('09:30', '10:00')], DEFAULT_SCHEDULING_RULES)).toBe(true);
+      expect(needsBuffer(booking, [period('09:45', '10:00')], DEFAULT_SCHEDULING_RULES)).toBe(false);
+      expect(needsBuffer(booking, [period('09:45', '10:00')], { ...DEFAULT_SCHEDULING_RULES, bufferThresholdMinutes: 45 })).toBe(true);
+    });
+
+    test('the buffer follows the buffer length and type', () => {
+      const rules = { ...DEFAULT_SCHEDULING_RULES, bufferMinutes: 15, bufferAppointmentTypeId: 7 };
+      expect(bufferAfter(booking.end, rules)).toEqual({ appointmentTypeId: 7, duration: 15, ...period('10:30', '10:45') });
+    });
+  });
+
+  test('calculateAvailableTimeSlots applies the rules it is given', () => {
+    const { start, end } = period('09:00', '12:00');
+    const availabilityResponse = new AvailabilityResponse([{
+      provider_id: 61,
+      availability_by_type: [{ appointment_type_id: 500, available_windows: [{ window_start: start, window_end: end }] }]
+    }]);
+    const appointmentsResponse = new AppointmentsResponse([{
+      id: 1,
+      appointment_type_internal_name: 'Massage',
+      start_date_time: new Date('2025-04-02T09:00:00Z'),
+      end_date_time: new Date('2025-04-02T09:45:00Z')
+    }]);
+    const appointmentType = new PhysioSpaAppointmentType(500, 'Massage', 'Massage', 45, false);
+    const ruleSet = {
+      defaults: { maxConsecutiveMinutes: 90, bufferThresholdMinutes: 90, bufferMinutes: 15, slotGranularityMinutes: 15 }
+    };
+
+    const slots = calculateAvailableTimeSlots(availabilityResponse, appointmentsResponse, appointmentType, {
+      providerId: 61,
+      now: new Date('2025-04-02T08:00:00Z'),
+      catalogue: [appointmentType],
+      ruleSet
+    });
+
+    expect(slots.map(slot => slot.startTime.slice(11, 16))).toEqual(
+      ['09:45', '10:00', '10:15', '10:30', '10:45', '11:00', '11:15']
+    );
+    // Straight after the massage is 90 minutes of work, so a 15-minute buffer follows
+    expect(slots[0].buffer).toEqual({ appointmentTypeId: '1', startTime: '2025-04-02T10:30:00.000Z', duration: 15, isBuffer: true });
+    expect(slots[1].buffer).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  touchSession,
+  getSession,
+  offerTimeSlots,
+  getOfferedTimeSlot,
+  removeOfferedTimeSlot,
+  removeExpiredSessions
+} from '../../backend/sessions.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const slot = startTime => ({ startTime, primaryBooking: { appointmentTypeId: '151', startTime, duration: 60 } });
+
+describe('Sessions', () => {
+  test('slots offered by requests running at the same time are all kept', async () => {
+    await touchSession('busy');
+    await offerTimeSlots('busy', { a: slot('2025-04-02T10:00:00Z') }, { replace: true });
+
+    // Alternatives for several visits, offered while the browser is still making requests
+    await Promise.all([
+      offerTimeSlots('busy', { b: slot('2025-04-02T11:00:00Z') }),
+      offerTimeSlots('busy', { c: slot('2025-04-02T12:00:00Z') }),
+      touchSession('busy'),
+      removeOfferedTimeSlot('busy', 'a')
+    ]);
+
+    expect(await getOfferedTimeSlot('busy', 'a')).toBeNull();
+    expect((await getOfferedTimeSlot('busy', 'b'))?.startTime).toBe('2025-04-02T11:00:00Z');
+    expect((await getOfferedTimeSlot('busy', 'c'))?.startTime).toBe('2025-04-02T12:00:00Z');
+  });
+
+  test('fresh availability replaces the slots offered before', async () => {
+    await touchSession('replacing');
+    await offerTimeSlots('replacing', { old: slot('2025-04-02T10:00:00Z') }, { replace: true });
+    await offerTimeSlots('replacing', { new: slot('2025-04-02T11:00:00Z') }, { replace: true, rescheduleAppointmentId: '42' });
+
+    expect(await getOfferedTimeSlot('replacing', 'old')).toBeNull();
+    expect(await getOfferedTimeSlot('replacing', 'new')).not.toBeNull();
+    expect(await getSession('replacing')).toMatchObject({ rescheduleAppointmentId: '42' });
+  });
+
+  test('a slot can only be used by the session it was offered to', async () => {
+    await touchSession('mine');
+    await touchSession('theirs');
+    await offerTimeSlots('mine', { offered: slot('2025-04-02T10:00:00Z') }, { replace: true });
+
+    expect(await getOfferedTimeSlot('theirs', 'offered')).toBeNull();
+    await removeOfferedTimeSlot('theirs', 'offered');
+    expect(await getOfferedTimeSlot('mine', 'offered')).not.toBeNull();
+  });
+
+  test('expired sessions are removed with the slots offered to them', async () => {
+    const now = Date.parse('2025-04-02T09:00:00Z');
+    await touchSession('idle', now);
+    await offerTimeSlots('idle', { idle: slot('2025-04-02T10:00:00Z') }, { replace: true });
+    await touchSession('active', now + HOUR_MS);
+
+    expect(await removeExpiredSessions(now + HOUR_MS + 1)).toBeGreaterThanOrEqual(1);
+    expect(await getSession('idle')).toBeNull();
+    expect(await getOfferedTimeSlot('idle', 'idle')).toBeNull();
+    expect(await getSession('active')).toMatchObject({ lastAccessed: now + HOUR_MS });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { placeHold, releaseHold, getHoldsForProvider } from '../../backend/slot_holds.js';
+
+describe('Slot holds', () => {
+  const now = Date.parse('2025-03-28T14:00:00Z');
+  const timeSlot = {
+    providerId: 9,
+    primaryBooking: {
+      appointmentTypeId: 28,
+      startTime: '2025-03-28T18:00:00.000Z',
+      duration: 60
+    },
+    buffer: {
+      startTime: '2025-03-28T19:00:00.000Z',
+      duration: 30
+    }
+  };
+
+  afterEach(async () => {
+    await releaseHold('session-a');
+    await releaseHold('session-b');
+  });
+
+  test('a hold covers the appointment and its buffer until it expires', async () => {
+    const hold = await placeHold('session-a', timeSlot, now);
+
+    expect(hold).toMatchObject({
+      sessionId: 'session-a',
+      providerId: 9,
+      startTime: '2025-03-28T18:00:00.000Z',
+      endTime: '2025-03-28T19:00:00.000Z',
+      bufferStartTime: '2025-03-28T19:00:00.000Z',
+      bufferEndTime: '2025-03-28T19:30:00.000Z',
+      expiresAt: '2025-03-28T14:10:00.000Z'
+    });
+  });
+
+  test('a session does not see its own hold, other sessions do', async () => {
+    await placeHold('session-a', timeSlot, now);
+
+    expect(await getHoldsForProvider(9, 'session-a', now)).toHaveLength(0);
+    expect(await getHoldsForProvider(9, 'session-b', now)).toHaveLength(1);
+    expect(await getHoldsForProvider(10, 'session-b', now)).toHaveLength(0);
+  });
+
+  test('a session holds one slot at a time', async () => {
+    await placeHold('session-a', timeSlot, now);
+    await placeHold('session-a', {
+      ...timeSlot,
+      primaryBooking: { ...timeSlot.primaryBooking, startTime: '2025-03-28T20:00:00.000Z' },
+      buffer: null
+    }, now);
+
+    const holds = await getHoldsForProvider(9, null, now);
+    expect(holds).toHaveLength(1);
+    expect(holds[0].startTime).toBe('2025-03-28T20:00:00.000Z');
+    expect(holds[0].bufferStartTime).toBeNull();
+  });
+
+  test('holds lapse when they expire or are released', async () => {
+    await placeHold('session-a', timeSlot, now);
+    await placeHold('session-b', timeSlot, now + 5 * 60000);
+
+    expect(await getHoldsForProvider(9, null, now + 10 * 60000)).toHaveLength(1);
+    expect(await releaseHold('session-b')).toBe(true);
+    expect(await getHoldsForProvider(9, null, now + 10 * 60000)).toHaveLength(0);
+  });
+});
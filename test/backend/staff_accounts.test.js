@@ -0,0 +1,175 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import express from 'express';
+import logger from '../../logger.js';
+import {
+  hashPassword,
+  verifyPassword,
+  createStaffAccount,
+  removeStaffAccount,
+  listStaffAccounts,
+  signInStaff,
+  getSignedInStaff,
+  signOutStaff,
+  removeExpiredStaffSessions,
+  createInitialAdmin
+} from '../../backend/staff_accounts.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Staff accounts', () => {
+  afterEach(() => {
+    delete process.env.STAFF_ADMIN_USERNAME;
+    delete process.env.STAFF_ADMIN_PASSWORD;
+  });
+
+  test('passwords are stored salted and hashed', async () => {
+    const first = await hashPassword('correct horse battery');
+    const second = await hashPassword('correct horse battery');
+
+    expect(first).not.toContain('correct horse battery');
+    expect(first).not.toBe(second);
+    expect(await verifyPassword('correct horse battery', first)).toBe(true);
+    expect(await verifyPassword('correct horse battery!', first)).toBe(false);
+    expect(await verifyPassword('correct horse battery', 'not-a-hash')).toBe(false);
+  });
+
+  test('accounts need a username, name, long enough password and a known role', async () => {
+    const response = await createStaffAccount({ username: 'x', name: ' ', password: 'short', role: 'owner' });
+
+    expect(response).toMatchObject({ success: false, errorCode: 'INVALID_STAFF_ACCOUNT' });
+    expect(Object.keys(response.fieldErrors).sort()).toEqual(['name', 'password', 'role', 'username']);
+
+    // Provider accounts see one provider's schedule, so they must say which
+    expect((await createStaffAccount({ username: 'dr.lee', name: 'Dr Lee', password: 'a long password', role: 'provider' })).fieldErrors)
+      .toEqual({ providerId: 'Choose the provider this account belongs to' });
+    expect(await createStaffAccount({ username: 'dr.lee', name: 'Dr Lee', password: 'a long password', role: 'provider', providerId: '61' }))
+      .toMatchObject({ success: true, account: { username: 'dr.lee', role: 'provider', providerId: 61 } });
+  });
+
+  test('a username can only be taken once, whatever its case', async () => {
+    expect((await createStaffAccount({ username: 'Robin', name: 'Robin', password: 'front desk password', role: 'front-desk' })).success).toBe(true);
+    expect(await createStaffAccount({ username: ' robin ', name: 'Robin Two', password: 'front desk password', role: 'admin' }))
+      .toMatchObject({ success: false, errorCode: 'ACCOUNT_EXISTS' });
+
+    const robin = (await listStaffAccounts()).find(account => account.username === 'robin');
+    expect(robin).toEqual({ username: 'robin', name: 'Robin', role: 'front-desk' });
+  });
+
+  test('signing in gives a token that lasts until it expires or the member of staff signs out', async () => {
+    await createStaffAccount({ username: 'sam', name: 'Sam Fox', password: 'sam password 123', role: 'front-desk' });
+    const now = Date.parse('2025-03-27T13:00:00Z');
+
+    expect(await signInStaff('sam', 'wrong password', now)).toMatchObject({ success: false, errorCode: 'INVALID_CREDENTIALS' });
+    expect(await signInStaff('nobody', 'sam password 123', now)).toMatchObject({ success: false, errorCode: 'INVALID_CREDENTIALS' });
+
+    const signIn = await signInStaff('SAM', 'sam password 123', now);
+    expect(signIn).toMatchObject({ success: true, staff: { username: 'sam', name: 'Sam Fox', role: 'front-desk' } });
+    expect(signIn.expiresAt).toBe('2025-03-28T01:00:00.000Z');
+
+    expect(await getSignedInStaff(signIn.token, now + HOUR_MS)).toEqual({ username: 'sam', name: 'Sam Fox', role: 'front-desk' });
+    expect(await getSignedInStaff(signIn.token, now + 12 * HOUR_MS)).toBeNull();
+    expect(await getSignedInStaff('made-up-token', now)).toBeNull();
+
+    const later = await signInStaff('sam', 'sam password 123', now);
+    expect(await signOutStaff(later.token)).toBe(true);
+    expect(await getSignedInStaff(later.token, now)).toBeNull();
+    // The first token has expired by then, the second was signed out
+    expect(await removeExpiredStaffSessions(now + 12 * HOUR_MS)).toBe(1);
+  });
+
+  test('removing an account ends its sessions', async () => {
+    await createStaffAccount({ username: 'temp', name: 'Temp', password: 'temporary password', role: 'front-desk' });
+    const signIn = await signInStaff('temp', 'temporary password');
+
+    expect((await removeStaffAccount('temp')).success).toBe(true);
+    expect(await getSignedInStaff(signIn.token)).toBeNull();
+    expect(await removeStaffAccount('temp')).toMatchObject({ success: false, errorCode: 'NOT_FOUND' });
+  });
+
+  test('five wrong passwords in a row lock the account for fifteen minutes', async () => {
+    await createStaffAccount({ username: 'kim', name: 'Kim', password: 'kim password 123', role: 'admin' });
+    const now = Date.parse('2025-03-27T13:00:00Z');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await signInStaff('kim', `guess ${attempt}`, now)).errorCode).toBe('INVALID_CREDENTIALS');
+    }
+
+    // Even the right password is turned away while locked
+    expect(await signInStaff('kim', 'kim password 123', now + 60000)).toMatchObject({
+      success: false,
+      errorCode: 'ACCOUNT_LOCKED',
+      retryAfterSeconds: 14 * 60
+    });
+    expect((await signInStaff('kim', 'kim password 123', now + 15 * 60000)).success).toBe(true);
+  });
+
+  test('wrong passwords sent at the same time are all counted towards the lock', async () => {
+    await createStaffAccount({ username: 'lou', name: 'Lou', password: 'lou password 123', role: 'admin' });
+    const now = Date.parse('2025-03-27T13:00:00Z');
+
+    const attempts = await Promise.all(Array.from({ length: 8 }, (_, attempt) => signInStaff('lou', `guess ${attempt}`, now)));
+
+    // Only five passwords were checked, the rest were turned away without one
+    expect(attempts.filter(attempt => attempt.errorCode === 'INVALID_CREDENTIALS')).toHaveLength(5);
+    expect(attempts.filter(attempt => attempt.errorCode === 'ACCOUNT_LOCKED')).toHaveLength(3);
+    expect(await signInStaff('lou', 'lou password 123', now + 60000)).toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+
+    // Once the lock is over the count starts again
+    expect((await signInStaff('lou', 'lou password 123', now + 15 * 60000)).success).toBe(true);
+    for (let attempt = 0; attempt < 4; attempt++) {
+      expect((await signInStaff('lou', `guess ${attempt}`, now + 16 * 60000)).errorCode).toBe('INVALID_CREDENTIALS');
+    }
+    expect((await signInStaff('lou', 'lou password 123', now + 16 * 60000)).success).toBe(true);
+  });
+
+  test('signing in leaves the password, token and cookies out of the request log', async () => {
+    await createStaffAccount({ username: 'jo', name: 'Jo', password: 'jo secret password', role: 'front-desk' });
+
+    // The request logger the server uses, in front of the staff routes
+    const app = express();
+    app.use(express.json());
+    app.use(logger.logRequest);
+    app.post('/api/staff/sign-in', async (req, res) => res.json(await signInStaff(req.body.username, req.body.password)));
+    app.get('/api/staff/me', async (req, res) => res.json({ staff: await getSignedInStaff(req.get('Authorization').replace('Bearer ', '')) }));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/staff`;
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const signIn = await (await fetch(`${baseUrl}/sign-in`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'jo', password: 'jo secret password' })
+      })).json();
+      const me = await (await fetch(`${baseUrl}/me`, {
+        headers: { Authorization: `Bearer ${signIn.token}`, Cookie: 'sessionId=session-cookie-value' }
+      })).json();
+      expect(me.staff.username).toBe('jo');
+
+      const logged = consoleLog.mock.calls.map(call => call.join(' ')).join('\n');
+      expect(logged).toContain('POST /api/staff/sign-in');
+      expect(logged).toContain('"username": "jo"');
+      expect(logged).not.toContain('jo secret password');
+      expect(logged).not.toContain(signIn.token);
+      expect(logged).not.toContain('session-cookie-value');
+    } finally {
+      consoleLog.mockRestore();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('the first admin comes from STAFF_ADMIN_USERNAME and STAFF_ADMIN_PASSWORD', async () => {
+    process.env.STAFF_ADMIN_USERNAME = 'owner';
+    process.env.STAFF_ADMIN_PASSWORD = 'owner password 123';
+
+    await createInitialAdmin();
+    // Starting again leaves the existing account alone
+    process.env.STAFF_ADMIN_PASSWORD = 'a different password';
+    await createInitialAdmin();
+
+    expect((await listStaffAccounts()).find(account => account.username === 'owner')).toEqual({ username: 'owner', name: 'owner', role: 'admin' });
+    expect((await signInStaff('owner', 'owner password 123')).success).toBe(true);
+  });
+});
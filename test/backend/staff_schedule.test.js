@@ -0,0 +1,80 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildProviderDays, scheduleRange, findGaps } from '../../backend/staff_schedule.js';
+import { AvailabilityResponse, AppointmentsResponse } from '../../cerbo_api.js';
+
+const timeZone = 'America/New_York';
+
+/**
+ * A Cerbo appointment on the provider's calendar, times in UTC
+ */
+const appointment = (id, type, start, end, status = 'confirmed') => ({
+  id,
+  title: `Appointment ${id}`,
+  appointment_type: type,
+  appointment_status: status,
+  start_date_time: start,
+  end_date_time: end
+});
+
+describe('Staff schedule', () => {
+  test('a week runs Monday to Sunday around the day asked for', () => {
+    expect(scheduleRange('2025-03-27', 'week')).toEqual({ startDate: '2025-03-24', endDate: '2025-03-30' });
+    expect(scheduleRange('2025-03-24', 'week')).toEqual({ startDate: '2025-03-24', endDate: '2025-03-30' });
+    expect(scheduleRange('2025-03-30', 'week')).toEqual({ startDate: '2025-03-24', endDate: '2025-03-30' });
+    expect(scheduleRange('2025-03-27', 'day')).toEqual({ startDate: '2025-03-27', endDate: '2025-03-27' });
+  });
+
+  test('gaps are the parts of the available windows no appointment takes up', () => {
+    const windows = [{ start: 0, end: 60 }, { start: 50, end: 120 }, { start: 200, end: 240 }];
+    const busy = [{ start: 10, end: 20 }, { start: 15, end: 30 }, { start: 100, end: 210 }];
+
+    expect(findGaps(windows, busy)).toEqual([
+      { start: 0, end: 10 },
+      { start: 30, end: 100 },
+      { start: 210, end: 240 }
+    ]);
+  });
+
+  test('a day shows appointments, buffers, dual bookings and open time in order', async () => {
+    // 9 AM to 1 PM in New York
+    const availability = new AvailabilityResponse([{
+      provider_id: 61,
+      availability_by_type: [{
+        appointment_type_id: 151,
+        available_windows: [{ window_start: new Date('2025-03-27T13:00:00Z'), window_end: new Date('2025-03-27T17:00:00Z') }]
+      }]
+    }]);
+    const appointments = AppointmentsResponse.fromJson({
+      data: [
+        appointment(1, 'Acupuncture.Follow-up, self-schd (50 min)', '2025-03-27 13:00:00', '2025-03-27 14:00:00'),
+        appointment(2, 'ADMIN-Flexible', '2025-03-27 14:00:00', '2025-03-27 14:30:00'),
+        appointment(3, 'Vagus Nerve Stem Therapy- Initial', '2025-03-27 15:00:00', '2025-03-27 15:30:00'),
+        appointment(4, 'Vagus Nerve Stem Therapy- Initial', '2025-03-27 15:00:00', '2025-03-27 15:30:00'),
+        appointment(5, 'Vagus Nerve Stem Therapy- Initial', '2025-03-27 16:00:00', '2025-03-27 16:30:00'),
+        appointment(6, 'Acupuncture.Follow-up, self-schd (50 min)', '2025-03-27 16:30:00', '2025-03-27 17:00:00', 'cancelled')
+      ]
+    });
+    const records = { 1: { patientName: 'Pat Doe', email: 'pat@example.com', staff: { name: 'Robin', reason: 'Asked in person', overrideBufferRules: true } } };
+
+    const [day] = await buildProviderDays(61, availability, appointments, ['2025-03-27'], {
+      timeZone,
+      findBookingRecord: async appointmentId => records[appointmentId] || null
+    });
+
+    expect(day.date).toBe('2025-03-27');
+    expect(day.items.map(item => [item.kind, item.startTime.substring(11, 16)])).toEqual([
+      ['appointment', '13:00'],
+      ['buffer', '14:00'],
+      ['gap', '14:30'],
+      ['dual-booking', '15:00'],
+      ['gap', '15:30'],
+      ['appointment', '16:00'],
+      ['gap', '16:30']
+    ]);
+    expect(day.items[0]).toMatchObject({ appointmentTypeName: 'Acupuncture', patientName: 'Pat Doe', staff: { reason: 'Asked in person' } });
+    expect(day.items[2].minutes).toBe(30);
+    expect(day.items[3].appointments.map(item => item.id)).toEqual([3, 4]);
+    // A single vagus nerve booking still has room for a second patient
+    expect(day.items[5]).toMatchObject({ id: 5, dualBookable: true });
+  });
+});
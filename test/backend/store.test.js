@@ -0,0 +1,66 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from '../../backend/store.js';
+
+describe('Store', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'physiospa-store-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe.each(['memory', 'file'])('%s store', (type) => {
+    test('stores, lists and deletes values', async () => {
+      const store = createStore(`values-${type}`, { type, directory });
+
+      expect(await store.get('session/1')).toBeNull();
+
+      await store.set('session/1', { slots: { a: { startTime: '2025-03-28T18:00:00.000Z' } } });
+      await store.set('session/2', { slots: {} });
+
+      expect(await store.get('session/1')).toEqual({ slots: { a: { startTime: '2025-03-28T18:00:00.000Z' } } });
+      expect((await store.entries()).map(([key]) => key).sort()).toEqual(['session/1', 'session/2']);
+
+      expect(await store.delete('session/1')).toBe(true);
+      expect(await store.delete('session/1')).toBe(false);
+      expect(await store.get('session/1')).toBeNull();
+    });
+
+    test('add only stores a value under a free key', async () => {
+      const store = createStore(`add-${type}`, { type, directory });
+
+      expect(await store.add('key', { first: true })).toBe(true);
+      expect(await store.add('key', { first: false })).toBe(false);
+      expect(await store.get('key')).toEqual({ first: true });
+    });
+
+    test('changing a value read from the store does not change the stored value', async () => {
+      const store = createStore(`copies-${type}`, { type, directory });
+      await store.set('key', { count: 1 });
+
+      const value = await store.get('key');
+      value.count = 2;
+
+      expect(await store.get('key')).toEqual({ count: 1 });
+    });
+  });
+
+  test('file stores with the same directory share their values, as replicas do', async () => {
+    const replicaA = createStore('shared', { type: 'file', directory });
+    const replicaB = createStore('shared', { type: 'file', directory });
+
+    await replicaA.set('session', { lastAccessed: 1 });
+
+    expect(await replicaB.get('session')).toEqual({ lastAccessed: 1 });
+  });
+
+  test('an unknown store type is rejected', () => {
+    expect(() => createStore('values', { type: 'redis' })).toThrow('Unknown STORE_TYPE');
+  });
+});
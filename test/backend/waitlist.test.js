@@ -0,0 +1,77 @@
+import { describe, test, expect } from '@jest/globals';
+import { joinWaitlist, getWaitlistOffer } from '../../backend/waitlist.js';
+
+describe('Waitlist', () => {
+  const now = Date.parse('2025-03-27T14:00:00Z');
+  const request = {
+    appointmentTypeId: 151,
+    patientName: 'Pat Doe',
+    email: 'pat@example.com',
+    preferredDates: ['2025-03-28', '2025-03-31'],
+    timeWindow: { from: '09:00', to: '12:00' }
+  };
+
+  test('the patient\'s details, dates and times are checked field by field', async () => {
+    const response = await joinWaitlist({
+      ...request,
+      email: 'not-an-email',
+      preferredDates: ['2025-03-26', '2025-03-28'],
+      timeWindow: { from: '12:00', to: '09:00' }
+    }, now);
+
+    expect(response).toMatchObject({ success: false, errorCode: 'INVALID_WAITLIST_REQUEST' });
+    expect(Object.keys(response.fieldErrors).sort()).toEqual(['email', 'preferredDates', 'timeWindow']);
+
+    expect(await joinWaitlist({ ...request, preferredDates: [] }, now)).toMatchObject({
+      fieldErrors: { preferredDates: 'Choose at least one date' }
+    });
+    expect(await joinWaitlist({ ...request, timeWindow: { from: '9am', to: '12:00' } }, now)).toMatchObject({
+      fieldErrors: { timeWindow: 'Times must be given as HH:MM' }
+    });
+  });
+
+  test('the appointment type and provider must be bookable online', async () => {
+    expect(await joinWaitlist({ ...request, appointmentTypeId: 999 }, now)).toMatchObject({ success: false, errorCode: 'NOT_FOUND' });
+    expect(await joinWaitlist({ ...request, providerId: 999 }, now)).toMatchObject({
+      success: false,
+      errorCode: 'INVALID_WAITLIST_REQUEST',
+      fieldErrors: { providerId: 'This provider does not offer this appointment' }
+    });
+  });
+
+  test('patients are queued in the order they join and joining again keeps their place', async () => {
+    const first = await joinWaitlist(request, now);
+    const second = await joinWaitlist({ ...request, patientName: 'Sam Roe', email: 'sam@example.com' }, now + 1000);
+    const again = await joinWaitlist({ ...request, email: 'PAT@example.com', preferredDates: ['2025-04-01'], timeWindow: undefined }, now + 2000);
+
+    expect(first.entry).toMatchObject({ status: 'waiting', position: 1 });
+    expect(second.entry.position).toBe(2);
+    expect(again.entry).toMatchObject({
+      id: first.entry.id,
+      position: 1,
+      preferredDates: ['2025-04-01'],
+      timeWindow: { from: '00:00', to: '24:00' }
+    });
+  });
+
+  test('patients joining at the same moment get places of their own', async () => {
+    const vagus = { ...request, appointmentTypeId: 144 };
+    const joins = await Promise.all([
+      joinWaitlist({ ...vagus, patientName: 'Ana Diaz', email: 'ana@example.com' }, now),
+      joinWaitlist({ ...vagus, patientName: 'Ben Cole', email: 'ben@example.com' }, now)
+    ]);
+
+    expect(joins.map(join => join.entry.position).sort()).toEqual([1, 2]);
+
+    // Their order stays the same when they are looked at again
+    const [ana, ben] = await Promise.all([
+      joinWaitlist({ ...vagus, patientName: 'Ana Diaz', email: 'ana@example.com' }, now + 1000),
+      joinWaitlist({ ...vagus, patientName: 'Ben Cole', email: 'ben@example.com' }, now + 1000)
+    ]);
+    expect([ana.entry.position, ben.entry.position]).toEqual(joins.map(join => join.entry.position));
+  });
+
+  test('an unknown claim link is not found', async () => {
+    expect(await getWaitlistOffer('no-such-token', now)).toMatchObject({ success: false, errorCode: 'NOT_FOUND' });
+  });
+});
@@ -2,6 +2,7 @@
 import { getAvailability as getCerboAvailability, getAllAppointments, createAppointment } from './cerbo_api.js';
 import { getAppointmentTypes, getAvailability as getAvailabilitySlots, bookAppointment } from './backend/availability.web.js';
 import readline from 'readline';
+import { getClinicTimeZone, toClinicDate } from './clinic_time.js';
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -33,7 +34,9 @@ function formatDateForDisplay(dateString) {
     day: 'numeric',
     hour: 'numeric',
     minute: '2-digit',
-    hour12: true
+    hour12: true,
+    timeZone: getClinicTimeZone(),
+    timeZoneName: 'short'
   };
   
   return date.toLocaleString('en-US', options);
@@ -42,11 +45,10 @@ function formatDateForDisplay(dateString) {
 // Function to get the next two weeks date range
 function getNextTwoDays() {
   const today = new Date();
-  const startDate = today.toISOString().split('T')[0];
+  const startDate = toClinicDate(today);
   
-  const twoDaysLater = new Date(today);
-  twoDaysLater.setDate(today.getDate() + 2);
-  const endDate = twoDaysLater.toISOString().split('T')[0];
+  const twoDaysLater = new Date(today.getTime() + 2 * 24 * 60 * 60000);
+  const endDate = toClinicDate(twoDaysLater);
   
   return { startDate, endDate };
 }